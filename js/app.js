@@ -18,7 +18,7 @@ class BitacoraApp {
         const requiredDependencies = [
             { name: 'Bootstrap', check: () => typeof bootstrap !== 'undefined' },
             { name: 'jsPDF', check: () => typeof window.jspdf !== 'undefined' },
-            { name: 'localStorage', check: () => StorageService.isAvailable() }
+            { name: 'Almacenamiento local', check: () => StorageService.isAvailable() }
         ];
 
         const missingDeps = requiredDependencies.filter(dep => !dep.check());
@@ -36,17 +36,37 @@ class BitacoraApp {
     initializeComponents() {
         try {
             const studentManager = new StudentManager();
-            const sessionManager = new SessionManager(studentManager);
+            const schoolCalendar = new SchoolCalendar();
+            const lessonPlanner = new LessonPlanner(schoolCalendar);
+            const sessionManager = new SessionManager(studentManager, lessonPlanner);
             const statisticsManager = new StatisticsManager();
             const pdfGenerator = new PDFGenerator(sessionManager);
-            const uiManager = new UIManager(studentManager, sessionManager, statisticsManager, pdfGenerator);
+            const attendanceAlerts = new AttendanceAlerts();
+            const guardianContacts = new GuardianContacts(studentManager);
+            const uiManager = new UIManager(studentManager, sessionManager, statisticsManager, pdfGenerator, attendanceAlerts, schoolCalendar, guardianContacts, lessonPlanner);
+            const idleLock = new IdleLock(sessionManager);
 
             this.components.set('studentManager', studentManager);
             window.studentManager = studentManager; // Expuesto para MapaClase
             this.components.set('sessionManager', sessionManager);
             this.components.set('statisticsManager', statisticsManager);
             this.components.set('pdfGenerator', pdfGenerator);
+            this.components.set('attendanceAlerts', attendanceAlerts);
+            this.components.set('schoolCalendar', schoolCalendar);
+            this.components.set('lessonPlanner', lessonPlanner);
+            this.components.set('guardianContacts', guardianContacts);
             this.components.set('uiManager', uiManager);
+            this.components.set('idleLock', idleLock);
+
+            // Migrar sesiones guardadas con la clave antigua (una por día) y
+            // las que indexan estudiantes por nombre en lugar de por id de ficha
+            sessionManager.migrateLegacySessions().then(async legacy => {
+                const migrated = legacy + await sessionManager.migrateNameKeyedSessions();
+                if (migrated > 0) {
+                    statisticsManager.loadStatistics();
+                    uiManager.refreshAlerts();
+                }
+            });
 
         } catch (error) {
             errorHandler.handle(error, 'BitacoraApp.initializeComponents');
@@ -63,6 +83,7 @@ class BitacoraApp {
 
             const uiManager = this.components.get('uiManager');
             uiManager.initialize();
+            this.components.get('idleLock').start();
 
             this.showVersionInfo();
             this.initialized = true;
@@ -175,34 +196,41 @@ document.addEventListener('DOMContentLoaded', function () {
                             <li>El sistema le pedirá <strong>establecer una nueva contraseña</strong> (mínimo 8 caracteres). Este paso es obligatorio.</li>
                         </ol>
                         <div class="alert alert-info py-2 small">💡 El <strong>usuario</strong> es la parte de su correo antes del @. Ej: <code>maria.gomez@colegio.cr</code> → usuario: <code>mariagomez</code></div>
+                        <div class="alert alert-secondary py-2 small">📴 <strong>Sin internet o sin correo:</strong> use <em>"Crear la cuenta sin correo"</em>. Elija usuario y contraseña; la cuenta se crea solo en este dispositivo y se muestra un código de recuperación para imprimir.</div>
 
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-cog"></i> 2. Configuración Inicial del Sistema</h6>
                         <ol class="small">
                             <li><strong>Nombre del profesor:</strong> ingrese su nombre completo y presione <em>Guardar</em>. Aparecerá en el encabezado y en los PDFs.</li>
-                            <li><strong>Importar estudiantes:</strong> cargue el archivo <code>.json</code> con los grupos y listas de estudiantes.</li>
+                            <li><strong>Importar estudiantes:</strong> cargue un <code>.json</code> con los grupos, o un <code>.csv</code> / <code>.xlsx</code> exportado del sistema del centro, asigne las columnas y revise la vista previa.</li>
+                            <li><strong>Editar lista:</strong> agregue estudiantes, corrija nombres, trasládelos de grupo o márquelos como retirados sin volver a importar.</li>
                             <li><strong>Grupos visibles:</strong> seleccione cuáles grupos aparecen en el selector principal.</li>
+                            <li><strong>Horario y calendario</strong> (recomendado): registre sus lecciones (día, hora, grupo, materia y aula), los periodos lectivos y los días sin lecciones. Al abrir la app se preselecciona la clase en curso y las estadísticas muestran las sesiones esperadas.</li>
                             <li><strong>Prefijo PDF</strong> (opcional): un código que se añade al nombre del archivo PDF descargado.</li>
                         </ol>
 
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-graduation-cap"></i> 3. Registrar una Clase</h6>
                         <ol class="small">
-                            <li>En el <strong>Panel de Control</strong>, seleccione el <em>Grupo</em>, la <em>Fecha</em> y la <em>Hora de inicio</em>. La sesión se crea automáticamente.</li>
+                            <li>En el <strong>Panel de Control</strong>, seleccione el <em>Grupo</em>, la <em>Fecha</em> y la <em>Hora de inicio</em>. La sesión se crea automáticamente. Con una fecha futura se crea una <strong>planificación</strong> (solo el contenido de la lección, sin asistencia); las sesiones de años lectivos anteriores son un <strong>archivo</strong> de solo lectura.</li>
                             <li>Marque la asistencia: <span class="badge bg-success">Presente</span> <span class="badge bg-danger">Ausente</span> <span class="badge bg-warning text-dark">Tarde</span>.</li>
                             <li>Registre actividades especiales: 🚻 Baño &nbsp;|&nbsp; ➕ Enfermería &nbsp;|&nbsp; ⋯ Otra &nbsp;|&nbsp; 🤝 Apoyos Educativos (requiere comentario obligatorio).</li>
-                            <li>Complete los campos de la <strong>Lección</strong> y la sección de <strong>Evaluación</strong>.</li>
+                            <li>Complete los campos de la <strong>Lección</strong> y la sección de <strong>Evaluación</strong>. Los criterios y escalas de la evaluación se editan en <em>Configuración → Editar Rúbrica de Evaluación</em>; cada sesión conserva la rúbrica con la que se creó.</li>
+                            <li>Con <strong>planes de unidad</strong> (<em>Configuración → Planes de Unidad</em>) el contenido de la lección se rellena con lo programado y lo pendiente. Marque el <strong>estado de la lección</strong>: lo parcial o pospuesto pasa a la siguiente sesión del grupo.</li>
                             <li>Presione <strong>Guardar Datos</strong> o use <kbd>Ctrl+S</kbd>.</li>
                         </ol>
 
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-file-pdf"></i> 4. Generar Bitácora PDF</h6>
                         <ol class="small">
                             <li>Con una sesión activa, presione <strong>"Generar Bitácora PDF"</strong> o use <kbd>Ctrl+P</kbd>.</li>
-                            <li>El PDF se descargará con el nombre: <code>[Prefijo]_Bitacora_[Grupo]_[Fecha].pdf</code></li>
+                            <li>El PDF se descargará con el nombre: <code>[Prefijo]_Bitacora_[Grupo]_[Fecha]_[Hora].pdf</code></li>
                         </ol>
 
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-history"></i> 5. Historial y Estadísticas</h6>
                         <ul class="small">
-                            <li>Botón <strong>Historial</strong>: vea, recargue y genere PDF de sesiones anteriores. Filtre por grupo o rango de fechas.</li>
-                            <li>Botón <strong>Estadísticas</strong>: resúmenes de asistencia por estudiante y por grupo.</li>
+                            <li>Botón <strong>Historial</strong>: vea, recargue y genere PDF de sesiones anteriores. Filtre por grupo, año lectivo o rango de fechas; los años anteriores se consultan como archivo.</li>
+                            <li><strong>Bitácoras pendientes</strong> (en el Historial, con horario configurado): lecciones sin sesión guardada o sin contenido de la lección; créelas con un clic.</li>
+                            <li>Botón <strong>Estadísticas</strong>: resúmenes de asistencia por estudiante y por grupo, con gráficos de asistencia por sesión, por estudiante y de ausencias por día de la semana (también en el compendio PDF).</li>
+                            <li><strong>Evaluación de la clase</strong> (en Estadísticas, por grupo): evolución de cada criterio en un rango de fechas y sesiones con valoraciones críticas, con sus observaciones y propuestas de mejora.</li>
+                            <li><strong>Comunicación con encargados</strong> (botón <i class="fas fa-phone"></i> del estudiante): registre contactos y genere avisos PDF desde plantillas.</li>
                         </ul>
 
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-map-marked-alt"></i> 6. Mapa de Clase</h6>
@@ -215,9 +243,10 @@ document.addEventListener('DOMContentLoaded', function () {
                         <table class="table table-sm small">
                             <thead class="table-light"><tr><th>Acción</th><th>Dónde</th><th>Qué hace</th></tr></thead>
                             <tbody>
-                                <tr><td>Exportar Historial</td><td>Config</td><td>Descarga todas las sesiones en <code>.json</code></td></tr>
+                                <tr><td>Exportar Historial</td><td>Config</td><td>Descarga todas las sesiones en un <code>.json</code> cifrado con frase de paso</td></tr>
                                 <tr><td>Importar Historial</td><td>Config</td><td>Recupera sesiones desde un <code>.json</code> previo, sin sobreescribir</td></tr>
-                                <tr><td>Crear Respaldo Completo</td><td>Config</td><td>Exporta todo el contenido del navegador</td></tr>
+                                <tr><td>Crear Respaldo Completo</td><td>Config</td><td>Exporta todo el contenido del navegador, cifrado con frase de paso</td></tr>
+                                <tr><td>Restaurar Respaldo</td><td>Config</td><td>Reemplaza todos los datos por los de un respaldo completo (en este u otro dispositivo)</td></tr>
                             </tbody>
                         </table>
                         <div class="alert alert-warning py-2 small">⚠️ Los datos se guardan <strong>solo en este navegador y dispositivo</strong>. Exporte el historial regularmente y guárdelo en OneDrive o una unidad segura.</div>
@@ -225,7 +254,10 @@ document.addEventListener('DOMContentLoaded', function () {
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-lock"></i> 8. Seguridad</h6>
                         <ul class="small">
                             <li><strong>Cambiar contraseña:</strong> Config → Seguridad → Cambiar Contraseña.</li>
+                            <li><strong>Código de recuperación:</strong> se muestra una sola vez al configurar la cuenta. Con él puede restablecer la contraseña desde <em>"¿Olvidó su contraseña?"</em> sin perder datos. Genere uno nuevo en Config → Seguridad.</li>
+                            <li><strong>Varios docentes en un mismo equipo:</strong> use <em>"Agregar otro docente"</em> en la pantalla de inicio de sesión. Cada cuenta tiene su propia contraseña, clave de cifrado, grupos y sesiones; un docente no puede leer los datos de otro.</li>
                             <li><strong>Cerrar sesión:</strong> botón <i class="fas fa-sign-out-alt"></i> en la esquina superior derecha.</li>
+                            <li><strong>Bloqueo por inactividad:</strong> tras 10 minutos sin uso (configurable en Config → Seguridad) la sesión abierta se guarda y la pantalla se bloquea. Ingrese su contraseña para continuar donde lo dejó.</li>
                             <li>Tras <strong>5 intentos fallidos</strong> de login, el acceso se bloquea por 30 segundos.</li>
                         </ul>
 
@@ -248,7 +280,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // ─── Helpers de UI ────────────────────────────────────────────────────────
     function showAuthScreen(id) {
-        ['auth-setup-screen', 'auth-login-screen', 'auth-change-pass-screen']
+        ['auth-setup-screen', 'auth-login-screen', 'auth-recover-screen', 'auth-change-pass-screen', 'auth-recovery-code-screen']
             .forEach(s => {
                 const el = document.getElementById(s);
                 if (el) el.style.display = (s === id) ? 'flex' : 'none';
@@ -272,7 +304,7 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     function hideAuthScreens() {
-        ['auth-setup-screen', 'auth-login-screen', 'auth-change-pass-screen']
+        ['auth-setup-screen', 'auth-login-screen', 'auth-recover-screen', 'auth-change-pass-screen', 'auth-recovery-code-screen']
             .forEach(s => {
                 const el = document.getElementById(s);
                 if (el) el.style.display = 'none';
@@ -316,13 +348,14 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     // ─── Inicializar app (post-auth) ──────────────────────────────────────────
-    function initApp() {
+    async function initApp() {
         hideAuthScreens();
         const logoutBtn = document.getElementById('btn-logout');
         if (logoutBtn) {
             logoutBtn.style.display = '';
-            logoutBtn.addEventListener('click', () => {
+            logoutBtn.addEventListener('click', async () => {
                 if (confirm('¿Desea cerrar sesión?')) {
+                    await StorageService.flush();
                     AuthService.logout();
                     window.location.reload();
                 }
@@ -330,6 +363,10 @@ document.addEventListener('DOMContentLoaded', function () {
         }
         try {
             console.log('DOM cargado, inicializando Bitácora Escolar...');
+            const user = AuthService.getCurrentUser();
+            const backend = await StorageService.init(user.id, { adoptLegacy: user.legacyData });
+            if (user.legacyData && StorageService.hasAdoptedLegacyData()) AuthService.markLegacyDataAdopted();
+            console.log(`Almacenamiento: ${backend} (cuenta ${user.username})`);
             window.bitacoraApp = new BitacoraApp();
         } catch (error) {
             console.error('Error crítico inicializando aplicación:', error);
@@ -337,13 +374,57 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     }
 
-    // ─── Flujo: Setup inicial ─────────────────────────────────────────────────
+    // ─── Selector de usuario (login y recuperación) ───────────────────────────
+    function fillUserPickers(selected = '') {
+        const usernames = AuthService.getUsernames();
+        ['login-username', 'recover-username'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = usernames.map(name =>
+                `<option value="${SecurityUtils.escapeHtml(name)}">${SecurityUtils.escapeHtml(name)}</option>`
+            ).join('');
+            if (usernames.includes(selected)) select.value = selected;
+        });
+    }
+
+    // ─── Flujo: Setup (primera cuenta o cuenta adicional) ─────────────────────
+    function showSetupScreen() {
+        const backLink = document.getElementById('setup-back-login');
+        if (backLink) backLink.style.display = AuthService.isConfigured() ? '' : 'none';
+        clearStatusMsg('setup-step-status');
+        // Sin proveedor de entrega disponible (sin internet o sin EmailJS) solo queda la cuenta local
+        const canDeliver = !!CredentialDelivery.getDefault();
+        const emailOption = document.getElementById('setup-email-option');
+        if (emailOption) emailOption.style.display = canDeliver ? '' : 'none';
+        showSetupMode(canDeliver ? 'email' : 'local');
+        showAuthScreen('auth-setup-screen');
+    }
+
+    function showSetupMode(mode) {
+        const emailBlock = document.getElementById('setup-email-block');
+        const localBlock = document.getElementById('setup-local-block');
+        if (emailBlock) emailBlock.style.display = mode === 'email' ? '' : 'none';
+        if (localBlock) localBlock.style.display = mode === 'local' ? '' : 'none';
+        clearStatusMsg('setup-step-status');
+        const focusId = mode === 'email' ? 'setup-email' : 'setup-local-username';
+        setTimeout(() => document.getElementById(focusId)?.focus(), 200);
+    }
+
+    function showLoginScreen(selected = '') {
+        fillUserPickers(selected);
+        showAuthScreen('auth-login-screen');
+        setTimeout(() => document.getElementById('login-password')?.focus(), 200);
+    }
+
     function initSetupScreen() {
-        const emailInput = document.getElementById('setup-email');
-        if (emailInput) emailInput.focus();
+        document.getElementById('link-setup-back-login')?.addEventListener('click', e => {
+            e.preventDefault();
+            showLoginScreen();
+        });
 
+        const emailInput = document.getElementById('setup-email');
         document.getElementById('btn-setup-provision')?.addEventListener('click', async () => {
-            const email = document.getElementById('setup-email')?.value.trim();
+            const email = emailInput?.value.trim();
             if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
                 setStatusMsg('setup-step-status', 'Ingrese un correo electrónico válido.', 'error');
                 return;
@@ -354,10 +435,8 @@ document.addEventListener('DOMContentLoaded', function () {
             setLoading('btn-setup-provision', false);
             if (result.success) {
                 setStatusMsg('setup-step-status', `✅ ${result.message} — Ahora inicie sesión.`, 'success');
-                // Inicializar los handlers del login ANTES de mostrarlo
-                initLoginScreen();
-                initChangePasScreen();
-                setTimeout(() => showAuthScreen('auth-login-screen'), 3000);
+                if (emailInput) emailInput.value = '';
+                setTimeout(() => showLoginScreen(result.username), 3000);
             } else {
                 setStatusMsg('setup-step-status', `❌ ${result.message}`, 'error');
             }
@@ -367,6 +446,48 @@ document.addEventListener('DOMContentLoaded', function () {
         document.getElementById('setup-email')?.addEventListener('keydown', e => {
             if (e.key === 'Enter') document.getElementById('btn-setup-provision')?.click();
         });
+
+        // Cuenta local (sin correo ni conexión)
+        togglePasswordVisibility('setup-local-password', 'btn-toggle-setup-pass');
+        document.getElementById('link-setup-local')?.addEventListener('click', e => {
+            e.preventDefault();
+            showSetupMode('local');
+        });
+        document.getElementById('link-setup-email')?.addEventListener('click', e => {
+            e.preventDefault();
+            showSetupMode('email');
+        });
+
+        document.getElementById('btn-setup-local')?.addEventListener('click', async () => {
+            const username = document.getElementById('setup-local-username')?.value.trim();
+            const password = document.getElementById('setup-local-password')?.value;
+            const confirm = document.getElementById('setup-local-confirm')?.value;
+            clearStatusMsg('setup-step-status');
+
+            if (!username || !password || !confirm) {
+                setStatusMsg('setup-step-status', 'Complete todos los campos.', 'error');
+                return;
+            }
+            if (password !== confirm) {
+                setStatusMsg('setup-step-status', 'Las contraseñas no coinciden.', 'error');
+                return;
+            }
+            setLoading('btn-setup-local', true, 'Creando cuenta...');
+            const result = await AuthService.createLocalAccount(username, password);
+            setLoading('btn-setup-local', false);
+            if (result.success) {
+                ['setup-local-username', 'setup-local-password', 'setup-local-confirm'].forEach(id => {
+                    const input = document.getElementById(id);
+                    if (input) input.value = '';
+                });
+                showRecoveryCodeScreen(result.recoveryCode, () => initApp());
+            } else {
+                setStatusMsg('setup-step-status', `❌ ${result.message}`, 'error');
+            }
+        });
+        document.getElementById('setup-local-confirm')?.addEventListener('keydown', e => {
+            if (e.key === 'Enter') document.getElementById('btn-setup-local')?.click();
+        });
     }
 
     // ─── Flujo: Login ─────────────────────────────────────────────────────────
@@ -426,11 +547,20 @@ document.addEventListener('DOMContentLoaded', function () {
             setLoading('btn-login', false);
             if (result.success) {
                 clearLockout();
-                if (result.firstLogin) {
-                    showAuthScreen('auth-change-pass-screen');
+                const next = result.firstLogin
+                    ? () => showAuthScreen('auth-change-pass-screen')
+                    : () => initApp();
+                if (result.recoveryCode) {
+                    showRecoveryCodeScreen(result.recoveryCode, next);
                 } else {
-                    initApp();
+                    next();
                 }
+            } else if (result.keyUnavailable) {
+                // La contraseña es correcta pero la clave de datos no se abrió
+                clearLockout();
+                fillUserPickers(user);
+                showAuthScreen('auth-recover-screen');
+                setStatusMsg('recover-status', `⚠️ ${result.message}`, 'error');
             } else {
                 lockState.attempts = (lockState.attempts || 0) + 1;
                 if (lockState.attempts >= MAX_ATTEMPTS) {
@@ -449,6 +579,83 @@ document.addEventListener('DOMContentLoaded', function () {
         document.getElementById('login-password')?.addEventListener('keydown', e => {
             if (e.key === 'Enter') doLogin();
         });
+        document.getElementById('link-forgot-pass')?.addEventListener('click', e => {
+            e.preventDefault();
+            fillUserPickers(document.getElementById('login-username')?.value);
+            showAuthScreen('auth-recover-screen');
+        });
+        document.getElementById('link-add-account')?.addEventListener('click', e => {
+            e.preventDefault();
+            showSetupScreen();
+        });
+    }
+
+    // ─── Flujo: Recuperar acceso con código ───────────────────────────────────
+    function initRecoverScreen() {
+        document.getElementById('link-back-login')?.addEventListener('click', e => {
+            e.preventDefault();
+            showLoginScreen(document.getElementById('recover-username')?.value);
+        });
+
+        document.getElementById('btn-recover')?.addEventListener('click', async () => {
+            const user = document.getElementById('recover-username')?.value.trim();
+            const code = document.getElementById('recover-code')?.value;
+            const next = document.getElementById('recover-new')?.value;
+            const confirm = document.getElementById('recover-confirm')?.value;
+            clearStatusMsg('recover-status');
+
+            if (!user || !code || !next || !confirm) {
+                setStatusMsg('recover-status', 'Complete todos los campos.', 'error');
+                return;
+            }
+            if (next !== confirm) {
+                setStatusMsg('recover-status', 'Las contraseñas nuevas no coinciden.', 'error');
+                return;
+            }
+            setLoading('btn-recover', true, 'Verificando...');
+            const result = await AuthService.resetPasswordWithRecoveryCode(user, code, next);
+            setLoading('btn-recover', false);
+            if (result.success) {
+                showRecoveryCodeScreen(result.recoveryCode, () => initApp());
+            } else {
+                setStatusMsg('recover-status', `❌ ${result.message}`, 'error');
+            }
+        });
+    }
+
+    // ─── Mostrar código de recuperación recién generado ───────────────────────
+    function showRecoveryCodeScreen(code, onContinue) {
+        const valueEl = document.getElementById('recovery-code-value');
+        const checkbox = document.getElementById('recovery-code-saved');
+        const btn = document.getElementById('btn-recovery-code-continue');
+        if (valueEl) valueEl.textContent = code;
+        const accountEl = document.getElementById('recovery-code-account');
+        if (accountEl) accountEl.textContent = `Cuenta: ${AuthService.getUsername()} · ${new Date().toLocaleDateString('es-ES')}`;
+        if (checkbox) checkbox.checked = false;
+        if (btn) btn.disabled = true;
+
+        checkbox?.addEventListener('change', toggleRecoveryCodeContinue);
+        document.getElementById('btn-recovery-code-print')?.addEventListener('click', printRecoveryCode);
+        btn?.addEventListener('click', () => {
+            checkbox?.removeEventListener('change', toggleRecoveryCodeContinue);
+            document.getElementById('btn-recovery-code-print')?.removeEventListener('click', printRecoveryCode);
+            if (valueEl) valueEl.textContent = '';
+            onContinue();
+        }, { once: true });
+        showAuthScreen('auth-recovery-code-screen');
+    }
+
+    // Continuar solo después de confirmar que el código quedó guardado
+    function toggleRecoveryCodeContinue() {
+        const btn = document.getElementById('btn-recovery-code-continue');
+        if (btn) btn.disabled = !document.getElementById('recovery-code-saved')?.checked;
+    }
+
+    // Imprime solo la tarjeta del código (ver estilos de impresión en auth.css)
+    function printRecoveryCode() {
+        document.body.classList.add('print-recovery-code');
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-recovery-code'), { once: true });
+        window.print();
     }
 
     // ─── Flujo: Cambio de contraseña obligatorio ──────────────────────────────
@@ -474,7 +681,13 @@ document.addEventListener('DOMContentLoaded', function () {
             setLoading('btn-change-pass', false);
             if (result.success) {
                 setStatusMsg('chpass-status', `✅ ${result.message}`, 'success');
-                setTimeout(() => initApp(), 1500);
+                setTimeout(() => {
+                    if (result.recoveryCode) {
+                        showRecoveryCodeScreen(result.recoveryCode, () => initApp());
+                    } else {
+                        initApp();
+                    }
+                }, 1500);
             } else {
                 setStatusMsg('chpass-status', `❌ ${result.message}`, 'error');
             }
@@ -483,16 +696,20 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // ─── Punto de entrada: decidir qué pantalla mostrar ────────────────────────
     showPrivacyNotice(() => {
+        AuthService.migrateLegacyAccount();
         if (AuthService.isAuthenticated()) {
             initApp();
-        } else if (!AuthService.isConfigured()) {
-            initSetupScreen();
-            showAuthScreen('auth-setup-screen');
+            return;
+        }
+        // Los handlers se registran una sola vez; las pantallas se alternan después
+        initSetupScreen();
+        initLoginScreen();
+        initRecoverScreen();
+        initChangePasScreen();
+        if (!AuthService.isConfigured()) {
+            showSetupScreen();
         } else {
-            initLoginScreen();
-            initChangePasScreen();
-            showAuthScreen('auth-login-screen');
-            setTimeout(() => document.getElementById('login-username')?.focus(), 200);
+            showLoginScreen();
         }
     });
 });
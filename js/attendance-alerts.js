@@ -0,0 +1,218 @@
+/**
+ * Motor de alertas de ausentismo
+ *
+ * Evalúa reglas configurables por grupo (ausencias consecutivas, porcentaje
+ * de ausencias del mes, tardanzas en una ventana de días) contra todas las
+ * sesiones guardadas. Los resultados se usan para marcar estudiantes en la
+ * tabla de asistencia y para el panel de alertas que se reporta a orientación.
+ */
+class AttendanceAlerts {
+    constructor() {
+        this.alerts = new Map();   // grupo -> Map(id de estudiante -> Array<alerta>)
+        this.failedSessions = 0;   // Sesiones que no se pudieron descifrar
+    }
+
+    // =========================================================================
+    // CONFIGURACIÓN DE REGLAS
+    // =========================================================================
+
+    /**
+     * Obtiene las reglas de un grupo (o las predeterminadas si no tiene)
+     * @param {string} groupName
+     * @returns {Array<Object>}
+     */
+    getRules(groupName) {
+        const stored = StorageService.get('alert_rules', {});
+        const rules = stored && Array.isArray(stored[groupName]) ? stored[groupName] : CONFIG.DEFAULT_ALERT_RULES;
+        return rules.map(rule => ({ ...rule }));
+    }
+
+    /**
+     * Valida y guarda las reglas de un grupo
+     * @param {string} groupName
+     * @param {Array<Object>} rules
+     * @returns {boolean}
+     */
+    saveRules(groupName, rules) {
+        try {
+            const groupValidation = Validators.validateGroup(groupName);
+            if (!groupValidation.valid) throw new Error(groupValidation.message);
+
+            const validTypes = Object.values(CONFIG.ALERT_RULE_TYPES);
+            const cleanRules = rules.map(rule => {
+                if (!validTypes.includes(rule.type)) throw new Error('Tipo de regla inválido');
+
+                const threshold = parseInt(rule.threshold, 10);
+                const maxThreshold = rule.type === CONFIG.ALERT_RULE_TYPES.MONTHLY_ABSENCE_PERCENT ? 100 : 50;
+                if (!Number.isInteger(threshold) || threshold < 1 || threshold > maxThreshold) {
+                    throw new Error(`El umbral debe estar entre 1 y ${maxThreshold}`);
+                }
+
+                const clean = { type: rule.type, threshold, enabled: Boolean(rule.enabled) };
+                if (rule.type !== CONFIG.ALERT_RULE_TYPES.MONTHLY_ABSENCE_PERCENT) {
+                    const days = parseInt(rule.days, 10);
+                    if (!Number.isInteger(days) || days < 1 || days > 365) {
+                        throw new Error('La ventana de días debe estar entre 1 y 365');
+                    }
+                    clean.days = days;
+                }
+                return clean;
+            });
+
+            const stored = StorageService.get('alert_rules', {}) || {};
+            stored[groupValidation.value] = cleanRules;
+            return StorageService.set('alert_rules', stored);
+        } catch (error) {
+            errorHandler.handle(error, 'AttendanceAlerts.saveRules');
+            return false;
+        }
+    }
+
+    /**
+     * Descripción legible de una regla
+     * @param {Object} rule
+     * @returns {string}
+     */
+    describeRule(rule) {
+        switch (rule.type) {
+            case CONFIG.ALERT_RULE_TYPES.CONSECUTIVE_ABSENCES:
+                return `${rule.threshold} ausencias consecutivas (últimos ${rule.days} días)`;
+            case CONFIG.ALERT_RULE_TYPES.MONTHLY_ABSENCE_PERCENT:
+                return `Más de ${rule.threshold}% de ausencias este mes`;
+            case CONFIG.ALERT_RULE_TYPES.TARDIES_IN_WINDOW:
+                return `${rule.threshold} tardanzas en ${rule.days} días`;
+            default:
+                return rule.type;
+        }
+    }
+
+    // =========================================================================
+    // EVALUACIÓN
+    // =========================================================================
+
+    /**
+     * Evalúa las reglas de todos los grupos contra las sesiones guardadas
+     * @returns {Promise<Map>} - grupo -> Map(id de estudiante -> Array<{type, message}>)
+     */
+    async evaluateAll() {
+        const result = new Map();
+
+        try {
+            const { entries, failed } = await StorageService.getAllDecrypted('session_');
+            this.failedSessions = failed.length;
+
+            // Agrupar registros por grupo y estudiante
+            const records = new Map();
+            entries.forEach(({ value: session }) => {
+                if (!session || !session.grupo || !session.fecha || !session.students || !session.lastSaved) return;
+                if (session.planned) return; // Planificación: aún sin asistencia
+                if (!records.has(session.grupo)) records.set(session.grupo, new Map());
+                const groupRecords = records.get(session.grupo);
+
+                Object.entries(session.students).forEach(([studentId, data]) => {
+                    if (!groupRecords.has(studentId)) groupRecords.set(studentId, []);
+                    groupRecords.get(studentId).push({
+                        fecha: session.fecha,
+                        hora: session.startTime || '',
+                        estado: data.estado || CONFIG.STUDENT_STATES.PRESENTE
+                    });
+                });
+            });
+
+            records.forEach((students, groupName) => {
+                const rules = this.getRules(groupName).filter(rule => rule.enabled);
+                if (rules.length === 0) return;
+
+                students.forEach((studentRecords, studentId) => {
+                    studentRecords.sort((a, b) => a.fecha.localeCompare(b.fecha) || a.hora.localeCompare(b.hora));
+                    const matches = rules
+                        .map(rule => this.evaluateRule(rule, studentRecords))
+                        .filter(Boolean);
+                    if (matches.length === 0) return;
+
+                    if (!result.has(groupName)) result.set(groupName, new Map());
+                    result.get(groupName).set(studentId, matches);
+                });
+            });
+        } catch (error) {
+            console.error('Error evaluando alertas de ausentismo:', error);
+        }
+
+        this.alerts = result;
+        return result;
+    }
+
+    /**
+     * Evalúa una regla contra los registros cronológicos de un estudiante
+     * @param {Object} rule
+     * @param {Array<{fecha, hora, estado}>} records
+     * @returns {{type: string, message: string}|null}
+     */
+    evaluateRule(rule, records) {
+        const { AUSENTE, TARDE } = CONFIG.STUDENT_STATES;
+
+        switch (rule.type) {
+            case CONFIG.ALERT_RULE_TYPES.CONSECUTIVE_ABSENCES: {
+                const since = this._localDate(-rule.days);
+                let streak = 0;
+                let longest = 0;
+                records.forEach(record => {
+                    streak = record.estado === AUSENTE ? streak + 1 : 0;
+                    if (record.fecha >= since) longest = Math.max(longest, streak);
+                });
+                return longest >= rule.threshold
+                    ? { type: rule.type, message: `${longest} ausencias consecutivas` }
+                    : null;
+            }
+            case CONFIG.ALERT_RULE_TYPES.MONTHLY_ABSENCE_PERCENT: {
+                const month = this._localDate(0).slice(0, 7);
+                // Las ausencias justificadas no cuentan en el porcentaje
+                const monthRecords = records.filter(r =>
+                    r.fecha.startsWith(month) && r.estado !== CONFIG.STUDENT_STATES.AUSENCIA_JUSTIFICADA);
+                if (monthRecords.length === 0) return null;
+                const percent = monthRecords.filter(r => r.estado === AUSENTE).length / monthRecords.length * 100;
+                return percent > rule.threshold
+                    ? { type: rule.type, message: `${percent.toFixed(1)}% de ausencias este mes` }
+                    : null;
+            }
+            case CONFIG.ALERT_RULE_TYPES.TARDIES_IN_WINDOW: {
+                const since = this._localDate(-(rule.days - 1));
+                const tardies = records.filter(r => r.fecha >= since && r.estado === TARDE).length;
+                return tardies >= rule.threshold
+                    ? { type: rule.type, message: `${tardies} tardanzas en ${rule.days} días` }
+                    : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Alertas vigentes de un grupo (según la última evaluación)
+     * @param {string} groupName
+     * @returns {Map} - id de estudiante -> Array<alerta>
+     */
+    getGroupAlerts(groupName) {
+        return this.alerts.get(groupName) || new Map();
+    }
+
+    /**
+     * Total de estudiantes con alguna alerta
+     * @returns {number}
+     */
+    getAlertCount() {
+        let count = 0;
+        this.alerts.forEach(students => { count += students.size; });
+        return count;
+    }
+
+    /**
+     * Fecha local en formato YYYY-MM-DD desplazada `offsetDays` días desde hoy
+     * @private
+     */
+    _localDate(offsetDays) {
+        const date = new Date();
+        date.setDate(date.getDate() + offsetDays);
+        return SchoolCalendar.toISODate(date);
+    }
+}
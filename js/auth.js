@@ -1,27 +1,97 @@
 /**
  * Servicio de Autenticación — Bitácora Escolar
- * Usa SHA-256 (Web Crypto API) para hashear contraseñas.
- * Las credenciales se guardan en localStorage (hasheadas).
+ * Usa PBKDF2-SHA256 con salt (Web Crypto API) para hashear contraseñas.
+ * Las credenciales se guardan en localStorage (hasheadas, formato versionado).
  * La sesión activa se guarda en sessionStorage.
+ * La contraseña también abre el llavero de CryptoService (clave de datos).
+ *
+ * Admite varias cuentas locales en un mismo dispositivo. Cada cuenta tiene un
+ * id que se usa como espacio de nombres de sus datos y de su llavero.
  */
 const AuthService = {
 
     // ─── Claves de almacenamiento ─────────────────────────────────────────────
     KEYS: {
+        USERS: 'auth_users',
+        CURRENT_USER: 'auth_current_user',
+        SESSION_TOKEN: 'auth_session',
+        SESSION_KEY: 'auth_session_key',
+        LOCKED: 'auth_locked',
+    },
+
+    // Claves de la versión con una sola cuenta (se migran con migrateLegacyAccount)
+    LEGACY_KEYS: {
         USERNAME: 'auth_username',
         PASS_HASH: 'auth_pass_hash',
         IS_CONFIGURED: 'auth_configured',
         FIRST_LOGIN: 'auth_first_login',
-        SESSION_TOKEN: 'auth_session',
-        SESSION_KEY: 'auth_session_key',
     },
 
-    // ─── SHA-256 mediante Web Crypto API ──────────────────────────────────────
-    async hashPassword(password) {
-        const msgBuffer = new TextEncoder().encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    // ─── Hash de contraseña (PBKDF2-SHA256 con salt) ──────────────────────────
+    /**
+     * Formato guardado: 'v2$pbkdf2-sha256$<iteraciones>$<salt base64>$<hash base64>'.
+     * Los hashes v1 (SHA-256 sin salt, 64 caracteres hex) se aceptan al verificar
+     * y se actualizan en el siguiente inicio de sesión correcto.
+     * @param {string} password
+     * @param {Uint8Array} [salt]
+     * @param {number} [iterations]
+     * @returns {Promise<string>}
+     */
+    async hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = CONFIG.PASSWORD_HASH_ITERATIONS) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), { name: 'PBKDF2' }, false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, keyMaterial, 256
+        );
+        return ['v2', 'pbkdf2-sha256', iterations, CryptoService.toBase64(salt), CryptoService.toBase64(new Uint8Array(bits))].join('$');
+    },
+
+    /**
+     * Hash v1: SHA-256 sin salt. Solo para verificar credenciales anteriores.
+     * @param {string} password
+     * @returns {Promise<string>}
+     */
+    async legacyHashPassword(password) {
+        const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+        return Array.from(new Uint8Array(hashBuffer), b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Verifica una contraseña contra el hash guardado.
+     * @param {string} password
+     * @param {string|null} storedHash
+     * @returns {Promise<{valid: boolean, needsUpgrade: boolean}>}
+     */
+    async verifyPassword(password, storedHash) {
+        if (!storedHash) return { valid: false, needsUpgrade: false };
+
+        if (/^[0-9a-f]{64}$/.test(storedHash)) {
+            const valid = this._safeEqual(await this.legacyHashPassword(password), storedHash);
+            return { valid, needsUpgrade: valid };
+        }
+
+        const [version, algorithm, iterationsStr, saltB64] = storedHash.split('$');
+        const iterations = parseInt(iterationsStr, 10);
+        if (version !== 'v2' || algorithm !== 'pbkdf2-sha256' || !Number.isInteger(iterations) || !saltB64) {
+            console.warn('[Auth] Formato de hash de contraseña desconocido');
+            return { valid: false, needsUpgrade: false };
+        }
+
+        const hash = await this.hashPassword(password, CryptoService.fromBase64(saltB64), iterations);
+        const valid = this._safeEqual(hash, storedHash);
+        return { valid, needsUpgrade: valid && iterations < CONFIG.PASSWORD_HASH_ITERATIONS };
+    },
+
+    /**
+     * Comparación de strings en tiempo constante (según la longitud).
+     * @private
+     */
+    _safeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        return diff === 0;
     },
 
     // ─── Generador de contraseña aleatoria ────────────────────────────────────
@@ -32,115 +102,287 @@ const AuthService = {
         return Array.from(array, b => chars[b % chars.length]).join('');
     },
 
+    // ─── Registro de cuentas ──────────────────────────────────────────────────
+    /**
+     * @returns {Object} - usuario -> { id, passHash, firstLogin, createdAt, legacyData? }
+     */
+    _loadUsers() {
+        try {
+            return JSON.parse(localStorage.getItem(this.KEYS.USERS)) || {};
+        } catch {
+            return {};
+        }
+    },
+
+    _saveUsers(users) {
+        localStorage.setItem(this.KEYS.USERS, JSON.stringify(users));
+    },
+
+    _getUser(username) {
+        const key = String(username || '').trim().toLowerCase();
+        const user = this._loadUsers()[key];
+        return user ? { username: key, ...user } : null;
+    },
+
+    _updateUser(username, changes) {
+        const users = this._loadUsers();
+        if (!users[username]) return;
+        users[username] = { ...users[username], ...changes };
+        this._saveUsers(users);
+    },
+
+    /**
+     * Convierte la cuenta única de versiones anteriores en la primera cuenta
+     * del registro. Sus datos se adoptan al iniciar la app (StorageService.init).
+     */
+    migrateLegacyAccount() {
+        const username = localStorage.getItem(this.LEGACY_KEYS.USERNAME);
+        const passHash = localStorage.getItem(this.LEGACY_KEYS.PASS_HASH);
+        if (!username || !passHash) return;
+
+        const users = this._loadUsers();
+        if (!users[username.toLowerCase()]) {
+            const id = SecurityUtils.generateSecureId('u').toLowerCase();
+            users[username.toLowerCase()] = {
+                id,
+                passHash,
+                firstLogin: localStorage.getItem(this.LEGACY_KEYS.FIRST_LOGIN) === 'true',
+                createdAt: new Date().toISOString(),
+                legacyData: true
+            };
+            this._saveUsers(users);
+            CryptoService.adoptLegacyKeyring(id);
+        }
+        Object.values(this.LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+    },
+
     // ─── Estado ───────────────────────────────────────────────────────────────
     isConfigured() {
-        return localStorage.getItem(this.KEYS.IS_CONFIGURED) === 'true';
+        return this.getUsernames().length > 0;
+    },
+
+    /**
+     * Usuarios registrados en este dispositivo (para el selector del login)
+     * @returns {Array<string>}
+     */
+    getUsernames() {
+        return Object.keys(this._loadUsers()).sort();
+    },
+
+    /**
+     * Cuenta con sesión iniciada en esta pestaña
+     * @returns {{username: string, id: string, legacyData?: boolean}|null}
+     */
+    getCurrentUser() {
+        const user = this._getUser(sessionStorage.getItem(this.KEYS.CURRENT_USER));
+        if (!user) return null;
+        return { username: user.username, id: user.id, legacyData: !!user.legacyData };
     },
 
     isFirstLogin() {
-        return localStorage.getItem(this.KEYS.FIRST_LOGIN) === 'true';
+        const user = this._getUser(sessionStorage.getItem(this.KEYS.CURRENT_USER));
+        return !!user && user.firstLogin === true;
     },
 
     isAuthenticated() {
+        // Una sesión bloqueada sin la clave en memoria (p. ej. tras recargar) exige login completo
+        if (this.isLocked()) return false;
         const hasSession = sessionStorage.getItem(this.KEYS.SESSION_TOKEN) === 'authenticated';
-        if (!hasSession) return false;
+        if (!hasSession || !this.getCurrentUser()) return false;
         // Verificar que la llave de sesión siga siendo válida
         const storedKey = localStorage.getItem(this.KEYS.SESSION_KEY);
         if (storedKey !== CONFIG.SESSION_KEY) {
             this.logout();
             return false;
         }
+        CryptoService.setKeyringOwner(this.getCurrentUser().id);
         return true;
     },
 
     getUsername() {
-        return localStorage.getItem(this.KEYS.USERNAME) || '';
+        return this.getCurrentUser()?.username || '';
+    },
+
+    /**
+     * Marca que los datos de la versión con una sola cuenta ya se movieron
+     * al espacio de la cuenta actual
+     */
+    markLegacyDataAdopted() {
+        const user = this.getCurrentUser();
+        if (user) this._updateUser(user.username, { legacyData: false });
     },
 
+    /**
+     * Inicia la sesión de una cuenta en esta pestaña
+     * @private
+     */
+    _startSession(username) {
+        sessionStorage.removeItem(this.KEYS.LOCKED);
+        sessionStorage.setItem(this.KEYS.SESSION_TOKEN, 'authenticated');
+        sessionStorage.setItem(this.KEYS.CURRENT_USER, username);
+        localStorage.setItem(this.KEYS.SESSION_KEY, CONFIG.SESSION_KEY);
+    },
 
     // ─── Provisionar nuevo usuario ────────────────────────────────────────────
     /**
-     * Genera credenciales, las guarda (hasheadas) y envía el correo.
+     * Genera credenciales, las entrega con un proveedor (correo por defecto) y
+     * guarda la cuenta (hasheada) solo si la entrega fue exitosa.
      * @param {string} email  Correo del usuario destino
-     * @returns {Promise<{success: boolean, message: string}>}
+     * @param {Object} [provider]  Proveedor de CredentialDelivery
+     * @returns {Promise<{success: boolean, message: string, username?: string}>}
      */
-    async provisionUser(email) {
-        const { SERVICE_ID, TEMPLATE_ID, PUBLIC_KEY } = CONFIG.EMAILJS;
-        if (!SERVICE_ID || !TEMPLATE_ID || !PUBLIC_KEY) {
-            return { success: false, message: 'El servicio de correo no está configurado en el sistema.' };
+    async provisionUser(email, provider = CredentialDelivery.getDefault()) {
+        if (!provider) {
+            return { success: false, message: 'No hay un servicio de entrega de credenciales disponible. Cree la cuenta sin conexión.' };
         }
 
         const username = email.split('@')[0].toLowerCase().replace(/[^a-z0-9._-]/g, '');
+        if (!username) {
+            return { success: false, message: 'El correo no genera un nombre de usuario válido.' };
+        }
+        if (this._getUser(username)) {
+            return { success: false, message: `Ya existe una cuenta con el usuario ${username} en este dispositivo.` };
+        }
+        const isolationError = await this._checkAccountIsolation();
+        if (isolationError) return { success: false, message: isolationError };
         const tempPassword = this.generateRandomPassword();
 
         try {
-            emailjs.init({ publicKey: PUBLIC_KEY });
-
-            await emailjs.send(SERVICE_ID, TEMPLATE_ID, {
-                to_email: email,
-                username: username,
+            await provider.deliver({
+                email,
+                username,
                 password: tempPassword,
-                app_name: CONFIG.APP_NAME,
-                app_version: CONFIG.VERSION,
+                appName: CONFIG.APP_NAME,
+                appVersion: CONFIG.VERSION,
             });
-
-            const hash = await this.hashPassword(tempPassword);
-            localStorage.setItem(this.KEYS.USERNAME, username);
-            localStorage.setItem(this.KEYS.PASS_HASH, hash);
-            localStorage.setItem(this.KEYS.IS_CONFIGURED, 'true');
-            localStorage.setItem(this.KEYS.FIRST_LOGIN, 'true');
-
-            return {
-                success: true,
-                message: `Credenciales enviadas a ${email}. Usuario: ${username}`
-            };
         } catch (err) {
-            console.error('[Auth] Error enviando correo:', err);
+            console.error(`[Auth] Error entregando credenciales (${provider.id}):`, err);
             return {
                 success: false,
-                message: `Error al enviar el correo. Verifique que la dirección sea correcta.`
+                message: `Error al enviar las credenciales. Verifique la dirección o cree la cuenta sin conexión.`
             };
         }
+
+        this._addUser(username, await this.hashPassword(tempPassword), true);
+
+        return {
+            success: true,
+            username,
+            message: `Credenciales enviadas a ${email}. Usuario: ${username}`
+        };
+    },
+
+    /**
+     * Crea una cuenta sin conexión con la contraseña elegida por el docente,
+     * inicia la sesión y crea el llavero. Devuelve el código de recuperación
+     * para que se muestre (e imprima) una sola vez.
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<{success: boolean, message: string, username?: string, recoveryCode?: string}>}
+     */
+    async createLocalAccount(username, password) {
+        const name = String(username || '').trim().toLowerCase();
+        if (!/^[a-z0-9._-]{3,30}$/.test(name)) {
+            return { success: false, message: 'El usuario debe tener de 3 a 30 caracteres: letras minúsculas, números, punto, guion o guion bajo.' };
+        }
+        if (this._getUser(name)) {
+            return { success: false, message: `Ya existe una cuenta con el usuario ${name} en este dispositivo.` };
+        }
+        if (!password || password.length < 8) {
+            return { success: false, message: 'La contraseña debe tener al menos 8 caracteres.' };
+        }
+        const isolationError = await this._checkAccountIsolation();
+        if (isolationError) return { success: false, message: isolationError };
+
+        const id = this._addUser(name, await this.hashPassword(password), false);
+        this._startSession(name);
+
+        try {
+            CryptoService.setKeyringOwner(id);
+            const { recoveryCode } = await CryptoService.unlockWithPassword(password);
+            return { success: true, username: name, recoveryCode, message: 'Cuenta creada en este dispositivo.' };
+        } catch (e) {
+            console.error('[Auth] No se pudo crear la clave de datos:', e);
+            this.logout();
+            const users = this._loadUsers();
+            delete users[name];
+            this._saveUsers(users);
+            return { success: false, message: 'No se pudo crear la clave de cifrado de la cuenta.' };
+        }
+    },
+
+    /**
+     * Una cuenta adicional solo se crea si sus datos quedarán cifrados y
+     * separados de los de las demás cuentas (requiere IndexedDB)
+     * @private
+     * @returns {Promise<string|null>} - Mensaje de error o null si se puede crear
+     */
+    async _checkAccountIsolation() {
+        if (!this.isConfigured() || await StorageService.canIsolateAccounts()) return null;
+        return 'Este navegador no permite separar los datos de varias cuentas (IndexedDB no está disponible). Use la cuenta existente o un navegador con IndexedDB.';
+    },
+
+    /**
+     * Agrega una cuenta al registro
+     * @private
+     * @returns {string} - Id de la cuenta
+     */
+    _addUser(username, passHash, firstLogin) {
+        const users = this._loadUsers();
+        const id = SecurityUtils.generateSecureId('u').toLowerCase();
+        users[username] = { id, passHash, firstLogin, createdAt: new Date().toISOString() };
+        this._saveUsers(users);
+        return id;
     },
 
     // ─── Login ────────────────────────────────────────────────────────────────
     async login(username, password) {
-        const storedUser = this.getUsername();
-        const storedHash = localStorage.getItem(this.KEYS.PASS_HASH);
-
-        if (!storedUser || !storedHash) {
+        if (!this.isConfigured()) {
             return { success: false, message: 'No hay usuario configurado.' };
         }
 
-        if (username.trim().toLowerCase() !== storedUser.toLowerCase()) {
+        const user = this._getUser(username);
+        const { valid, needsUpgrade } = await this.verifyPassword(password, user ? user.passHash : null);
+        if (!user || !valid) {
             return { success: false, message: 'Usuario o contraseña incorrectos.' };
         }
 
-        const hash = await this.hashPassword(password);
-        if (hash !== storedHash) {
-            return { success: false, message: 'Usuario o contraseña incorrectos.' };
+        // Actualizar hashes antiguos (SHA-256 sin salt o pocas iteraciones)
+        if (needsUpgrade) {
+            this._updateUser(user.username, { passHash: await this.hashPassword(password) });
         }
 
-        sessionStorage.setItem(this.KEYS.SESSION_TOKEN, 'authenticated');
-        localStorage.setItem(this.KEYS.SESSION_KEY, CONFIG.SESSION_KEY);
+        this._startSession(user.username);
 
-        // Derivar clave AES desde la contraseña y guardarla en sessionStorage
+        // Abrir la clave de datos de la cuenta (crea el llavero la primera vez)
+        let recoveryCode = null;
         try {
-            const aesKey = await CryptoService.deriveKey(password);
-            await CryptoService.saveSessionKey(aesKey);
+            CryptoService.setKeyringOwner(user.id);
+            ({ recoveryCode } = await CryptoService.unlockWithPassword(password, { allowLegacy: !!user.legacyData }));
         } catch (e) {
-            console.warn('[Auth] No se pudo derivar clave AES:', e);
+            // Sin la clave de datos los registros cifrados no se pueden leer y
+            // se sobrescribirían: no se inicia la sesión
+            console.error('[Auth] No se pudo abrir la clave de datos:', e);
+            this.logout();
+            return {
+                success: false,
+                keyUnavailable: true,
+                message: 'No se pudo abrir la clave de datos de la cuenta. Restablezca el acceso con su código de recuperación.'
+            };
         }
 
-        return { success: true, firstLogin: this.isFirstLogin() };
+        return { success: true, firstLogin: user.firstLogin === true, recoveryCode };
     },
 
     // ─── Cambio de contraseña ─────────────────────────────────────────────────
     async changePassword(currentPassword, newPassword) {
-        const storedHash = localStorage.getItem(this.KEYS.PASS_HASH);
-        const currentHash = await this.hashPassword(currentPassword);
+        const user = this._getUser(this.getUsername());
+        if (!user) {
+            return { success: false, message: 'No hay una sesión iniciada.' };
+        }
+        const { valid } = await this.verifyPassword(currentPassword, user.passHash);
 
-        if (currentHash !== storedHash) {
+        if (!valid) {
             return { success: false, message: 'La contraseña actual es incorrecta.' };
         }
 
@@ -148,24 +390,128 @@ const AuthService = {
             return { success: false, message: 'La nueva contraseña debe tener al menos 8 caracteres.' };
         }
 
-        const newHash = await this.hashPassword(newPassword);
-        localStorage.setItem(this.KEYS.PASS_HASH, newHash);
-        localStorage.setItem(this.KEYS.FIRST_LOGIN, 'false');
+        // Volver a envolver la clave de datos: los datos cifrados no cambian
+        let recoveryCode = null;
+        try {
+            if (!CryptoService.hasKeyring() || !CryptoService.hasSessionKey()) {
+                ({ recoveryCode } = await CryptoService.unlockWithPassword(currentPassword, { allowLegacy: !!user.legacyData }));
+            }
+            await CryptoService.rewrapWithPassword(newPassword);
+        } catch (e) {
+            console.error('[Auth] No se pudo proteger la clave de datos:', e);
+            return { success: false, message: 'No se pudo proteger la clave de datos con la nueva contraseña.' };
+        }
+
+        this._updateUser(user.username, { passHash: await this.hashPassword(newPassword), firstLogin: false });
+
+        return { success: true, message: 'Contraseña cambiada correctamente.', recoveryCode };
+    },
+
+    // ─── Recuperación de acceso ───────────────────────────────────────────────
+    /**
+     * Restablece la contraseña con el código de recuperación generado al
+     * configurar la cuenta. Conserva el acceso a los datos cifrados.
+     * @param {string} username
+     * @param {string} code - Código de recuperación
+     * @param {string} newPassword
+     * @returns {Promise<{success: boolean, message: string, recoveryCode?: string}>}
+     */
+    async resetPasswordWithRecoveryCode(username, code, newPassword) {
+        const user = this._getUser(username);
+        if (!user) {
+            return { success: false, message: 'Usuario o código de recuperación incorrectos.' };
+        }
+
+        if (newPassword.length < 8) {
+            return { success: false, message: 'La nueva contraseña debe tener al menos 8 caracteres.' };
+        }
 
-        // Re-derivar la clave AES con la nueva contraseña
+        let recoveryCode;
         try {
-            const aesKey = await CryptoService.deriveKey(newPassword);
-            await CryptoService.saveSessionKey(aesKey);
+            CryptoService.setKeyringOwner(user.id);
+            recoveryCode = await CryptoService.recoverWithCode(code, newPassword);
         } catch (e) {
-            console.warn('[Auth] No se pudo re-derivar clave AES:', e);
+            return { success: false, message: e.message };
+        }
+
+        this._updateUser(user.username, { passHash: await this.hashPassword(newPassword), firstLogin: false });
+        this._startSession(user.username);
+
+        return { success: true, message: 'Contraseña restablecida correctamente.', recoveryCode };
+    },
+
+    /**
+     * Genera un nuevo código de recuperación (invalida el anterior).
+     * @param {string} password - Contraseña actual, para confirmar
+     * @returns {Promise<{success: boolean, message: string, recoveryCode?: string}>}
+     */
+    async regenerateRecoveryCode(password) {
+        const user = this._getUser(this.getUsername());
+        if (!user || !(await this.verifyPassword(password, user.passHash)).valid) {
+            return { success: false, message: 'La contraseña es incorrecta.' };
         }
 
-        return { success: true, message: 'Contraseña cambiada correctamente.' };
+        try {
+            const { recoveryCode } = await CryptoService.unlockWithPassword(password, { allowLegacy: !!user.legacyData });
+            return {
+                success: true,
+                message: 'Código de recuperación generado.',
+                recoveryCode: recoveryCode || await CryptoService.regenerateRecoveryCode()
+            };
+        } catch (e) {
+            console.error('[Auth] No se pudo generar el código de recuperación:', e);
+            return { success: false, message: 'No se pudo generar el código de recuperación.' };
+        }
     },
 
     // ─── Logout ───────────────────────────────────────────────────────────────
+    // ─── Bloqueo por inactividad ──────────────────────────────────────────────
+    /**
+     * Bloquea la sesión: elimina la clave de datos pero conserva la cuenta activa
+     * para desbloquear solo con la contraseña.
+     */
+    lock() {
+        sessionStorage.setItem(this.KEYS.LOCKED, 'true');
+        CryptoService.clearSessionKey();
+        StorageService.lock();
+    },
+
+    isLocked() {
+        return sessionStorage.getItem(this.KEYS.LOCKED) === 'true';
+    },
+
+    /**
+     * Desbloquea la sesión con la contraseña de la cuenta activa y vuelve a abrir la clave de datos
+     * @param {string} password
+     * @returns {Promise<{success: boolean, message?: string}>}
+     */
+    async unlock(password) {
+        const user = this._getUser(this.getUsername());
+        if (!user) {
+            return { success: false, message: 'No hay una sesión iniciada.' };
+        }
+        const { valid } = await this.verifyPassword(password, user.passHash);
+        if (!valid) {
+            return { success: false, message: 'Contraseña incorrecta.' };
+        }
+
+        try {
+            CryptoService.setKeyringOwner(user.id);
+            await CryptoService.unlockWithPassword(password, { allowLegacy: !!user.legacyData });
+            await StorageService.unlock();
+        } catch (e) {
+            console.error('[Auth] No se pudo abrir la clave de datos:', e);
+            return { success: false, message: 'No se pudo abrir la clave de datos.' };
+        }
+
+        sessionStorage.removeItem(this.KEYS.LOCKED);
+        return { success: true };
+    },
+
     logout() {
+        sessionStorage.removeItem(this.KEYS.LOCKED);
         sessionStorage.removeItem(this.KEYS.SESSION_TOKEN);
+        sessionStorage.removeItem(this.KEYS.CURRENT_USER);
         CryptoService.clearSessionKey(); // Eliminar clave AES de sesión
     },
 
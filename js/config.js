@@ -16,10 +16,64 @@ const CONFIG = {
     MAX_TEXT_LENGTH: 1000,
     MAX_COMMENT_LENGTH: 500,
     MAX_STUDENT_NAME_LENGTH: 100,
+    MAX_IMPORT_FILE_SIZE: 2 * 1024 * 1024, // 2MB (listas CSV/XLSX)
+
+    // Bloqueo por inactividad (minutos; 0 = desactivado). Cada docente puede cambiarlo en Config.
+    IDLE_TIMEOUT_MINUTES: 10,
+    IDLE_TIMEOUT_OPTIONS: [0, 2, 5, 10, 15, 30, 60],
+    IDLE_CHECK_INTERVAL: 15 * 1000, // 15 segundos
+    MAX_UNLOCK_ATTEMPTS: 5,         // Al agotarlos se cierra la sesión
 
     // Almacenamiento
     STORAGE_PREFIX: 'bitacora_v2_',
-    MAX_STORAGE_SIZE: 5 * 1024 * 1024, // 5MB
+    MAX_STORAGE_SIZE: 5 * 1024 * 1024, // 5MB (límite de localStorage, usado si no hay IndexedDB)
+    IDB_NAME: 'bitacora_v2',
+    IDB_VERSION: 1,
+
+    // Iteraciones PBKDF2 del hash de la contraseña (los hashes con menos se actualizan al iniciar sesión)
+    PASSWORD_HASH_ITERATIONS: 310000,
+
+    // Iteraciones PBKDF2 para envolver la clave de datos con la contraseña o el código de recuperación
+    KEY_WRAP_ITERATIONS: 310000,
+
+    // Respaldos cifrados con frase de paso (PBKDF2-SHA256 + AES-GCM)
+    BACKUP_KDF_ITERATIONS: 600000,
+    MIN_BACKUP_PASSPHRASE_LENGTH: 10,
+
+    // Horario semanal: días ISO (1 = lunes) y minutos antes del inicio en que
+    // ya se preselecciona la clase siguiente al abrir la app
+    WEEKDAY_LABELS: {
+        1: 'Lunes', 2: 'Martes', 3: 'Miércoles', 4: 'Jueves', 5: 'Viernes', 6: 'Sábado', 7: 'Domingo'
+    },
+    SCHEDULE_EARLY_MINUTES: 10,
+    // Días hacia atrás que revisa el control de bitácoras pendientes si no hay periodo lectivo
+    MISSING_SESSIONS_DEFAULT_DAYS: 30,
+
+    // Año lectivo: mes (1 = enero) en que empieza. Las sesiones de años
+    // anteriores quedan archivadas (solo lectura); las de fechas futuras son
+    // planificaciones (solo los campos de la lección, sin asistencia)
+    SCHOOL_YEAR_START_MONTH: 1,
+    SESSION_MODES: {
+        ACTIVE: 'activa',
+        PLANNING: 'planificacion',
+        ARCHIVED: 'archivada'
+    },
+    PLANNING_FIELDS: ['lessonContent', 'planningComment'],
+
+    // Estado del avance de la lección. Lo parcial o pospuesto de una lección
+    // del plan de unidad pasa a la siguiente sesión del grupo
+    LESSON_STATUSES: {
+        COMPLETADA: 'completada',
+        PARCIAL: 'parcial',
+        POSPUESTA: 'pospuesta'
+    },
+    LESSON_STATUS_META: {
+        completada: { label: 'Completada', icon: 'fa-check-circle', color: 'success' },
+        parcial: { label: 'Parcial', icon: 'fa-adjust', color: 'warning' },
+        pospuesta: { label: 'Pospuesta', icon: 'fa-forward', color: 'danger' }
+    },
+    // Días hacia adelante en que se buscan lecciones del horario al programar una unidad
+    UNIT_SCHEDULE_HORIZON_DAYS: 365,
 
     // Colores del sistema
     COLORS: {
@@ -28,16 +82,34 @@ const CONFIG = {
         SUCCESS: [5, 150, 105],
         WARNING: [217, 119, 6],
         DANGER: [220, 38, 38],
-        INFO: [8, 145, 178]
+        INFO: [8, 145, 178],
+        DARK: [30, 41, 59]
     },
 
     // Estados de estudiantes
     STUDENT_STATES: {
         PRESENTE: 'presente',
         AUSENTE: 'ausente',
-        TARDE: 'tarde'
+        TARDE: 'tarde',
+        AUSENCIA_JUSTIFICADA: 'ausenciaJustificada',
+        RETIRO_ANTICIPADO: 'retiroAnticipado',
+        TARDIA_JUSTIFICADA: 'tardiaJustificada'
+    },
+
+    // Etiqueta, icono y color (Bootstrap) de cada estado de asistencia
+    STUDENT_STATE_META: {
+        presente: { label: 'Presente', short: 'Presente', icon: 'fa-check-circle', color: 'success' },
+        ausente: { label: 'Ausente', short: 'Ausente', icon: 'fa-times-circle', color: 'danger' },
+        tarde: { label: 'Tarde', short: 'Tarde', icon: 'fa-clock', color: 'warning' },
+        ausenciaJustificada: { label: 'Ausencia justificada', short: 'Aus. just.', icon: 'fa-file-medical', color: 'info' },
+        retiroAnticipado: { label: 'Retiro anticipado', short: 'Retiro', icon: 'fa-sign-out-alt', color: 'dark' },
+        tardiaJustificada: { label: 'Tardía justificada', short: 'Tardía just.', icon: 'fa-user-clock', color: 'secondary' }
     },
 
+    // Estados que exigen motivo de justificación
+    JUSTIFIED_STATES: ['ausenciaJustificada', 'tardiaJustificada'],
+    MAX_JUSTIFICATION_LENGTH: 200,
+
     // Tipos de comentarios
     COMMENT_TYPES: {
         GENERAL: 'general',
@@ -49,14 +121,161 @@ const CONFIG = {
         APOYOS_EDUCATIVOS: 'apoyosEducativos'
     },
 
+    // Etiquetas legibles de los tipos de comentario
+    COMMENT_TYPE_LABELS: {
+        general: 'General',
+        ausente: 'Ausencia',
+        tarde: 'Tardanza',
+        salidaBano: 'Salida al baño',
+        enfermeria: 'Enfermería',
+        otro: 'Otra salida',
+        apoyosEducativos: 'Apoyos educativos'
+    },
+
+
+
+    // Apoyos y adecuaciones registrables en la ficha del estudiante
+    STUDENT_SUPPORTS: {
+        ADECUACION_ACCESO: 'adecuacionAcceso',
+        ADECUACION_NO_SIGNIFICATIVA: 'adecuacionNoSignificativa',
+        ADECUACION_SIGNIFICATIVA: 'adecuacionSignificativa',
+        ALTA_DOTACION: 'altaDotacion'
+    },
+
+    STUDENT_SUPPORT_LABELS: {
+        adecuacionAcceso: 'Adecuación curricular de acceso',
+        adecuacionNoSignificativa: 'Adecuación curricular no significativa',
+        adecuacionSignificativa: 'Adecuación curricular significativa',
+        altaDotacion: 'Alta dotación'
+    },
+
+    // Comunicación con encargados: medios de contacto
+    CONTACT_CHANNELS: {
+        llamada: 'Llamada telefónica',
+        mensaje: 'Mensaje (WhatsApp/SMS)',
+        correo: 'Correo electrónico',
+        reunion: 'Reunión presencial',
+        nota: 'Nota o comunicado escrito'
+    },
+
+    // Plantillas de avisos imprimibles. Marcadores: {{estudiante}}, {{grupo}},
+    // {{encargado}}, {{fechas}}, {{motivo}}, {{docente}} y {{fecha}} (fecha del aviso)
+    NOTICE_TEMPLATES: {
+        ausencias: {
+            label: 'Aviso de ausencias',
+            titulo: 'Aviso de ausencias',
+            cuerpo: 'Estimado(a) {{encargado}}:\n\n' +
+                'Le informo que el(la) estudiante {{estudiante}}, del grupo {{grupo}}, se ausentó a lecciones ' +
+                'sin justificación en las siguientes fechas: {{fechas}}.\n\n' +
+                'Le solicito presentar la justificación correspondiente o comunicarse conmigo para coordinar ' +
+                'las acciones necesarias.'
+        },
+        conducta: {
+            label: 'Aviso de conducta',
+            titulo: 'Aviso sobre la conducta del estudiante',
+            cuerpo: 'Estimado(a) {{encargado}}:\n\n' +
+                'Le comunico que el(la) estudiante {{estudiante}}, del grupo {{grupo}}, presentó la siguiente ' +
+                'situación en lecciones ({{fechas}}): {{motivo}}.\n\n' +
+                'Le solicito conversar con el(la) estudiante al respecto y firmar este aviso como constancia de recibido.'
+        },
+        citacion: {
+            label: 'Citación a reunión',
+            titulo: 'Citación a reunión',
+            cuerpo: 'Estimado(a) {{encargado}}:\n\n' +
+                'Le solicito presentarse a una reunión para conversar sobre la situación del(la) estudiante ' +
+                '{{estudiante}}, del grupo {{grupo}}: {{motivo}}.\n\n' +
+                'Fecha propuesta: {{fechas}}. Si no le es posible asistir, le agradezco comunicarse conmigo ' +
+                'para coordinar otra fecha.'
+        }
+    },
+
+    // Reglas de alerta de ausentismo (configurables por grupo)
+    ALERT_RULE_TYPES: {
+        CONSECUTIVE_ABSENCES: 'consecutiveAbsences',
+        MONTHLY_ABSENCE_PERCENT: 'monthlyAbsencePercent',
+        TARDIES_IN_WINDOW: 'tardiesInWindow'
+    },
 
+    // Reglas aplicadas a un grupo sin configuración propia
+    DEFAULT_ALERT_RULES: [
+        { type: 'consecutiveAbsences', threshold: 3, days: 30, enabled: true },
+        { type: 'monthlyAbsencePercent', threshold: 15, enabled: true },
+        { type: 'tardiesInWindow', threshold: 5, days: 14, enabled: true }
+    ],
 
-    // Opciones de evaluación
-    EVALUATION_OPTIONS: {
-        AGREEMENT: ['De Acuerdo', 'Parcialmente de acuerdo', 'Parcialmente en desacuerdo', 'En desacuerdo'],
-        QUALITY: ['Excelente', 'Bueno', 'Regular', 'Deficiente'],
-        TIME: ['Suficiente', 'Adecuado', 'Moderado', 'Insuficiente']
+    // Rúbrica de evaluación de la clase por defecto. También es la rúbrica de
+    // las sesiones guardadas antes de que la rúbrica fuera configurable.
+    // Cada criterio: { id, label (pregunta), short (etiqueta del PDF), default,
+    // options: [{ value, label (texto del botón), color, icon }] }
+    DEFAULT_EVALUATION_RUBRIC: [
+        {
+            id: 'activityTime', label: 'El tiempo de las actividades fue:', short: 'Tiempo de actividades', default: 'Adecuado',
+            options: [
+                { value: 'Suficiente', color: 'success', icon: 'fa-clock' },
+                { value: 'Adecuado', color: 'primary', icon: 'fa-check-circle' },
+                { value: 'Moderado', color: 'warning', icon: 'fa-exclamation-circle' },
+                { value: 'Insuficiente', color: 'danger', icon: 'fa-times-circle' }
+            ]
+        },
+        {
+            id: 'activityAccessibility', label: 'Las actividades fueron accesibles:', short: 'Actividades accesibles', default: 'De Acuerdo',
+            options: [
+                { value: 'De Acuerdo', color: 'success', icon: 'fa-thumbs-up' },
+                { value: 'Parcialmente de acuerdo', label: 'Parcial +', color: 'info', icon: 'fa-adjust' },
+                { value: 'Parcialmente en desacuerdo', label: 'Parcial -', color: 'warning', icon: 'fa-minus-circle' },
+                { value: 'En desacuerdo', label: 'Desacuerdo', color: 'danger', icon: 'fa-thumbs-down' }
+            ]
+        },
+        {
+            id: 'classMaterials', label: 'Los materiales fueron adecuados:', short: 'Materiales adecuados', default: 'De Acuerdo',
+            options: [
+                { value: 'De Acuerdo', color: 'success', icon: 'fa-thumbs-up' },
+                { value: 'Parcialmente de acuerdo', label: 'Parcial +', color: 'info', icon: 'fa-adjust' },
+                { value: 'Parcialmente en desacuerdo', label: 'Parcial -', color: 'warning', icon: 'fa-minus-circle' },
+                { value: 'En desacuerdo', label: 'Desacuerdo', color: 'danger', icon: 'fa-thumbs-down' }
+            ]
+        },
+        {
+            id: 'physicalSpace', label: 'El espacio físico fue adecuado:', short: 'Espacio físico', default: 'De Acuerdo',
+            options: [
+                { value: 'De Acuerdo', color: 'success', icon: 'fa-thumbs-up' },
+                { value: 'Parcialmente de acuerdo', label: 'Parcial +', color: 'info', icon: 'fa-adjust' },
+                { value: 'Parcialmente en desacuerdo', label: 'Parcial -', color: 'warning', icon: 'fa-minus-circle' },
+                { value: 'En desacuerdo', label: 'Desacuerdo', color: 'danger', icon: 'fa-thumbs-down' }
+            ]
+        },
+        {
+            id: 'studentInvolvement', label: 'Involucramiento de estudiantes:', short: 'Involucramiento', default: 'Bueno',
+            options: [
+                { value: 'Excelente', color: 'success', icon: 'fa-star' },
+                { value: 'Bueno', color: 'primary', icon: 'fa-thumbs-up' },
+                { value: 'Regular', color: 'warning', icon: 'fa-meh' },
+                { value: 'Deficiente', color: 'danger', icon: 'fa-frown' }
+            ]
+        },
+        {
+            id: 'studentAttitude', label: 'Actitud general de estudiantes:', short: 'Actitud general', default: 'Bueno',
+            options: [
+                { value: 'Excelente', color: 'success', icon: 'fa-star' },
+                { value: 'Bueno', color: 'primary', icon: 'fa-thumbs-up' },
+                { value: 'Regular', color: 'warning', icon: 'fa-meh' },
+                { value: 'Deficiente', color: 'danger', icon: 'fa-frown' }
+            ]
+        }
+    ],
+    // Colores de las opciones de la rúbrica (clase Bootstrap → nombre)
+    EVALUATION_COLORS: {
+        success: 'Verde',
+        primary: 'Azul',
+        info: 'Celeste',
+        warning: 'Naranja',
+        danger: 'Rojo',
+        secondary: 'Gris'
     },
+    MAX_RUBRIC_CRITERIA: 15,
+    MAX_RUBRIC_OPTIONS: 6,
+    // Proveedor de entrega de credenciales por defecto (ver credential-delivery.js)
+    CREDENTIAL_DELIVERY_PROVIDER: 'emailjs',
     // EmailJS — configurado por el administrador del sistema
     // Las credenciales solo funcionan para enviar correos de aprovisionamiento de cuenta.
     EMAILJS: {
@@ -69,8 +288,33 @@ const CONFIG = {
 // Congelar configuración para prevenir modificaciones
 Object.freeze(CONFIG);
 Object.freeze(CONFIG.COLORS);
+Object.freeze(CONFIG.IDLE_TIMEOUT_OPTIONS);
+Object.freeze(CONFIG.WEEKDAY_LABELS);
+Object.freeze(CONFIG.SESSION_MODES);
+Object.freeze(CONFIG.PLANNING_FIELDS);
+Object.freeze(CONFIG.LESSON_STATUSES);
+Object.values(CONFIG.LESSON_STATUS_META).forEach(meta => Object.freeze(meta));
+Object.freeze(CONFIG.LESSON_STATUS_META);
 Object.freeze(CONFIG.STUDENT_STATES);
+Object.values(CONFIG.STUDENT_STATE_META).forEach(meta => Object.freeze(meta));
+Object.freeze(CONFIG.STUDENT_STATE_META);
+Object.freeze(CONFIG.JUSTIFIED_STATES);
 Object.freeze(CONFIG.COMMENT_TYPES);
-Object.freeze(CONFIG.EVALUATION_OPTIONS);
+Object.freeze(CONFIG.COMMENT_TYPE_LABELS);
+Object.freeze(CONFIG.STUDENT_SUPPORTS);
+Object.freeze(CONFIG.STUDENT_SUPPORT_LABELS);
+Object.freeze(CONFIG.CONTACT_CHANNELS);
+Object.values(CONFIG.NOTICE_TEMPLATES).forEach(template => Object.freeze(template));
+Object.freeze(CONFIG.NOTICE_TEMPLATES);
+Object.freeze(CONFIG.ALERT_RULE_TYPES);
+CONFIG.DEFAULT_ALERT_RULES.forEach(rule => Object.freeze(rule));
+Object.freeze(CONFIG.DEFAULT_ALERT_RULES);
+CONFIG.DEFAULT_EVALUATION_RUBRIC.forEach(criterion => {
+    criterion.options.forEach(option => Object.freeze(option));
+    Object.freeze(criterion.options);
+    Object.freeze(criterion);
+});
+Object.freeze(CONFIG.DEFAULT_EVALUATION_RUBRIC);
+Object.freeze(CONFIG.EVALUATION_COLORS);
 Object.freeze(CONFIG.EMAILJS);
 // SESSION_KEY no se congela para permitir comparación dinámica
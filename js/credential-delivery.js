@@ -0,0 +1,114 @@
+/**
+ * Entrega de credenciales de cuentas nuevas
+ *
+ * AuthService.provisionUser() genera una contraseña temporal y la entrega con
+ * un proveedor registrado aquí. Un proveedor es un objeto con:
+ *   - id: identificador único
+ *   - label: nombre para mostrar
+ *   - isAvailable(): boolean — si se puede usar ahora (configuración, conexión)
+ *   - deliver({ email, username, password, appName, appVersion }): Promise —
+ *     rechaza si la entrega falla (la cuenta no se crea)
+ *
+ * Si ningún proveedor está disponible, la cuenta se crea sin conexión con
+ * AuthService.createLocalAccount().
+ */
+const CredentialDelivery = {
+
+    providers: new Map(),
+
+    /**
+     * Registra (o reemplaza) un proveedor
+     * @param {Object} provider
+     */
+    register(provider) {
+        if (!provider || !provider.id || typeof provider.deliver !== 'function') {
+            throw new Error('Proveedor de entrega de credenciales inválido');
+        }
+        this.providers.set(provider.id, provider);
+    },
+
+    unregister(id) {
+        this.providers.delete(id);
+    },
+
+    get(id) {
+        return this.providers.get(id) || null;
+    },
+
+    /**
+     * Proveedores que se pueden usar en este momento
+     * @returns {Array<Object>}
+     */
+    getAvailable() {
+        return Array.from(this.providers.values()).filter(provider => {
+            try {
+                return provider.isAvailable();
+            } catch {
+                return false;
+            }
+        });
+    },
+
+    /**
+     * Proveedor configurado por defecto si está disponible; si no, el primero disponible
+     * @returns {Object|null}
+     */
+    getDefault() {
+        const configured = this.get(CONFIG.CREDENTIAL_DELIVERY_PROVIDER);
+        const available = this.getAvailable();
+        return available.includes(configured) ? configured : (available[0] || null);
+    }
+};
+
+/**
+ * Envío por correo con EmailJS (requiere conexión y CONFIG.EMAILJS)
+ */
+const EmailJSDeliveryProvider = {
+    id: 'emailjs',
+    label: 'Correo electrónico (EmailJS)',
+
+    isAvailable() {
+        const { SERVICE_ID, TEMPLATE_ID, PUBLIC_KEY } = CONFIG.EMAILJS;
+        return !!(SERVICE_ID && TEMPLATE_ID && PUBLIC_KEY)
+            && typeof emailjs !== 'undefined'
+            && navigator.onLine !== false;
+    },
+
+    async deliver({ email, username, password, appName, appVersion }) {
+        const { SERVICE_ID, TEMPLATE_ID, PUBLIC_KEY } = CONFIG.EMAILJS;
+        emailjs.init({ publicKey: PUBLIC_KEY });
+        await emailjs.send(SERVICE_ID, TEMPLATE_ID, {
+            to_email: email,
+            username,
+            password,
+            app_name: appName,
+            app_version: appVersion,
+        });
+    }
+};
+
+/**
+ * Proveedor local para pruebas: guarda las entregas en memoria en lugar de
+ * enviarlas. No se registra por defecto; en consola o en pruebas:
+ *   CredentialDelivery.register(LocalStubDeliveryProvider)
+ */
+const LocalStubDeliveryProvider = {
+    id: 'local-stub',
+    label: 'Prueba local (sin envío)',
+    deliveries: [],
+    failNext: false,    // Simula un fallo en la siguiente entrega
+
+    isAvailable() {
+        return true;
+    },
+
+    async deliver(message) {
+        if (this.failNext) {
+            this.failNext = false;
+            throw new Error('Fallo simulado de entrega');
+        }
+        this.deliveries.push({ ...message, deliveredAt: new Date().toISOString() });
+    }
+};
+
+CredentialDelivery.register(EmailJSDeliveryProvider);
@@ -1,48 +1,266 @@
 /**
  * CryptoService — Cifrado AES-256-GCM para datos sensibles
  * Usa Web Crypto API (nativa del navegador, sin dependencias).
- * La clave se deriva de la contraseña con PBKDF2 y se guarda
- * en sessionStorage solo durante la sesión activa.
+ *
+ * Los datos se cifran con una clave de datos (DEK) aleatoria. La DEK se guarda
+ * envuelta dos veces: con una clave derivada de la contraseña (PBKDF2) y con
+ * otra derivada del código de recuperación. Al iniciar sesión se desenvuelve y
+ * se guarda en sessionStorage solo durante la sesión activa.
  */
 const CryptoService = {
 
     SESSION_KEY_NAME: 'crypto_session_key',
     SALT_KEY_NAME: 'crypto_salt',
+    KEYRING_KEY_NAME: 'crypto_keyring',
+    keyringOwner: '',   // Id de la cuenta cuyo llavero se usa (ver AuthService)
+    BACKUP_TYPE: 'bitacora_encrypted_backup',
 
     // ─── Derivar clave AES desde la contraseña ────────────────────────────────
     /**
-     * Deriva una clave AES-256-GCM a partir de la contraseña del usuario.
+     * Deriva la clave AES-256-GCM del esquema anterior (salt fijo del dispositivo).
+     * Solo se usa para migrar al llavero y para recuperar sesiones cifradas
+     * con una contraseña anterior.
      * @param {string} password
      * @returns {Promise<CryptoKey>}
      */
-    async deriveKey(password) {
-        const encoder = new TextEncoder();
+    async deriveLegacyKey(password) {
         // Obtener o crear salt persistente (el mismo para el dispositivo)
         let saltB64 = localStorage.getItem(this.SALT_KEY_NAME);
         let salt;
         if (saltB64) {
-            salt = Uint8Array.from(atob(saltB64), c => c.charCodeAt(0));
+            salt = this.fromBase64(saltB64);
         } else {
             salt = crypto.getRandomValues(new Uint8Array(16));
-            localStorage.setItem(this.SALT_KEY_NAME, btoa(String.fromCharCode(...salt)));
+            localStorage.setItem(this.SALT_KEY_NAME, this.toBase64(salt));
         }
+        return this.deriveKeyWithSalt(password, salt, 100000, true);
+    },
 
+    /**
+     * Deriva una clave AES-256-GCM con PBKDF2-SHA256 y parámetros explícitos.
+     * @param {string} password
+     * @param {Uint8Array} salt
+     * @param {number} iterations
+     * @param {boolean} [extractable=false]
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveKeyWithSalt(password, salt, iterations, extractable = false) {
         const keyMaterial = await crypto.subtle.importKey(
             'raw',
-            encoder.encode(password),
+            new TextEncoder().encode(password),
             { name: 'PBKDF2' },
             false,
             ['deriveKey']
         );
         return crypto.subtle.deriveKey(
-            { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
             keyMaterial,
             { name: 'AES-GCM', length: 256 },
-            true,
+            extractable,
             ['encrypt', 'decrypt']
         );
     },
 
+    // ─── Base64 ───────────────────────────────────────────────────────────────
+    /**
+     * Codifica bytes en base64 por bloques (los respaldos pueden pesar varios MB
+     * y String.fromCharCode(...bytes) excede el límite de argumentos).
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * @param {string} b64
+     * @returns {Uint8Array}
+     */
+    fromBase64(b64) {
+        return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+    },
+
+    // ─── Llavero: clave de datos envuelta ──────────────────────────────────────
+    /**
+     * Selecciona el llavero de una cuenta (cada cuenta tiene su propia clave de datos).
+     * @param {string} userId
+     */
+    setKeyringOwner(userId) {
+        this.keyringOwner = userId || '';
+    },
+
+    _keyringStorageKey() {
+        return this.keyringOwner ? `${this.KEYRING_KEY_NAME}:${this.keyringOwner}` : this.KEYRING_KEY_NAME;
+    },
+
+    /**
+     * Asigna el llavero de la versión con una sola cuenta a una cuenta.
+     * @param {string} userId
+     */
+    adoptLegacyKeyring(userId) {
+        const legacy = localStorage.getItem(this.KEYRING_KEY_NAME);
+        if (!legacy) return;
+        localStorage.setItem(`${this.KEYRING_KEY_NAME}:${userId}`, legacy);
+        localStorage.removeItem(this.KEYRING_KEY_NAME);
+    },
+
+    /**
+     * Indica si ya existe el llavero con la clave de datos envuelta.
+     * @returns {boolean}
+     */
+    hasKeyring() {
+        return !!this._loadKeyring();
+    },
+
+    _loadKeyring() {
+        try {
+            const keyring = JSON.parse(localStorage.getItem(this._keyringStorageKey()));
+            return keyring && keyring.password && keyring.recovery ? keyring : null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Envuelve la clave de datos con una clave derivada de `secret`.
+     * @param {Uint8Array} dekRaw
+     * @param {string} secret - Contraseña o código de recuperación normalizado
+     * @returns {Promise<{salt: string, iterations: number, data: string}>}
+     */
+    async _wrap(dekRaw, secret) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = CONFIG.KEY_WRAP_ITERATIONS;
+        const kek = await this.deriveKeyWithSalt(secret, salt, iterations);
+        return { salt: this.toBase64(salt), iterations, data: await this.encrypt(this.toBase64(dekRaw), kek) };
+    },
+
+    /**
+     * Desenvuelve la clave de datos. Lanza error si `secret` no es correcto.
+     * @returns {Promise<Uint8Array>}
+     */
+    async _unwrap(entry, secret) {
+        const kek = await this.deriveKeyWithSalt(secret, this.fromBase64(entry.salt), entry.iterations);
+        return this.fromBase64(await this.decrypt(entry.data, kek));
+    },
+
+    /**
+     * Crea (o reemplaza) el llavero para una clave de datos y deja la
+     * clave activa en la sesión.
+     * @param {string} password
+     * @param {Uint8Array} [dekRaw] - Clave de datos existente; si se omite se genera una nueva
+     * @returns {Promise<string>} - Código de recuperación (solo se muestra una vez)
+     */
+    async createKeyring(password, dekRaw = crypto.getRandomValues(new Uint8Array(32))) {
+        const recoveryCode = this.generateRecoveryCode();
+        const keyring = {
+            version: 1,
+            createdAt: new Date().toISOString(),
+            password: await this._wrap(dekRaw, password),
+            recovery: await this._wrap(dekRaw, this.normalizeRecoveryCode(recoveryCode))
+        };
+        localStorage.setItem(this._keyringStorageKey(), JSON.stringify(keyring));
+        await this.saveSessionKey(await this._importDataKey(dekRaw));
+        return recoveryCode;
+    },
+
+    /**
+     * Abre el llavero con la contraseña y activa la clave de datos.
+     * Si la cuenta aún no tiene llavero se crea uno. Para la cuenta que viene
+     * del esquema anterior (`allowLegacy`), la clave derivada de la contraseña
+     * pasa a ser la clave de datos, así sus sesiones no se re-cifran.
+     * @param {string} password
+     * @param {{allowLegacy?: boolean}} [options]
+     * @returns {Promise<{recoveryCode: string|null}>} - Código nuevo si se creó el llavero
+     */
+    async unlockWithPassword(password, { allowLegacy = false } = {}) {
+        const keyring = this._loadKeyring();
+        if (!keyring && !allowLegacy) {
+            return { recoveryCode: await this.createKeyring(password) };
+        }
+        if (!keyring) {
+            const legacyKey = await this.deriveLegacyKey(password);
+            const dekRaw = new Uint8Array(await crypto.subtle.exportKey('raw', legacyKey));
+            return { recoveryCode: await this.createKeyring(password, dekRaw) };
+        }
+        const dekRaw = await this._unwrap(keyring.password, password);
+        await this.saveSessionKey(await this._importDataKey(dekRaw));
+        return { recoveryCode: null };
+    },
+
+    /**
+     * Vuelve a envolver la clave de datos activa con una nueva contraseña.
+     * @param {string} newPassword
+     */
+    async rewrapWithPassword(newPassword) {
+        const keyring = this._loadKeyring();
+        const dekRaw = this._getSessionKeyRaw();
+        if (!keyring || !dekRaw) throw new Error('No hay una clave de datos activa');
+        keyring.password = await this._wrap(dekRaw, newPassword);
+        localStorage.setItem(this._keyringStorageKey(), JSON.stringify(keyring));
+    },
+
+    /**
+     * Genera un código de recuperación nuevo para la clave de datos activa.
+     * El código anterior deja de funcionar.
+     * @returns {Promise<string>}
+     */
+    async regenerateRecoveryCode() {
+        const keyring = this._loadKeyring();
+        const dekRaw = this._getSessionKeyRaw();
+        if (!keyring || !dekRaw) throw new Error('No hay una clave de datos activa');
+        const recoveryCode = this.generateRecoveryCode();
+        keyring.recovery = await this._wrap(dekRaw, this.normalizeRecoveryCode(recoveryCode));
+        localStorage.setItem(this._keyringStorageKey(), JSON.stringify(keyring));
+        return recoveryCode;
+    },
+
+    /**
+     * Recupera la clave de datos con el código de recuperación y la envuelve
+     * con una nueva contraseña. Se emite un código de recuperación nuevo.
+     * @param {string} recoveryCode
+     * @param {string} newPassword
+     * @returns {Promise<string>} - Nuevo código de recuperación
+     */
+    async recoverWithCode(recoveryCode, newPassword) {
+        const keyring = this._loadKeyring();
+        if (!keyring) throw new Error('Este dispositivo no tiene datos cifrados para recuperar.');
+        let dekRaw;
+        try {
+            dekRaw = await this._unwrap(keyring.recovery, this.normalizeRecoveryCode(recoveryCode));
+        } catch {
+            throw new Error('El código de recuperación no es correcto.');
+        }
+        return this.createKeyring(newPassword, dekRaw);
+    },
+
+    /**
+     * Código de recuperación legible: 5 bloques de 4 caracteres (100 bits).
+     * @returns {string} - Ej: 'K7QM-2ZTP-...'
+     */
+    generateRecoveryCode() {
+        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const bytes = crypto.getRandomValues(new Uint8Array(20));
+        const code = Array.from(bytes, b => chars[b % chars.length]).join('');
+        return code.match(/.{4}/g).join('-');
+    },
+
+    /**
+     * Normaliza un código ingresado por el usuario (mayúsculas, sin guiones ni espacios).
+     * @param {string} code
+     * @returns {string}
+     */
+    normalizeRecoveryCode(code) {
+        return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    },
+
+    _importDataKey(dekRaw) {
+        return crypto.subtle.importKey('raw', dekRaw, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+    },
+
     // ─── Guardar clave de sesión ──────────────────────────────────────────────
     /**
      * Exporta la clave derivada y la guarda en sessionStorage.
@@ -50,7 +268,7 @@ const CryptoService = {
      */
     async saveSessionKey(key) {
         const exported = await crypto.subtle.exportKey('raw', key);
-        const b64 = btoa(String.fromCharCode(...new Uint8Array(exported)));
+        const b64 = this.toBase64(new Uint8Array(exported));
         sessionStorage.setItem(this.SESSION_KEY_NAME, b64);
     },
 
@@ -62,13 +280,22 @@ const CryptoService = {
         const b64 = sessionStorage.getItem(this.SESSION_KEY_NAME);
         if (!b64) return null;
         try {
-            const raw = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+            const raw = this.fromBase64(b64);
             return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
         } catch {
             return null;
         }
     },
 
+    /**
+     * Bytes de la clave de sesión activa, o null si no hay.
+     * @returns {Uint8Array|null}
+     */
+    _getSessionKeyRaw() {
+        const b64 = sessionStorage.getItem(this.SESSION_KEY_NAME);
+        return b64 ? this.fromBase64(b64) : null;
+    },
+
     /**
      * Indica si hay una clave de sesión disponible.
      */
@@ -98,7 +325,7 @@ const CryptoService = {
         const combined = new Uint8Array(iv.byteLength + ciphertext.byteLength);
         combined.set(iv);
         combined.set(new Uint8Array(ciphertext), iv.byteLength);
-        return 'enc:' + btoa(String.fromCharCode(...combined));
+        return 'enc:' + this.toBase64(combined);
     },
 
     /**
@@ -109,7 +336,7 @@ const CryptoService = {
      */
     async decrypt(encryptedStr, key) {
         if (!encryptedStr.startsWith('enc:')) throw new Error('Datos no cifrados');
-        const combined = Uint8Array.from(atob(encryptedStr.slice(4)), c => c.charCodeAt(0));
+        const combined = this.fromBase64(encryptedStr.slice(4));
         const iv = combined.slice(0, 12);
         const ciphertext = combined.slice(12);
         const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
@@ -124,4 +351,63 @@ const CryptoService = {
     isEncrypted(value) {
         return typeof value === 'string' && value.startsWith('enc:');
     },
+
+    // ─── Respaldos portables ──────────────────────────────────────────────────
+    /**
+     * Cifra un respaldo con una frase de paso elegida al exportar.
+     * El archivo incluye su propio salt y parámetros de derivación, por lo que
+     * se puede abrir en cualquier dispositivo que conozca la frase.
+     * @param {Object} data - Respaldo en texto plano
+     * @param {string} passphrase
+     * @param {string} content - Tipo de contenido ('full_backup' | 'history_backup')
+     * @returns {Promise<Object>} - Objeto listo para serializar a JSON
+     */
+    async encryptBackup(data, passphrase, content) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = CONFIG.BACKUP_KDF_ITERATIONS;
+        const key = await this.deriveKeyWithSalt(passphrase, salt, iterations);
+        return {
+            type: this.BACKUP_TYPE,
+            format: 1,
+            content,
+            version: CONFIG.VERSION,
+            timestamp: new Date().toISOString(),
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.toBase64(salt) },
+            cipher: 'AES-GCM',
+            data: await this.encrypt(data, key)
+        };
+    },
+
+    /**
+     * Descifra un respaldo creado con encryptBackup().
+     * @param {Object} file - Contenido del archivo ya parseado
+     * @param {string} passphrase
+     * @returns {Promise<Object>} - Respaldo en texto plano
+     */
+    async decryptBackup(file, passphrase) {
+        if (!this.isEncryptedBackup(file)) throw new Error('El archivo no es un respaldo cifrado.');
+
+        const { kdf } = file;
+        if (file.format !== 1 || file.cipher !== 'AES-GCM' || !kdf ||
+            kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || typeof kdf.salt !== 'string' ||
+            !Number.isInteger(kdf.iterations) || kdf.iterations < 10000 || kdf.iterations > 10000000) {
+            throw new Error('Formato de respaldo cifrado no compatible.');
+        }
+
+        const key = await this.deriveKeyWithSalt(passphrase, this.fromBase64(kdf.salt), kdf.iterations);
+        try {
+            return await this.decrypt(file.data, key);
+        } catch {
+            throw new Error('Frase de paso incorrecta o archivo dañado.');
+        }
+    },
+
+    /**
+     * Indica si un objeto es un respaldo cifrado con frase de paso.
+     * @param {any} file
+     * @returns {boolean}
+     */
+    isEncryptedBackup(file) {
+        return !!file && typeof file === 'object' && file.type === this.BACKUP_TYPE && this.isEncrypted(file.data);
+    },
 };
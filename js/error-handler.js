@@ -142,6 +142,14 @@ class ErrorHandler {
         }
     }
 
+    /**
+     * Cambia la clave donde se guardan los logs (una por cuenta local)
+     * @param {string} key - Clave completa de localStorage
+     */
+    setStorageKey(key) {
+        this._storageKey = key;
+    }
+
     /**
      * Obtiene logs de errores
      * @returns {Array} - Array de logs de errores
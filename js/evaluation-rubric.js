@@ -0,0 +1,141 @@
+/**
+ * Rúbrica de evaluación de la clase
+ *
+ * Define los criterios de autoevaluación de cada sesión y la escala de cada
+ * uno. Cada sesión guarda una copia de la rúbrica vigente al crearla, así que
+ * editar la rúbrica no altera las sesiones ya registradas. Las sesiones
+ * anteriores a la rúbrica configurable usan CONFIG.DEFAULT_EVALUATION_RUBRIC.
+ */
+class EvaluationRubric {
+
+    // =========================================================================
+    // RÚBRICA VIGENTE
+    // =========================================================================
+
+    /**
+     * Rúbrica que se aplicará a las sesiones nuevas
+     * @returns {Array<Object>}
+     */
+    static getRubric() {
+        const stored = StorageService.get('evaluation_rubric', null);
+        const validation = stored ? Validators.validateEvaluationRubric(stored) : null;
+        return validation?.valid ? validation.value : EvaluationRubric.getDefaultRubric();
+    }
+
+    /**
+     * Copia editable de la rúbrica por defecto
+     * @returns {Array<Object>}
+     */
+    static getDefaultRubric() {
+        return EvaluationRubric.clone(CONFIG.DEFAULT_EVALUATION_RUBRIC);
+    }
+
+    /**
+     * Guarda la rúbrica para las sesiones nuevas
+     * @param {Array<Object>} criteria
+     * @returns {boolean}
+     */
+    static saveRubric(criteria) {
+        try {
+            const validation = Validators.validateEvaluationRubric(criteria);
+            if (!validation.valid) throw new Error(validation.message);
+            if (!StorageService.set('evaluation_rubric', validation.value)) {
+                throw new Error('No se pudo guardar la rúbrica');
+            }
+            return true;
+        } catch (error) {
+            errorHandler.handle(error, 'EvaluationRubric.saveRubric');
+            return false;
+        }
+    }
+
+    /**
+     * Vuelve a la rúbrica por defecto
+     * @returns {boolean}
+     */
+    static resetRubric() {
+        return StorageService.remove('evaluation_rubric');
+    }
+
+    // =========================================================================
+    // RÚBRICA DE UNA SESIÓN
+    // =========================================================================
+
+    /**
+     * Rúbrica con la que se evaluó una sesión
+     * @param {Object} session
+     * @returns {Array<Object>}
+     */
+    static forSession(session) {
+        return Array.isArray(session?.rubric) && session.rubric.length > 0
+            ? session.rubric
+            : CONFIG.DEFAULT_EVALUATION_RUBRIC;
+    }
+
+    /**
+     * Evaluación inicial de una sesión nueva: la opción por defecto de cada criterio
+     * @param {Array<Object>} rubric
+     * @returns {Object} - { [criterio]: valor | null }
+     */
+    static buildEvaluation(rubric) {
+        return Object.fromEntries(rubric.map(criterion => [criterion.id, criterion.default ?? null]));
+    }
+
+    /**
+     * Completa una sesión guardada con su copia de la rúbrica. En las sesiones
+     * antiguas el tiempo de las actividades estaba fuera de `evaluation`.
+     * @param {Object} session
+     * @returns {Object} - La misma sesión
+     */
+    static normalizeSession(session) {
+        if (!session) return session;
+        if (!Array.isArray(session.rubric) || session.rubric.length === 0) {
+            session.rubric = EvaluationRubric.getDefaultRubric();
+        }
+        session.evaluation = { ...(session.evaluation || {}) };
+        if ('activityTime' in session) {
+            if (session.evaluation.activityTime === undefined) session.evaluation.activityTime = session.activityTime;
+            delete session.activityTime;
+        }
+        return session;
+    }
+
+    /**
+     * Respuesta de una sesión a un criterio
+     * @param {Object} session
+     * @param {string} criterionId
+     * @returns {string|null}
+     */
+    static getValue(session, criterionId) {
+        const value = session?.evaluation?.[criterionId]
+            ?? (criterionId === 'activityTime' ? session?.activityTime : undefined);
+        return value ?? null;
+    }
+
+    /**
+     * Opción de la escala de un criterio
+     * @param {Object} criterion
+     * @param {string} value
+     * @returns {Object|null}
+     */
+    static getOption(criterion, value) {
+        return criterion?.options.find(option => option.value === value) || null;
+    }
+
+    /**
+     * Color (clase Bootstrap) de una respuesta
+     * @param {Object} criterion
+     * @param {string} value
+     * @returns {string}
+     */
+    static getColor(criterion, value) {
+        return EvaluationRubric.getOption(criterion, value)?.color || 'secondary';
+    }
+
+    static clone(rubric) {
+        return rubric.map(criterion => ({
+            ...criterion,
+            options: criterion.options.map(option => ({ ...option }))
+        }));
+    }
+}
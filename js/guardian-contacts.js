@@ -0,0 +1,125 @@
+/**
+ * Comunicación con encargados
+ *
+ * Bitácora de contactos con los encargados de cada estudiante (fecha, medio,
+ * encargado, motivo, resultado y sesión que lo originó) y avisos imprimibles
+ * a partir de las plantillas de CONFIG.NOTICE_TEMPLATES. Los contactos se
+ * guardan cifrados, como las sesiones.
+ */
+class GuardianContacts {
+    constructor(studentManager) {
+        this.studentManager = studentManager;
+    }
+
+    // =========================================================================
+    // REGISTRO DE CONTACTOS
+    // =========================================================================
+
+    /**
+     * Todos los contactos registrados. Si el registro existe pero no se puede
+     * descifrar se lanza un error: devolver una lista vacía haría que la
+     * siguiente escritura borrara los contactos anteriores.
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAllContacts() {
+        const { entries, failed } = await StorageService.getAllDecrypted(['guardian_contacts']);
+        if (failed.length > 0) throw new Error('No se pudo descifrar el registro de contactos con encargados');
+        const stored = entries[0]?.value;
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    /**
+     * Contactos de un estudiante, del más reciente al más antiguo
+     * @param {string} studentId
+     * @returns {Promise<Array<Object>>}
+     */
+    async getContacts(studentId) {
+        try {
+            return (await this.getAllContacts())
+                .filter(contact => contact.studentId === studentId)
+                .sort((a, b) => b.fecha.localeCompare(a.fecha) || (b.hora || '').localeCompare(a.hora || ''));
+        } catch (error) {
+            errorHandler.handle(error, 'GuardianContacts.getContacts');
+            return [];
+        }
+    }
+
+    /**
+     * Registra un contacto con el encargado de un estudiante
+     * @param {string} studentId
+     * @param {Object} data - { fecha, hora, canal, encargado, motivo, resultado, sesion }
+     * @returns {Promise<string|null>} - Id del registro o null si no es válido
+     */
+    async addContact(studentId, data) {
+        try {
+            const student = this.studentManager.getStudent(studentId);
+            if (!student) throw new Error('Estudiante no encontrado');
+
+            const validation = Validators.validateGuardianContact(data);
+            if (!validation.valid) throw new Error(validation.message);
+
+            const contacts = await this.getAllContacts();
+            const id = SecurityUtils.generateSecureId('contact_');
+            contacts.push({
+                id,
+                studentId,
+                grupo: student.grupo,
+                ...validation.value,
+                createdAt: new Date().toISOString()
+            });
+            if (!await StorageService.setEncrypted('guardian_contacts', contacts)) {
+                throw new Error('No se pudo guardar el contacto');
+            }
+            return id;
+        } catch (error) {
+            errorHandler.handle(error, 'GuardianContacts.addContact');
+            return null;
+        }
+    }
+
+    /**
+     * Elimina un contacto registrado
+     * @param {string} contactId
+     * @returns {Promise<boolean>}
+     */
+    async removeContact(contactId) {
+        try {
+            const contacts = await this.getAllContacts();
+            const remaining = contacts.filter(contact => contact.id !== contactId);
+            return remaining.length !== contacts.length && await StorageService.setEncrypted('guardian_contacts', remaining);
+        } catch (error) {
+            errorHandler.handle(error, 'GuardianContacts.removeContact');
+            return false;
+        }
+    }
+
+    // =========================================================================
+    // AVISOS
+    // =========================================================================
+
+    /**
+     * Rellena una plantilla de aviso
+     * @param {string} templateId - Clave de CONFIG.NOTICE_TEMPLATES
+     * @param {string} studentId
+     * @param {Object} [values] - { encargado, fechas, motivo }
+     * @returns {{titulo: string, cuerpo: string}|null}
+     */
+    buildNotice(templateId, studentId, values = {}) {
+        const template = CONFIG.NOTICE_TEMPLATES[templateId];
+        const student = this.studentManager.getStudent(studentId);
+        if (!template || !student) return null;
+
+        const fields = {
+            estudiante: this.studentManager.getStudentName(studentId),
+            grupo: student.grupo,
+            encargado: values.encargado || student.encargados[0]?.nombre || 'encargado(a)',
+            fechas: values.fechas || '—',
+            motivo: values.motivo || '—',
+            docente: StorageService.get('teacher_name', ''),
+            fecha: new Date().toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric' })
+        };
+        const fill = text => text.replace(/\{\{(\w+)\}\}/g, (match, name) => fields[name] ?? match);
+
+        return { titulo: fill(template.titulo), cuerpo: fill(template.cuerpo) };
+    }
+}
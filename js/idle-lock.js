@@ -0,0 +1,215 @@
+/**
+ * Bloqueo de sesión por inactividad
+ *
+ * Si no hay actividad (teclado, mouse, toque) durante el tiempo configurado,
+ * guarda la sesión de clase abierta, elimina la clave de datos de la sesión
+ * y cubre la aplicación con una pantalla de bloqueo. Al desbloquear con la
+ * contraseña se vuelve exactamente al mismo estado: la interfaz no se recarga.
+ */
+class IdleLock {
+    constructor(sessionManager) {
+        this.sessionManager = sessionManager;
+        this.lastActivity = Date.now();
+        this.locked = false;
+        this.checkInterval = null;
+        this.failedAttempts = 0;
+        this.resumeAutoSave = false;
+        this.pausedModals = [];    // Modales abiertos al bloquear (se les devuelve el foco al desbloquear)
+
+        this.onActivity = this.onActivity.bind(this);
+    }
+
+    // =========================================================================
+    // CONFIGURACIÓN
+    // =========================================================================
+
+    /**
+     * Minutos de inactividad antes de bloquear (0 = desactivado)
+     * @returns {number}
+     */
+    getTimeoutMinutes() {
+        const minutes = StorageService.get('idle_timeout_minutes', CONFIG.IDLE_TIMEOUT_MINUTES);
+        return CONFIG.IDLE_TIMEOUT_OPTIONS.includes(minutes) ? minutes : CONFIG.IDLE_TIMEOUT_MINUTES;
+    }
+
+    /**
+     * Guarda el tiempo de inactividad de la cuenta actual
+     * @param {number} minutes
+     * @returns {boolean}
+     */
+    setTimeoutMinutes(minutes) {
+        if (!CONFIG.IDLE_TIMEOUT_OPTIONS.includes(minutes)) return false;
+        this.lastActivity = Date.now();
+        return StorageService.set('idle_timeout_minutes', minutes);
+    }
+
+    // =========================================================================
+    // DETECCIÓN DE INACTIVIDAD
+    // =========================================================================
+
+    /**
+     * Empieza a vigilar la actividad del usuario
+     */
+    start() {
+        IdleLock.ACTIVITY_EVENTS.forEach(type =>
+            document.addEventListener(type, this.onActivity, { capture: true, passive: true })
+        );
+        // Al volver a la pestaña (o despertar el equipo) se revisa de inmediato
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.check();
+        });
+        this.bindLockScreen();
+
+        this.lastActivity = Date.now();
+        this.checkInterval = setInterval(() => this.check(), CONFIG.IDLE_CHECK_INTERVAL);
+    }
+
+    onActivity() {
+        if (!this.locked) this.lastActivity = Date.now();
+    }
+
+    /**
+     * Bloquea si se superó el tiempo de inactividad
+     */
+    check() {
+        const minutes = this.getTimeoutMinutes();
+        if (this.locked || minutes === 0) return;
+        if (Date.now() - this.lastActivity >= minutes * 60 * 1000) {
+            this.lock();
+        }
+    }
+
+    // =========================================================================
+    // BLOQUEO Y DESBLOQUEO
+    // =========================================================================
+
+    /**
+     * Cubre la aplicación, guarda la sesión abierta y elimina la clave de datos
+     */
+    async lock() {
+        if (this.locked) return;
+        this.locked = true;
+        this.failedAttempts = 0;
+        this.showLockScreen();
+
+        try {
+            this.resumeAutoSave = this.sessionManager.autoSaveInterval !== null;
+            this.sessionManager.stopAutoSave();
+            if (this.sessionManager.currentSession) {
+                await this.sessionManager.saveSession(false);
+            }
+            await StorageService.flush();
+        } catch (error) {
+            errorHandler.handle(error, 'IdleLock.lock');
+        } finally {
+            AuthService.lock();
+        }
+    }
+
+    /**
+     * Desbloquea con la contraseña de la cuenta activa
+     * @param {string} password
+     * @returns {Promise<{success: boolean, message?: string}>}
+     */
+    async unlock(password) {
+        const result = await AuthService.unlock(password);
+        if (!result.success) {
+            this.failedAttempts++;
+            if (this.failedAttempts >= CONFIG.MAX_UNLOCK_ATTEMPTS) {
+                this.logout();
+            }
+            return result;
+        }
+
+        this.locked = false;
+        this.failedAttempts = 0;
+        this.lastActivity = Date.now();
+        this.hideLockScreen();
+        if (this.resumeAutoSave) this.sessionManager.startAutoSave();
+        return result;
+    }
+
+    /**
+     * Cierra la sesión desde la pantalla de bloqueo (la sesión de clase ya se guardó)
+     */
+    logout() {
+        AuthService.logout();
+        window.location.reload();
+    }
+
+    // =========================================================================
+    // PANTALLA DE BLOQUEO
+    // =========================================================================
+
+    showLockScreen() {
+        const screen = document.getElementById('auth-lock-screen');
+        if (!screen) return;
+
+        const userEl = document.getElementById('lock-username');
+        if (userEl) userEl.textContent = AuthService.getUsername();
+        this.setStatus('');
+
+        // Los modales de Bootstrap retienen el foco; se suspende mientras dure el bloqueo
+        this.pausedModals = Array.from(document.querySelectorAll('.modal.show'))
+            .map(el => bootstrap.Modal.getInstance(el))
+            .filter(Boolean);
+        this.pausedModals.forEach(modal => modal._focustrap?.deactivate());
+
+        screen.style.display = 'flex';
+        setTimeout(() => document.getElementById('lock-password')?.focus(), 100);
+    }
+
+    hideLockScreen() {
+        const screen = document.getElementById('auth-lock-screen');
+        if (screen) screen.style.display = 'none';
+        const input = document.getElementById('lock-password');
+        if (input) input.value = '';
+
+        this.pausedModals.forEach(modal => modal._focustrap?.activate());
+        this.pausedModals = [];
+    }
+
+    setStatus(message) {
+        const el = document.getElementById('lock-status');
+        if (!el) return;
+        el.textContent = message;
+        el.className = 'auth-status-msg mt-3 auth-error';
+        el.style.display = message ? 'block' : 'none';
+    }
+
+    bindLockScreen() {
+        const input = document.getElementById('lock-password');
+        const button = document.getElementById('btn-unlock');
+
+        const doUnlock = async () => {
+            const password = input?.value;
+            if (!password) {
+                this.setStatus('Ingrese su contraseña.');
+                return;
+            }
+            if (button) button.disabled = true;
+            const result = await this.unlock(password);
+            if (button) button.disabled = false;
+            if (!result.success) {
+                const remaining = CONFIG.MAX_UNLOCK_ATTEMPTS - this.failedAttempts;
+                this.setStatus(`❌ ${result.message} (${remaining} intento(s) restante(s))`);
+                if (input) {
+                    input.value = '';
+                    input.focus();
+                }
+            }
+        };
+
+        button?.addEventListener('click', doUnlock);
+        input?.addEventListener('keydown', e => {
+            if (e.key === 'Enter') doUnlock();
+        });
+        document.getElementById('link-lock-logout')?.addEventListener('click', e => {
+            e.preventDefault();
+            this.logout();
+        });
+    }
+}
+
+// Eventos que cuentan como actividad
+IdleLock.ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
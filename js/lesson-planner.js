@@ -0,0 +1,290 @@
+/**
+ * Planificación de unidades
+ *
+ * Planes de unidad por grupo (objetivos, contenidos y actividades previstas)
+ * con sus lecciones programadas por fecha. Al crear una sesión del grupo en
+ * una fecha programada, el contenido planificado rellena `lessonContent`; el
+ * estado de avance que se registra en la sesión (CONFIG.LESSON_STATUSES) se
+ * copia a las lecciones del día, y lo parcial o pospuesto pasa a la siguiente
+ * sesión del grupo hasta que una sesión lo marque como completado.
+ */
+class LessonPlanner {
+    constructor(schoolCalendar) {
+        this.schoolCalendar = schoolCalendar;
+    }
+
+    // =========================================================================
+    // UNIDADES
+    // =========================================================================
+
+    getAllUnits() {
+        const stored = StorageService.get('lesson_plans', []);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    saveUnits(units) {
+        return StorageService.set('lesson_plans', units);
+    }
+
+    /**
+     * Unidades de un grupo (o de todos), con sus lecciones en orden cronológico
+     * @param {string} [grupo]
+     * @returns {Array<Object>}
+     */
+    getUnits(grupo = '') {
+        return this.getAllUnits()
+            .filter(unit => !grupo || unit.grupo === grupo)
+            .map(unit => ({ ...unit, lessons: LessonPlanner.sortLessons(unit.lessons) }))
+            .sort((a, b) => a.grupo.localeCompare(b.grupo) || a.createdAt.localeCompare(b.createdAt));
+    }
+
+    getUnit(unitId) {
+        return this.getUnits().find(unit => unit.id === unitId) || null;
+    }
+
+    /**
+     * Crea un plan de unidad
+     * @param {Object} data - { grupo, titulo, objetivos, contenidos, actividades }
+     * @returns {string|null} - Id de la unidad
+     */
+    addUnit(data) {
+        try {
+            const validation = Validators.validateUnitPlan(data);
+            if (!validation.valid) throw new Error(validation.message);
+
+            const units = this.getAllUnits();
+            const id = SecurityUtils.generateSecureId('unit_');
+            units.push({ id, ...validation.value, lessons: [], createdAt: new Date().toISOString() });
+            if (!this.saveUnits(units)) throw new Error('No se pudo guardar la unidad');
+            return id;
+        } catch (error) {
+            errorHandler.handle(error, 'LessonPlanner.addUnit');
+            return null;
+        }
+    }
+
+    /**
+     * Modifica los datos de una unidad (las lecciones se conservan)
+     * @param {string} unitId
+     * @param {Object} data
+     * @returns {boolean}
+     */
+    updateUnit(unitId, data) {
+        try {
+            const validation = Validators.validateUnitPlan(data);
+            if (!validation.valid) throw new Error(validation.message);
+
+            const units = this.getAllUnits();
+            const unit = units.find(item => item.id === unitId);
+            if (!unit) throw new Error('Unidad no encontrada');
+            if (unit.grupo !== validation.value.grupo && unit.lessons.length > 0) {
+                throw new Error('No se puede cambiar el grupo de una unidad con lecciones programadas');
+            }
+
+            Object.assign(unit, validation.value);
+            if (!this.saveUnits(units)) throw new Error('No se pudo guardar la unidad');
+            return true;
+        } catch (error) {
+            errorHandler.handle(error, 'LessonPlanner.updateUnit');
+            return false;
+        }
+    }
+
+    removeUnit(unitId) {
+        return this.saveUnits(this.getAllUnits().filter(unit => unit.id !== unitId));
+    }
+
+    // =========================================================================
+    // LECCIONES PROGRAMADAS
+    // =========================================================================
+
+    /**
+     * Programa una lección de una unidad
+     * @param {string} unitId
+     * @param {Object} data - { fecha, contenido }
+     * @returns {string|null} - Id de la lección
+     */
+    addLesson(unitId, data) {
+        try {
+            const validation = Validators.validatePlannedLesson(data);
+            if (!validation.valid) throw new Error(validation.message);
+
+            const units = this.getAllUnits();
+            const unit = units.find(item => item.id === unitId);
+            if (!unit) throw new Error('Unidad no encontrada');
+
+            const id = SecurityUtils.generateSecureId('lesson_');
+            unit.lessons.push(LessonPlanner.buildLesson(id, validation.value));
+            if (!this.saveUnits(units)) throw new Error('No se pudo guardar la lección');
+            return id;
+        } catch (error) {
+            errorHandler.handle(error, 'LessonPlanner.addLesson');
+            return null;
+        }
+    }
+
+    removeLesson(unitId, lessonId) {
+        const units = this.getAllUnits();
+        const unit = units.find(item => item.id === unitId);
+        if (!unit) return false;
+        unit.lessons = unit.lessons.filter(lesson => lesson.id !== lessonId);
+        return this.saveUnits(units);
+    }
+
+    /**
+     * Reparte los contenidos de la unidad (uno por línea) en las siguientes
+     * lecciones del horario del grupo desde una fecha, una por día lectivo.
+     * Las lecciones ya registradas en una sesión se conservan y sus contenidos
+     * no se vuelven a programar; las demás se reemplazan. Se omiten los días
+     * que ya tienen una lección de otra unidad del grupo.
+     * @param {string} unitId
+     * @param {string} desde - YYYY-MM-DD
+     * @returns {number|null} - Lecciones programadas o null si no se pudo
+     */
+    scheduleContents(unitId, desde) {
+        try {
+            const dateValidation = Validators.validateCalendarDate(desde);
+            if (!dateValidation.valid) throw new Error(dateValidation.message);
+
+            const units = this.getAllUnits();
+            const unit = units.find(item => item.id === unitId);
+            if (!unit) throw new Error('Unidad no encontrada');
+
+            const recorded = unit.lessons.filter(lesson => lesson.estado);
+            const recordedContents = new Set(recorded.map(lesson => lesson.contenido));
+            const contents = LessonPlanner.splitContents(unit.contenidos)
+                .filter(contenido => !recordedContents.has(contenido));
+            if (contents.length === 0) throw new Error('Todos los contenidos de la unidad ya fueron registrados');
+
+            const busy = new Set([
+                ...recorded.map(lesson => lesson.fecha),
+                ...units.filter(other => other.id !== unit.id && other.grupo === unit.grupo)
+                    .flatMap(other => other.lessons.map(lesson => lesson.fecha))
+            ]);
+            const horizon = SchoolCalendar.parseISODate(dateValidation.value);
+            horizon.setUTCDate(horizon.getUTCDate() + CONFIG.UNIT_SCHEDULE_HORIZON_DAYS);
+            const expected = this.schoolCalendar.getExpectedSlots(dateValidation.value, horizon.toISOString().split('T')[0], unit.grupo);
+            if (expected.length === 0) throw new Error(`El grupo ${unit.grupo} no tiene lecciones en el horario`);
+
+            const fechas = [...new Set(expected.map(({ fecha }) => fecha))].filter(fecha => !busy.has(fecha));
+            if (fechas.length < contents.length) {
+                throw new Error(`Solo hay ${fechas.length} días con lecciones libres para ${contents.length} contenidos`);
+            }
+
+            unit.lessons = [
+                ...recorded,
+                ...contents.map((contenido, index) => LessonPlanner.buildLesson(
+                    SecurityUtils.generateSecureId('lesson_'),
+                    { fecha: fechas[index], contenido: SecurityUtils.sanitizeInput(contenido, CONFIG.MAX_COMMENT_LENGTH) }
+                ))
+            ];
+            if (!this.saveUnits(units)) throw new Error('No se pudieron guardar las lecciones');
+            return contents.length;
+        } catch (error) {
+            errorHandler.handle(error, 'LessonPlanner.scheduleContents');
+            return null;
+        }
+    }
+
+    /**
+     * Lecciones programadas para un grupo en una fecha
+     * @param {string} grupo
+     * @param {string} fecha - YYYY-MM-DD
+     * @returns {Array<{unit: Object, lesson: Object}>}
+     */
+    getLessonsFor(grupo, fecha) {
+        return this.getUnits(grupo).flatMap(unit => unit.lessons
+            .filter(lesson => lesson.fecha === fecha)
+            .map(lesson => ({ unit, lesson })));
+    }
+
+    /**
+     * Lecciones anteriores a una fecha que quedaron parciales o pospuestas y
+     * no se completaron antes de ella
+     * @param {string} grupo
+     * @param {string} fecha - YYYY-MM-DD
+     * @returns {Array<{unit: Object, lesson: Object}>}
+     */
+    getCarriedOver(grupo, fecha) {
+        return this.getUnits(grupo).flatMap(unit => unit.lessons
+            .filter(lesson => lesson.fecha < fecha && LessonPlanner.isUnfinished(lesson) &&
+                (!lesson.resueltaEn || lesson.resueltaEn >= fecha))
+            .map(lesson => ({ unit, lesson })));
+    }
+
+    /**
+     * Texto con que se rellena el contenido de una sesión nueva: primero lo
+     * pendiente de sesiones anteriores y luego lo programado para el día
+     * @param {string} grupo
+     * @param {string} fecha - YYYY-MM-DD
+     * @returns {string}
+     */
+    getPlannedContent(grupo, fecha) {
+        const carried = this.getCarriedOver(grupo, fecha).map(({ lesson }) => {
+            const [, month, day] = lesson.fecha.split('-');
+            return `Pendiente (${day}/${month}): ${lesson.contenido}${lesson.nota ? ` — ${lesson.nota}` : ''}`;
+        });
+        const planned = this.getLessonsFor(grupo, fecha).map(({ unit, lesson }) => `${unit.titulo}: ${lesson.contenido}`);
+        return SecurityUtils.sanitizeInput([...carried, ...planned].join('\n'), CONFIG.MAX_TEXT_LENGTH);
+    }
+
+    /**
+     * Copia el estado de avance de una sesión guardada a las lecciones de su
+     * fecha. Lo pendiente que arrastraba la sesión queda resuelto si la sesión
+     * se completó y vuelve a quedar pendiente si no.
+     * @param {Object} session
+     * @returns {boolean} - Verdadero si cambió alguna lección
+     */
+    recordProgress(session) {
+        const { grupo, fecha, lessonStatus, lessonProgress } = session || {};
+        if (!lessonStatus) return false;
+
+        const units = this.getAllUnits();
+        const completed = lessonStatus === CONFIG.LESSON_STATUSES.COMPLETADA;
+        let changed = false;
+
+        units.filter(unit => unit.grupo === grupo).forEach(unit => {
+            unit.lessons.forEach(lesson => {
+                if (lesson.fecha === fecha) {
+                    lesson.estado = lessonStatus;
+                    lesson.nota = completed ? '' : SecurityUtils.sanitizeInput(lessonProgress || '', CONFIG.MAX_COMMENT_LENGTH);
+                    lesson.resueltaEn = null;
+                    changed = true;
+                } else if (lesson.fecha < fecha && LessonPlanner.isUnfinished(lesson) &&
+                    (!lesson.resueltaEn || lesson.resueltaEn === fecha)) {
+                    lesson.resueltaEn = completed ? fecha : null;
+                    changed = true;
+                }
+            });
+        });
+
+        return changed && this.saveUnits(units);
+    }
+
+    // =========================================================================
+    // AUXILIARES
+    // =========================================================================
+
+    static buildLesson(id, { fecha, contenido }) {
+        return { id, fecha, contenido, estado: null, nota: '', resueltaEn: null };
+    }
+
+    static sortLessons(lessons) {
+        return (Array.isArray(lessons) ? lessons : []).slice().sort((a, b) => a.fecha.localeCompare(b.fecha));
+    }
+
+    /**
+     * Contenidos de la unidad, uno por línea no vacía
+     * @param {string} contenidos
+     * @returns {Array<string>}
+     */
+    static splitContents(contenidos) {
+        return String(contenidos || '').split('\n')
+            .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+            .filter(Boolean);
+    }
+
+    static isUnfinished(lesson) {
+        return lesson.estado === CONFIG.LESSON_STATUSES.PARCIAL || lesson.estado === CONFIG.LESSON_STATUSES.POSPUESTA;
+    }
+}
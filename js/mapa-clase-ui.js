@@ -231,7 +231,7 @@ class MapaClaseUI {
      data-name="${this._esc(name)}">
   <span class="seat-num">${seatIdx + 1}</span>
   <span class="seat-icon">🪑</span>
-  <span class="seat-name">${this._esc(name)}</span>
+  <span class="seat-name">${this._esc(this._name(name))}</span>
 </div>`;
                 } else {
                     html += `
@@ -252,7 +252,7 @@ class MapaClaseUI {
             unzone.style.display = 'block';
             unlist.innerHTML = unassigned.map(n =>
                 `<div class="mc-unassigned-chip" draggable="true"
-                      data-unassigned="${this._esc(n)}">${this._esc(n)}</div>`
+                      data-unassigned="${this._esc(n)}">${this._esc(this._name(n))}</div>`
             ).join('');
         } else {
             unzone.style.display = 'none';
@@ -386,7 +386,7 @@ class MapaClaseUI {
            data-group="${gIdx}"
            ondragstart="mapaClaseUI._onGroupDragStart(event)">
         <span class="chip-drag-icon"><i class="fas fa-grip-vertical"></i></span>
-        ${this._esc(name)}
+        ${this._esc(this._name(name))}
       </div>`).join('')}
   </div>
 </div>`).join('');
@@ -428,7 +428,7 @@ class MapaClaseUI {
         } catch (_) { }
 
         const opts = `<option value="">— Elegir —</option>` +
-            students.map(s => `<option value="${this._esc(s)}">${this._esc(s)}</option>`).join('');
+            students.map(s => `<option value="${this._esc(s)}">${this._esc(this._name(s))}</option>`).join('');
 
         const selA = document.getElementById('mc-exc-sel-a');
         const selB = document.getElementById('mc-exc-sel-b');
@@ -449,7 +449,7 @@ class MapaClaseUI {
         list.innerHTML = exc.map(([a, b], idx) => `
 <div class="mc-exception-tag">
   <i class="fas fa-ban" style="font-size:0.7rem"></i>
-  ${this._esc(a)} ≠ ${this._esc(b)}
+  ${this._esc(this._name(a))} ≠ ${this._esc(this._name(b))}
   <button onclick="mapaClaseUI._removeException(${idx})" title="Eliminar">
     <i class="fas fa-times"></i>
   </button>
@@ -614,7 +614,8 @@ class MapaClaseUI {
             let startY = 62;
 
             rows.forEach((row, rIdx) => {
-                row.forEach((name, cIdx) => {
+                row.forEach((studentId, cIdx) => {
+                    const name = studentId ? this._name(studentId) : '';
                     const x = 15 + cIdx * cellW;
                     const y = startY + rIdx * (cellH + 3);
                     const seatNum = rIdx * cols + cIdx + 1;
@@ -659,7 +660,7 @@ class MapaClaseUI {
                     doc.setFont('helvetica', 'normal');
                     doc.setTextColor(60, 60, 60);
                     doc.setFontSize(8);
-                    doc.text(unassigned.join(' · '), 15, lastY + 6);
+                    doc.text(unassigned.map(id => this._name(id)).join(' · '), 15, lastY + 6);
                 }
             }
 
@@ -756,8 +757,8 @@ class MapaClaseUI {
                 doc.setTextColor(40, 20, 80);
                 doc.setFont('helvetica', 'normal');
                 doc.setFontSize(8);
-                members.forEach((name, mIdx) => {
-                    doc.text(`• ${name}`, x + 5, y + 16 + mIdx * 8);
+                members.forEach((studentId, mIdx) => {
+                    doc.text(`• ${this._name(studentId)}`, x + 5, y + 16 + mIdx * 8);
                 });
             });
 
@@ -795,6 +796,11 @@ class MapaClaseUI {
             .replace(/'/g, '&#39;');
     }
 
+    /** Nombre para mostrar de un estudiante (los datos guardan su id) */
+    _name(studentId) {
+        return studentManager.getStudentName(studentId);
+    }
+
     _showAlert(containerId, type, html, durationMs = 3500) {
         const el = document.getElementById(containerId);
         if (!el) return;
@@ -14,7 +14,7 @@ class EspejoClase {
         this.studentManager = studentManager;
         this.currentGroup = null;
         this.columns = 5;           // columnas de la cuadrícula
-        this.seats = [];            // array de strings | null (por posición)
+        this.seats = [];            // ids de estudiante | null (por posición)
         this.unassigned = [];       // estudiantes aún sin asiento
     }
 
@@ -39,7 +39,8 @@ class EspejoClase {
         const saved = StorageService.get(`espejo_${groupName}`);
         if (saved && saved.seats && saved.columns) {
             this.columns = saved.columns;
-            this.seats = saved.seats;
+            // Liberar asientos de estudiantes retirados o trasladados
+            this.seats = saved.seats.map(s => (s && students.includes(s) ? s : null));
             // Estudiantes que puedan no estar en el grid (añadidos después)
             const inGrid = this.seats.filter(Boolean);
             this.unassigned = students.filter(s => !inGrid.includes(s));
@@ -158,7 +159,7 @@ class GruposAleatorios {
         this.studentManager = studentManager;
         this.currentGroup = null;
         this.groupSize = 3;
-        this.groups = [];          // Array de grupos actuales (arrays de string)
+        this.groups = [];          // Array de grupos actuales (arrays de ids de estudiante)
         this.exceptions = [];      // Array de pares [a, b] que NO pueden coincidir
     }
 
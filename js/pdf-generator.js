@@ -9,10 +9,10 @@ class PDFGenerator {
 
     /**
      * Genera PDF de la bitácora
+     * @param {Object} [session] - Sesión a exportar (por defecto, la sesión activa)
      * @returns {boolean} - Verdadero si se generó correctamente
      */
-    async generatePDF() {
-        const session = this.sessionManager.getCurrentSession();
+    async generatePDF(session = this.sessionManager.getCurrentSession()) {
         if (!session) {
             errorHandler.handle(new Error('No hay sesión activa'), 'PDFGenerator.generatePDF');
             return false;
@@ -33,7 +33,7 @@ class PDFGenerator {
             yPos = this.addIncidents(doc, session, yPos); // incluye comentarios
             yPos = this.addLessonContent(doc, session, yPos);
             yPos = this.addEvaluation(doc, session, yPos);
-            this.addFooter(doc, session);
+            this.addFooter(doc, session.grupo, session.fecha);
 
             // Generar nombre de archivo seguro
             const fileName = this.generateSecureFileName(session);
@@ -47,6 +47,551 @@ class PDFGenerator {
         }
     }
 
+    /**
+     * Genera un compendio PDF con todas las sesiones de un grupo en un rango de fechas:
+     * portada, índice, una sección por sesión y resumen de asistencia acumulado.
+     * @param {string} grupo - Grupo
+     * @param {string} [desde] - Fecha inicial (YYYY-MM-DD)
+     * @param {string} [hasta] - Fecha final (YYYY-MM-DD)
+     * @returns {Promise<boolean>} - Verdadero si se generó correctamente
+     */
+    async generateGroupReport(grupo, desde = '', hasta = '') {
+        try {
+            const { jsPDF } = window.jspdf;
+            if (!jsPDF) {
+                throw new Error('La librería jsPDF no está disponible');
+            }
+
+            // Las planificaciones aún no tienen asistencia ni evaluación
+            const { sessions: saved, failed } = await this.sessionManager.getSessionsInRange(grupo, desde, hasta);
+            const sessions = saved.filter(session => !session.planned);
+            if (sessions.length === 0) {
+                throw new Error('No hay sesiones guardadas para el grupo y rango seleccionados');
+            }
+
+            const rangeText = this.formatRange(sessions, desde, hasta);
+            const doc = new jsPDF();
+
+            this.addReportCover(doc, grupo, rangeText, sessions.length);
+
+            // Reservar páginas para el índice; se completan al final con los números de página
+            const TOC_PER_PAGE = 30;
+            const tocPages = Math.ceil((sessions.length + 2) / TOC_PER_PAGE); // +2 por el resumen y los gráficos
+            for (let i = 0; i < tocPages; i++) doc.addPage();
+
+            const tocEntries = sessions.map(session => {
+                doc.addPage();
+                const page = doc.internal.getNumberOfPages();
+                let yPos = this.addHeader(doc, session, 20);
+                yPos = this.addAttendanceSummary(doc, session, yPos);
+                yPos = this.addIncidents(doc, session, yPos);
+                yPos = this.addLessonContent(doc, session, yPos);
+                this.addEvaluation(doc, session, yPos);
+                return { session, page };
+            });
+
+            doc.addPage();
+            const summaryPage = doc.internal.getNumberOfPages();
+            this.addAggregatedAttendance(doc, sessions, grupo, rangeText);
+
+            doc.addPage();
+            const chartsPage = doc.internal.getNumberOfPages();
+            this.addAttendanceCharts(doc, StatisticsManager.buildChartData(sessions), grupo, rangeText);
+
+            this.addTableOfContents(doc, tocEntries, [
+                { label: 'Resumen de asistencia acumulado', page: summaryPage },
+                { label: 'Gráficos de asistencia', page: chartsPage }
+            ], TOC_PER_PAGE);
+            this.addFooter(doc, grupo, rangeText);
+
+            const baseName = `Compendio_${this.escapeText(grupo).replace(/[^a-zA-Z0-9]/g, '')}_` +
+                `${sessions[0].fecha.replace(/-/g, '')}-${sessions[sessions.length - 1].fecha.replace(/-/g, '')}.pdf`;
+            doc.save(this.applyFolderPrefix(baseName));
+
+            errorHandler.showSuccess(
+                `Compendio generado con ${sessions.length} sesión(es)` +
+                (failed ? `. ${failed} sesión(es) no se pudieron descifrar y se omitieron.` : '')
+            );
+            return true;
+        } catch (error) {
+            errorHandler.handle(error, 'PDFGenerator.generateGroupReport');
+            return false;
+        }
+    }
+
+    /**
+     * Texto del rango de fechas del compendio
+     */
+    formatRange(sessions, desde, hasta) {
+        const from = desde || sessions[0].fecha;
+        const to = hasta || sessions[sessions.length - 1].fecha;
+        return `${from} a ${to}`;
+    }
+
+    /**
+     * Agrega portada del compendio
+     */
+    addReportCover(doc, grupo, rangeText, sessionCount) {
+        doc.setFillColor(...this.colors.PRIMARY);
+        doc.rect(0, 0, 210, 110, 'F');
+
+        doc.setTextColor(255, 255, 255);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(28);
+        doc.text('COMPENDIO DE BITÁCORAS', 105, 55, { align: 'center' });
+
+        doc.setFontSize(18);
+        doc.text(`Grupo ${this.escapeText(grupo)}`, 105, 72, { align: 'center' });
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(13);
+        doc.text(rangeText, 105, 85, { align: 'center' });
+
+        doc.setDrawColor(...this.colors.WARNING);
+        doc.setLineWidth(3);
+        doc.line(15, 113, 195, 113);
+
+        const teacherName = StorageService.get('teacher_name', 'Diego Durán-Jiménez');
+        doc.setTextColor(50, 50, 50);
+        doc.setFontSize(12);
+        doc.text(`Prof. ${this.escapeText(teacherName)}`, 105, 140, { align: 'center' });
+        doc.text(`Sesiones incluidas: ${sessionCount}`, 105, 150, { align: 'center' });
+        doc.setFontSize(10);
+        doc.setTextColor(...this.colors.SECONDARY);
+        doc.text(`Generado: ${new Date().toLocaleDateString('es-ES')}`, 105, 160, { align: 'center' });
+
+        doc.setTextColor(0, 0, 0);
+    }
+
+    /**
+     * Completa las páginas reservadas para el índice (a partir de la página 2)
+     * @param {Array<{label: string, page: number}>} closingEntries - Secciones finales (en negrita)
+     */
+    addTableOfContents(doc, tocEntries, closingEntries, perPage) {
+        const rows = [
+            ...tocEntries.map(({ session, page }) => ({
+                label: `${new Date(session.fecha + 'T00:00').toLocaleDateString('es-ES')}  ${session.startTime || ''}`,
+                page
+            })),
+            ...closingEntries
+        ];
+
+        rows.forEach((row, i) => {
+            doc.setPage(2 + Math.floor(i / perPage));
+
+            if (i % perPage === 0) {
+                doc.setFont('helvetica', 'bold');
+                doc.setFontSize(16);
+                doc.setTextColor(...this.colors.PRIMARY);
+                doc.text('ÍNDICE', 20, 25);
+            }
+
+            const y = 40 + (i % perPage) * 7;
+            doc.setFont('helvetica', i < tocEntries.length ? 'normal' : 'bold');
+            doc.setFontSize(10);
+            doc.setTextColor(50, 50, 50);
+            doc.text(row.label, 20, y);
+            const pageText = String(row.page);
+            doc.text(pageText, 190 - doc.getTextWidth(pageText), y);
+            doc.setDrawColor(220, 220, 220);
+            doc.setLineWidth(0.2);
+            doc.line(20, y + 2, 190, y + 2);
+        });
+
+        doc.setTextColor(0, 0, 0);
+    }
+
+    /**
+     * Agrega resumen de asistencia acumulado por estudiante
+     */
+    addAggregatedAttendance(doc, sessions, grupo, rangeText) {
+        const states = Object.values(CONFIG.STUDENT_STATES);
+        const totals = Object.fromEntries([...states, 'total'].map(k => [k, 0]));
+        const perStudent = new Map();
+
+        sessions.forEach(session => {
+            const stats = this.sessionManager.getCurrentAttendanceStats(session);
+            Object.keys(totals).forEach(k => { totals[k] += stats[k] || 0; });
+
+            Object.entries(session.students || {}).forEach(([studentId, data]) => {
+                if (!perStudent.has(studentId)) {
+                    perStudent.set(studentId, { ...Object.fromEntries(states.map(s => [s, 0])), nombre: studentId, sesiones: 0 });
+                }
+                const row = perStudent.get(studentId);
+                // Las sesiones se recorren en orden cronológico: queda el nombre más reciente
+                if (data.nombre) row.nombre = data.nombre;
+                if (row.hasOwnProperty(data.estado)) row[data.estado]++;
+                row.sesiones++;
+            });
+        });
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(16);
+        doc.setTextColor(...this.colors.PRIMARY);
+        doc.text('RESUMEN DE ASISTENCIA ACUMULADO', 20, 25);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(...this.colors.SECONDARY);
+        doc.text(`Grupo ${this.escapeText(grupo)} | ${rangeText} | ${sessions.length} sesión(es)`, 20, 32);
+
+        this.drawAttendanceStatBoxes(doc, totals, 38, 'REGISTROS');
+
+        const columns = [
+            { label: 'Estudiante', x: 20 },
+            { label: 'Pres.', x: 92 },
+            { label: 'Aus.', x: 106 },
+            { label: 'Tarde', x: 120 },
+            { label: 'A. Just.', x: 135 },
+            { label: 'Retiro', x: 153 },
+            { label: '% Asist.', x: 172 }
+        ];
+        const drawTableHeader = (y) => {
+            doc.setFillColor(...this.colors.PRIMARY);
+            doc.rect(15, y - 5, 180, 7, 'F');
+            doc.setTextColor(255, 255, 255);
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(9);
+            columns.forEach(col => doc.text(col.label, col.x, y));
+            return y + 7;
+        };
+
+        let y = drawTableHeader(65);
+        doc.setFontSize(9);
+
+        Array.from(perStudent.values())
+            .sort((a, b) => a.nombre.localeCompare(b.nombre, 'es'))
+            .forEach((row, index) => {
+                if (y > 265) {
+                    doc.addPage();
+                    y = drawTableHeader(25);
+                }
+                if (index % 2 === 0) {
+                    doc.setFillColor(248, 250, 252);
+                    doc.rect(15, y - 5, 180, 7, 'F');
+                }
+                const percent = StatisticsManager.calculateAttendancePercentage(row, row.sesiones).toFixed(1);
+                doc.setTextColor(50, 50, 50);
+                doc.setFont('helvetica', 'normal');
+                doc.text(this.escapeText(row.nombre).substring(0, 38), columns[0].x, y);
+                doc.text(String(row.presente), columns[1].x, y);
+                doc.text(String(row.ausente), columns[2].x, y);
+                doc.text(`${row.tarde}${row.tardiaJustificada ? ` (+${row.tardiaJustificada}J)` : ''}`, columns[3].x, y);
+                doc.text(String(row.ausenciaJustificada), columns[4].x, y);
+                doc.text(String(row.retiroAnticipado), columns[5].x, y);
+                doc.text(`${percent}%`, columns[6].x, y);
+                y += 7;
+            });
+
+        doc.setTextColor(0, 0, 0);
+    }
+
+    /**
+     * Agrega los gráficos de asistencia (los mismos del modal de estadísticas)
+     * @param {Object} chartData - De StatisticsManager.buildChartData()
+     */
+    addAttendanceCharts(doc, chartData, grupo, rangeText) {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(16);
+        doc.setTextColor(...this.colors.PRIMARY);
+        doc.text('GRÁFICOS DE ASISTENCIA', 20, 25);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(...this.colors.SECONDARY);
+        doc.text(`Grupo ${this.escapeText(grupo)} | ${rangeText}`, 20, 32);
+
+        let yPos = 42;
+        [
+            { type: 'attendance', title: 'Asistencia por sesión' },
+            { type: 'students', title: 'Asistencia por estudiante' },
+            { type: 'weekdays', title: 'Ausencias por día de la semana' }
+        ].forEach(({ type, title }) => {
+            yPos = this.addChartImage(doc, StatisticsCharts.toImage(type, chartData), title, yPos);
+        });
+
+        doc.setTextColor(0, 0, 0);
+        return yPos;
+    }
+
+    /**
+     * Inserta la imagen de un gráfico con su título, a 170 mm de ancho como
+     * máximo y sin pasar del alto de una página
+     * @param {{dataUrl: string, width: number, height: number}} image - De StatisticsCharts.toImage()
+     */
+    addChartImage(doc, image, title, yPos) {
+        let width = 170;
+        let height = width * image.height / image.width;
+        if (height > 225) {
+            width *= 225 / height;
+            height = 225;
+        }
+
+        yPos = this.ensureSpace(doc, yPos, height + 9);
+        yPos = this.addSectionTitle(doc, title, yPos);
+        doc.addImage(image.dataUrl, 'PNG', 20, yPos, width, height);
+        return yPos + height + 8;
+    }
+
+    /**
+     * Genera la ficha longitudinal de un estudiante en PDF
+     * @param {Object} profile - Resultado de StatisticsManager.getStudentProfile()
+     * @returns {boolean} - Verdadero si se generó correctamente
+     */
+    generateStudentProfile(profile) {
+        try {
+            const { jsPDF } = window.jspdf;
+            if (!jsPDF) {
+                throw new Error('La librería jsPDF no está disponible');
+            }
+            if (!profile || profile.totalSesiones === 0) {
+                throw new Error('El estudiante no tiene sesiones registradas');
+            }
+
+            const doc = new jsPDF();
+
+            // Encabezado
+            doc.setFillColor(...this.colors.PRIMARY);
+            doc.rect(0, 0, 210, 45, 'F');
+            doc.setTextColor(255, 255, 255);
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(20);
+            doc.text('FICHA DEL ESTUDIANTE', 20, 18);
+            doc.setFontSize(14);
+            doc.text(this.escapeText(profile.nombre), 20, 29);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(11);
+            const teacherName = StorageService.get('teacher_name', 'Diego Durán-Jiménez');
+            const cedulaText = profile.cedula ? ` | Cédula ${this.escapeText(profile.cedula)}` : '';
+            doc.text(`Grupo ${this.escapeText(profile.grupo)}${cedulaText} | Prof. ${this.escapeText(teacherName)}`, 20, 38);
+            doc.setDrawColor(...this.colors.WARNING);
+            doc.setLineWidth(3);
+            doc.line(15, 48, 195, 48);
+
+            let yPos = 58;
+
+            // Conteos
+            const boxes = [
+                { label: 'PRESENTE', value: profile.counts.presente, color: this.colors.SUCCESS },
+                { label: 'AUSENTE', value: profile.counts.ausente, color: this.colors.DANGER },
+                { label: 'TARDE', value: profile.counts.tarde, color: this.colors.WARNING },
+                { label: '% ASIST.', value: `${profile.porcentajeAsistencia.toFixed(1)}%`, color: this.colors.PRIMARY },
+                { label: 'AUS. JUSTIF.', value: profile.counts.ausenciaJustificada, color: this.getStateColor(CONFIG.STUDENT_STATES.AUSENCIA_JUSTIFICADA) },
+                { label: 'TARD. JUSTIF.', value: profile.counts.tardiaJustificada, color: this.getStateColor(CONFIG.STUDENT_STATES.TARDIA_JUSTIFICADA) },
+                { label: 'RETIROS', value: profile.counts.retiroAnticipado, color: this.getStateColor(CONFIG.STUDENT_STATES.RETIRO_ANTICIPADO) },
+                { label: 'BAÑO', value: profile.counts.bano, color: this.colors.INFO },
+                { label: 'ENFERMERÍA', value: profile.counts.enfermeria, color: this.colors.WARNING },
+                { label: 'OTRA SALIDA', value: profile.counts.otro, color: this.colors.SECONDARY },
+                { label: 'APOYOS', value: profile.counts.apoyosEducativos, color: this.colors.PRIMARY }
+            ];
+            boxes.forEach((box, i) => {
+                const x = 20 + (i % 4) * 44;
+                const y = yPos + Math.floor(i / 4) * 20;
+                doc.setFillColor(...box.color);
+                this.drawRoundedRect(doc, x, y, 38, 16, 3);
+                doc.setTextColor(255, 255, 255);
+                doc.setFont('helvetica', 'bold');
+                doc.setFontSize(12);
+                doc.text(String(box.value), x + 19, y + 8, { align: 'center' });
+                doc.setFontSize(7);
+                doc.text(box.label, x + 19, y + 13, { align: 'center' });
+            });
+            yPos += Math.ceil(boxes.length / 4) * 20 + 8;
+
+            // Línea de tiempo de asistencia
+            yPos = this.addSectionTitle(doc, `LÍNEA DE TIEMPO DE ASISTENCIA (${profile.totalSesiones} sesiones)`, yPos);
+            const cell = Math.max(2, Math.min(8, 170 / profile.timeline.length));
+            profile.timeline.forEach((entry, i) => {
+                doc.setFillColor(...this.getStateColor(entry.estado));
+                doc.rect(20 + i * cell, yPos, Math.max(cell - 0.5, 1.5), 8, 'F');
+            });
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(7);
+            doc.setTextColor(...this.colors.SECONDARY);
+            doc.text(profile.timeline[0].fecha, 20, yPos + 13);
+            const lastDate = profile.timeline[profile.timeline.length - 1].fecha;
+            doc.text(lastDate, 20 + profile.timeline.length * cell - doc.getTextWidth(lastDate), yPos + 13);
+            yPos += 20;
+
+            const absences = profile.timeline.filter(e => e.estado !== CONFIG.STUDENT_STATES.PRESENTE);
+            if (absences.length > 0) {
+                doc.setFontSize(8);
+                doc.setTextColor(50, 50, 50);
+                const lines = doc.splitTextToSize(
+                    absences.map(e => `${e.fecha} ${e.hora || ''}: ${CONFIG.STUDENT_STATE_META[e.estado]?.label || e.estado}`).join('  |  '), 170);
+                lines.forEach(line => {
+                    yPos = this.ensureSpace(doc, yPos, 5);
+                    doc.text(line, 20, yPos);
+                    yPos += 4;
+                });
+                yPos += 4;
+            }
+
+            // Justificaciones y retiros
+            if (profile.justificaciones.length > 0) {
+                yPos = this.addSectionTitle(doc, `JUSTIFICACIONES Y RETIROS (${profile.justificaciones.length})`, this.ensureSpace(doc, yPos, 20));
+                yPos = this.addDatedList(doc, profile.justificaciones, yPos, '');
+            }
+
+            // Apoyos educativos
+            yPos = this.addSectionTitle(doc, `APOYOS EDUCATIVOS (${profile.apoyos.length})`, this.ensureSpace(doc, yPos, 20));
+            yPos = this.addDatedList(doc, profile.apoyos, yPos, 'Sin apoyos educativos registrados.');
+
+            // Comentarios por tipo
+            const types = Object.keys(profile.comentariosPorTipo);
+            yPos = this.addSectionTitle(doc, 'COMENTARIOS POR TIPO', this.ensureSpace(doc, yPos, 20));
+            if (types.length === 0) {
+                yPos = this.addDatedList(doc, [], yPos, 'Sin comentarios registrados.');
+            }
+            types.forEach(tipo => {
+                yPos = this.ensureSpace(doc, yPos, 15);
+                doc.setFont('helvetica', 'bold');
+                doc.setFontSize(10);
+                doc.setTextColor(...this.colors.PRIMARY);
+                const label = CONFIG.COMMENT_TYPE_LABELS[tipo] || tipo;
+                doc.text(`${label} (${profile.comentariosPorTipo[tipo].length})`, 20, yPos);
+                yPos = this.addDatedList(doc, profile.comentariosPorTipo[tipo], yPos + 6, '');
+            });
+
+            this.addFooter(doc, profile.grupo, profile.nombre);
+
+            const safeName = this.escapeText(profile.nombre).normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '').replace(/[^a-zA-Z0-9]+/g, '_');
+            const safeGroup = this.escapeText(profile.grupo).replace(/[^a-zA-Z0-9]/g, '');
+            doc.save(this.applyFolderPrefix(`Ficha_${safeGroup}_${safeName}.pdf`));
+
+            errorHandler.showSuccess('Ficha del estudiante generada correctamente');
+            return true;
+        } catch (error) {
+            errorHandler.handle(error, 'PDFGenerator.generateStudentProfile');
+            return false;
+        }
+    }
+
+    /**
+     * Genera un aviso imprimible para el encargado de un estudiante
+     * @param {Object} notice - { titulo, cuerpo, estudiante, grupo } (de GuardianContacts.buildNotice())
+     * @returns {boolean} - Verdadero si se generó correctamente
+     */
+    generateNotice(notice) {
+        try {
+            const { jsPDF } = window.jspdf;
+            if (!jsPDF) {
+                throw new Error('La librería jsPDF no está disponible');
+            }
+            if (!notice || !notice.cuerpo.trim()) {
+                throw new Error('El aviso no tiene contenido');
+            }
+
+            const doc = new jsPDF();
+            const teacherName = StorageService.get('teacher_name', 'Diego Durán-Jiménez');
+
+            // Encabezado
+            doc.setFillColor(...this.colors.PRIMARY);
+            doc.rect(0, 0, 210, 30, 'F');
+            doc.setTextColor(255, 255, 255);
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(16);
+            doc.text(this.escapeText(notice.titulo).toUpperCase(), 20, 15);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(10);
+            doc.text(`${this.escapeText(notice.estudiante)} | Grupo ${this.escapeText(notice.grupo)}`, 20, 23);
+
+            doc.setTextColor(50, 50, 50);
+            doc.setFontSize(10);
+            doc.text(new Date().toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric' }), 190, 42, { align: 'right' });
+
+            // Cuerpo (los párrafos se separan con saltos de línea)
+            let yPos = 55;
+            doc.setFontSize(11);
+            notice.cuerpo.split('\n').forEach(paragraph => {
+                const lines = paragraph.trim() ? doc.splitTextToSize(this.escapeText(paragraph), 170) : [''];
+                lines.forEach(line => {
+                    yPos = this.ensureSpace(doc, yPos, 8);
+                    doc.text(line, 20, yPos);
+                    yPos += 6;
+                });
+            });
+
+            // Firma del docente y constancia de recibido
+            yPos = this.ensureSpace(doc, yPos + 10, 60);
+            doc.text('Atentamente,', 20, yPos);
+            yPos += 22;
+            doc.setDrawColor(...this.colors.SECONDARY);
+            doc.setLineWidth(0.3);
+            doc.line(20, yPos, 90, yPos);
+            doc.text(`Prof. ${this.escapeText(teacherName)}`, 20, yPos + 6);
+
+            yPos += 24;
+            doc.setFontSize(9);
+            doc.text('Recibido por (encargado): ______________________________  Firma: ________________  Fecha: __________', 20, yPos);
+
+            this.addFooter(doc, notice.grupo, notice.estudiante);
+
+            const safeName = this.escapeText(notice.estudiante).normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '').replace(/[^a-zA-Z0-9]+/g, '_');
+            const safeGroup = this.escapeText(notice.grupo).replace(/[^a-zA-Z0-9]/g, '');
+            doc.save(this.applyFolderPrefix(`Aviso_${safeGroup}_${safeName}.pdf`));
+
+            errorHandler.showSuccess('Aviso generado correctamente');
+            return true;
+        } catch (error) {
+            errorHandler.handle(error, 'PDFGenerator.generateNotice');
+            return false;
+        }
+    }
+
+    /**
+     * Agrega un título de sección y devuelve la nueva posición vertical
+     */
+    addSectionTitle(doc, title, yPos) {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(12);
+        doc.setTextColor(...this.colors.PRIMARY);
+        doc.text(title, 20, yPos);
+        doc.setDrawColor(...this.colors.PRIMARY);
+        doc.setLineWidth(0.5);
+        doc.line(20, yPos + 2, 190, yPos + 2);
+        doc.setTextColor(0, 0, 0);
+        return yPos + 9;
+    }
+
+    /**
+     * Agrega una lista de elementos { fecha, hora, texto } con salto de página automático
+     */
+    addDatedList(doc, items, yPos, emptyText) {
+        doc.setFontSize(8);
+        doc.setTextColor(50, 50, 50);
+
+        if (items.length === 0 && emptyText) {
+            doc.setFont('helvetica', 'italic');
+            doc.text(emptyText, 22, yPos);
+            return yPos + 10;
+        }
+
+        items.forEach(item => {
+            const lines = doc.splitTextToSize(this.escapeText(item.texto || '—'), 140);
+            yPos = this.ensureSpace(doc, yPos, lines.length * 4 + 2);
+            doc.setFont('helvetica', 'bold');
+            doc.text(`${item.fecha} ${item.hora || ''}`, 22, yPos);
+            doc.setFont('helvetica', 'normal');
+            lines.forEach((line, i) => doc.text(line, 50, yPos + i * 4));
+            yPos += lines.length * 4 + 2;
+        });
+
+        doc.setTextColor(0, 0, 0);
+        return yPos + 4;
+    }
+
+    /**
+     * Agrega una página nueva si no cabe el alto indicado antes del pie
+     */
+    ensureSpace(doc, yPos, height) {
+        if (yPos + height > 265) {
+            doc.addPage();
+            return 20;
+        }
+        return yPos;
+    }
+
     /**
      * Agrega encabezado al PDF
      */
@@ -86,7 +631,7 @@ class PDFGenerator {
      * Agrega resumen de asistencia
      */
     addAttendanceSummary(doc, session, yPos) {
-        const stats = this.sessionManager.getCurrentAttendanceStats();
+        const stats = this.sessionManager.getCurrentAttendanceStats(session);
 
         // Cuadro principal
         doc.setFillColor(248, 250, 252);
@@ -102,37 +647,75 @@ class PDFGenerator {
         doc.text('RESUMEN DE ASISTENCIA', 20, yPos + 10);
 
         // Estadísticas
+        this.drawAttendanceStatBoxes(doc, stats, yPos + 15, 'TOTAL');
+
+        doc.setTextColor(0, 0, 0);
+        return yPos + 50;
+    }
+
+    /**
+     * Dibuja una fila de cuadros con el conteo de cada estado de asistencia y el total
+     * @param {jsPDF} doc
+     * @param {Object} stats - Conteos por estado y `total`
+     * @param {number} y - Posición vertical de los cuadros
+     * @param {string} totalLabel - Etiqueta del cuadro del total
+     */
+    drawAttendanceStatBoxes(doc, stats, y, totalLabel) {
+        const S = CONFIG.STUDENT_STATES;
         const statBoxes = [
-            { label: 'PRESENTES', value: stats.presente, color: this.colors.SUCCESS, x: 25 },
-            { label: 'AUSENTES', value: stats.ausente, color: this.colors.DANGER, x: 70 },
-            { label: 'TARDANZAS', value: stats.tarde, color: this.colors.WARNING, x: 115 },
-            { label: 'TOTAL', value: stats.total, color: this.colors.PRIMARY, x: 160 }
+            { label: 'PRESENTES', value: stats[S.PRESENTE], color: this.getStateColor(S.PRESENTE) },
+            { label: 'AUSENTES', value: stats[S.AUSENTE], color: this.getStateColor(S.AUSENTE) },
+            { label: 'TARDANZAS', value: stats[S.TARDE], color: this.getStateColor(S.TARDE) },
+            { label: 'AUS. JUSTIF.', value: stats[S.AUSENCIA_JUSTIFICADA], color: this.getStateColor(S.AUSENCIA_JUSTIFICADA) },
+            { label: 'TARD. JUSTIF.', value: stats[S.TARDIA_JUSTIFICADA], color: this.getStateColor(S.TARDIA_JUSTIFICADA) },
+            { label: 'RETIROS', value: stats[S.RETIRO_ANTICIPADO], color: this.getStateColor(S.RETIRO_ANTICIPADO) },
+            { label: totalLabel, value: stats.total, color: this.colors.PRIMARY }
         ];
 
-        statBoxes.forEach(box => {
+        statBoxes.forEach((box, i) => {
+            const x = 20 + i * 25;
             doc.setFillColor(...box.color);
-            this.drawRoundedRect(doc, box.x, yPos + 15, 30, 15, 3);
+            this.drawRoundedRect(doc, x, y, 23, 15, 3);
 
             doc.setTextColor(255, 255, 255);
             doc.setFont('helvetica', 'bold');
             doc.setFontSize(12);
-            const numWidth = doc.getTextWidth(box.value.toString());
-            doc.text(box.value.toString(), box.x + (30 - numWidth) / 2, yPos + 23);
+            doc.text(String(box.value || 0), x + 11.5, y + 8, { align: 'center' });
 
-            doc.setFontSize(7);
-            const labelWidth = doc.getTextWidth(box.label);
-            doc.text(box.label, box.x + (30 - labelWidth) / 2, yPos + 28);
+            doc.setFontSize(6);
+            doc.text(box.label, x + 11.5, y + 13, { align: 'center' });
         });
+    }
 
-        doc.setTextColor(0, 0, 0);
-        return yPos + 50;
+    /**
+     * Color RGB asociado a un estado de asistencia
+     * @param {string} state
+     * @returns {Array<number>}
+     */
+    getStateColor(state) {
+        const color = CONFIG.STUDENT_STATE_META[state]?.color;
+        return (color && this.colors[color.toUpperCase()]) || this.colors.SECONDARY;
+    }
+
+    /**
+     * Describe el estado de asistencia de un estudiante, con hora de retiro y justificación
+     * @param {Object} student - Datos del estudiante en la sesión
+     * @returns {string}
+     */
+    describeAttendanceState(student) {
+        const parts = [(CONFIG.STUDENT_STATE_META[student.estado]?.label || student.estado).toUpperCase()];
+        if (student.horaRetiro) parts.push(student.horaRetiro);
+        if (student.justificacion?.motivo) {
+            parts.push(`(${student.justificacion.motivo}${student.justificacion.documento ? ` - Doc. ${student.justificacion.documento}` : ''})`);
+        }
+        return parts.join(' ');
     }
 
     /**
        * Agrega sección de incidencias con comentarios integrados
        */
     addIncidents(doc, session, yPos) {
-        const studentsWithIncidents = this.sessionManager.getStudentsWithIncidents();
+        const studentsWithIncidents = this.sessionManager.getStudentsWithIncidents(session);
 
         if (studentsWithIncidents.length === 0) {
             // Cuadro simple para "sin incidencias"
@@ -195,14 +778,15 @@ class PDFGenerator {
             // Incidencias en la misma línea
             let details = [];
             if (student.estado !== CONFIG.STUDENT_STATES.PRESENTE) {
-                details.push(student.estado.toUpperCase());
+                details.push(this.escapeText(this.describeAttendanceState(student)));
             }
             if (student.bano) details.push('Baño');
             if (student.enfermeria) details.push('Enfermería');
             if (student.otro) details.push('Otro');
 
             doc.setFont('helvetica', 'normal');
-            doc.text(details.join(', '), 85, incidentY);
+            const detailsText = details.join(', ');
+            doc.text(detailsText.length > 60 ? detailsText.substring(0, 60) + '...' : detailsText, 85, incidentY);
 
             incidentY += 6;
 
@@ -249,10 +833,14 @@ class PDFGenerator {
         doc.text('DESARROLLO DE LA LECCION', 20, yPos);
         yPos += 15;
 
+        const status = CONFIG.LESSON_STATUS_META[session.lessonStatus];
+        const progress = [status ? `Estado de la lección: ${status.label}` : '', session.lessonProgress || '']
+            .filter(Boolean).join('\n');
+
         const fields = [
             { label: 'CONTENIDO', value: session.lessonContent || '', icon: '' },
             { label: 'PLANIFICACION', value: session.planningComment || '', icon: '' },
-            { label: 'AVANCES/OBSTACULOS', value: session.lessonProgress || '', icon: '' },
+            { label: 'AVANCES/OBSTACULOS', value: progress, icon: '' },
             { label: 'OBSERVACIONES', value: session.observations || '', icon: '' }
         ];
 
@@ -283,20 +871,23 @@ class PDFGenerator {
     }
 
     /**
-     * Agrega evaluación 
+     * Agrega evaluación según la rúbrica de la sesión
      */
     addEvaluation(doc, session, yPos) {
-        if (yPos > 160) {
+        const rubric = EvaluationRubric.forSession(session);
+        const boxHeight = 22 + rubric.length * 9;
+
+        if (yPos + boxHeight > 265) {
             doc.addPage();
             yPos = 20;
         }
 
         // Cuadro principal
         doc.setFillColor(248, 250, 252);
-        this.drawRoundedRect(doc, 15, yPos, 180, 70, 5);
+        this.drawRoundedRect(doc, 15, yPos, 180, boxHeight, 5);
         doc.setDrawColor(...this.colors.PRIMARY);
         doc.setLineWidth(1);
-        this.drawRoundedRect(doc, 15, yPos, 180, 70, 5, false);
+        this.drawRoundedRect(doc, 15, yPos, 180, boxHeight, 5, false);
 
         // Header
         doc.setFillColor(...this.colors.PRIMARY);
@@ -309,28 +900,22 @@ class PDFGenerator {
         doc.text('EVALUACION DE LA CLASE', 20, yPos + 7);
 
         // Items de evaluación
-        const evaluationFields = [
-            { label: 'Tiempo de actividades', value: session.activityTime || 'Adecuado' },
-            { label: 'Actividades accesibles', value: session.evaluation?.activityAccessibility || 'De Acuerdo' },
-            { label: 'Materiales adecuados', value: session.evaluation?.classMaterials || 'De Acuerdo' },
-            { label: 'Espacio fisico', value: session.evaluation?.physicalSpace || 'De Acuerdo' },
-            { label: 'Involucramiento', value: session.evaluation?.studentInvolvement || 'Bueno' },
-            { label: 'Actitud general', value: session.evaluation?.studentAttitude || 'Bueno' }
-        ];
-
         let evalY = yPos + 18;
         doc.setTextColor(50, 50, 50);
 
-        evaluationFields.forEach(field => {
+        rubric.forEach(criterion => {
+            const value = EvaluationRubric.getValue(session, criterion.id);
+            const label = (criterion.short || criterion.label).replace(/:\s*$/, '');
+
             doc.setFont('helvetica', 'normal');
             doc.setFontSize(9);
-            doc.text(`${field.label}:`, 20, evalY);
+            doc.text(doc.splitTextToSize(`${this.escapeText(label)}:`, 62)[0], 20, evalY);
 
             doc.setFont('helvetica', 'bold');
-            doc.text(this.escapeText(field.value), 85, evalY);
+            doc.text(doc.splitTextToSize(this.escapeText(value || 'Sin responder'), 75)[0], 85, evalY);
 
             // Indicador de color
-            const indicatorColor = this.getEvaluationColor(field.value);
+            const indicatorColor = this.getEvaluationColor(criterion, value);
             doc.setFillColor(...indicatorColor);
             doc.circle(165, evalY - 2, 2, 'F');
 
@@ -338,13 +923,16 @@ class PDFGenerator {
         });
 
         doc.setTextColor(0, 0, 0);
-        return yPos + 75;
+        return yPos + boxHeight + 5;
     }
 
     /**
      * Agrega pie de página
+     * @param {jsPDF} doc
+     * @param {string} grupo
+     * @param {string} label - Lo que identifica el documento: fecha de la sesión, rango o estudiante
      */
-    addFooter(doc, session) {
+    addFooter(doc, grupo, label) {
         const pageCount = doc.internal.getNumberOfPages();
 
         for (let i = 1; i <= pageCount; i++) {
@@ -360,7 +948,7 @@ class PDFGenerator {
             doc.setFontSize(8);
             doc.setTextColor(...this.colors.SECONDARY);
 
-            const footerText = `${this.escapeText(session.grupo)} - ${session.fecha} | Generado: ${new Date().toLocaleDateString('es-ES')}`;
+            const footerText = `${this.escapeText(grupo)} - ${this.escapeText(label)} | Generado: ${new Date().toLocaleDateString('es-ES')}`;
             doc.text(footerText, 15, 280);
 
             // Línea de firma
@@ -428,18 +1016,9 @@ class PDFGenerator {
     /**
      * Obtiene color de evaluación
      */
-    getEvaluationColor(value) {
-        const colorMap = {
-            'Excelente': this.colors.SUCCESS,
-            'De Acuerdo': this.colors.SUCCESS,
-            'Bueno': this.colors.PRIMARY,
-            'Parcialmente de acuerdo': this.colors.WARNING,
-            'Regular': this.colors.WARNING,
-            'Parcialmente en desacuerdo': this.colors.DANGER,
-            'Deficiente': this.colors.DANGER,
-            'En desacuerdo': this.colors.DANGER
-        };
-        return colorMap[value] || this.colors.SECONDARY;
+    getEvaluationColor(criterion, value) {
+        const colorClass = EvaluationRubric.getColor(criterion, value);
+        return this.colors[colorClass.toUpperCase()] || this.colors.SECONDARY;
     }
 
     /**
@@ -448,8 +1027,17 @@ class PDFGenerator {
     generateSecureFileName(session) {
         const sanitizedGroup = this.escapeText(session.grupo).replace(/[^a-zA-Z0-9]/g, '');
         const dateStr = session.fecha.replace(/-/g, '');
-        const baseName = `Bitacora_${sanitizedGroup}_${dateStr}.pdf`;
+        // La hora distingue las sesiones del mismo grupo en un día
+        const timeStr = String(session.startTime || '00:00').padStart(5, '0').replace(':', '');
+        return this.applyFolderPrefix(`Bitacora_${sanitizedGroup}_${dateStr}_${timeStr}.pdf`);
+    }
 
+    /**
+     * Antepone el prefijo de carpeta configurado al nombre de archivo
+     * @param {string} baseName
+     * @returns {string}
+     */
+    applyFolderPrefix(baseName) {
         // Leer prefijo de carpeta configurado (ej. "Grupo7A")
         const rawFolder = StorageService.get('pdf_folder', '');
         if (rawFolder && typeof rawFolder === 'string') {
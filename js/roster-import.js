@@ -0,0 +1,332 @@
+/**
+ * Importación de listas de estudiantes desde CSV o Excel (XLSX)
+ *
+ * Todo el procesamiento es local: el CSV se interpreta como texto y el XLSX
+ * se descomprime con DecompressionStream (sin bibliotecas externas).
+ */
+class RosterImporter {
+    /**
+     * Lee un archivo de lista y devuelve sus filas
+     * @param {File} file - Archivo .csv o .xlsx
+     * @returns {Promise<{headers: Array<string>, rows: Array<{line: number, cells: Array<string>}>}>}
+     */
+    static async readFile(file) {
+        if (file.size > CONFIG.MAX_IMPORT_FILE_SIZE) {
+            throw new Error('El archivo es demasiado grande para importarlo');
+        }
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        const buffer = await file.arrayBuffer();
+        let table;
+
+        if (extension === 'xlsx') {
+            table = await this.parseXLSX(buffer);
+        } else if (extension === 'csv' || extension === 'txt') {
+            table = this.parseCSV(this.decodeText(buffer));
+        } else {
+            throw new Error('Formato no soportado. Use un archivo CSV o XLSX.');
+        }
+
+        // Descartar filas vacías conservando el número de línea original
+        const width = Math.max(0, ...table.map(row => row.length));
+        const rows = table
+            .map((row, index) => ({
+                line: index + 1,
+                cells: Array.from({ length: width }, (_, i) => String(row[i] || '').trim())
+            }))
+            .filter(row => row.cells.some(cell => cell !== ''));
+
+        if (rows.length < 2) {
+            throw new Error('El archivo no contiene filas de estudiantes');
+        }
+        return { headers: rows[0].cells, rows: rows.slice(1) };
+    }
+
+    /**
+     * Decodifica texto en UTF-8; si no es válido, asume Windows-1252 (exportaciones de Excel)
+     * @param {ArrayBuffer} buffer
+     * @returns {string}
+     */
+    static decodeText(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (e) {
+            return new TextDecoder('windows-1252').decode(buffer);
+        }
+    }
+
+    /**
+     * Interpreta texto CSV. Detecta el separador (coma, punto y coma o tabulador)
+     * y respeta campos entre comillas.
+     * @param {string} text
+     * @returns {Array<Array<string>>}
+     */
+    static parseCSV(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Interpreta la primera hoja de un libro XLSX
+     * @param {ArrayBuffer} buffer
+     * @returns {Promise<Array<Array<string>>>}
+     */
+    static async parseXLSX(buffer) {
+        const files = await this._unzip(buffer);
+        const parser = new DOMParser();
+        const parseXml = (name) => files.has(name)
+            ? parser.parseFromString(files.get(name), 'application/xml')
+            : null;
+
+        // Cadenas compartidas (pueden venir en varios <t> con formato enriquecido)
+        const sharedDoc = parseXml('xl/sharedStrings.xml');
+        const sharedStrings = sharedDoc
+            ? Array.from(sharedDoc.getElementsByTagName('si')).map(si =>
+                Array.from(si.getElementsByTagName('t')).map(t => t.textContent).join(''))
+            : [];
+
+        const sheetDoc = parseXml(this._firstSheetPath(files, parseXml));
+        if (!sheetDoc) {
+            throw new Error('No se encontró ninguna hoja en el libro de Excel');
+        }
+
+        const rows = [];
+        Array.from(sheetDoc.getElementsByTagName('row')).forEach(rowEl => {
+            const row = [];
+            Array.from(rowEl.getElementsByTagName('c')).forEach((cell, index) => {
+                const ref = cell.getAttribute('r');
+                const column = ref ? this._columnIndex(ref) : index;
+                const type = cell.getAttribute('t');
+                const valueEl = cell.getElementsByTagName('v')[0];
+                let value = '';
+
+                if (type === 's' && valueEl) {
+                    value = sharedStrings[parseInt(valueEl.textContent, 10)] || '';
+                } else if (type === 'inlineStr') {
+                    value = Array.from(cell.getElementsByTagName('t')).map(t => t.textContent).join('');
+                } else if (valueEl) {
+                    value = valueEl.textContent;
+                }
+                row[column] = value;
+            });
+            const rowNumber = parseInt(rowEl.getAttribute('r'), 10);
+            rows[Number.isInteger(rowNumber) ? rowNumber - 1 : rows.length] = Array.from(row, v => v || '');
+        });
+
+        return Array.from(rows, row => row || []);
+    }
+
+    /**
+     * Ruta de la primera hoja declarada en el libro
+     * @private
+     */
+    static _firstSheetPath(files, parseXml) {
+        const workbook = parseXml('xl/workbook.xml');
+        const rels = parseXml('xl/_rels/workbook.xml.rels');
+        const sheet = workbook?.getElementsByTagName('sheet')[0];
+        const relId = sheet?.getAttribute('r:id') ||
+            sheet?.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+
+        if (rels && relId) {
+            const rel = Array.from(rels.getElementsByTagName('Relationship')).find(r => r.getAttribute('Id') === relId);
+            const target = rel?.getAttribute('Target');
+            if (target) {
+                const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+                if (files.has(path)) return path;
+            }
+        }
+
+        return Array.from(files.keys()).filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name)).sort()[0];
+    }
+
+    /**
+     * Índice de columna (0-based) a partir de una referencia tipo "AB12"
+     * @private
+     */
+    static _columnIndex(ref) {
+        const letters = ref.replace(/[^A-Z]/gi, '').toUpperCase();
+        return letters.split('').reduce((acc, letter) => acc * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    /**
+     * Extrae las entradas XML de un archivo ZIP
+     * @private
+     * @param {ArrayBuffer} buffer
+     * @returns {Promise<Map<string, string>>} - nombre -> contenido de texto
+     */
+    static async _unzip(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // Buscar el registro "End of Central Directory" desde el final
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd === -1) {
+            throw new Error('El archivo no es un libro de Excel válido');
+        }
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        const files = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (!name.endsWith('.xml') && !name.endsWith('.rels')) continue;
+
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                files.set(name, decoder.decode(data));
+            } else if (method === 8) {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                files.set(name, decoder.decode(await new Response(stream).arrayBuffer()));
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Sugiere el mapeo de columnas a partir de los encabezados.
+     * Una columna de nombre completo se asigna a `nombre` sin apellidos.
+     * @param {Array<string>} headers
+     * @returns {{group: number, cedula: number, apellido1: number, apellido2: number, nombre: number}}
+     *          Índices de columna (-1 si no hay)
+     */
+    static guessMapping(headers) {
+        const normalized = headers.map(h => h.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim());
+        const find = (pattern) => normalized.findIndex(h => pattern.test(h));
+
+        const group = find(/^(seccion|grupo|grado|nivel)/);
+        const cedula = find(/^(cedula|identificacion|carne|carnet|id$)/);
+        const fullName = find(/^(nombre completo|estudiante|alumno)/);
+        if (fullName !== -1) {
+            return { group, cedula, apellido1: -1, apellido2: -1, nombre: fullName };
+        }
+
+        return {
+            group,
+            cedula,
+            apellido1: find(/^primer apellido|^apellido ?1|^apellidos?$/),
+            apellido2: find(/^segundo apellido|^apellido ?2/),
+            nombre: find(/^nombres?$/)
+        };
+    }
+
+    /**
+     * Normaliza el texto de una sección al formato de grupo (ej: "7-a" → "7A")
+     * @param {string} value
+     * @returns {string}
+     */
+    static normalizeGroup(value) {
+        return String(value || '').toUpperCase().replace(/[\s\-_.]/g, '');
+    }
+
+    /**
+     * Aplica el mapeo y valida cada fila
+     * @param {Array<{line: number, cells: Array<string>}>} rows - Filas de readFile()
+     * @param {{group: number, cedula: number, apellido1: number, apellido2: number, nombre: number}} mapping
+     * @returns {{rows: Array<{line: number, group: string, name: string, cedula: string, errors: Array<string>}>, groups: Object}}
+     *          groups: { grupo: [{ cedula, nombre, apellidos, encargados, apoyos }] }
+     */
+    static buildPreview(rows, mapping) {
+        const groups = {};
+        const cell = (row, column) => (column >= 0 ? String(row[column] || '') : '').replace(/\s+/g, ' ').trim();
+
+        const preview = rows.map(({ line, cells: row }) => {
+            const errors = [];
+            const rawGroup = mapping.group >= 0 ? this.normalizeGroup(row[mapping.group]) : '';
+            const record = {
+                cedula: cell(row, mapping.cedula),
+                nombre: cell(row, mapping.nombre),
+                apellidos: [cell(row, mapping.apellido1), cell(row, mapping.apellido2)].filter(Boolean).join(' ')
+            };
+            const rawName = [record.apellidos, record.nombre].filter(Boolean).join(' ');
+
+            const groupValidation = Validators.validateGroup(rawGroup);
+            if (!groupValidation.valid) errors.push(groupValidation.message);
+
+            const recordValidation = Validators.validateStudentRecord(record);
+            if (!recordValidation.valid) errors.push(recordValidation.message);
+
+            if (errors.length === 0) {
+                const list = groups[groupValidation.value] || (groups[groupValidation.value] = []);
+                const value = recordValidation.value;
+                const duplicate = list.some(other => value.cedula
+                    ? other.cedula === value.cedula
+                    : !other.cedula && other.apellidos === value.apellidos && other.nombre === value.nombre);
+                if (duplicate) {
+                    errors.push('Estudiante duplicado en el grupo');
+                } else {
+                    list.push(value);
+                }
+            }
+
+            return {
+                line,
+                group: rawGroup,
+                name: rawName,
+                cedula: record.cedula,
+                errors
+            };
+        });
+
+        return { rows: preview, groups };
+    }
+}
@@ -0,0 +1,433 @@
+/**
+ * Horario semanal y calendario escolar
+ *
+ * El horario define las lecciones de cada grupo (día, hora de inicio y fin,
+ * materia y aula) y permite preseleccionar la clase en curso al abrir la app.
+ * El calendario define los periodos lectivos y los días sin lecciones, para
+ * calcular cuántas sesiones se esperaban frente a las registradas.
+ */
+class SchoolCalendar {
+
+    // =========================================================================
+    // HORARIO SEMANAL
+    // =========================================================================
+
+    /**
+     * Clases del horario ordenadas por día y hora
+     * @returns {Array<Object>} - [{ id, grupo, dia, inicio, fin, materia, aula }]
+     */
+    getTimetable() {
+        const stored = StorageService.get('timetable', []);
+        return (Array.isArray(stored) ? stored : [])
+            .map(slot => ({ ...slot }))
+            .sort((a, b) => a.dia - b.dia || a.inicio.localeCompare(b.inicio));
+    }
+
+    /**
+     * Agrega una clase al horario
+     * @param {Object} slot - { grupo, dia, inicio, fin, materia, aula }
+     * @returns {string|null} - Id de la clase o null si no es válida
+     */
+    addSlot(slot) {
+        try {
+            const validation = Validators.validateTimetableSlot(slot);
+            if (!validation.valid) throw new Error(validation.message);
+            const value = validation.value;
+
+            const timetable = this.getTimetable();
+            const overlap = timetable.find(other =>
+                other.dia === value.dia && value.inicio < other.fin && other.inicio < value.fin);
+            if (overlap) {
+                throw new Error(`Se traslapa con la clase de ${overlap.grupo} (${CONFIG.WEEKDAY_LABELS[overlap.dia]} ${overlap.inicio}–${overlap.fin})`);
+            }
+
+            const id = SecurityUtils.generateSecureId('slot_');
+            timetable.push({ id, ...value });
+            if (!StorageService.set('timetable', timetable)) throw new Error('No se pudo guardar el horario');
+            return id;
+        } catch (error) {
+            errorHandler.handle(error, 'SchoolCalendar.addSlot');
+            return null;
+        }
+    }
+
+    /**
+     * Elimina una clase del horario
+     * @param {string} slotId
+     * @returns {boolean}
+     */
+    removeSlot(slotId) {
+        const timetable = this.getTimetable();
+        const remaining = timetable.filter(slot => slot.id !== slotId);
+        return remaining.length !== timetable.length && StorageService.set('timetable', remaining);
+    }
+
+    /**
+     * Clases de un día de la semana
+     * @param {number} dia - Día ISO (1 = lunes)
+     * @returns {Array<Object>}
+     */
+    getSlotsForWeekday(dia) {
+        return this.getTimetable().filter(slot => slot.dia === dia);
+    }
+
+    /**
+     * Clase del horario en curso (o que empieza en los próximos minutos)
+     * @param {Date} [now]
+     * @returns {Object|null}
+     */
+    getCurrentSlot(now = new Date()) {
+        if (!this.isSchoolDay(SchoolCalendar.toISODate(now))) return null;
+
+        const time = now.toTimeString().slice(0, 5);
+        const soon = new Date(now.getTime() + CONFIG.SCHEDULE_EARLY_MINUTES * 60 * 1000).toTimeString().slice(0, 5);
+        return this.getSlotsForWeekday(now.getDay() || 7)
+            .find(slot => time < slot.fin && soon >= slot.inicio) || null;
+    }
+
+    /**
+     * Clase del horario que corresponde a una sesión
+     * @param {string} grupo
+     * @param {string} fecha - YYYY-MM-DD
+     * @param {string} startTime - HH:MM
+     * @returns {Object|null}
+     */
+    findSlot(grupo, fecha, startTime) {
+        const dia = SchoolCalendar.weekdayOf(fecha);
+        const time = String(startTime || '').padStart(5, '0');
+        return this.getSlotsForWeekday(dia)
+            .find(slot => slot.grupo === grupo && slot.inicio <= time && time < slot.fin) || null;
+    }
+
+    // =========================================================================
+    // CALENDARIO ESCOLAR
+    // =========================================================================
+
+    /**
+     * @returns {{terms: Array<Object>, holidays: Array<Object>}}
+     */
+    getCalendar() {
+        const stored = StorageService.get('school_calendar', null);
+        return {
+            terms: (Array.isArray(stored?.terms) ? stored.terms : [])
+                .slice().sort((a, b) => a.inicio.localeCompare(b.inicio)),
+            holidays: (Array.isArray(stored?.holidays) ? stored.holidays : [])
+                .slice().sort((a, b) => a.fecha.localeCompare(b.fecha))
+        };
+    }
+
+    saveCalendar(calendar) {
+        return StorageService.set('school_calendar', calendar);
+    }
+
+    /**
+     * Agrega un periodo lectivo (no puede traslaparse con otro)
+     * @param {Object} term - { nombre, inicio, fin }
+     * @returns {string|null} - Id del periodo
+     */
+    addTerm(term) {
+        try {
+            const validation = Validators.validateTerm(term);
+            if (!validation.valid) throw new Error(validation.message);
+            const value = validation.value;
+
+            const calendar = this.getCalendar();
+            const overlap = calendar.terms.find(other => value.inicio <= other.fin && other.inicio <= value.fin);
+            if (overlap) throw new Error(`Se traslapa con el periodo "${overlap.nombre}"`);
+
+            const id = SecurityUtils.generateSecureId('term_');
+            calendar.terms.push({ id, ...value });
+            if (!this.saveCalendar(calendar)) throw new Error('No se pudo guardar el calendario');
+            return id;
+        } catch (error) {
+            errorHandler.handle(error, 'SchoolCalendar.addTerm');
+            return null;
+        }
+    }
+
+    removeTerm(termId) {
+        const calendar = this.getCalendar();
+        calendar.terms = calendar.terms.filter(term => term.id !== termId);
+        return this.saveCalendar(calendar);
+    }
+
+    /**
+     * Agrega un día o rango de días sin lecciones
+     * @param {Object} holiday - { fecha, hasta, motivo }
+     * @returns {string|null} - Id del registro
+     */
+    addHoliday(holiday) {
+        try {
+            const validation = Validators.validateHoliday(holiday);
+            if (!validation.valid) throw new Error(validation.message);
+
+            const calendar = this.getCalendar();
+            const id = SecurityUtils.generateSecureId('hol_');
+            calendar.holidays.push({ id, ...validation.value });
+            if (!this.saveCalendar(calendar)) throw new Error('No se pudo guardar el calendario');
+            return id;
+        } catch (error) {
+            errorHandler.handle(error, 'SchoolCalendar.addHoliday');
+            return null;
+        }
+    }
+
+    removeHoliday(holidayId) {
+        const calendar = this.getCalendar();
+        calendar.holidays = calendar.holidays.filter(holiday => holiday.id !== holidayId);
+        return this.saveCalendar(calendar);
+    }
+
+    /**
+     * Periodo lectivo que contiene una fecha
+     * @param {string} fecha - YYYY-MM-DD
+     * @returns {Object|null}
+     */
+    getTermForDate(fecha) {
+        return this.getCalendar().terms.find(term => term.inicio <= fecha && fecha <= term.fin) || null;
+    }
+
+    /**
+     * Día sin lecciones que incluye una fecha
+     * @param {string} fecha - YYYY-MM-DD
+     * @returns {Object|null}
+     */
+    getHoliday(fecha) {
+        return this.getCalendar().holidays.find(holiday => holiday.fecha <= fecha && fecha <= holiday.hasta) || null;
+    }
+
+    /**
+     * Indica si hay lecciones en una fecha: dentro de un periodo (si hay
+     * periodos configurados) y fuera de los días sin lecciones
+     * @param {string} fecha - YYYY-MM-DD
+     * @param {Object} [calendar] - Calendario ya leído (para recorrer muchos días)
+     * @returns {boolean}
+     */
+    isSchoolDay(fecha, calendar = this.getCalendar()) {
+        const { terms, holidays } = calendar;
+        if (holidays.some(holiday => holiday.fecha <= fecha && fecha <= holiday.hasta)) return false;
+        return terms.length === 0 || terms.some(term => term.inicio <= fecha && fecha <= term.fin);
+    }
+
+    // =========================================================================
+    // SESIONES ESPERADAS
+    // =========================================================================
+
+    /**
+     * Rango para comparar sesiones esperadas y registradas: el periodo en curso
+     * hasta hoy o, si no hay uno en curso, el último periodo terminado
+     * @param {string} [today] - YYYY-MM-DD
+     * @returns {{desde: string, hasta: string, term: Object}|null}
+     */
+    getStatsRange(today = SchoolCalendar.toISODate(new Date())) {
+        const terms = this.getCalendar().terms;
+        const current = terms.find(term => term.inicio <= today && today <= term.fin);
+        if (current) return { desde: current.inicio, hasta: today, term: current };
+
+        const past = terms.filter(term => term.fin < today).pop();
+        return past ? { desde: past.inicio, hasta: past.fin, term: past } : null;
+    }
+
+    /**
+     * Cuenta las lecciones del horario de un grupo en los días lectivos de un rango
+     * @param {string} grupo
+     * @param {string} desde - YYYY-MM-DD
+     * @param {string} hasta - YYYY-MM-DD (incluido)
+     * @returns {number}
+     */
+    countExpectedSessions(grupo, desde, hasta) {
+        return this.getExpectedSlots(desde, hasta, grupo).length;
+    }
+
+    /**
+     * Lecciones del horario en los días lectivos de un rango
+     * @param {string} desde - YYYY-MM-DD
+     * @param {string} hasta - YYYY-MM-DD (incluido)
+     * @param {string} [grupo] - Solo las de este grupo
+     * @returns {Array<{fecha: string, slot: Object}>} - En orden cronológico
+     */
+    getExpectedSlots(desde, hasta, grupo = '') {
+        const timetable = this.getTimetable().filter(slot => !grupo || slot.grupo === grupo);
+        if (timetable.length === 0 || !desde || !hasta) return [];
+
+        const expected = [];
+        const calendar = this.getCalendar();
+        const end = SchoolCalendar.parseISODate(hasta);
+        for (const day = SchoolCalendar.parseISODate(desde); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+            const fecha = day.toISOString().split('T')[0];
+            const slots = timetable.filter(slot => slot.dia === (day.getUTCDay() || 7));
+            if (slots.length > 0 && this.isSchoolDay(fecha, calendar)) {
+                slots.forEach(slot => expected.push({ fecha, slot }));
+            }
+        }
+        return expected;
+    }
+
+    /**
+     * Lecciones del horario ya iniciadas que no tienen bitácora: sin sesión
+     * guardada ('missing') o con la sesión guardada sin contenido de la
+     * lección ('empty'). Una sesión corresponde a la lección si es del mismo
+     * grupo y fecha y su hora de inicio cae dentro de la lección. Una
+     * planificación que no se volvió a guardar el día de la clase cuenta como
+     * sin sesión. Las sesiones que no se pueden descifrar cuentan como registradas.
+     * @param {string} desde - YYYY-MM-DD
+     * @param {string} hasta - YYYY-MM-DD (incluido)
+     * @param {Date} [now] - Las lecciones posteriores no se revisan
+     * @returns {Promise<{pending: Array<Object>, expected: number, failed: number}>}
+     *   pending: [{ fecha, slot, status, startTime }]
+     */
+    async findMissingSessions(desde, hasta, now = new Date()) {
+        const today = SchoolCalendar.toISODate(now);
+        const time = now.toTimeString().slice(0, 5);
+        const expected = this.getExpectedSlots(desde, hasta > today ? today : hasta)
+            .filter(({ fecha, slot }) => fecha < today || slot.inicio <= time);
+
+        const pending = [];
+        let failed = 0;
+        const groups = [...new Set(expected.map(({ slot }) => slot.grupo))];
+
+        for (const grupo of groups) {
+            const keys = await StorageService.getSessionKeys(grupo, desde, hasta);
+            const result = await StorageService.getAllDecrypted(keys);
+            failed += result.failed.length;
+
+            const saved = result.entries
+                .map(({ value }) => value)
+                .filter(session => session && session.grupo === grupo && session.fecha)
+                .map(session => ({
+                    fecha: session.fecha,
+                    startTime: String(session.startTime || '').padStart(5, '0'),
+                    empty: !String(session.lessonContent || '').trim(),
+                    planned: session.planned === true
+                }));
+            // De las ilegibles solo se conocen la fecha y la hora de la clave
+            result.failed.forEach(key => {
+                const match = key.match(/_(\d{4}-\d{2}-\d{2})_(\d{2})(\d{2})$/);
+                if (match) saved.push({ fecha: match[1], startTime: `${match[2]}:${match[3]}`, empty: false });
+            });
+
+            expected
+                .filter(({ slot }) => slot.grupo === grupo)
+                .forEach(({ fecha, slot }) => {
+                    const all = saved.filter(session =>
+                        session.fecha === fecha && slot.inicio <= session.startTime && session.startTime < slot.fin);
+                    const matches = all.filter(session => !session.planned);
+                    if (matches.length === 0) {
+                        // Se completa sobre la planificación, si la hay
+                        pending.push({ fecha, slot, status: 'missing', startTime: all[0]?.startTime || slot.inicio });
+                    } else if (matches.every(session => session.empty)) {
+                        pending.push({ fecha, slot, status: 'empty', startTime: matches[0].startTime });
+                    }
+                });
+        }
+
+        pending.sort((a, b) => a.fecha.localeCompare(b.fecha) || a.slot.inicio.localeCompare(b.slot.inicio));
+        return { pending, expected: expected.length, failed };
+    }
+
+    /**
+     * Rango por defecto del control de bitácoras pendientes: el de las
+     * estadísticas o, sin periodos configurados, los últimos días
+     * @param {Date} [now]
+     * @returns {{desde: string, hasta: string}}
+     */
+    getMissingSessionsRange(now = new Date()) {
+        const today = SchoolCalendar.toISODate(now);
+        const range = this.getStatsRange(today);
+        if (range) return { desde: range.desde, hasta: range.hasta };
+
+        const start = new Date(now);
+        start.setDate(start.getDate() - CONFIG.MISSING_SESSIONS_DEFAULT_DAYS);
+        return { desde: SchoolCalendar.toISODate(start), hasta: today };
+    }
+
+    /**
+     * Indica si un grupo tiene clases en el horario
+     * @param {string} grupo
+     * @returns {boolean}
+     */
+    hasTimetable(grupo) {
+        return this.getTimetable().some(slot => slot.grupo === grupo);
+    }
+
+    // =========================================================================
+    // FECHAS
+    // =========================================================================
+
+    /**
+     * Fecha local en formato YYYY-MM-DD. Es la única conversión de fecha local
+     * de la app: el resto de los módulos la usan para no desfasarse.
+     * @param {Date} date
+     * @returns {string}
+     */
+    static toISODate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Fecha YYYY-MM-DD a medianoche UTC (para recorrer días sin saltos de horario de verano)
+     * @param {string} fecha
+     * @returns {Date}
+     */
+    static parseISODate(fecha) {
+        return new Date(`${fecha}T00:00:00Z`);
+    }
+
+    /**
+     * Día de la semana ISO (1 = lunes … 7 = domingo) de una fecha YYYY-MM-DD
+     * @param {string} fecha
+     * @returns {number}
+     */
+    static weekdayOf(fecha) {
+        return this.parseISODate(fecha).getUTCDay() || 7;
+    }
+
+    // =========================================================================
+    // AÑO LECTIVO
+    // =========================================================================
+
+    /**
+     * Año lectivo de una fecha, identificado por el año en que empieza
+     * (según CONFIG.SCHOOL_YEAR_START_MONTH)
+     * @param {string} fecha - YYYY-MM-DD
+     * @returns {number}
+     */
+    static schoolYearOf(fecha) {
+        const [year, month] = fecha.split('-').map(Number);
+        return month >= CONFIG.SCHOOL_YEAR_START_MONTH ? year : year - 1;
+    }
+
+    /**
+     * Primer y último día de un año lectivo
+     * @param {number} year - Año en que empieza
+     * @returns {{desde: string, hasta: string}} - YYYY-MM-DD
+     */
+    static schoolYearRange(year) {
+        const start = CONFIG.SCHOOL_YEAR_START_MONTH;
+        // Día 0 del mes de inicio del año siguiente: último día del año lectivo
+        const end = new Date(Date.UTC(year + 1, start - 1, 0));
+        return {
+            desde: `${year}-${String(start).padStart(2, '0')}-01`,
+            hasta: end.toISOString().split('T')[0]
+        };
+    }
+
+    /**
+     * Año lectivo en curso
+     * @param {Date} [now]
+     * @returns {number}
+     */
+    static currentSchoolYear(now = new Date()) {
+        return this.schoolYearOf(this.toISODate(now));
+    }
+
+    /**
+     * Nombre del año lectivo: "2026" o, si abarca dos años, "2025-2026"
+     * @param {number} year
+     * @returns {string}
+     */
+    static schoolYearLabel(year) {
+        return CONFIG.SCHOOL_YEAR_START_MONTH === 1 ? String(year) : `${year}-${year + 1}`;
+    }
+}
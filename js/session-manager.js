@@ -2,8 +2,9 @@
  * Gestor de sesiones de clase
  */
 class SessionManager {
-    constructor(studentManager) {
+    constructor(studentManager, lessonPlanner = null) {
         this.studentManager = studentManager;
+        this.lessonPlanner = lessonPlanner;
         this.currentSession = null;
         this.autoSaveInterval = null;
         this.isDirty = false; // Indica si hay cambios sin guardar
@@ -27,10 +28,19 @@ class SessionManager {
             if (!dateValidation.valid) throw new Error(dateValidation.message);
             if (!timeValidation.valid) throw new Error(timeValidation.message);
 
+            // En un año archivado solo se pueden abrir las sesiones ya guardadas
+            const mode = SessionManager.getSessionMode(dateValidation.value);
+            if (mode === CONFIG.SESSION_MODES.ARCHIVED &&
+                !await this.getSavedSession(groupValidation.value, dateValidation.value, timeValidation.value)) {
+                const year = SchoolCalendar.schoolYearLabel(SchoolCalendar.schoolYearOf(dateValidation.value));
+                throw new Error(`El año lectivo ${year} está archivado: solo se pueden consultar sus sesiones guardadas`);
+            }
+
             // Detener auto-guardado anterior si existe
             this.stopAutoSave();
 
-            // Crear nueva sesión
+            // Crear nueva sesión con una copia de la rúbrica vigente
+            const rubric = EvaluationRubric.getRubric();
             this.currentSession = {
                 id: SecurityUtils.generateSecureId('session_'),
                 grupo: groupValidation.value,
@@ -40,29 +50,30 @@ class SessionManager {
                 lessonContent: '',
                 planningComment: '',
                 lessonProgress: '',
+                lessonStatus: '',
                 observations: '',
                 improvementProposals: '',
-                activityTime: 'Adecuado',
-                evaluation: {
-                    activityAccessibility: 'De Acuerdo',
-                    classMaterials: 'De Acuerdo',
-                    physicalSpace: 'De Acuerdo',
-                    studentInvolvement: 'Bueno',
-                    studentAttitude: 'Bueno'
-                },
+                rubric,
+                evaluation: EvaluationRubric.buildEvaluation(rubric),
                 createdAt: new Date().toISOString(),
                 lastSaved: null
             };
 
             // Inicializar estudiantes
-            const studentsMap = this.studentManager.initializeStudentsForSession(grupo);
+            const studentsMap = this.studentManager.initializeStudentsForSession(grupo, fecha);
             this.currentSession.students = Object.fromEntries(studentsMap);
 
             // Cargar sesión existente si está disponible
             await this.loadExistingSession();
 
-            // Iniciar auto-guardado
-            this.startAutoSave();
+            // Una sesión nueva parte del contenido planificado para el grupo y la fecha
+            if (!this.currentSession.lastSaved && this.lessonPlanner) {
+                this.currentSession.lessonContent = this.lessonPlanner.getPlannedContent(
+                    this.currentSession.grupo, this.currentSession.fecha);
+            }
+
+            // Iniciar auto-guardado (las sesiones archivadas son de solo lectura)
+            if (mode !== CONFIG.SESSION_MODES.ARCHIVED) this.startAutoSave();
 
             this.isDirty = false;
             return true;
@@ -78,12 +89,15 @@ class SessionManager {
     async loadExistingSession() {
         if (!this.currentSession) return;
 
-        const sessionKey = `session_${this.currentSession.grupo}_${this.currentSession.fecha}`;
+        const { grupo, fecha, startTime } = this.currentSession;
+        const sessionKey = StorageService.buildSessionKey(grupo, fecha, startTime);
         const savedSession = await StorageService.getEncrypted(sessionKey);
 
         if (savedSession && savedSession.lastSaved) {
-            this.currentSession = { ...this.currentSession, ...savedSession };
-            this.studentManager.loadStudentsData(this.currentSession.students);
+            // La sesión guardada conserva su propia rúbrica
+            this.currentSession = EvaluationRubric.normalizeSession({ ...this.currentSession, rubric: null, ...savedSession });
+            this.studentManager.loadStudentsData(this.currentSession.students, grupo);
+            this.currentSession.students = this.studentManager.getCurrentStudentsData();
         }
     }
 
@@ -98,15 +112,30 @@ class SessionManager {
             return false;
         }
 
+        // Con la pantalla bloqueada no hay clave de datos para cifrar la sesión
+        if (AuthService.isLocked()) {
+            if (showNotification) errorHandler.handle(new Error('La sesión está bloqueada'), 'SessionManager.saveSession');
+            return false;
+        }
+
+        if (this.isReadOnly()) {
+            if (showNotification) errorHandler.handle(new Error('La sesión pertenece a un año lectivo archivado (solo lectura)'), 'SessionManager.saveSession');
+            return false;
+        }
+
         try {
             this.currentSession.students = this.studentManager.getCurrentStudentsData();
             this.currentSession.lastSaved = new Date().toISOString();
+            // Una planificación no tiene asistencia hasta que se guarda en su fecha
+            this.currentSession.planned = this.getMode() === CONFIG.SESSION_MODES.PLANNING;
 
-            const sessionKey = `session_${this.currentSession.grupo}_${this.currentSession.fecha}`;
+            const { grupo, fecha, startTime } = this.currentSession;
+            const sessionKey = StorageService.buildSessionKey(grupo, fecha, startTime);
 
             if (await StorageService.setEncrypted(sessionKey, this.currentSession)) {
                 this.isDirty = false;
                 window.bitacoraApp?.getComponent('statisticsManager')?.updateFromSession(this.currentSession);
+                if (!this.currentSession.planned) this.lessonPlanner?.recordProgress(this.currentSession);
                 if (showNotification) errorHandler.showSuccess('Sesión guardada correctamente');
                 return true;
             } else {
@@ -128,6 +157,14 @@ class SessionManager {
         if (!this.currentSession) return false;
 
         try {
+            const mode = this.getMode();
+            if (mode === CONFIG.SESSION_MODES.ARCHIVED) {
+                throw new Error('La sesión pertenece a un año lectivo archivado (solo lectura)');
+            }
+            if (mode === CONFIG.SESSION_MODES.PLANNING && !CONFIG.PLANNING_FIELDS.includes(field)) {
+                throw new Error('En una planificación solo se registra el contenido de la lección');
+            }
+
             // Validar campos específicos
             switch (field) {
                 case 'lessonContent':
@@ -137,18 +174,25 @@ class SessionManager {
                 case 'improvementProposals':
                     value = SecurityUtils.sanitizeInput(value, CONFIG.MAX_TEXT_LENGTH);
                     break;
-                case 'activityTime':
-                    if (!CONFIG.EVALUATION_OPTIONS.TIME.includes(value)) {
-                        throw new Error('Valor de tiempo de actividad inválido');
+                case 'lessonStatus':
+                    if (value && !Object.values(CONFIG.LESSON_STATUSES).includes(value)) {
+                        throw new Error('Estado de avance inválido');
                     }
+                    value = value || '';
                     break;
                 default:
                     if (field.startsWith('evaluation.')) {
+                        // Solo criterios y opciones de la rúbrica de esta sesión
                         const evalField = field.split('.')[1];
-                        if (!this.currentSession.evaluation.hasOwnProperty(evalField)) {
+                        const criterion = EvaluationRubric.forSession(this.currentSession)
+                            .find(item => item.id === evalField);
+                        if (!criterion) {
                             throw new Error('Campo de evaluación inválido');
                         }
-                        this.currentSession.evaluation[evalField] = SecurityUtils.sanitizeInput(value, 50);
+                        if (!EvaluationRubric.getOption(criterion, value)) {
+                            throw new Error(`Valor inválido para "${criterion.label}"`);
+                        }
+                        this.currentSession.evaluation[evalField] = value;
                         this.markDirty();
                         return true;
                     }
@@ -164,6 +208,36 @@ class SessionManager {
         }
     }
 
+    /**
+     * Modo de una sesión según su fecha: planificación si es futura, archivada
+     * si es de un año lectivo anterior y activa en los demás casos
+     * @param {string} fecha - YYYY-MM-DD
+     * @param {Date} [now]
+     * @returns {string} - Valor de CONFIG.SESSION_MODES
+     */
+    static getSessionMode(fecha, now = new Date()) {
+        const today = SchoolCalendar.toISODate(now);
+        if (fecha > today) return CONFIG.SESSION_MODES.PLANNING;
+        if (SchoolCalendar.schoolYearOf(fecha) < SchoolCalendar.schoolYearOf(today)) return CONFIG.SESSION_MODES.ARCHIVED;
+        return CONFIG.SESSION_MODES.ACTIVE;
+    }
+
+    /**
+     * Modo de la sesión actual
+     * @returns {string|null} - Valor de CONFIG.SESSION_MODES o null si no hay sesión
+     */
+    getMode() {
+        return this.currentSession ? SessionManager.getSessionMode(this.currentSession.fecha) : null;
+    }
+
+    /**
+     * Indica si la sesión actual es de un año archivado (no se puede modificar)
+     * @returns {boolean}
+     */
+    isReadOnly() {
+        return this.getMode() === CONFIG.SESSION_MODES.ARCHIVED;
+    }
+
     /**
      * Marca sesión como modificada
      */
@@ -212,47 +286,232 @@ class SessionManager {
     }
 
     /**
-     * Obtiene historial de sesiones
-     * @returns {Array} - Array de sesiones
+     * Obtiene historial de sesiones (descifradas)
+     * @returns {Promise<{sessions: Array, failed: number}>} - Sesiones y cantidad de registros que no se pudieron descifrar
      */
-    getSessionHistory() {
+    async getSessionHistory() {
         try {
-            const sessionKeys = StorageService.getKeysMatching('session_');
+            const { entries, failed } = await StorageService.getAllDecrypted('session_');
             const sessions = [];
 
-            sessionKeys.forEach(key => {
-                const session = StorageService.get(key);
+            entries.forEach(({ key, value: session }) => {
                 if (session && session.grupo && session.fecha) {
                     sessions.push({
+                        key,
                         id: session.id,
                         grupo: session.grupo,
                         fecha: session.fecha,
                         startTime: session.startTime,
                         lastSaved: session.lastSaved,
+                        planned: !!session.planned,
+                        mode: SessionManager.getSessionMode(session.fecha),
                         studentCount: Object.keys(session.students || {}).length,
-                        presentCount: Object.values(session.students || {}).filter(s => s.estado === CONFIG.STUDENT_STATES.PRESENTE).length
+                        presentCount: Object.values(session.students || {}).filter(s => s.estado === CONFIG.STUDENT_STATES.PRESENTE).length,
+                        incidentCount: this.getStudentsWithIncidents(session).length
                     });
                 }
             });
 
-            // Ordenar por fecha descendente
-            return sessions.sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+            // Ordenar por fecha y hora descendente (puede haber varias sesiones por día)
+            sessions.sort((a, b) =>
+                (b.fecha || '').localeCompare(a.fecha || '') ||
+                (b.startTime || '').localeCompare(a.startTime || ''));
+            return { sessions, failed: failed.length };
         } catch (error) {
             errorHandler.handle(error, 'SessionManager.getSessionHistory');
-            return [];
+            return { sessions: [], failed: 0 };
+        }
+    }
+
+    /**
+     * Migra las sesiones guardadas con la clave antigua (una por grupo y día)
+     * al formato que incluye la hora de inicio. Las que no se pueden descifrar
+     * se dejan intactas para un intento posterior.
+     * @returns {Promise<number>} - Cantidad de sesiones migradas
+     */
+    async migrateLegacySessions() {
+        let migrated = 0;
+        try {
+            const legacyKeys = StorageService.getKeysMatching('session_')
+                .filter(key => StorageService.isLegacySessionKey(key));
+
+            for (const legacyKey of legacyKeys) {
+                const session = await StorageService.getEncrypted(legacyKey);
+                if (!session || typeof session !== 'object' || !session.grupo || !session.fecha) continue;
+
+                const newKey = StorageService.buildSessionKey(session.grupo, session.fecha, session.startTime);
+                const existing = await StorageService.getEncrypted(newKey);
+
+                // Si ya existe una sesión con la clave nueva, conservar la más reciente
+                if (!existing || new Date(session.lastSaved || 0) > new Date(existing.lastSaved || 0)) {
+                    // Se copia el valor tal como está guardado (cifrado o no)
+                    if (!StorageService.set(newKey, StorageService.get(legacyKey))) continue;
+                }
+                StorageService.remove(legacyKey);
+                migrated++;
+            }
+
+            if (migrated > 0) console.log(`Sesiones migradas al formato por hora: ${migrated}`);
+        } catch (error) {
+            console.error('Error migrando sesiones antiguas:', error);
+        }
+        return migrated;
+    }
+
+    /**
+     * Migra las sesiones cuyos estudiantes están indexados por nombre al
+     * formato por id de ficha, guardando el nombre como referencia histórica.
+     * Debe ejecutarse después de migrateLegacySessions().
+     * @returns {Promise<number>} - Cantidad de sesiones migradas
+     */
+    async migrateNameKeyedSessions() {
+        let migrated = 0;
+        try {
+            const { entries } = await StorageService.getAllDecrypted('session_');
+            let createdRecords = false;
+
+            for (const { key, value: session } of entries) {
+                if (!session || !session.grupo || !session.students || typeof session.students !== 'object') continue;
+
+                const keys = Object.keys(session.students);
+                if (keys.every(k => Validators.validateStudentId(k).valid)) continue;
+
+                const students = {};
+                keys.forEach(studentKey => {
+                    const data = session.students[studentKey];
+                    if (Validators.validateStudentId(studentKey).valid) {
+                        students[studentKey] = data;
+                        return;
+                    }
+                    const id = this.studentManager.ensureStudentRecord(session.grupo, studentKey);
+                    students[id] = { ...data, nombre: studentKey };
+                    createdRecords = true;
+                });
+
+                if (await StorageService.setEncrypted(key, { ...session, students })) migrated++;
+            }
+
+            if (createdRecords) this.studentManager.saveGroups();
+            if (migrated > 0) console.log(`Sesiones migradas a estudiantes por id: ${migrated}`);
+        } catch (error) {
+            console.error('Error migrando estudiantes de sesiones:', error);
         }
+        return migrated;
+    }
+
+    /**
+     * Actualiza el nombre de referencia de un estudiante en todas las sesiones
+     * guardadas (tras corregir su nombre en la lista)
+     * @param {string} studentId - Id de ficha del estudiante
+     * @returns {Promise<number>} - Cantidad de sesiones actualizadas
+     */
+    async updateStudentNameInSessions(studentId) {
+        let updated = 0;
+        try {
+            const nombre = this.studentManager.getStudentName(studentId);
+            const { entries } = await StorageService.getAllDecrypted('session_');
+
+            for (const { key, value: session } of entries) {
+                const data = session?.students?.[studentId];
+                if (!data || data.nombre === nombre) continue;
+                session.students[studentId] = { ...data, nombre };
+                if (await StorageService.setEncrypted(key, session)) updated++;
+            }
+        } catch (error) {
+            errorHandler.handle(error, 'SessionManager.updateStudentNameInSessions');
+        }
+        return updated;
+    }
+
+    /**
+     * Recupera sesiones que quedaron cifradas con la clave de una contraseña
+     * anterior (antes del llavero, cambiar la contraseña cambiaba la clave).
+     * Las que se logran descifrar se vuelven a guardar con la clave de datos actual.
+     * @param {string} oldPassword - Contraseña con la que se guardaron
+     * @returns {Promise<{recovered: number, remaining: number}>}
+     */
+    async recoverSessionsWithPassword(oldPassword) {
+        let recovered = 0;
+        const { failed } = await StorageService.getAllDecrypted('session_');
+        if (failed.length === 0) return { recovered, remaining: 0 };
+
+        const legacyKey = await CryptoService.deriveLegacyKey(oldPassword);
+        for (const key of failed) {
+            try {
+                const session = await CryptoService.decrypt(StorageService.get(key), legacyKey);
+                if (await StorageService.setEncrypted(key, session)) recovered++;
+            } catch {
+                // Cifrada con otra contraseña: se deja intacta
+            }
+        }
+        return { recovered, remaining: failed.length - recovered };
+    }
+
+    /**
+     * Obtiene las sesiones guardadas completas de un grupo en un rango de fechas
+     * @param {string} grupo - Grupo
+     * @param {string} [desde] - Fecha inicial inclusive (YYYY-MM-DD)
+     * @param {string} [hasta] - Fecha final inclusive (YYYY-MM-DD)
+     * @returns {Promise<{sessions: Array, failed: number}>} - Sesiones en orden cronológico
+     */
+    async getSessionsInRange(grupo, desde = '', hasta = '') {
+        try {
+            const keys = await StorageService.getSessionKeys(grupo, desde, hasta);
+            const { entries, failed } = await StorageService.getAllDecrypted(keys);
+            const sessions = entries
+                .map(({ value }) => value)
+                .filter(session => session && session.grupo === grupo && session.fecha &&
+                    (!desde || session.fecha >= desde) &&
+                    (!hasta || session.fecha <= hasta))
+                .sort((a, b) =>
+                    a.fecha.localeCompare(b.fecha) ||
+                    (a.startTime || '').localeCompare(b.startTime || ''));
+            return { sessions, failed: failed.length };
+        } catch (error) {
+            errorHandler.handle(error, 'SessionManager.getSessionsInRange');
+            return { sessions: [], failed: 0 };
+        }
+    }
+
+    /**
+     * Obtiene una sesión guardada (descifrada) sin activarla
+     * @param {string} grupo - Grupo de la sesión
+     * @param {string} fecha - Fecha de la sesión
+     * @param {string} startTime - Hora de inicio de la sesión
+     * @param {string} [key] - Clave guardada (la del historial); si no se indica se arma con los datos
+     * @returns {Promise<Object|null>} - Sesión guardada o null si no existe o no se puede descifrar
+     */
+    async getSavedSession(grupo, fecha, startTime, key = null) {
+        const sessionKey = key || StorageService.buildSessionKey(grupo, fecha, startTime);
+        const savedSession = await StorageService.getEncrypted(sessionKey);
+        return (savedSession && typeof savedSession === 'object') ? savedSession : null;
+    }
+
+    /**
+     * Horas de inicio de las sesiones guardadas de un grupo en una fecha
+     * @param {string} grupo
+     * @param {string} fecha - YYYY-MM-DD
+     * @returns {Array<string>} - HH:MM en orden
+     */
+    getSavedStartTimes(grupo, fecha) {
+        return StorageService.getKeysMatching(`session_${grupo}_${fecha}_`)
+            .map(key => key.match(/_(\d{2})(\d{2})$/))
+            .filter(Boolean)
+            .map(([, hours, minutes]) => `${hours}:${minutes}`)
+            .sort();
     }
 
     /**
      * Carga sesión específica
      * @param {string} grupo - Grupo de la sesión
      * @param {string} fecha - Fecha de la sesión
+     * @param {string} startTime - Hora de inicio de la sesión
+     * @param {string} [key] - Clave guardada (la del historial)
      * @returns {boolean} - Verdadero si se cargó correctamente
      */
-    async loadSession(grupo, fecha) {
+    async loadSession(grupo, fecha, startTime, key = null) {
         try {
-            const sessionKey = `session_${grupo}_${fecha}`;
-            const savedSession = await StorageService.getEncrypted(sessionKey);
+            const savedSession = await this.getSavedSession(grupo, fecha, startTime, key);
 
             if (!savedSession) throw new Error('Sesión no encontrada');
 
@@ -260,9 +519,10 @@ class SessionManager {
             if (!validation.valid) throw new Error('Datos de sesión inválidos: ' + Object.values(validation.errors).join(', '));
 
             this.stopAutoSave();
-            this.currentSession = savedSession;
-            this.studentManager.loadStudentsData(savedSession.students);
-            this.startAutoSave();
+            this.currentSession = EvaluationRubric.normalizeSession(savedSession);
+            this.studentManager.loadStudentsData(savedSession.students, grupo);
+            this.currentSession.students = this.studentManager.getCurrentStudentsData();
+            if (!this.isReadOnly()) this.startAutoSave();
             this.isDirty = false;
             return true;
         } catch (error) {
@@ -275,11 +535,17 @@ class SessionManager {
      * Elimina sesión
      * @param {string} grupo - Grupo de la sesión
      * @param {string} fecha - Fecha de la sesión
+     * @param {string} startTime - Hora de inicio de la sesión
+     * @param {string} [key] - Clave guardada (la del historial; puede tener el formato antiguo)
      * @returns {boolean} - Verdadero si se eliminó correctamente
      */
-    deleteSession(grupo, fecha) {
+    deleteSession(grupo, fecha, startTime, key = null) {
         try {
-            const sessionKey = `session_${grupo}_${fecha}`;
+            if (SessionManager.getSessionMode(fecha) === CONFIG.SESSION_MODES.ARCHIVED) {
+                throw new Error('Las sesiones de años lectivos archivados no se pueden eliminar');
+            }
+            const sessionKey = key || StorageService.buildSessionKey(grupo, fecha, startTime);
+            if (StorageService.get(sessionKey) === null) throw new Error('Sesión no encontrada');
             return StorageService.remove(sessionKey);
         } catch (error) {
             errorHandler.handle(error, 'SessionManager.deleteSession');
@@ -298,34 +564,35 @@ class SessionManager {
     }
 
     /**
-     * Obtiene estadísticas de asistencia de la sesión actual
+     * Obtiene estadísticas de asistencia de una sesión (por defecto, la actual)
+     * @param {Object} [session] - Sesión a resumir
      * @returns {Object} - Estadísticas de asistencia
      */
-    getCurrentAttendanceStats() {
-        if (!this.currentSession || !this.currentSession.students) {
-            return { presente: 0, ausente: 0, tarde: 0, total: 0 };
+    getCurrentAttendanceStats(session = this.currentSession) {
+        const stats = Object.fromEntries(Object.values(CONFIG.STUDENT_STATES).map(state => [state, 0]));
+        if (!session || !session.students) {
+            return { ...stats, total: 0 };
         }
 
-        const stats = { presente: 0, ausente: 0, tarde: 0 };
-
-        Object.values(this.currentSession.students).forEach(student => {
-            stats[student.estado] = (stats[student.estado] || 0) + 1;
+        Object.values(session.students).forEach(student => {
+            if (stats.hasOwnProperty(student.estado)) stats[student.estado]++;
         });
 
-        stats.total = stats.presente + stats.ausente + stats.tarde;
+        stats.total = Object.values(stats).reduce((sum, count) => sum + count, 0);
         return stats;
     }
 
     /**
-     * Obtiene estudiantes con incidencias
+     * Obtiene estudiantes con incidencias de una sesión (por defecto, la actual)
+     * @param {Object} [session] - Sesión a revisar
      * @returns {Array} - Array de estudiantes con incidencias
      */
-    getStudentsWithIncidents() {
-        if (!this.currentSession || !this.currentSession.students) {
+    getStudentsWithIncidents(session = this.currentSession) {
+        if (!session || !session.students) {
             return [];
         }
 
-        return Object.entries(this.currentSession.students)
+        return Object.entries(session.students)
             .filter(([, student]) =>
                 student.estado !== CONFIG.STUDENT_STATES.PRESENTE ||
                 student.bano ||
@@ -333,7 +600,7 @@ class SessionManager {
                 student.otro ||
                 student.comentarios?.length > 0
             )
-            .map(([name, student]) => ({ name, ...student }));
+            .map(([id, student]) => ({ id, name: student.nombre || id, ...student }));
     }
 
     /**
@@ -0,0 +1,285 @@
+/**
+ * Gráficos de asistencia
+ *
+ * Dibuja en un canvas, sin librerías externas, los gráficos de las
+ * estadísticas de un grupo: porcentaje de asistencia por sesión, barras
+ * apiladas presente/tarde/ausente por estudiante y mapa de calor de ausencias
+ * por día de la semana. Los mismos dibujos se insertan como imagen en los PDF.
+ * Los datos salen de StatisticsManager.buildChartData().
+ */
+class StatisticsCharts {
+
+    // =========================================================================
+    // RENDERIZADO
+    // =========================================================================
+
+    /**
+     * Dibuja un gráfico en un canvas
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} type - 'attendance' | 'students' | 'weekdays'
+     * @param {Object} data - De StatisticsManager.buildChartData()
+     * @param {number} [width] - Ancho lógico en píxeles
+     * @param {number} [scale] - Píxeles reales por píxel lógico
+     * @returns {{width: number, height: number}} - Tamaño lógico dibujado
+     */
+    static render(canvas, type, data, width = StatisticsCharts.WIDTH, scale = window.devicePixelRatio || 1) {
+        const height = StatisticsCharts.getHeight(type, data);
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = StatisticsCharts.FONT;
+        ctx.textBaseline = 'middle';
+
+        switch (type) {
+            case 'attendance':
+                StatisticsCharts.drawAttendanceTrend(ctx, data.attendance, width, height);
+                break;
+            case 'students':
+                StatisticsCharts.drawStudentBars(ctx, data.students, width);
+                break;
+            case 'weekdays':
+                StatisticsCharts.drawWeekdayHeatmap(ctx, data, width);
+                break;
+        }
+        return { width, height };
+    }
+
+    /**
+     * Imagen PNG de un gráfico para insertarla en un PDF
+     * @param {string} type
+     * @param {Object} data
+     * @returns {{dataUrl: string, width: number, height: number}}
+     */
+    static toImage(type, data) {
+        const canvas = document.createElement('canvas');
+        const size = StatisticsCharts.render(canvas, type, data, StatisticsCharts.WIDTH, 2);
+        return { dataUrl: canvas.toDataURL('image/png'), ...size };
+    }
+
+    /**
+     * Alto lógico de un gráfico según la cantidad de datos
+     * @param {string} type
+     * @param {Object} data
+     * @returns {number}
+     */
+    static getHeight(type, data) {
+        switch (type) {
+            case 'students':
+                return 40 + Math.max(data.students.length, 1) * StatisticsCharts.ROW_HEIGHT;
+            case 'weekdays':
+                return 36 + (Math.max(data.students.length, 1) + 1) * StatisticsCharts.ROW_HEIGHT;
+            default:
+                return 240;
+        }
+    }
+
+    // =========================================================================
+    // GRÁFICOS
+    // =========================================================================
+
+    /**
+     * Línea del porcentaje de asistencia de cada sesión, con el promedio punteado
+     */
+    static drawAttendanceTrend(ctx, points, width, height) {
+        if (points.length === 0) return StatisticsCharts.drawEmpty(ctx, width, height);
+
+        const area = { left: 44, right: width - 16, top: 16, bottom: height - 36 };
+        const plotWidth = area.right - area.left;
+        const x = index => points.length === 1
+            ? area.left + plotWidth / 2
+            : area.left + index * plotWidth / (points.length - 1);
+        const y = percent => area.bottom - (percent / 100) * (area.bottom - area.top);
+
+        // Cuadrícula y eje vertical
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = StatisticsCharts.rgb(CONFIG.COLORS.SECONDARY);
+        ctx.textAlign = 'right';
+        [0, 25, 50, 75, 100].forEach(percent => {
+            ctx.beginPath();
+            ctx.moveTo(area.left, y(percent));
+            ctx.lineTo(area.right, y(percent));
+            ctx.stroke();
+            ctx.fillText(`${percent}%`, area.left - 6, y(percent));
+        });
+
+        // Fechas: como máximo ocho etiquetas repartidas
+        ctx.textAlign = 'center';
+        const step = Math.max(1, Math.ceil(points.length / 8));
+        points.forEach((point, index) => {
+            if (index % step !== 0 && index !== points.length - 1) return;
+            const [, month, day] = point.fecha.split('-');
+            ctx.fillText(`${day}/${month}`, x(index), area.bottom + 16);
+        });
+
+        // Promedio
+        const average = points.reduce((sum, point) => sum + point.porcentaje, 0) / points.length;
+        ctx.setLineDash([5, 4]);
+        ctx.strokeStyle = StatisticsCharts.rgb(CONFIG.COLORS.WARNING);
+        ctx.beginPath();
+        ctx.moveTo(area.left, y(average));
+        ctx.lineTo(area.right, y(average));
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.textAlign = 'left';
+        ctx.fillStyle = StatisticsCharts.rgb(CONFIG.COLORS.WARNING);
+        ctx.fillText(`Promedio ${average.toFixed(1)}%`, area.left + 4, y(average) + (average > 90 ? 10 : -8));
+
+        // Serie
+        const primary = StatisticsCharts.rgb(CONFIG.COLORS.PRIMARY);
+        ctx.strokeStyle = primary;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) ctx.moveTo(x(index), y(point.porcentaje));
+            else ctx.lineTo(x(index), y(point.porcentaje));
+        });
+        ctx.stroke();
+        if (points.length <= 60) {
+            ctx.fillStyle = primary;
+            points.forEach((point, index) => {
+                ctx.beginPath();
+                ctx.arc(x(index), y(point.porcentaje), 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+    }
+
+    /**
+     * Barras horizontales apiladas presente/tarde/ausente por estudiante
+     */
+    static drawStudentBars(ctx, students, width) {
+        const top = 32;
+        if (students.length === 0) return StatisticsCharts.drawEmpty(ctx, width, top + StatisticsCharts.ROW_HEIGHT);
+
+        const segments = [
+            { key: 'presente', label: 'Presente', color: CONFIG.COLORS.SUCCESS },
+            { key: 'tarde', label: 'Tarde', color: CONFIG.COLORS.WARNING },
+            { key: 'ausente', label: 'Ausente', color: CONFIG.COLORS.DANGER }
+        ];
+        StatisticsCharts.drawLegend(ctx, segments, width);
+
+        const barLeft = StatisticsCharts.LABEL_WIDTH;
+        const barWidth = width - barLeft - 40;
+        const max = Math.max(...students.map(s => s.presente + s.tarde + s.ausente), 1);
+
+        students.forEach((student, index) => {
+            const rowY = top + index * StatisticsCharts.ROW_HEIGHT;
+            const middle = rowY + StatisticsCharts.ROW_HEIGHT / 2;
+            ctx.fillStyle = '#334155';
+            ctx.textAlign = 'right';
+            ctx.fillText(StatisticsCharts.fitText(ctx, student.nombre, barLeft - 10), barLeft - 6, middle);
+
+            let x = barLeft;
+            segments.forEach(segment => {
+                const segmentWidth = (student[segment.key] / max) * barWidth;
+                ctx.fillStyle = StatisticsCharts.rgb(segment.color);
+                ctx.fillRect(x, rowY + 3, segmentWidth, StatisticsCharts.ROW_HEIGHT - 6);
+                x += segmentWidth;
+            });
+
+            ctx.fillStyle = StatisticsCharts.rgb(CONFIG.COLORS.SECONDARY);
+            ctx.textAlign = 'left';
+            ctx.fillText(String(student.presente + student.tarde + student.ausente), x + 4, middle);
+        });
+    }
+
+    /**
+     * Mapa de calor de ausencias por estudiante y día de la semana. La fila del
+     * grupo se colorea con su propio máximo para no opacar a los estudiantes.
+     */
+    static drawWeekdayHeatmap(ctx, data, width) {
+        const { students, weekdays, groupAbsences } = data;
+        const top = 30;
+        if (weekdays.length === 0) return StatisticsCharts.drawEmpty(ctx, width, top + StatisticsCharts.ROW_HEIGHT);
+
+        const left = StatisticsCharts.LABEL_WIDTH;
+        const cellWidth = Math.min(90, (width - left - 10) / weekdays.length);
+        const rowHeight = StatisticsCharts.ROW_HEIGHT;
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#334155';
+        weekdays.forEach((dia, col) => {
+            ctx.fillText(CONFIG.WEEKDAY_LABELS[dia], left + col * cellWidth + cellWidth / 2, top - 12);
+        });
+
+        const studentMax = Math.max(...students.flatMap(s => weekdays.map(dia => s.ausenciasPorDia[dia] || 0)), 1);
+        const groupMax = Math.max(...weekdays.map(dia => groupAbsences[dia] || 0), 1);
+        const rows = [
+            { nombre: 'Todo el grupo', values: groupAbsences, max: groupMax, bold: true },
+            ...students.map(s => ({ nombre: s.nombre, values: s.ausenciasPorDia, max: studentMax }))
+        ];
+
+        const danger = CONFIG.COLORS.DANGER;
+        rows.forEach((row, index) => {
+            const rowY = top + index * rowHeight + (index > 0 ? 4 : 0);
+            const middle = rowY + rowHeight / 2;
+            ctx.font = row.bold ? `bold ${StatisticsCharts.FONT}` : StatisticsCharts.FONT;
+            ctx.fillStyle = '#334155';
+            ctx.textAlign = 'right';
+            ctx.fillText(StatisticsCharts.fitText(ctx, row.nombre, left - 10), left - 6, middle);
+
+            ctx.textAlign = 'center';
+            weekdays.forEach((dia, col) => {
+                const value = row.values[dia] || 0;
+                const intensity = value / row.max;
+                // Del blanco al rojo de peligro según la cantidad de ausencias
+                const color = [255, 255, 255].map((white, i) => Math.round(white + (danger[i] - white) * intensity));
+                const cellX = left + col * cellWidth;
+                ctx.fillStyle = StatisticsCharts.rgb(color);
+                ctx.fillRect(cellX + 1, rowY + 1, cellWidth - 2, rowHeight - 2);
+                ctx.fillStyle = intensity > 0.55 ? '#ffffff' : '#334155';
+                ctx.fillText(String(value), cellX + cellWidth / 2, middle);
+            });
+        });
+        ctx.font = StatisticsCharts.FONT;
+    }
+
+    // =========================================================================
+    // AUXILIARES
+    // =========================================================================
+
+    static drawEmpty(ctx, width, height) {
+        ctx.fillStyle = StatisticsCharts.rgb(CONFIG.COLORS.SECONDARY);
+        ctx.textAlign = 'center';
+        ctx.fillText('Sin datos en el periodo', width / 2, height / 2);
+    }
+
+    static drawLegend(ctx, segments, width) {
+        let x = width - 16;
+        ctx.textAlign = 'right';
+        [...segments].reverse().forEach(segment => {
+            ctx.fillStyle = '#334155';
+            ctx.fillText(segment.label, x, 12);
+            x -= ctx.measureText(segment.label).width + 6;
+            ctx.fillStyle = StatisticsCharts.rgb(segment.color);
+            ctx.fillRect(x - 10, 7, 10, 10);
+            x -= 26;
+        });
+    }
+
+    /**
+     * Recorta un texto con puntos suspensivos hasta que quepa en el ancho dado
+     */
+    static fitText(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+        let fitted = text;
+        while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted}…`;
+    }
+
+    static rgb(color) {
+        return `rgb(${color.join(', ')})`;
+    }
+}
+
+StatisticsCharts.WIDTH = 760;
+StatisticsCharts.ROW_HEIGHT = 18;
+StatisticsCharts.LABEL_WIDTH = 190;
+StatisticsCharts.FONT = '12px Helvetica, Arial, sans-serif';
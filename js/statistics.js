@@ -8,6 +8,11 @@
 class StatisticsManager {
     constructor() {
         this.data = new Map();
+        this.failedSessions = 0; // Sesiones que no se pudieron descifrar en el último recálculo
+        this.sessionDates = new Map(); // grupo -> fechas de las sesiones guardadas (una por sesión)
+        this.chartData = new Map();    // grupo -> datos de los gráficos (buildChartData)
+        this.schoolYear = SchoolCalendar.currentSchoolYear(); // Año lectivo que se resume
+        this.schoolYears = [];     // Años lectivos con sesiones guardadas (del más reciente al más antiguo)
         this.loadStatistics();
     }
 
@@ -15,9 +20,9 @@ class StatisticsManager {
      * Carga estadísticas recalculándolas desde todas las sesiones guardadas.
      * Esto garantiza que siempre estén actualizadas y sin duplicados.
      */
-    loadStatistics() {
+    async loadStatistics() {
         try {
-            this.data = this.recalculateFromAllSessions();
+            this.data = await this.recalculateFromAllSessions();
         } catch (error) {
             console.error('Error cargando estadísticas:', error);
             errorHandler.handle(error, 'StatisticsManager.loadStatistics');
@@ -25,40 +30,73 @@ class StatisticsManager {
         }
     }
 
+    /**
+     * Cambia el año lectivo de las estadísticas (los anteriores se consultan
+     * como archivo). Se aplica en el siguiente recálculo (getAllStatistics)
+     * @param {number} year
+     */
+    setSchoolYear(year) {
+        this.schoolYear = year;
+    }
+
     /**
      * Lee TODAS las sesiones guardadas y recalcula las estadísticas
      * desde cero. Así no hay duplicados aunque se guarde varias veces.
+     * Solo se suman las del año lectivo seleccionado (`this.schoolYear`) y
+     * no las planificaciones, que aún no tienen asistencia.
+     * Las sesiones se leen descifradas; las que no se pueden descifrar
+     * se cuentan en `this.failedSessions`.
      * 
-     * @returns {Map} - Mapa de estadísticas por grupo
+     * @returns {Promise<Map>} - Mapa de estadísticas por grupo
      */
-    recalculateFromAllSessions() {
+    async recalculateFromAllSessions() {
         const result = new Map();
+        const sessionDates = new Map();
+        const groupSessions = new Map();
+        const schoolYears = new Set([SchoolCalendar.currentSchoolYear()]);
 
         try {
-            // Obtener todas las claves de sesiones guardadas
-            const sessionKeys = StorageService.getKeysMatching('session_');
+            // Obtener y descifrar todas las sesiones guardadas
+            const { entries, failed } = await StorageService.getAllDecrypted('session_');
+            this.failedSessions = failed.length;
 
-            sessionKeys.forEach(key => {
-                const session = StorageService.get(key);
+            entries.forEach(({ value: session }) => {
 
                 // Ignorar sesiones inválidas o sin estudiantes
                 if (!session || !session.grupo || !session.students) return;
                 if (!session.lastSaved) return; // Solo sesiones que se hayan guardado
+                if (session.planned || !session.fecha) return;
+
+                const year = SchoolCalendar.schoolYearOf(session.fecha);
+                schoolYears.add(year);
+                if (year !== this.schoolYear) return;
 
                 const grupo = session.grupo;
 
+                if (!sessionDates.has(grupo)) sessionDates.set(grupo, []);
+                sessionDates.get(grupo).push(session.fecha || '');
+                if (!groupSessions.has(grupo)) groupSessions.set(grupo, []);
+                groupSessions.get(grupo).push(session);
+
                 if (!result.has(grupo)) {
                     result.set(grupo, new Map());
                 }
 
                 const groupStats = result.get(grupo);
 
-                Object.entries(session.students).forEach(([studentName, studentData]) => {
-                    if (!groupStats.has(studentName)) {
-                        groupStats.set(studentName, {
+                // Los estudiantes se indexan por id de ficha; el nombre es la
+                // referencia guardada en la sesión más reciente
+                Object.entries(session.students).forEach(([studentId, studentData]) => {
+                    if (!groupStats.has(studentId)) {
+                        groupStats.set(studentId, {
+                            nombre: studentData.nombre || studentId,
+                            ultimaFecha: '',
                             presente: 0,
                             ausente: 0,
                             tarde: 0,
+                            ausenciaJustificada: 0,
+                            retiroAnticipado: 0,
+                            tardiaJustificada: 0,
                             bano: 0,
                             enfermeria: 0,
                             otro: 0,
@@ -67,7 +105,11 @@ class StatisticsManager {
                         });
                     }
 
-                    const stats = groupStats.get(studentName);
+                    const stats = groupStats.get(studentId);
+                    if (studentData.nombre && (session.fecha || '') >= stats.ultimaFecha) {
+                        stats.nombre = studentData.nombre;
+                        stats.ultimaFecha = session.fecha || '';
+                    }
 
                     // Sumar esta sesión (cada sesión solo se lee una vez)
                     const estado = studentData.estado || 'presente';
@@ -86,6 +128,7 @@ class StatisticsManager {
                             if (comment.text) {
                                 stats.comentarios.push({
                                     fecha: session.fecha,
+                                    hora: session.startTime,
                                     texto: SecurityUtils.sanitizeInput(
                                         comment.text,
                                         CONFIG.MAX_COMMENT_LENGTH
@@ -98,7 +141,11 @@ class StatisticsManager {
                 });
             });
 
-            console.log(`Estadísticas recalculadas: ${result.size} grupo(s), ${sessionKeys.length} sesión(es)`);
+            this.sessionDates = sessionDates;
+            this.chartData = new Map(Array.from(groupSessions,
+                ([grupo, sessions]) => [grupo, StatisticsManager.buildChartData(sessions)]));
+            this.schoolYears = Array.from(schoolYears).sort((a, b) => b - a);
+            console.log(`Estadísticas recalculadas: ${result.size} grupo(s), ${entries.length} sesión(es), ${failed.length} sin descifrar`);
         } catch (error) {
             console.error('Error recalculando estadísticas:', error);
         }
@@ -112,16 +159,16 @@ class StatisticsManager {
      * 
      * @param {Object} sessionData - Datos de la sesión recién guardada (no se usa
      *                               directamente, solo dispara el recálculo)
-     * @returns {boolean}
+     * @returns {Promise<boolean>}
      */
-    updateFromSession(sessionData) {
+    async updateFromSession(sessionData) {
         try {
             if (!sessionData || !sessionData.grupo || !sessionData.students) {
                 throw new Error('Datos de sesión inválidos');
             }
 
             // Recalcular todo desde las sesiones guardadas en storage
-            this.data = this.recalculateFromAllSessions();
+            this.data = await this.recalculateFromAllSessions();
             return true;
         } catch (error) {
             errorHandler.handle(error, 'StatisticsManager.updateFromSession');
@@ -158,6 +205,274 @@ class StatisticsManager {
         }
     }
 
+    /**
+     * Construye la ficha longitudinal de un estudiante leyendo todas las
+     * sesiones guardadas de su grupo.
+     * @param {string} groupName - Nombre del grupo
+     * @param {string} studentId - Id de ficha del estudiante
+     * @returns {Promise<Object>} - { id, nombre, grupo, timeline, counts, totalSesiones,
+     *                               porcentajeAsistencia, apoyos, justificaciones,
+     *                               comentariosPorTipo, failed }
+     */
+    async getStudentProfile(groupName, studentId) {
+        const profile = {
+            id: studentId,
+            nombre: studentId,
+            grupo: groupName,
+            timeline: [],
+            counts: {
+                presente: 0, ausente: 0, tarde: 0, ausenciaJustificada: 0, retiroAnticipado: 0, tardiaJustificada: 0,
+                bano: 0, enfermeria: 0, otro: 0, apoyosEducativos: 0
+            },
+            justificaciones: [],
+            totalSesiones: 0,
+            porcentajeAsistencia: 0,
+            apoyos: [],
+            comentariosPorTipo: {},
+            failed: 0
+        };
+
+        try {
+            const { entries, failed } = await StorageService.getAllDecrypted(`session_${groupName}_`);
+            profile.failed = failed.length;
+
+            const sessions = entries
+                .map(({ value }) => value)
+                .filter(session => session && session.grupo === groupName && session.lastSaved && !session.planned &&
+                    session.students && session.students[studentId])
+                .sort((a, b) =>
+                    (a.fecha || '').localeCompare(b.fecha || '') ||
+                    (a.startTime || '').localeCompare(b.startTime || ''));
+
+            sessions.forEach(session => {
+                const data = session.students[studentId];
+                if (data.nombre) profile.nombre = data.nombre;
+                const estado = data.estado || CONFIG.STUDENT_STATES.PRESENTE;
+                const comentarios = Array.isArray(data.comentarios) ? data.comentarios.filter(c => c.text) : [];
+
+                profile.timeline.push({ fecha: session.fecha, hora: session.startTime, estado });
+                if (profile.counts.hasOwnProperty(estado)) profile.counts[estado]++;
+                ['bano', 'enfermeria', 'otro', 'apoyosEducativos'].forEach(field => {
+                    if (data[field]) profile.counts[field]++;
+                });
+
+                if (data.justificacion || data.horaRetiro) {
+                    const label = CONFIG.STUDENT_STATE_META[estado]?.label || estado;
+                    const parts = [label];
+                    if (data.horaRetiro) parts.push(`a las ${data.horaRetiro}`);
+                    if (data.justificacion?.motivo) parts.push(`— ${data.justificacion.motivo}`);
+                    if (data.justificacion?.documento) parts.push(`(Doc.: ${data.justificacion.documento})`);
+                    profile.justificaciones.push({
+                        fecha: session.fecha,
+                        hora: session.startTime,
+                        texto: SecurityUtils.sanitizeInput(parts.join(' '), CONFIG.MAX_COMMENT_LENGTH)
+                    });
+                }
+
+                if (data.apoyosEducativos) {
+                    profile.apoyos.push({
+                        fecha: session.fecha,
+                        hora: session.startTime,
+                        texto: comentarios
+                            .filter(c => c.type === CONFIG.COMMENT_TYPES.APOYOS_EDUCATIVOS)
+                            .map(c => SecurityUtils.sanitizeInput(c.text, CONFIG.MAX_COMMENT_LENGTH))
+                            .join(' / ')
+                    });
+                }
+
+                comentarios.forEach(comment => {
+                    const tipo = comment.type || CONFIG.COMMENT_TYPES.GENERAL;
+                    if (!profile.comentariosPorTipo[tipo]) profile.comentariosPorTipo[tipo] = [];
+                    profile.comentariosPorTipo[tipo].push({
+                        fecha: session.fecha,
+                        hora: session.startTime,
+                        texto: SecurityUtils.sanitizeInput(comment.text, CONFIG.MAX_COMMENT_LENGTH)
+                    });
+                });
+            });
+
+            profile.totalSesiones = sessions.length;
+            profile.porcentajeAsistencia = StatisticsManager.calculateAttendancePercentage(profile.counts, sessions.length);
+        } catch (error) {
+            errorHandler.handle(error, 'StatisticsManager.getStudentProfile');
+        }
+
+        return profile;
+    }
+
+    /**
+     * Cuenta las sesiones guardadas de un grupo en un rango de fechas
+     * (según el último recálculo)
+     * @param {string} groupName
+     * @param {string} desde - YYYY-MM-DD
+     * @param {string} hasta - YYYY-MM-DD (incluido)
+     * @returns {number}
+     */
+    countRecordedSessions(groupName, desde, hasta) {
+        return (this.sessionDates.get(groupName) || [])
+            .filter(fecha => fecha >= desde && fecha <= hasta).length;
+    }
+
+    // =========================================================================
+    // GRÁFICOS
+    // =========================================================================
+
+    /**
+     * Datos de los gráficos de un grupo (según el último recálculo)
+     * @param {string} groupName
+     * @returns {Object|null}
+     */
+    getChartData(groupName) {
+        return this.chartData.get(groupName) || null;
+    }
+
+    /**
+     * Prepara los datos de los gráficos de asistencia a partir de sesiones
+     * guardadas de un grupo. En las barras los estados se agrupan en tres:
+     * retiros con presente, tardías justificadas con tarde y ausencias
+     * justificadas con ausente.
+     * @param {Array<Object>} sessions - Sesiones guardadas (sin planificaciones)
+     * @returns {Object} - { attendance: [{ fecha, startTime, porcentaje }],
+     *                       students: [{ id, nombre, presente, tarde, ausente, ausenciasPorDia }],
+     *                       weekdays: [dia], groupAbsences: { [dia]: n } }
+     */
+    static buildChartData(sessions) {
+        const S = CONFIG.STUDENT_STATES;
+        const students = new Map();
+        const weekdays = new Set();
+        const groupAbsences = {};
+
+        const attendance = [...sessions]
+            .sort((a, b) =>
+                (a.fecha || '').localeCompare(b.fecha || '') ||
+                (a.startTime || '').localeCompare(b.startTime || ''))
+            .map(session => {
+                const dia = SchoolCalendar.weekdayOf(session.fecha);
+                weekdays.add(dia);
+                const counts = {};
+                const entries = Object.entries(session.students || {});
+
+                entries.forEach(([studentId, data]) => {
+                    const estado = data.estado || S.PRESENTE;
+                    counts[estado] = (counts[estado] || 0) + 1;
+
+                    if (!students.has(studentId)) {
+                        students.set(studentId, { id: studentId, nombre: studentId, presente: 0, tarde: 0, ausente: 0, ausenciasPorDia: {} });
+                    }
+                    const row = students.get(studentId);
+                    if (data.nombre) row.nombre = data.nombre;
+
+                    if (estado === S.AUSENTE || estado === S.AUSENCIA_JUSTIFICADA) {
+                        row.ausente++;
+                        row.ausenciasPorDia[dia] = (row.ausenciasPorDia[dia] || 0) + 1;
+                        groupAbsences[dia] = (groupAbsences[dia] || 0) + 1;
+                    } else if (estado === S.TARDE || estado === S.TARDIA_JUSTIFICADA) {
+                        row.tarde++;
+                    } else {
+                        row.presente++;
+                    }
+                });
+
+                return {
+                    fecha: session.fecha,
+                    startTime: session.startTime,
+                    porcentaje: StatisticsManager.calculateAttendancePercentage(counts, entries.length)
+                };
+            });
+
+        return {
+            attendance,
+            students: Array.from(students.values()).sort((a, b) => a.nombre.localeCompare(b.nombre, 'es')),
+            weekdays: Array.from(weekdays).sort((a, b) => a - b),
+            groupAbsences
+        };
+    }
+
+    // =========================================================================
+    // EVALUACIÓN DE LA CLASE
+    // =========================================================================
+
+    /**
+     * Evolución de la autoevaluación de las clases de un grupo. Cada respuesta
+     * se puntúa según su posición en la escala de su criterio (la primera
+     * opción vale 100 y la última 0) y las respuestas en rojo se marcan como
+     * críticas. Cada sesión se lee con su propia rúbrica.
+     * @param {string} groupName
+     * @param {string} desde - YYYY-MM-DD
+     * @param {string} hasta - YYYY-MM-DD (incluido)
+     * @returns {Promise<Object>} - { criteria: [{ id, label, short, promedio, cambio, respuestas }],
+     *                               sessions: [{ fecha, startTime, answers }],
+     *                               critical: [{ fecha, startTime, answers, observations, improvementProposals }],
+     *                               failed }
+     */
+    async getEvaluationTrends(groupName, desde, hasta) {
+        const result = { criteria: [], sessions: [], critical: [], failed: 0 };
+
+        try {
+            const keys = await StorageService.getSessionKeys(groupName, desde, hasta);
+            const { entries, failed } = await StorageService.getAllDecrypted(keys);
+            result.failed = failed.length;
+
+            const sessions = entries
+                .map(({ value }) => value)
+                .filter(session => session && session.grupo === groupName && session.lastSaved && !session.planned &&
+                    session.fecha >= desde && session.fecha <= hasta)
+                .sort((a, b) =>
+                    (a.fecha || '').localeCompare(b.fecha || '') ||
+                    (a.startTime || '').localeCompare(b.startTime || ''));
+
+            // Criterios en el orden de la rúbrica más reciente; los retirados van al final
+            const criteria = new Map();
+            [...sessions].reverse().forEach(session => {
+                EvaluationRubric.forSession(session).forEach(criterion => {
+                    if (!criteria.has(criterion.id)) {
+                        criteria.set(criterion.id, {
+                            id: criterion.id, label: criterion.label, short: criterion.short || '', scores: []
+                        });
+                    }
+                });
+            });
+
+            sessions.forEach(session => {
+                const answers = {};
+                EvaluationRubric.forSession(session).forEach(criterion => {
+                    const value = EvaluationRubric.getValue(session, criterion.id);
+                    const index = criterion.options.findIndex(option => option.value === value);
+                    if (index === -1) return;
+                    const score = Math.round(100 * (1 - index / (criterion.options.length - 1)));
+                    answers[criterion.id] = { value, color: criterion.options[index].color, score };
+                    criteria.get(criterion.id).scores.push(score);
+                });
+                const summary = { fecha: session.fecha, startTime: session.startTime, answers };
+                result.sessions.push(summary);
+
+                if (Object.values(answers).some(answer => answer.color === 'danger')) {
+                    result.critical.push({
+                        ...summary,
+                        observations: SecurityUtils.sanitizeInput(session.observations || '', CONFIG.MAX_TEXT_LENGTH),
+                        improvementProposals: SecurityUtils.sanitizeInput(session.improvementProposals || '', CONFIG.MAX_TEXT_LENGTH)
+                    });
+                }
+            });
+
+            // Promedio y cambio entre la primera y la segunda mitad del rango
+            const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+            result.criteria = Array.from(criteria.values()).map(({ scores, ...criterion }) => {
+                const half = Math.floor(scores.length / 2);
+                return {
+                    ...criterion,
+                    respuestas: scores.length,
+                    promedio: scores.length > 0 ? average(scores) : null,
+                    cambio: half > 0 ? average(scores.slice(-half)) - average(scores.slice(0, half)) : null
+                };
+            });
+        } catch (error) {
+            errorHandler.handle(error, 'StatisticsManager.getEvaluationTrends');
+        }
+
+        return result;
+    }
+
     /**
      * Calcula resumen de un grupo
      * @param {Map} groupStats
@@ -170,6 +485,9 @@ class StatisticsManager {
             totalPresentes: 0,
             totalAusentes: 0,
             totalTardes: 0,
+            totalAusenciasJustificadas: 0,
+            totalRetiros: 0,
+            totalTardiasJustificadas: 0,
             totalBano: 0,
             totalEnfermeria: 0,
             totalOtro: 0,
@@ -186,6 +504,9 @@ class StatisticsManager {
             summary.totalPresentes += studentStats.presente;
             summary.totalAusentes += studentStats.ausente;
             summary.totalTardes += studentStats.tarde;
+            summary.totalAusenciasJustificadas += studentStats.ausenciaJustificada || 0;
+            summary.totalRetiros += studentStats.retiroAnticipado || 0;
+            summary.totalTardiasJustificadas += studentStats.tardiaJustificada || 0;
             summary.totalBano += studentStats.bano;
             summary.totalEnfermeria += studentStats.enfermeria;
             summary.totalOtro += studentStats.otro;
@@ -197,10 +518,12 @@ class StatisticsManager {
 
         summary.totalSesiones = maxSesiones;
 
-        const totalPosible = summary.totalEstudiantes * summary.totalSesiones;
-        if (totalPosible > 0) {
-            summary.promedioAsistencia = (summary.totalPresentes / totalPosible) * 100;
-        }
+        summary.promedioAsistencia = StatisticsManager.calculateAttendancePercentage({
+            presente: summary.totalPresentes,
+            ausenciaJustificada: summary.totalAusenciasJustificadas,
+            retiroAnticipado: summary.totalRetiros,
+            tardiaJustificada: summary.totalTardiasJustificadas
+        }, summary.totalEstudiantes * summary.totalSesiones);
 
         summary.estudiantesConMasAusencias = this.getTopStudentsByMetric(groupStats, 'ausente', 5);
         summary.estudiantesConMasTardanzas = this.getTopStudentsByMetric(groupStats, 'tarde', 5);
@@ -208,6 +531,25 @@ class StatisticsManager {
         return summary;
     }
 
+    /**
+     * Porcentaje de asistencia a partir de los conteos por estado.
+     * Presentes, tardías justificadas y retiros anticipados cuentan como asistencia;
+     * las ausencias justificadas se excluyen del total y no penalizan.
+     * @param {Object} counts - Conteos por estado (claves de CONFIG.STUDENT_STATES)
+     * @param {number} total - Total de registros (sesiones)
+     * @returns {number} - Porcentaje entre 0 y 100
+     */
+    static calculateAttendancePercentage(counts, total) {
+        const S = CONFIG.STUDENT_STATES;
+        const countable = total - (counts[S.AUSENCIA_JUSTIFICADA] || 0);
+        if (countable <= 0) return total > 0 ? 100 : 0;
+
+        const attended = (counts[S.PRESENTE] || 0) +
+            (counts[S.TARDIA_JUSTIFICADA] || 0) +
+            (counts[S.RETIRO_ANTICIPADO] || 0);
+        return (attended / countable) * 100;
+    }
+
     /**
      * Devuelve los N estudiantes con más ocurrencias de una métrica
      */
@@ -216,8 +558,9 @@ class StatisticsManager {
             .filter(([, stats]) => stats[metric] > 0)
             .sort((a, b) => b[1][metric] - a[1][metric])
             .slice(0, limit)
-            .map(([name, stats]) => ({
-                nombre: name,
+            .map(([id, stats]) => ({
+                id,
+                nombre: stats.nombre,
                 valor: stats[metric],
                 porcentaje: stats.totalSesiones > 0
                     ? (stats[metric] / stats.totalSesiones * 100).toFixed(1)
@@ -235,6 +578,9 @@ class StatisticsManager {
             totalPresentes: 0,
             totalAusentes: 0,
             totalTardes: 0,
+            totalAusenciasJustificadas: 0,
+            totalRetiros: 0,
+            totalTardiasJustificadas: 0,
             totalBano: 0,
             totalEnfermeria: 0,
             totalOtro: 0,
@@ -246,10 +592,11 @@ class StatisticsManager {
 
     /**
      * Devuelve todas las estadísticas recalculadas
+     * @returns {Promise<Object>}
      */
-    getAllStatistics() {
+    async getAllStatistics() {
         // Recalcular antes de mostrar para garantizar datos frescos
-        this.data = this.recalculateFromAllSessions();
+        this.data = await this.recalculateFromAllSessions();
 
         const result = {};
         this.data.forEach((groupStats, groupName) => {
@@ -1,12 +1,409 @@
+/**
+ * Almacén IndexedDB de la aplicación (una base de datos por cuenta).
+ * Cada entrada guarda el valor ya serializado (igual que localStorage), cifrado
+ * con la clave de datos de la cuenta, y si es una sesión de clase, su grupo y
+ * fecha para poder consultarlas por índice.
+ */
+const IndexedDBStore = {
+
+    db: null,
+    STORE: 'entries',
+
+    /**
+     * Indica si el navegador expone IndexedDB
+     * @returns {boolean}
+     */
+    isSupported() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Abre (o crea) la base de datos con la que trabajan las demás operaciones
+     * @param {string} name
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open(name) {
+        this.db = await this._openDatabase(name);
+        return this.db;
+    },
+
+    _openDatabase(name) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, CONFIG.IDB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE)) {
+                    const store = db.createObjectStore(this.STORE, { keyPath: 'key' });
+                    store.createIndex('grupo', 'grupo', { unique: false });
+                    store.createIndex('fecha', 'fecha', { unique: false });
+                    store.createIndex('grupo_fecha', ['grupo', 'fecha'], { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('La base de datos está bloqueada por otra pestaña'));
+        });
+    },
+
+    /**
+     * Ejecuta una operación dentro de una transacción y espera a que termine
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - Recibe el object store; puede devolver un IDBRequest
+     * @returns {Promise<any>} - Resultado del request devuelto por la operación
+     */
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.STORE, mode);
+            const request = operation(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transacción cancelada'));
+        });
+    },
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    },
+
+    putAll(records) {
+        return this.transaction('readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    },
+
+    delete(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    },
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    },
+
+    /**
+     * Lee todas las entradas de otra base de datos (sin cambiar la activa)
+     * @param {string} name
+     * @returns {Promise<Array<Object>>}
+     */
+    async readDatabase(name) {
+        const db = await this._openDatabase(name);
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction(this.STORE, 'readonly').objectStore(this.STORE).getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    },
+
+    /**
+     * Elimina una base de datos completa
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    deleteDatabase(name) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(name);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => resolve(); // Se elimina cuando se cierren las otras pestañas
+        });
+    },
+
+    /**
+     * Claves de las sesiones de un grupo en un rango de fechas (índice grupo_fecha)
+     * @returns {Promise<Array<string>>}
+     */
+    getSessionKeys(grupo, desde, hasta) {
+        const range = IDBKeyRange.bound([grupo, desde], [grupo, hasta]);
+        return this.transaction('readonly', store => store.index('grupo_fecha').getAllKeys(range));
+    }
+};
+
 /**
  * Servicio de almacenamiento seguro
+ *
+ * Usa IndexedDB cuando está disponible: los datos se cargan en memoria al
+ * iniciar (StorageService.init()) para conservar la API síncrona y cada
+ * escritura se persiste en segundo plano, cifrada con la clave de datos de la
+ * cuenta. Si IndexedDB no está disponible se trabaja directamente sobre
+ * localStorage, con su límite de 5 MB (ahí solo las sesiones van cifradas);
+ * por eso sin IndexedDB no se permite más de una cuenta en el dispositivo
+ * (ver canIsolateAccounts()).
+ *
+ * Cada cuenta trabaja en su propio espacio de nombres: las claves llevan el
+ * prefijo 'bitacora_v2_<id de cuenta>:' y la base de datos el sufijo del id.
  */
 class StorageService {
     /**
-     * Verifica si localStorage está disponible
+     * Inicializa el backend de almacenamiento. Debe llamarse una vez, después
+     * del login y antes de crear los componentes de la aplicación.
+     * @param {string} [namespace] - Id de la cuenta con sesión iniciada
+     * @param {{adoptLegacy?: boolean}} [options] - Mover a esta cuenta los datos sin espacio de nombres
+     * @returns {Promise<string>} - Backend en uso ('indexedDB' | 'localStorage')
+     */
+    static async init(namespace = '', { adoptLegacy = false } = {}) {
+        if (this._initialized) return this._backend;
+        this._initialized = true;
+        this._namespace = namespace;
+        errorHandler.setStorageKey(this._prefix() + 'errorLogs');
+
+        if (adoptLegacy && namespace) this._adoptLegacyLocalStorage();
+        if (!IndexedDBStore.isSupported()) {
+            this._legacyAdopted = adoptLegacy;
+            return this._backend;
+        }
+
+        try {
+            await IndexedDBStore.open(this._databaseName());
+            this._dataKey = CryptoService.hasSessionKey() ? await CryptoService.getSessionKey() : null;
+            if (adoptLegacy && namespace) await this._adoptLegacyDatabase();
+            this._legacyAdopted = adoptLegacy;
+
+            const cache = new Map();
+            let unreadable = 0;
+            for (const record of await IndexedDBStore.getAll()) {
+                const value = await this._openValue(record);
+                if (value === null) unreadable++;
+                else cache.set(record.key, value);
+            }
+            if (unreadable > 0) console.warn(`[Storage] ${unreadable} entrada(s) no se pudieron descifrar`);
+            await this._migrateFromLocalStorage(cache);
+
+            this._cache = cache;
+            this._size = 0;
+            cache.forEach((value, key) => { this._size += key.length + value.length; });
+            this._quota = await this._estimateQuota();
+            this._backend = 'indexedDB';
+        } catch (error) {
+            console.warn('[Storage] IndexedDB no disponible, usando localStorage:', error);
+            IndexedDBStore.db = null;
+        }
+        return this._backend;
+    }
+
+    /**
+     * Indica si los datos de cada cuenta quedarían cifrados y separados de los
+     * de otras cuentas, es decir, si IndexedDB se puede abrir en este navegador.
+     * Sin IndexedDB las fichas y demás datos quedan en claro en localStorage.
+     * @returns {Promise<boolean>}
+     */
+    static async canIsolateAccounts() {
+        if (this._initialized) return this._backend === 'indexedDB';
+        if (!IndexedDBStore.isSupported()) return false;
+        const probe = `${CONFIG.IDB_NAME}_probe`;
+        try {
+            const db = await IndexedDBStore._openDatabase(probe);
+            db.close();
+            await IndexedDBStore.deleteDatabase(probe);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Indica si init() movió a la cuenta actual los datos de la versión con una sola cuenta
+     * @returns {boolean}
+     */
+    static hasAdoptedLegacyData() {
+        return this._legacyAdopted;
+    }
+
+    /**
+     * Prefijo de las claves de la cuenta actual
+     * @private
+     */
+    static _prefix() {
+        return this._namespace ? `${CONFIG.STORAGE_PREFIX}${this._namespace}:` : CONFIG.STORAGE_PREFIX;
+    }
+
+    static _databaseName() {
+        return this._namespace ? `${CONFIG.IDB_NAME}_${this._namespace}` : CONFIG.IDB_NAME;
+    }
+
+    /**
+     * Indica si una clave de localStorage pertenece al espacio de alguna cuenta
+     * @private
+     */
+    static _isNamespacedKey(rawKey) {
+        return /^u[a-z0-9_]+:/.test(rawKey.slice(CONFIG.STORAGE_PREFIX.length));
+    }
+
+    /**
+     * Mueve al espacio de la cuenta actual las claves de localStorage sin espacio de nombres
+     * @private
+     */
+    static _adoptLegacyLocalStorage() {
+        const keys = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+            .filter(key => key && key.startsWith(CONFIG.STORAGE_PREFIX) && !this._isNamespacedKey(key));
+        keys.forEach(key => {
+            localStorage.setItem(this._prefix() + key.slice(CONFIG.STORAGE_PREFIX.length), localStorage.getItem(key));
+            localStorage.removeItem(key);
+        });
+    }
+
+    /**
+     * Copia a la base de datos de la cuenta actual la base compartida de la
+     * versión con una sola cuenta y luego la elimina
+     * @private
+     */
+    static async _adoptLegacyDatabase() {
+        const legacy = await IndexedDBStore.readDatabase(CONFIG.IDB_NAME);
+        if (legacy.length > 0) {
+            const records = legacy.map(record =>
+                this._buildRecord(this._prefix() + record.key.slice(CONFIG.STORAGE_PREFIX.length), record.value));
+            await IndexedDBStore.putAll(await Promise.all(records.map(record => this._sealRecord(record))));
+            console.log(`[Storage] ${records.length} entrada(s) movidas a la cuenta actual`);
+        }
+        await IndexedDBStore.deleteDatabase(CONFIG.IDB_NAME);
+    }
+
+    /**
+     * Cifra el valor de un registro con la clave de datos de la cuenta. Sin
+     * llavero (cuenta sin cifrado) se guarda tal cual; con llavero y sin clave
+     * (sesión bloqueada) no se escribe en claro.
+     * @private
+     */
+    static async _sealRecord(record) {
+        if (!this._dataKey) {
+            if (CryptoService.hasKeyring()) throw new Error('La clave de datos no está disponible');
+            return record;
+        }
+        return { ...record, value: await CryptoService.encrypt(record.value, this._dataKey) };
+    }
+
+    /**
+     * Valor serializado de un registro de IndexedDB, o null si no se puede descifrar.
+     * Los valores sin cifrar nunca empiezan con 'enc:' (son JSON).
+     * @private
+     */
+    static async _openValue(record) {
+        if (!CryptoService.isEncrypted(record.value)) return record.value;
+        if (!this._dataKey) return null;
+        try {
+            return await CryptoService.decrypt(record.value, this._dataKey);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Mueve a IndexedDB los datos que aún estén en localStorage (instalaciones
+     * anteriores o escritos mientras IndexedDB no estaba disponible).
+     * Las claves se borran de localStorage solo después de confirmar la escritura.
+     * @private
+     * @param {Map} cache - Entradas ya leídas de IndexedDB (se actualiza)
+     * @returns {Promise<number>} - Entradas migradas
+     */
+    static async _migrateFromLocalStorage(cache) {
+        const errorLogsKey = this._prefix() + 'errorLogs';
+        const keys = this._localStorageKeys().filter(key => key !== errorLogsKey);
+        if (keys.length === 0) return 0;
+
+        const records = keys.map(key => this._buildRecord(key, localStorage.getItem(key)));
+        await IndexedDBStore.putAll(await Promise.all(records.map(record => this._sealRecord(record))));
+
+        records.forEach(record => {
+            cache.set(record.key, record.value);
+            localStorage.removeItem(record.key);
+        });
+        console.log(`[Storage] ${records.length} entrada(s) migradas de localStorage a IndexedDB`);
+        return records.length;
+    }
+
+    /**
+     * Cuota disponible para la app según el navegador
+     * @private
+     */
+    static async _estimateQuota() {
+        try {
+            if (navigator.storage && navigator.storage.estimate) {
+                const { quota } = await navigator.storage.estimate();
+                if (quota) return quota;
+            }
+        } catch (e) { /* sin estimación: se usa el límite por defecto */ }
+        return CONFIG.MAX_STORAGE_SIZE;
+    }
+
+    /**
+     * Registro de IndexedDB para una clave completa (con prefijo).
+     * Las sesiones se indexan por grupo y fecha.
+     * @private
+     */
+    static _buildRecord(fullKey, value) {
+        const record = { key: fullKey, value };
+        const match = fullKey.slice(this._prefix().length).match(/^session_(.+)_(\d{4}-\d{2}-\d{2})(?:_\d{4})?$/);
+        if (match) {
+            record.grupo = match[1];
+            record.fecha = match[2];
+        }
+        return record;
+    }
+
+    /**
+     * Encola una escritura en IndexedDB. Los errores se reportan pero no
+     * interrumpen las escrituras siguientes.
+     * @private
+     */
+    static _persist(operation) {
+        this._writes = this._writes
+            .then(operation)
+            .catch(error => errorHandler.handle(error, 'StorageService.persist'));
+        return this._writes;
+    }
+
+    /**
+     * Espera a que terminen las escrituras pendientes en IndexedDB
+     * @returns {Promise<void>}
+     */
+    static flush() {
+        return this._writes;
+    }
+
+    /**
+     * Olvida la clave de datos al bloquear la sesión. Lo que se escriba
+     * mientras tanto queda en memoria y se persiste cifrado al desbloquear.
+     */
+    static lock() {
+        this._dataKey = null;
+    }
+
+    /**
+     * Recupera la clave de datos al desbloquear y persiste las escrituras aplazadas
+     * @returns {Promise<void>}
+     */
+    static async unlock() {
+        if (!this._cache) return;
+        this._dataKey = CryptoService.hasSessionKey() ? await CryptoService.getSessionKey() : null;
+        if (!this._dataKey || this._deferred.size === 0) return;
+
+        const records = Array.from(this._deferred)
+            .filter(key => this._cache.has(key))
+            .map(key => this._buildRecord(key, this._cache.get(key)));
+        this._deferred.clear();
+        await this._persist(async () => IndexedDBStore.putAll(await Promise.all(records.map(record => this._sealRecord(record)))));
+    }
+
+    /**
+     * Backend en uso
+     * @returns {string} - 'indexedDB' | 'localStorage'
+     */
+    static getBackend() {
+        return this._backend;
+    }
+
+    /**
+     * Verifica si el almacenamiento está disponible
      * @returns {boolean}
      */
     static isAvailable() {
+        if (this._cache) return true;
         try {
             const test = '__storage_test__';
             localStorage.setItem(test, test);
@@ -17,13 +414,30 @@ class StorageService {
         }
     }
 
+    /**
+     * Claves de esta app guardadas en localStorage (con prefijo)
+     * @private
+     */
+    static _localStorageKeys() {
+        return Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+            .filter(key => key && key.startsWith(this._prefix()));
+    }
+
     /**
      * Itera solo las claves de esta app. Devuelve array de raw keys (con prefijo).
      * @private
      */
     static _appKeys() {
-        return Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
-            .filter(key => key && key.startsWith(CONFIG.STORAGE_PREFIX));
+        return this._cache ? Array.from(this._cache.keys()) : this._localStorageKeys();
+    }
+
+    /**
+     * Valor serializado de una clave completa, o null si no existe
+     * @private
+     */
+    static _rawGet(fullKey) {
+        if (this._cache) return this._cache.has(fullKey) ? this._cache.get(fullKey) : null;
+        return localStorage.getItem(fullKey);
     }
 
     /**
@@ -31,21 +445,40 @@ class StorageService {
      * @returns {number} - Bytes utilizados
      */
     static getStorageSize() {
+        if (this._cache) return this._size;
         try {
-            return this._appKeys().reduce((total, key) => total + key.length + localStorage[key].length, 0);
+            return this._appKeys().reduce((total, key) => total + key.length + (localStorage.getItem(key) || '').length, 0);
         } catch (error) {
             console.error('Error calculando tamaño de almacenamiento:', error);
             return 0;
         }
     }
 
+    /**
+     * Espacio máximo disponible para la app
+     * @returns {number} - Bytes
+     */
+    static getStorageQuota() {
+        return this._cache ? this._quota : CONFIG.MAX_STORAGE_SIZE;
+    }
+
+    /**
+     * Tamaño serializado de una entrada (clave + valor)
+     * @param {string} key - Clave sin prefijo
+     * @returns {number} - Bytes
+     */
+    static getEntrySize(key) {
+        const fullKey = SecurityUtils.sanitizeAttribute(this._prefix() + key);
+        return fullKey.length + (this._rawGet(fullKey) || '').length;
+    }
+
     /**
      * Verifica si hay espacio suficiente
      * @param {string} data - Datos a almacenar
      * @returns {boolean}
      */
     static hasSpace(data) {
-        return (this.getStorageSize() + JSON.stringify(data).length) < CONFIG.MAX_STORAGE_SIZE;
+        return (this.getStorageSize() + JSON.stringify(data).length) < this.getStorageQuota();
     }
 
     /**
@@ -56,18 +489,31 @@ class StorageService {
      */
     static set(key, value) {
         if (!this.isAvailable()) {
-            throw new Error('localStorage no está disponible');
+            throw new Error('El almacenamiento local no está disponible');
         }
 
         try {
-            const sanitizedKey = SecurityUtils.sanitizeAttribute(CONFIG.STORAGE_PREFIX + key);
+            const sanitizedKey = SecurityUtils.sanitizeAttribute(this._prefix() + key);
             const serializedValue = JSON.stringify(value);
 
             if (!this.hasSpace(serializedValue)) {
                 throw new Error('No hay suficiente espacio de almacenamiento');
             }
 
-            localStorage.setItem(sanitizedKey, serializedValue);
+            if (this._cache) {
+                const previous = this._cache.get(sanitizedKey);
+                if (previous !== undefined) this._size -= sanitizedKey.length + previous.length;
+                this._size += sanitizedKey.length + serializedValue.length;
+                this._cache.set(sanitizedKey, serializedValue);
+                if (!this._dataKey && CryptoService.hasKeyring()) {
+                    this._deferred.add(sanitizedKey); // Sesión bloqueada: se persiste al desbloquear
+                } else {
+                    const record = this._buildRecord(sanitizedKey, serializedValue);
+                    this._persist(async () => IndexedDBStore.putAll([await this._sealRecord(record)]));
+                }
+            } else {
+                localStorage.setItem(sanitizedKey, serializedValue);
+            }
             return true;
         } catch (error) {
             errorHandler.handle(error, 'StorageService.set');
@@ -85,8 +531,8 @@ class StorageService {
         if (!this.isAvailable()) return defaultValue;
 
         try {
-            const sanitizedKey = SecurityUtils.sanitizeAttribute(CONFIG.STORAGE_PREFIX + key);
-            const item = localStorage.getItem(sanitizedKey);
+            const sanitizedKey = SecurityUtils.sanitizeAttribute(this._prefix() + key);
+            const item = this._rawGet(sanitizedKey);
             return item === null ? defaultValue : JSON.parse(item);
         } catch (error) {
             console.error('Error obteniendo datos del almacenamiento:', error);
@@ -96,7 +542,8 @@ class StorageService {
 
     /**
      * Guarda datos cifrados con AES-GCM si hay clave de sesión disponible.
-     * Si no hay clave (ej. primera vez), guarda sin cifrar.
+     * Solo una cuenta sin llavero guarda sin cifrar; con llavero y sin clave
+     * (sesión bloqueada) no se guarda.
      * @param {string} key
      * @param {any} value
      * @returns {Promise<boolean>}
@@ -110,38 +557,79 @@ class StorageService {
                     return this.set(key, encrypted);
                 }
             }
+            if (CryptoService.hasKeyring()) {
+                console.warn(`[Storage] Sin clave de datos: no se guarda ${key}`);
+                return false;
+            }
             return this.set(key, value);
         } catch (error) {
-            console.warn('[Storage] Cifrado falló, guardando sin cifrar:', error);
-            return this.set(key, value);
+            console.warn('[Storage] Cifrado falló:', error);
+            return CryptoService.hasKeyring() ? false : this.set(key, value);
         }
     }
 
     /**
      * Obtiene y descifra datos guardados con setEncrypted().
      * Compatible con datos guardados sin cifrar (retrocompatible).
+     * Nunca devuelve el texto cifrado: si no se puede descifrar devuelve `defaultValue`.
      * @param {string} key
      * @param {any} defaultValue
      * @returns {Promise<any>}
      */
     static async getEncrypted(key, defaultValue = null) {
+        const raw = this.get(key, defaultValue);
+        if (raw === defaultValue) return defaultValue;
+
+        // Datos en texto plano (retrocompatible con datos anteriores al cifrado)
+        if (!CryptoService.isEncrypted(raw)) return raw;
+
         try {
-            const raw = this.get(key, defaultValue);
-            if (raw === defaultValue) return defaultValue;
+            const aesKey = CryptoService.hasSessionKey() ? await CryptoService.getSessionKey() : null;
+            if (!aesKey) throw new Error('No hay clave de sesión');
+            return await CryptoService.decrypt(raw, aesKey);
+        } catch (error) {
+            console.warn(`[Storage] No se pudo descifrar ${key}:`, error);
+            return defaultValue;
+        }
+    }
 
-            // Si comienza con 'enc:', intentar descifrar
-            if (CryptoService.isEncrypted(raw) && CryptoService.hasSessionKey()) {
-                const aesKey = await CryptoService.getSessionKey();
-                if (aesKey) {
-                    return await CryptoService.decrypt(raw, aesKey);
-                }
+    /**
+     * Obtiene y descifra todas las entradas cuyas claves contienen el patrón.
+     * A diferencia de getEncrypted(), nunca devuelve el texto cifrado: las
+     * entradas que no se pueden descifrar se reportan en `failed`.
+     * @param {string|Array<string>} pattern - Patrón a buscar (sin prefijo) o lista de claves
+     * @returns {Promise<{entries: Array<{key: string, value: any}>, failed: Array<string>}>}
+     */
+    static async getAllDecrypted(pattern) {
+        const entries = [];
+        const failed = [];
+
+        const keys = Array.isArray(pattern) ? pattern : this.getKeysMatching(pattern);
+        if (keys.length === 0) return { entries, failed };
+
+        const aesKey = CryptoService.hasSessionKey() ? await CryptoService.getSessionKey() : null;
+
+        for (const key of keys) {
+            const raw = this.get(key);
+            if (raw === null) continue;
+
+            if (!CryptoService.isEncrypted(raw)) {
+                entries.push({ key, value: raw });
+                continue;
+            }
+            if (!aesKey) {
+                failed.push(key);
+                continue;
+            }
+            try {
+                entries.push({ key, value: await CryptoService.decrypt(raw, aesKey) });
+            } catch (error) {
+                console.warn(`[Storage] No se pudo descifrar ${key}:`, error);
+                failed.push(key);
             }
-            // Datos en texto plano (retrocompatible con datos anteriores al cifrado)
-            return raw;
-        } catch (error) {
-            console.warn('[Storage] Descifrado falló, devolviendo raw:', error);
-            return this.get(key, defaultValue);
         }
+
+        return { entries, failed };
     }
 
 
@@ -154,8 +642,16 @@ class StorageService {
         if (!this.isAvailable()) return false;
 
         try {
-            const sanitizedKey = SecurityUtils.sanitizeAttribute(CONFIG.STORAGE_PREFIX + key);
-            localStorage.removeItem(sanitizedKey);
+            const sanitizedKey = SecurityUtils.sanitizeAttribute(this._prefix() + key);
+            if (this._cache) {
+                if (!this._cache.has(sanitizedKey)) return true;
+                this._size -= sanitizedKey.length + this._cache.get(sanitizedKey).length;
+                this._cache.delete(sanitizedKey);
+                this._deferred.delete(sanitizedKey);
+                this._persist(() => IndexedDBStore.delete(sanitizedKey));
+            } else {
+                localStorage.removeItem(sanitizedKey);
+            }
             return true;
         } catch (error) {
             console.error('Error eliminando datos:', error);
@@ -172,10 +668,11 @@ class StorageService {
         if (!this.isAvailable()) return [];
 
         try {
-            const fullPattern = CONFIG.STORAGE_PREFIX + pattern;
+            const prefix = this._prefix();
+            const fullPattern = prefix + pattern;
             return this._appKeys()
                 .filter(key => key.includes(fullPattern))
-                .map(key => key.replace(CONFIG.STORAGE_PREFIX, ''));
+                .map(key => key.slice(prefix.length));
         } catch (error) {
             console.error('Error obteniendo claves:', error);
             return [];
@@ -190,8 +687,13 @@ class StorageService {
         if (!this.isAvailable()) return false;
 
         try {
+            if (this._cache) {
+                this._cache.clear();
+                this._size = 0;
+                this._persist(() => IndexedDBStore.clear());
+            }
             // Snapshot first to avoid mutation during iteration
-            this._appKeys().forEach(key => localStorage.removeItem(key));
+            this._localStorageKeys().forEach(key => localStorage.removeItem(key));
             return true;
         } catch (error) {
             console.error('Error limpiando almacenamiento:', error);
@@ -200,65 +702,160 @@ class StorageService {
     }
 
     /**
-     * Crea respaldo completo de datos
-     * @returns {Object}
+     * Crea respaldo completo de datos. Las sesiones se descifran con la clave
+     * de este dispositivo para que el respaldo se pueda restaurar en otro.
+     * @returns {Promise<{backup: Object, failed: Array<string>}>} - `failed`: claves que no se pudieron descifrar (se omiten)
      */
-    static createBackup() {
+    static async createBackup() {
         if (!this.isAvailable()) {
-            throw new Error('localStorage no está disponible');
+            throw new Error('El almacenamiento local no está disponible');
         }
 
         try {
             const backup = {
                 version: CONFIG.VERSION,
                 timestamp: new Date().toISOString(),
+                type: 'full_backup',
                 data: {}
             };
 
-            this._appKeys().forEach(key => {
-                const cleanKey = key.replace(CONFIG.STORAGE_PREFIX, '');
-                backup.data[cleanKey] = JSON.parse(localStorage.getItem(key));
+            const { entries, failed } = await this.getAllDecrypted('');
+            entries.forEach(({ key, value }) => {
+                backup.data[key] = value;
             });
 
-            return backup;
+            return { backup, failed };
         } catch (error) {
             throw new Error('Error creando respaldo: ' + error.message);
         }
     }
 
     /**
-     * Restaura desde respaldo
-     * @param {Object} backup - Datos de respaldo
-     * @returns {boolean}
+     * Descarga el respaldo completo cifrado con una frase de paso
+     * @param {string} passphrase
+     * @returns {Promise<{exported: number, failed: number}>}
      */
-    static restoreFromBackup(backup) {
+    static async exportBackupToFile(passphrase) {
+        const { backup, failed } = await this.createBackup();
+        const file = await CryptoService.encryptBackup(backup, passphrase, backup.type);
+        this._downloadJSON(file, `bitacora_backup_${new Date().toISOString().split('T')[0]}.json`);
+        return { exported: Object.keys(backup.data).length, failed: failed.length };
+    }
+
+    /**
+     * Restaura desde respaldo (reemplaza todos los datos).
+     * Las sesiones y los contactos con encargados en texto plano se vuelven a cifrar con la clave de este dispositivo.
+     * @param {Object} backup - Datos de respaldo (ya descifrados)
+     * @returns {Promise<number>} - Elementos restaurados
+     */
+    static async restoreFromBackup(backup) {
         if (!this.isAvailable()) {
-            throw new Error('localStorage no está disponible');
+            throw new Error('El almacenamiento local no está disponible');
         }
 
-        if (!backup || !backup.data) {
+        if (!backup || !backup.data || typeof backup.data !== 'object') {
             throw new Error('Formato de respaldo inválido');
         }
 
         try {
             this.clear();
+            let restored = 0;
             for (const [key, value] of Object.entries(backup.data)) {
-                this.set(key, value);
+                if (await this._setImported(key, value)) restored++;
             }
-            return true;
+            return restored;
         } catch (error) {
             throw new Error('Error restaurando respaldo: ' + error.message);
         }
     }
 
     /**
-     * Exporta solo las sesiones (session_*) a un archivo JSON descargable.
+     * Guarda una entrada proveniente de un respaldo: las entradas que se
+     * guardan cifradas (sesiones y contactos con encargados) se vuelven a
+     * cifrar, el resto se guarda tal cual.
+     * @private
      */
-    static exportHistoryToFile() {
+    static async _setImported(key, value) {
+        const sealed = key.startsWith('session_') || key === 'guardian_contacts';
+        if (sealed && !CryptoService.isEncrypted(value)) {
+            return this.setEncrypted(key, value);
+        }
+        return this.set(key, value);
+    }
+
+    /**
+     * Descarga un objeto como archivo JSON
+     * @private
+     */
+    static _downloadJSON(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Claves de las sesiones de un grupo en un rango de fechas.
+     * Con IndexedDB se resuelve con el índice grupo_fecha.
+     * @param {string} grupo - Grupo
+     * @param {string} [desde] - Fecha inicial inclusive (YYYY-MM-DD)
+     * @param {string} [hasta] - Fecha final inclusive (YYYY-MM-DD)
+     * @returns {Promise<Array<string>>} - Claves sin prefijo
+     */
+    static async getSessionKeys(grupo, desde = '', hasta = '') {
+        if (this._cache) {
+            await this.flush();
+            const keys = await IndexedDBStore.getSessionKeys(grupo, desde, hasta || '9999-12-31');
+            return keys.map(key => key.slice(this._prefix().length));
+        }
+
+        return this.getKeysMatching(`session_${grupo}_`).filter(key => {
+            const record = this._buildRecord(this._prefix() + key, null);
+            return record.grupo === grupo &&
+                (!desde || record.fecha >= desde) &&
+                (!hasta || record.fecha <= hasta);
+        });
+    }
+
+    /**
+     * Construye la clave de almacenamiento de una sesión de clase.
+     * Incluye la hora de inicio para permitir varias sesiones del mismo grupo en un día.
+     * @param {string} grupo - Grupo de la sesión
+     * @param {string} fecha - Fecha (YYYY-MM-DD)
+     * @param {string} startTime - Hora de inicio (HH:MM)
+     * @returns {string} - Ej: 'session_7A_2026-03-05_0700'
+     */
+    static buildSessionKey(grupo, fecha, startTime) {
+        // '7:30' y '07:30' son la misma sesión: la clave lleva siempre cuatro dígitos
+        const time = String(startTime || '00:00').padStart(5, '0').replace(':', '');
+        return `session_${grupo}_${fecha}_${time}`;
+    }
+
+    /**
+     * Indica si una clave corresponde al formato antiguo de una sesión por día
+     * (session_<grupo>_<fecha>, sin hora de inicio).
+     * @param {string} key - Clave sin prefijo
+     * @returns {boolean}
+     */
+    static isLegacySessionKey(key) {
+        return /^session_[^_]+_\d{4}-\d{2}-\d{2}$/.test(key);
+    }
+
+    /**
+     * Exporta solo las sesiones (session_*) a un archivo JSON cifrado con una frase de paso.
+     * @param {string} passphrase
+     * @returns {Promise<{exported: number, failed: number}>}
+     */
+    static async exportHistoryToFile(passphrase) {
         try {
-            const sessionKeys = this.getKeysMatching('session_');
-            if (sessionKeys.length === 0) {
-                throw new Error('No hay sesiones guardadas para exportar.');
+            const { entries, failed } = await this.getAllDecrypted('session_');
+            if (entries.length === 0) {
+                throw new Error(failed.length
+                    ? 'Ninguna sesión se pudo descifrar con la clave actual.'
+                    : 'No hay sesiones guardadas para exportar.');
             }
             const historyData = {
                 version: CONFIG.VERSION,
@@ -266,41 +863,52 @@ class StorageService {
                 type: 'history_backup',
                 sessions: {}
             };
-            sessionKeys.forEach(key => {
-                historyData.sessions[key] = this.get(key);
+            entries.forEach(({ key, value }) => {
+                historyData.sessions[key] = value;
             });
 
-            const blob = new Blob([JSON.stringify(historyData, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `historial_bitacora_${new Date().toISOString().split('T')[0]}.json`;
-            link.click();
-            URL.revokeObjectURL(url);
-            return true;
+            const file = await CryptoService.encryptBackup(historyData, passphrase, historyData.type);
+            this._downloadJSON(file, `historial_bitacora_${new Date().toISOString().split('T')[0]}.json`);
+            return { exported: entries.length, failed: failed.length };
         } catch (error) {
             throw new Error('Error exportando historial: ' + error.message);
         }
     }
 
     /**
-     * Importa sesiones desde un JSON previo.
+     * Importa sesiones desde un JSON previo (ya descifrado si venía cifrado).
      * No sobreescribe configuración ni listas de estudiantes.
      * @param {object} jsonData - Objeto ya parseado del JSON
-     * @returns {{imported: number, skipped: number}}
+     * @returns {Promise<{imported: number, skipped: number}>}
      */
-    static importHistoryFromFile(jsonData) {
+    static async importHistoryFromFile(jsonData) {
         if (!jsonData || jsonData.type !== 'history_backup' || !jsonData.sessions) {
             throw new Error('Archivo de historial inválido o incompatible.');
         }
         let imported = 0, skipped = 0;
         for (const [key, value] of Object.entries(jsonData.sessions)) {
             if (!key.startsWith('session_')) { skipped++; continue; }
+            // Re-indexar por grupo, fecha y hora si la sesión viene en texto plano.
+            // Las cifradas conservan su clave y se migran con SessionManager.migrateLegacySessions().
+            const targetKey = (value && typeof value === 'object' && value.grupo && value.fecha)
+                ? this.buildSessionKey(value.grupo, value.fecha, value.startTime)
+                : key;
             // No sobreescribir sesiones ya existentes
-            if (this.get(key) !== null) { skipped++; continue; }
-            this.set(key, value);
-            imported++;
+            if (this.get(targetKey) !== null) { skipped++; continue; }
+            if (await this._setImported(targetKey, value)) imported++;
         }
         return { imported, skipped };
     }
 }
+
+// Estado del backend (se establece en StorageService.init())
+StorageService._initialized = false;
+StorageService._namespace = '';          // Id de la cuenta actual
+StorageService._dataKey = null;          // Clave de datos de la cuenta (cifrado en IndexedDB)
+StorageService._legacyAdopted = false;
+StorageService._backend = 'localStorage';
+StorageService._cache = null;        // Map(clave con prefijo -> valor serializado) en modo IndexedDB
+StorageService._size = 0;            // Bytes usados en modo IndexedDB (se actualiza en cada escritura)
+StorageService._quota = CONFIG.MAX_STORAGE_SIZE;
+StorageService._writes = Promise.resolve();
+StorageService._deferred = new Set(); // Claves escritas sin clave de datos (sesión bloqueada)
@@ -1,21 +1,33 @@
 /**
  * Gestor de estudiantes
+ *
+ * Cada estudiante tiene una ficha con identificador estable (`stu_...`).
+ * Grupos, sesiones, mapa de clase y estadísticas referencian ese id, de modo
+ * que dos estudiantes con el mismo nombre o una corrección de nombre no
+ * mezclan historiales.
  */
 class StudentManager {
     constructor() {
-        this.currentStudents = new Map();
-        this.groups = new Map();
+        this.currentStudents = new Map();   // id -> datos de asistencia de la sesión actual
+        this.students = new Map();          // id -> ficha { id, grupo, cedula, nombre, apellidos, encargados, apoyos }
+        this.groups = new Map();            // grupo -> Array<id>
         this.loadGroups();
     }
 
     /**
-     * Carga grupos desde almacenamiento únicamente (sin valores por defecto)
+     * Carga grupos y fichas desde almacenamiento únicamente (sin valores por defecto)
      */
     loadGroups() {
         try {
+            const storedStudents = StorageService.get('students');
+            this.students = storedStudents && typeof storedStudents === 'object'
+                ? new Map(Object.entries(storedStudents))
+                : new Map();
+
             const storedGroups = StorageService.get('groups');
             if (storedGroups && typeof storedGroups === 'object' && Object.keys(storedGroups).length > 0) {
                 this.groups = new Map(Object.entries(storedGroups));
+                this.migrateNameKeyedRoster();
                 console.log('Grupos cargados desde almacenamiento:', Object.keys(storedGroups));
             } else {
                 // Sin grupos por defecto - empezar vacío
@@ -28,15 +40,61 @@ class StudentManager {
         }
     }
 
+    /**
+     * Migra listas guardadas con el formato antiguo (nombres en lugar de ids).
+     * Crea una ficha por estudiante y actualiza el mapa de clase, las
+     * excepciones y la distribución de grupos aleatorios de cada grupo.
+     * Las sesiones se migran aparte con SessionManager.migrateNameKeyedSessions().
+     * @returns {number} - Cantidad de estudiantes migrados
+     */
+    migrateNameKeyedRoster() {
+        let migrated = 0;
+
+        this.groups.forEach((entries, groupName) => {
+            if (entries.every(entry => this.students.has(entry))) return;
+
+            const idByName = new Map();
+            const ids = entries.map(entry => {
+                if (this.students.has(entry)) return entry;
+                const id = this.ensureStudentRecord(groupName, entry);
+                idByName.set(entry, id);
+                migrated++;
+                return id;
+            });
+            this.groups.set(groupName, ids);
+
+            const toId = (name) => idByName.get(name) || name;
+
+            const espejo = StorageService.get(`espejo_${groupName}`);
+            if (espejo && Array.isArray(espejo.seats)) {
+                StorageService.set(`espejo_${groupName}`, { ...espejo, seats: espejo.seats.map(s => s && toId(s)) });
+            }
 
+            const exceptions = StorageService.get(`excepciones_${groupName}`);
+            if (Array.isArray(exceptions)) {
+                StorageService.set(`excepciones_${groupName}`, exceptions.map(([a, b]) => [toId(a), toId(b)]));
+            }
+
+            const layout = StorageService.get(`grupos_layout_${groupName}`);
+            if (layout && Array.isArray(layout.groups)) {
+                StorageService.set(`grupos_layout_${groupName}`, { ...layout, groups: layout.groups.map(g => g.map(toId)) });
+            }
+        });
+
+        if (migrated > 0) {
+            this.saveGroups();
+            console.log(`[Migración] ${migrated} estudiante(s) convertidos a fichas con id`);
+        }
+        return migrated;
+    }
 
     /**
-     * Guarda grupos en almacenamiento
+     * Guarda grupos y fichas en almacenamiento
      */
     saveGroups() {
         try {
-            const groupsObject = Object.fromEntries(this.groups);
-            StorageService.set('groups', groupsObject);
+            StorageService.set('students', Object.fromEntries(this.students));
+            StorageService.set('groups', Object.fromEntries(this.groups));
             return true;
         } catch (error) {
             errorHandler.handle(error, 'StudentManager.saveGroups');
@@ -53,11 +111,21 @@ class StudentManager {
     }
 
     /**
-     * Obtiene estudiantes de un grupo
+     * Obtiene los estudiantes activos de un grupo (excluye los retirados)
      * @param {string} groupName - Nombre del grupo
-     * @returns {Array} - Array de estudiantes
+     * @param {string} [onDate] - Fecha de referencia YYYY-MM-DD (hoy por defecto)
+     * @returns {Array<string>} - Ids de los estudiantes, en orden de lista
      */
-    getStudentsInGroup(groupName) {
+    getStudentsInGroup(groupName, onDate = this._today()) {
+        return this.getGroupRoster(groupName).filter(id => this.isActiveOn(id, onDate));
+    }
+
+    /**
+     * Obtiene la lista completa de un grupo, incluidos los estudiantes retirados
+     * @param {string} groupName - Nombre del grupo
+     * @returns {Array<string>} - Ids de los estudiantes, en orden de lista
+     */
+    getGroupRoster(groupName) {
         const validation = Validators.validateGroup(groupName);
         if (!validation.valid) {
             throw new Error(validation.message);
@@ -66,10 +134,358 @@ class StudentManager {
         return this.groups.get(validation.value) || [];
     }
 
+    /**
+     * Indica si un estudiante sigue activo en una fecha (no retirado antes o ese día)
+     * @param {string} id
+     * @param {string} date - YYYY-MM-DD
+     * @returns {boolean}
+     */
+    isActiveOn(id, date) {
+        const student = this.students.get(id);
+        return !student || !student.fechaRetiro || date < student.fechaRetiro;
+    }
+
+    // =========================================================================
+    // FICHAS DE ESTUDIANTES
+    // =========================================================================
+
+    /**
+     * Indica si existe una ficha con el id dado
+     * @param {string} id
+     * @returns {boolean}
+     */
+    hasStudent(id) {
+        return this.students.has(id);
+    }
+
+    /**
+     * Obtiene una copia de la ficha de un estudiante
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    getStudent(id) {
+        const student = this.students.get(id);
+        return student
+            ? { ...student, encargados: student.encargados.map(e => ({ ...e })), apoyos: [...student.apoyos] }
+            : null;
+    }
+
+    /**
+     * Nombre para mostrar de un estudiante (apellidos + nombre)
+     * @param {string} id - Id del estudiante (o nombre, en datos antiguos)
+     * @returns {string}
+     */
+    getStudentName(id) {
+        const student = this.students.get(id);
+        if (student) return this.formatName(student);
+        return Validators.validateStudentId(id).valid ? 'Estudiante desconocido' : String(id || '');
+    }
+
+    /**
+     * Compone el nombre para mostrar a partir de una ficha
+     * @param {{nombre: string, apellidos: string}} record
+     * @returns {string}
+     */
+    formatName(record) {
+        return [record.apellidos, record.nombre].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Busca un estudiante de un grupo por nombre para mostrar o cédula.
+     * Incluye fichas que ya no están en la lista del grupo.
+     * @param {string} groupName
+     * @param {string} name
+     * @param {string} [cedula]
+     * @returns {string|null} - Id encontrado
+     */
+    findStudentInGroup(groupName, name, cedula = '') {
+        const members = this.groups.get(groupName) || [];
+        const candidates = [
+            ...members.map(id => this.students.get(id)).filter(Boolean),
+            ...Array.from(this.students.values()).filter(s => s.grupo === groupName && !members.includes(s.id))
+        ];
+        const key = this._nameKey(name);
+        const match = (cedula && candidates.find(s => s.cedula === cedula)) ||
+            candidates.find(s => this._nameKey(this.formatName(s)) === key && !(cedula && s.cedula));
+        return match ? match.id : null;
+    }
+
+    /**
+     * Clave de comparación de nombres: sin tildes ni mayúsculas y sin importar
+     * el orden de las palabras ("Ana Pérez" = "PEREZ ANA")
+     * @private
+     */
+    _nameKey(name) {
+        return String(name || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .split(/\s+/).filter(Boolean).sort().join(' ');
+    }
+
+    /**
+     * Devuelve el id del estudiante con ese nombre en el grupo, creando la
+     * ficha (fuera de la lista) si no existe. Se usa al migrar datos por nombre.
+     * @param {string} groupName
+     * @param {string} name
+     * @returns {string} - Id del estudiante
+     */
+    ensureStudentRecord(groupName, name) {
+        const existing = this.findStudentInGroup(groupName, name);
+        if (existing) return existing;
+
+        const id = SecurityUtils.generateSecureId('stu_');
+        this.students.set(id, {
+            id,
+            grupo: groupName,
+            cedula: '',
+            nombre: SecurityUtils.sanitizeInput(String(name), CONFIG.MAX_STUDENT_NAME_LENGTH),
+            apellidos: '',
+            encargados: [],
+            apoyos: []
+        });
+        return id;
+    }
+
+    /**
+     * Actualiza los datos de la ficha de un estudiante
+     * @param {string} id
+     * @param {Object} data - { cedula, nombre, apellidos, encargados, apoyos }
+     * @returns {boolean} - Verdadero si se actualizó correctamente
+     */
+    updateStudent(id, data) {
+        try {
+            const student = this.students.get(id);
+            if (!student) {
+                throw new Error('Estudiante no encontrado');
+            }
+
+            const validation = Validators.validateStudentRecord(data);
+            if (!validation.valid) {
+                throw new Error(validation.message);
+            }
+
+            this.students.set(id, { ...student, ...validation.value });
+            if (this.currentStudents.has(id)) {
+                this.currentStudents.get(id).nombre = this.getStudentName(id);
+            }
+            return this.saveGroups();
+        } catch (error) {
+            errorHandler.handle(error, 'StudentManager.updateStudent');
+            return false;
+        }
+    }
+
+    // =========================================================================
+    // EDICIÓN DE LA LISTA
+    // =========================================================================
+
+    /**
+     * Agrega un estudiante a un grupo. Si el grupo tuvo antes una ficha con el
+     * mismo nombre o cédula (por ejemplo, un estudiante que se había trasladado),
+     * se reutiliza para conservar su historial.
+     * @param {string} groupName - Grupo de destino
+     * @param {Object} data - { cedula, nombre, apellidos }
+     * @returns {string|null} - Id del estudiante agregado
+     */
+    addStudent(groupName, data) {
+        try {
+            const groupValidation = Validators.validateGroup(groupName);
+            if (!groupValidation.valid) {
+                throw new Error(groupValidation.message);
+            }
+
+            const validation = Validators.validateStudentRecord(data);
+            if (!validation.valid) {
+                throw new Error(validation.message);
+            }
+
+            const group = groupValidation.value;
+            const members = this.groups.get(group) || [];
+            const existing = this.findStudentInGroup(group, this.formatName(validation.value), validation.value.cedula);
+            if (existing && members.includes(existing)) {
+                throw new Error('El estudiante ya está en la lista del grupo');
+            }
+
+            const [id] = this._resolveGroupRecords(group, [validation.value]);
+            this.groups.set(group, [...members, id]);
+            return this.saveGroups() ? id : null;
+        } catch (error) {
+            errorHandler.handle(error, 'StudentManager.addStudent');
+            return null;
+        }
+    }
+
+    /**
+     * Corrige el nombre (y la cédula) de un estudiante. Como sesiones, mapa de
+     * clase y excepciones guardan el id, el cambio aplica a todo su historial;
+     * el nombre de referencia de las sesiones se actualiza con
+     * SessionManager.updateStudentNameInSessions().
+     * @param {string} id
+     * @param {{nombre: string, apellidos: string, cedula: string}} data
+     * @returns {boolean} - Verdadero si se actualizó correctamente
+     */
+    renameStudent(id, data) {
+        const student = this.students.get(id);
+        if (!student) {
+            errorHandler.handle(new Error('Estudiante no encontrado'), 'StudentManager.renameStudent');
+            return false;
+        }
+        return this.updateStudent(id, { ...student, ...data });
+    }
+
+    /**
+     * Traslada un estudiante a otro grupo. Las sesiones pasadas quedan en el
+     * grupo original; se le quita del mapa de clase y de las excepciones de ese grupo.
+     * @param {string} id
+     * @param {string} toGroup - Grupo de destino
+     * @returns {boolean} - Verdadero si se trasladó correctamente
+     */
+    moveStudent(id, toGroup) {
+        try {
+            const student = this.students.get(id);
+            if (!student) {
+                throw new Error('Estudiante no encontrado');
+            }
+
+            const groupValidation = Validators.validateGroup(toGroup);
+            if (!groupValidation.valid) {
+                throw new Error(groupValidation.message);
+            }
+
+            const fromGroup = student.grupo;
+            const target = groupValidation.value;
+            if (fromGroup === target) return true;
+
+            const targetMembers = this.groups.get(target) || [];
+            const nameKey = this._nameKey(this.formatName(student));
+            if (targetMembers.some(other => this._nameKey(this.getStudentName(other)) === nameKey)) {
+                throw new Error(`Ya hay un estudiante con ese nombre en el grupo ${target}`);
+            }
+
+            if (this.groups.has(fromGroup)) {
+                this.groups.set(fromGroup, this.groups.get(fromGroup).filter(other => other !== id));
+            }
+            this.groups.set(target, [...targetMembers, id]);
+            this.students.set(id, { ...student, grupo: target });
+            this._removeFromGroupLayouts(fromGroup, id);
+            return this.saveGroups();
+        } catch (error) {
+            errorHandler.handle(error, 'StudentManager.moveStudent');
+            return false;
+        }
+    }
+
+    /**
+     * Marca a un estudiante como retirado. Deja de aparecer en las sesiones
+     * con fecha igual o posterior, pero conserva su historial.
+     * @param {string} id
+     * @param {string} fecha - Fecha de retiro (YYYY-MM-DD)
+     * @returns {boolean} - Verdadero si se actualizó correctamente
+     */
+    withdrawStudent(id, fecha) {
+        try {
+            const student = this.students.get(id);
+            if (!student) {
+                throw new Error('Estudiante no encontrado');
+            }
+
+            const dateValidation = Validators.validateDate(fecha);
+            if (!dateValidation.valid) {
+                throw new Error(dateValidation.message);
+            }
+
+            this.students.set(id, { ...student, fechaRetiro: dateValidation.value });
+            return this.saveGroups();
+        } catch (error) {
+            errorHandler.handle(error, 'StudentManager.withdrawStudent');
+            return false;
+        }
+    }
+
+    /**
+     * Anula el retiro de un estudiante
+     * @param {string} id
+     * @returns {boolean} - Verdadero si se actualizó correctamente
+     */
+    reinstateStudent(id) {
+        const student = this.students.get(id);
+        if (!student) return false;
+        this.students.set(id, { ...student, fechaRetiro: null });
+        return this.saveGroups();
+    }
+
+    /**
+     * Quita a un estudiante del mapa de clase, las excepciones y la última
+     * distribución de grupos aleatorios de un grupo
+     * @private
+     */
+    _removeFromGroupLayouts(groupName, id) {
+        const espejo = StorageService.get(`espejo_${groupName}`);
+        if (espejo && Array.isArray(espejo.seats)) {
+            StorageService.set(`espejo_${groupName}`, { ...espejo, seats: espejo.seats.map(s => (s === id ? null : s)) });
+        }
+
+        const exceptions = StorageService.get(`excepciones_${groupName}`);
+        if (Array.isArray(exceptions)) {
+            StorageService.set(`excepciones_${groupName}`, exceptions.filter(pair => !pair.includes(id)));
+        }
+
+        const layout = StorageService.get(`grupos_layout_${groupName}`);
+        if (layout && Array.isArray(layout.groups)) {
+            StorageService.set(`grupos_layout_${groupName}`, {
+                ...layout,
+                groups: layout.groups.map(g => g.filter(other => other !== id)).filter(g => g.length > 0)
+            });
+        }
+    }
+
+    /**
+     * Fecha local de hoy en formato YYYY-MM-DD
+     * @private
+     */
+    _today() {
+        return SchoolCalendar.toISODate(new Date());
+    }
+
+    /**
+     * Convierte fichas validadas en ids de la lista de un grupo, reutilizando
+     * las existentes (mismo nombre o cédula) para conservar su historial
+     * @private
+     * @param {string} groupName
+     * @param {Array<Object>} records - Fichas validadas (sin id)
+     * @param {Array<string>} [initialIds=[]] - Ids ya presentes en la lista
+     * @returns {Array<string>} - Ids de la lista resultante
+     */
+    _resolveGroupRecords(groupName, records, initialIds = []) {
+        const ids = [...initialIds];
+        records.forEach(record => {
+            const existing = this.findStudentInGroup(groupName, this.formatName(record), record.cedula);
+            if (existing) {
+                // Completar datos que antes no se tenían (las fichas migradas
+                // guardan el nombre completo sin separar los apellidos)
+                const current = this.students.get(existing);
+                const splitName = !current.apellidos && record.apellidos;
+                this.students.set(existing, {
+                    ...current,
+                    nombre: splitName ? record.nombre : current.nombre,
+                    apellidos: splitName ? record.apellidos : current.apellidos,
+                    cedula: current.cedula || record.cedula,
+                    encargados: current.encargados.length ? current.encargados : record.encargados,
+                    apoyos: current.apoyos.length ? current.apoyos : record.apoyos
+                });
+                if (!ids.includes(existing)) ids.push(existing);
+                return;
+            }
+
+            const id = SecurityUtils.generateSecureId('stu_');
+            this.students.set(id, { id, grupo: groupName, ...record });
+            ids.push(id);
+        });
+        return ids;
+    }
+
     /**
      * Agrega nuevo grupo
      * @param {string} groupName - Nombre del grupo
-     * @param {Array} students - Lista de estudiantes
+     * @param {Array} students - Lista de estudiantes (nombres o fichas)
      * @returns {boolean} - Verdadero si se agregó correctamente
      */
     addGroup(groupName, students) {
@@ -85,14 +501,14 @@ class StudentManager {
 
             const validStudents = [];
             for (const student of students) {
-                const studentValidation = Validators.validateStudentName(student);
+                const studentValidation = Validators.validateStudentRecord(student);
                 if (!studentValidation.valid) {
                     throw new Error(`Estudiante inválido: ${studentValidation.message}`);
                 }
                 validStudents.push(studentValidation.value);
             }
 
-            this.groups.set(groupValidation.value, validStudents);
+            this.groups.set(groupValidation.value, this._resolveGroupRecords(groupValidation.value, validStudents));
             return this.saveGroups();
         } catch (error) {
             errorHandler.handle(error, 'StudentManager.addGroup');
@@ -125,18 +541,22 @@ class StudentManager {
     }
 
     /**
-     * Inicializa estudiantes para una sesión
+     * Inicializa estudiantes para una sesión (sin los retirados a esa fecha)
      * @param {string} groupName - Nombre del grupo
-     * @returns {Map} - Map de estudiantes con datos iniciales
+     * @param {string} [fecha] - Fecha de la sesión (YYYY-MM-DD)
+     * @returns {Map} - Map de estudiantes (por id) con datos iniciales
      */
-    initializeStudentsForSession(groupName) {
+    initializeStudentsForSession(groupName, fecha = this._today()) {
         try {
-            const students = this.getStudentsInGroup(groupName);
+            const students = this.getStudentsInGroup(groupName, fecha);
             this.currentStudents.clear();
 
-            students.forEach(studentName => {
-                this.currentStudents.set(studentName, {
+            students.forEach(studentId => {
+                this.currentStudents.set(studentId, {
+                    nombre: this.getStudentName(studentId),
                     estado: CONFIG.STUDENT_STATES.PRESENTE,
+                    justificacion: null,
+                    horaRetiro: null,
                     bano: false,
                     enfermeria: false,
                     otro: false,
@@ -152,25 +572,29 @@ class StudentManager {
         }
     }
 
+    /**
+     * Obtiene los datos de sesión de un estudiante
+     * @private
+     * @param {string} studentId - Id del estudiante
+     * @returns {Object}
+     */
+    _getSessionStudent(studentId) {
+        if (!this.currentStudents.has(studentId)) {
+            throw new Error('Estudiante no encontrado en la sesión actual');
+        }
+        return this.currentStudents.get(studentId);
+    }
+
     /**
      * Actualiza estado de estudiante
-     * @param {string} studentName - Nombre del estudiante
+     * @param {string} studentId - Id del estudiante
      * @param {string} field - Campo a actualizar
      * @param {any} value - Nuevo valor
      * @returns {boolean} - Verdadero si se actualizó correctamente
      */
-    updateStudentState(studentName, field, value) {
+    updateStudentState(studentId, field, value) {
         try {
-            const nameValidation = Validators.validateStudentName(studentName);
-            if (!nameValidation.valid) {
-                throw new Error(nameValidation.message);
-            }
-
-            if (!this.currentStudents.has(nameValidation.value)) {
-                throw new Error('Estudiante no encontrado en la sesión actual');
-            }
-
-            const student = this.currentStudents.get(nameValidation.value);
+            const student = this._getSessionStudent(studentId);
 
             // Validar campo y valor
             switch (field) {
@@ -192,6 +616,12 @@ class StudentManager {
             }
 
             student[field] = value;
+
+            // Los estados simples no llevan justificación ni hora de retiro
+            if (field === 'estado') {
+                student.justificacion = null;
+                student.horaRetiro = null;
+            }
             return true;
         } catch (error) {
             errorHandler.handle(error, 'StudentManager.updateStudentState');
@@ -199,20 +629,45 @@ class StudentManager {
         }
     }
 
+    /**
+     * Asigna un estado con justificación o retiro anticipado
+     * @param {string} studentId - Id del estudiante
+     * @param {string} state - Estado de asistencia
+     * @param {Object} details - { motivo, documento, horaRetiro }
+     * @returns {boolean} - Verdadero si se actualizó correctamente
+     */
+    setStudentJustification(studentId, state, details) {
+        try {
+            const student = this._getSessionStudent(studentId);
+
+            if (!Object.values(CONFIG.STUDENT_STATES).includes(state)) {
+                throw new Error('Estado inválido');
+            }
+
+            const validation = Validators.validateJustification(state, details);
+            if (!validation.valid) {
+                throw new Error(validation.message);
+            }
+
+            student.estado = state;
+            student.justificacion = validation.value.justificacion;
+            student.horaRetiro = validation.value.horaRetiro;
+            return true;
+        } catch (error) {
+            errorHandler.handle(error, 'StudentManager.setStudentJustification');
+            return false;
+        }
+    }
+
     /**
      * Agrega comentario a estudiante
-     * @param {string} studentName - Nombre del estudiante
+     * @param {string} studentId - Id del estudiante
      * @param {string} commentText - Texto del comentario
      * @param {string} type - Tipo de comentario
      * @returns {boolean} - Verdadero si se agregó correctamente
      */
-    addStudentComment(studentName, commentText, type = CONFIG.COMMENT_TYPES.GENERAL) {
+    addStudentComment(studentId, commentText, type = CONFIG.COMMENT_TYPES.GENERAL) {
         try {
-            const nameValidation = Validators.validateStudentName(studentName);
-            if (!nameValidation.valid) {
-                throw new Error(nameValidation.message);
-            }
-
             const commentValidation = Validators.validateComment(commentText);
             if (!commentValidation.valid) {
                 throw new Error(commentValidation.message);
@@ -222,11 +677,7 @@ class StudentManager {
                 throw new Error('Tipo de comentario inválido');
             }
 
-            if (!this.currentStudents.has(nameValidation.value)) {
-                throw new Error('Estudiante no encontrado en la sesión actual');
-            }
-
-            const student = this.currentStudents.get(nameValidation.value);
+            const student = this._getSessionStudent(studentId);
             const comment = {
                 text: commentValidation.value,
                 type: type,
@@ -244,26 +695,17 @@ class StudentManager {
 
     /**
      * Elimina comentario de estudiante
-     * @param {string} studentName - Nombre del estudiante
+     * @param {string} studentId - Id del estudiante
      * @param {string} commentId - ID del comentario
      * @returns {boolean} - Verdadero si se eliminó correctamente
      */
-    removeStudentComment(studentName, commentId) {
+    removeStudentComment(studentId, commentId) {
         try {
-            const nameValidation = Validators.validateStudentName(studentName);
-            if (!nameValidation.valid) {
-                throw new Error(nameValidation.message);
-            }
-
             if (!SecurityUtils.validateId(commentId)) {
                 throw new Error('ID de comentario inválido');
             }
 
-            if (!this.currentStudents.has(nameValidation.value)) {
-                throw new Error('Estudiante no encontrado en la sesión actual');
-            }
-
-            const student = this.currentStudents.get(nameValidation.value);
+            const student = this._getSessionStudent(studentId);
             const commentIndex = student.comentarios.findIndex(c => c.id === commentId);
 
             if (commentIndex === -1) {
@@ -280,7 +722,7 @@ class StudentManager {
 
     /**
      * Obtiene datos de estudiantes actuales
-     * @returns {Object} - Objeto con datos de estudiantes
+     * @returns {Object} - Objeto con datos de estudiantes (por id)
      */
     getCurrentStudentsData() {
         return Object.fromEntries(this.currentStudents);
@@ -288,24 +730,40 @@ class StudentManager {
 
     /**
      * Carga datos de estudiantes desde objeto
-     * @param {Object} studentsData - Datos de estudiantes
+     * @param {Object} studentsData - Datos de estudiantes (por id; por nombre en sesiones antiguas)
+     * @param {string} groupName - Grupo de la sesión, para resolver claves por nombre
      */
-    loadStudentsData(studentsData) {
+    loadStudentsData(studentsData, groupName) {
         try {
             this.currentStudents.clear();
-
-            for (const [studentName, studentData] of Object.entries(studentsData)) {
-                const nameValidation = Validators.validateStudentName(studentName);
-                if (!nameValidation.valid) {
-                    console.warn(`Estudiante inválido ignorado: ${studentName}`);
-                    continue;
+            let createdRecords = false;
+
+            for (const [studentKey, studentData] of Object.entries(studentsData)) {
+                let studentId = studentKey;
+                if (!this.students.has(studentKey)) {
+                    const nameValidation = Validators.validateStudentName(studentKey);
+                    if (!nameValidation.valid) {
+                        console.warn(`Estudiante inválido ignorado: ${studentKey}`);
+                        continue;
+                    }
+                    studentId = this.ensureStudentRecord(groupName, nameValidation.value);
+                    createdRecords = true;
                 }
 
                 // Validar y sanitizar datos del estudiante
+                const estado = Object.values(CONFIG.STUDENT_STATES).includes(studentData.estado)
+                    ? studentData.estado
+                    : CONFIG.STUDENT_STATES.PRESENTE;
+                const justification = Validators.validateJustification(estado, {
+                    ...(studentData.justificacion || {}),
+                    horaRetiro: studentData.horaRetiro
+                });
+
                 const cleanStudentData = {
-                    estado: Object.values(CONFIG.STUDENT_STATES).includes(studentData.estado)
-                        ? studentData.estado
-                        : CONFIG.STUDENT_STATES.PRESENTE,
+                    nombre: this.getStudentName(studentId),
+                    estado,
+                    justificacion: justification.valid ? justification.value.justificacion : null,
+                    horaRetiro: justification.valid ? justification.value.horaRetiro : null,
                     bano: Boolean(studentData.bano),
                     enfermeria: Boolean(studentData.enfermeria),
                     otro: Boolean(studentData.otro),
@@ -318,8 +776,10 @@ class StudentManager {
                         : []
                 };
 
-                this.currentStudents.set(nameValidation.value, cleanStudentData);
+                this.currentStudents.set(studentId, cleanStudentData);
             }
+
+            if (createdRecords) this.saveGroups();
         } catch (error) {
             errorHandler.handle(error, 'StudentManager.loadStudentsData');
         }
@@ -327,10 +787,11 @@ class StudentManager {
 
     /**
      * Importa grupos desde datos externos
-     * @param {Object} groupsData - Datos de grupos
+     * @param {Object} groupsData - Datos de grupos { grupo: [nombre | ficha] }
+     * @param {boolean} [merge=false] - Combinar con los grupos existentes en lugar de reemplazarlos
      * @returns {boolean} - Verdadero si se importó correctamente
      */
-    importGroups(groupsData) {
+    importGroups(groupsData, merge = false) {
         try {
             const validation = Validators.validateImportedGroups(groupsData);
             if (!validation.valid) {
@@ -341,7 +802,13 @@ class StudentManager {
             const backup = this.createGroupsBackup();
 
             try {
-                this.groups = new Map(Object.entries(validation.validGroups));
+                // Las fichas existentes se reutilizan por nombre o cédula para conservar su
+                // historial; al reemplazar, las que no vienen en el archivo salen de la lista
+                const groups = merge ? new Map(this.groups) : new Map();
+                Object.entries(validation.validGroups).forEach(([groupName, records]) => {
+                    groups.set(groupName, this._resolveGroupRecords(groupName, records, groups.get(groupName) || []));
+                });
+                this.groups = groups;
 
                 if (this.saveGroups()) {
                     errorHandler.showSuccess(`Se importaron ${Object.keys(validation.validGroups).length} grupos correctamente`);
@@ -361,27 +828,36 @@ class StudentManager {
     }
 
     /**
-     * Crea respaldo de grupos
-     * @returns {Map} - Respaldo de grupos
+     * Crea respaldo de grupos y fichas
+     * @returns {{groups: Map, students: Map}} - Respaldo
      */
     createGroupsBackup() {
-        return new Map(this.groups);
+        return { groups: new Map(this.groups), students: new Map(this.students) };
     }
 
     /**
      * Restaura grupos desde respaldo
-     * @param {Map} backup - Respaldo de grupos
+     * @param {{groups: Map, students: Map}} backup - Respaldo de grupos y fichas
      */
     restoreGroupsFromBackup(backup) {
-        this.groups = backup;
+        this.groups = backup.groups;
+        this.students = backup.students;
         this.saveGroups();
     }
 
     /**
-     * Exporta grupos a objeto
+     * Exporta grupos a objeto con las fichas completas de los estudiantes
+     * activos (sin ids internos)
      * @returns {Object} - Objeto con grupos
      */
     exportGroups() {
-        return Object.fromEntries(this.groups);
+        const result = {};
+        this.groups.forEach((ids, groupName) => {
+            result[groupName] = ids.filter(id => this.isActiveOn(id, this._today())).map(id => {
+                const { cedula, nombre, apellidos, encargados, apoyos } = this.students.get(id);
+                return { cedula, nombre, apellidos, encargados, apoyos };
+            });
+        });
+        return result;
     }
-}
\ No newline at end of file
+}
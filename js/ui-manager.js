@@ -2,15 +2,21 @@
  * Gestor de interfaz de usuario
  */
 class UIManager {
-    constructor(studentManager, sessionManager, statisticsManager, pdfGenerator) {
+    constructor(studentManager, sessionManager, statisticsManager, pdfGenerator, attendanceAlerts, schoolCalendar, guardianContacts, lessonPlanner) {
         this.studentManager = studentManager;
         this.sessionManager = sessionManager;
         this.statisticsManager = statisticsManager;
         this.pdfGenerator = pdfGenerator;
+        this.attendanceAlerts = attendanceAlerts;
+        this.schoolCalendar = schoolCalendar;
+        this.guardianContacts = guardianContacts;
+        this.lessonPlanner = lessonPlanner;
 
         this.elements = new Map();
         this.modals = new Map();
         this.debounceTimers = new Map();
+        this.historySessions = []; // Resúmenes cargados en el modal de historial
+        this.rubricDraft = null;   // Borrador del editor de la rúbrica de evaluación
 
         this.initializeElements();
         this.bindEvents();
@@ -22,7 +28,8 @@ class UIManager {
     initializeElements() {
         const elementIds = [
             'groupSelect', 'classDate', 'startTime', 'sessionInfo',
-            'currentSession', 'studentCount', 'dynamicContent', 'actionButtons'
+            'currentSession', 'studentCount', 'dynamicContent', 'actionButtons', 'alertsPanel',
+            'sessionModeNotice'
         ];
 
         elementIds.forEach(id => {
@@ -106,6 +113,11 @@ class UIManager {
      */
     bindGlobalEvents() {
         document.addEventListener('keydown', (e) => {
+            // Con la pantalla bloqueada no se guarda ni se exporta nada
+            if ((e.ctrlKey || e.metaKey) && AuthService.isLocked()) {
+                if (e.key === 's' || e.key === 'p') e.preventDefault();
+                return;
+            }
             if (e.ctrlKey || e.metaKey) {
                 switch (e.key) {
                     case 's':
@@ -134,10 +146,13 @@ class UIManager {
         this.loadGroups();
         this.setCurrentDateTime();
         this.loadTeacherName();
+        this.applyCurrentSlot();
 
         const groups = this.studentManager.getGroupNames();
         if (groups.length === 0) {
             this.showNoGroupsMessage();
+        } else {
+            this.refreshAlerts();
         }
     }
 
@@ -157,8 +172,8 @@ class UIManager {
                         <p>Para comenzar a usar la bitácora, debe importar los grupos de estudiantes:</p>
                         <ol class="text-start">
                             <li>Haga clic en el botón "Config"</li>
-                            <li>Seleccione "Importar Estudiantes desde JSON"</li>
-                            <li>Cargue su archivo con la estructura de grupos y estudiantes</li>
+                            <li>Seleccione "Importar Estudiantes (JSON, CSV o Excel)"</li>
+                            <li>Cargue su archivo y revise las columnas y la vista previa</li>
                         </ol>
                         <button class="btn btn-primary-custom btn-custom mt-3" id="btn-open-config">
                             <i class="fas fa-cog"></i> Abrir Configuración
@@ -218,7 +233,8 @@ class UIManager {
 
         const classDate = this.elements.get('classDate');
         if (classDate) {
-            classDate.value = today.toISOString().split('T')[0];
+            // Fecha local: la misma con la que SessionManager decide si la sesión es una planificación
+            classDate.value = SchoolCalendar.toISODate(today);
         }
 
         const startTime = this.elements.get('startTime');
@@ -227,22 +243,87 @@ class UIManager {
         }
     }
 
+    /**
+     * Preselecciona el grupo y la hora de la clase en curso según el horario
+     * y abre su sesión
+     * @returns {boolean} - Verdadero si había una clase en el horario
+     */
+    applyCurrentSlot() {
+        const slot = this.schoolCalendar.getCurrentSlot();
+        const groupSelect = this.elements.get('groupSelect');
+        const startTime = this.elements.get('startTime');
+        if (!slot || !groupSelect || !startTime) return false;
+
+        // Solo si el grupo está entre los visibles del selector
+        const available = Array.from(groupSelect.options).some(option => option.value === slot.grupo && !option.disabled);
+        if (!available) return false;
+
+        groupSelect.value = slot.grupo;
+        startTime.value = slot.inicio;
+        this._tryCreateSession();
+        return true;
+    }
+
     /**
      * Intenta crear sesión si los 3 campos requeridos tienen valor.
-     * Usado por los 3 manejadores de cambio de grupo/fecha/hora.
+     * Usado por los 3 manejadores de cambio de grupo/fecha/hora. Al cambiar
+     * grupo o fecha, si la hora no es la de una sesión guardada ni cae en una
+     * clase del horario (suele ser la hora actual), se reabre la sesión que ya
+     * tenga el grupo ese día o se ofrece elegir entre varias.
+     * @param {boolean} [exactTime] - La hora la eligió el docente: se respeta
      */
-    _tryCreateSession() {
+    _tryCreateSession(exactTime = false) {
         const grupo = this.elements.get('groupSelect')?.value;
         const fecha = this.elements.get('classDate')?.value;
         const startTime = this.elements.get('startTime')?.value;
-        if (grupo && fecha && startTime) {
-            this.createSession(grupo, fecha, startTime);
+        if (!grupo || !fecha || !startTime) return;
+
+        const time = startTime.padStart(5, '0');
+        if (!exactTime && !this.schoolCalendar.findSlot(grupo, fecha, time)) {
+            const saved = this.sessionManager.getSavedStartTimes(grupo, fecha);
+            if (saved.length > 1 && !saved.includes(time)) {
+                this.showSessionChoice(grupo, fecha, saved, time);
+                return;
+            }
+            if (saved.length === 1 && saved[0] !== time) {
+                this.elements.get('startTime').value = saved[0];
+                this.createSession(grupo, fecha, saved[0]);
+                return;
+            }
         }
+        this.createSession(grupo, fecha, startTime);
     }
 
     handleGroupChange() { this._tryCreateSession(); }
     handleDateChange() { this._tryCreateSession(); }
-    handleTimeChange() { this._tryCreateSession(); }
+    handleTimeChange() { this._tryCreateSession(true); }
+
+    /**
+     * Elige entre las sesiones guardadas del grupo en la fecha o una nueva
+     * @param {string} grupo
+     * @param {string} fecha
+     * @param {Array<string>} times - Horas de inicio guardadas
+     * @param {string} newTime - Hora de la sesión nueva
+     */
+    showSessionChoice(grupo, fecha, times, newTime) {
+        const button = (time, label, style) =>
+            `<button class="btn ${style}" data-start-time="${SecurityUtils.sanitizeAttribute(time)}">${label}</button>`;
+        this.showModal('session-choice', `Sesiones de ${grupo} del ${fecha}`, `
+            <p class="small text-muted">El grupo ya tiene varias sesiones guardadas en esta fecha. Elija cuál abrir.</p>
+            <div class="d-grid gap-2">
+                ${times.map(time => button(time, `<i class="fas fa-folder-open"></i> Sesión de las ${SecurityUtils.escapeHtml(time)}`, 'btn-outline-primary')).join('')}
+                ${button(newTime, `<i class="fas fa-plus"></i> Nueva sesión a las ${SecurityUtils.escapeHtml(newTime)}`, 'btn-outline-secondary')}
+            </div>`);
+
+        document.getElementById('modal-session-choice')?.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-start-time]');
+            if (!target) return;
+            const startTime = this.elements.get('startTime');
+            if (startTime) startTime.value = target.dataset.startTime;
+            this.closeModal('session-choice');
+            this.createSession(grupo, fecha, target.dataset.startTime);
+        });
+    }
 
     /**
      * Crea nueva sesión (async por el cifrado de datos)
@@ -269,7 +350,11 @@ class UIManager {
         const studentCount = this.elements.get('studentCount');
         const sessionInfo = this.elements.get('sessionInfo');
 
-        if (currentSession) currentSession.textContent = `${session.grupo} - ${session.fecha}`;
+        if (currentSession) {
+            const slot = this.schoolCalendar.findSlot(session.grupo, session.fecha, session.startTime);
+            const slotInfo = slot ? [slot.materia, slot.aula && `Aula ${slot.aula}`].filter(Boolean).join(' · ') : '';
+            currentSession.textContent = `${session.grupo} - ${session.fecha} ${session.startTime}${slotInfo ? ` · ${slotInfo}` : ''}`;
+        }
         if (studentCount) studentCount.textContent = Object.keys(session.students).length;
         if (sessionInfo) sessionInfo.style.display = 'block';
     }
@@ -284,12 +369,49 @@ class UIManager {
         this.renderStudentsTable();
         this.renderLessonForm();
         this.renderEvaluationForm();
+        this.applySessionMode();
 
         setTimeout(() => {
             this.loadSessionDataToUI();
         }, 100);
     }
 
+    /**
+     * Ajusta el formulario al modo de la sesión: una planificación solo admite
+     * los campos de la lección y una sesión archivada es de solo lectura
+     */
+    applySessionMode() {
+        const session = this.sessionManager.getCurrentSession();
+        if (!session) return;
+
+        const mode = this.sessionManager.getMode();
+        const { PLANNING, ARCHIVED } = CONFIG.SESSION_MODES;
+        const container = this.elements.get('dynamicContent');
+
+        ['students', 'evaluation'].forEach(section => {
+            const element = container?.querySelector(`[data-section="${section}"]`);
+            if (element) element.style.display = mode === PLANNING ? 'none' : '';
+        });
+        container?.querySelectorAll('button, input, select, textarea').forEach(el => {
+            if (mode === ARCHIVED || (mode === PLANNING && !CONFIG.PLANNING_FIELDS.includes(el.id))) el.disabled = true;
+        });
+
+        const saveButton = document.getElementById('btn-save');
+        if (saveButton) saveButton.disabled = mode === ARCHIVED;
+
+        const notice = this.elements.get('sessionModeNotice');
+        if (!notice) return;
+        if (mode === PLANNING) {
+            notice.innerHTML = `<i class="fas fa-calendar-plus"></i> <strong>Planificación:</strong>
+                registre el contenido de la lección. La asistencia y la evaluación se completan el día de la clase.`;
+        } else if (mode === ARCHIVED) {
+            const year = SchoolCalendar.schoolYearLabel(SchoolCalendar.schoolYearOf(session.fecha));
+            notice.innerHTML = `<i class="fas fa-archive"></i> <strong>Archivo del año lectivo ${SecurityUtils.escapeHtml(year)}:</strong>
+                la sesión es de solo lectura.`;
+        }
+        notice.style.display = mode === PLANNING || mode === ARCHIVED ? 'block' : 'none';
+    }
+
     /**
      * Renderiza tabla de estudiantes
      */
@@ -326,31 +448,29 @@ class UIManager {
                             </thead>
                             <tbody>`;
 
-        Object.entries(session.students).forEach(([studentName, studentData]) => {
-            const safeStudentName = SecurityUtils.escapeHtml(studentName);
-            const studentId = SecurityUtils.generateSecureId('student');
+        Object.entries(session.students).forEach(([studentId, studentData]) => {
+            const safeStudentName = SecurityUtils.escapeHtml(this.getStudentDisplayName(studentId, studentData.nombre));
+            const safeStudentId = SecurityUtils.sanitizeAttribute(studentId);
+            const rowId = SecurityUtils.generateSecureId('student');
 
             html += `
                 <tr class="student-row">
-                    <td class="fw-bold align-middle">${safeStudentName}</td>
+                    <td class="fw-bold align-middle">
+                        ${safeStudentName}
+                        <span class="student-alert-badge" data-student="${safeStudentId}">${this.generateStudentAlertBadgeHtml(session.grupo, studentId)}</span>
+                    </td>
                     <td class="align-middle">
-                        <div class="btn-group-attendance" role="group" data-student="${SecurityUtils.sanitizeAttribute(studentName)}">
-                            <button type="button" class="btn btn-attendance ${studentData.estado === 'presente' ? 'btn-success active' : 'btn-outline-success'}"
-                                    data-state="presente">
-                                <i class="fas fa-check-circle"></i> Presente
-                            </button>
-                            <button type="button" class="btn btn-attendance ${studentData.estado === 'ausente' ? 'btn-danger active' : 'btn-outline-danger'}"
-                                    data-state="ausente">
-                                <i class="fas fa-times-circle"></i> Ausente
-                            </button>
-                            <button type="button" class="btn btn-attendance ${studentData.estado === 'tarde' ? 'btn-warning active' : 'btn-outline-warning'}"
-                                    data-state="tarde">
-                                <i class="fas fa-clock"></i> Tarde
-                            </button>
+                        <div class="btn-group-attendance" role="group" data-student="${safeStudentId}">
+                            ${Object.entries(CONFIG.STUDENT_STATE_META).map(([state, meta]) => `
+                            <button type="button" class="btn btn-attendance ${studentData.estado === state ? `btn-${meta.color} active` : `btn-outline-${meta.color}`}"
+                                    data-state="${state}" title="${meta.label}">
+                                <i class="fas ${meta.icon}"></i> ${meta.short}
+                            </button>`).join('')}
                         </div>
+                        <div class="attendance-detail small text-muted mt-1">${this.generateAttendanceDetailHtml(studentData)}</div>
                     </td>
                     <td class="align-middle">
-                        <div class="btn-group-activities" data-student="${SecurityUtils.sanitizeAttribute(studentName)}">
+                        <div class="btn-group-activities" data-student="${safeStudentId}">
                             <button type="button" class="btn btn-activity ${studentData.bano ? 'btn-info active' : 'btn-outline-info'}"
                                     data-activity="bano" title="Salida al baño">
                                 <i class="fas fa-restroom"></i>
@@ -370,15 +490,19 @@ class UIManager {
                         </div>
                     </td>
                     <td class="align-middle">
-                        <button class="btn btn-outline-primary btn-sm" data-student="${SecurityUtils.sanitizeAttribute(studentName)}" data-action="toggle-comment">
+                        <button class="btn btn-outline-primary btn-sm" data-student="${safeStudentId}" data-action="toggle-comment">
                             <i class="fas fa-comment-dots"></i> Comentar
                         </button>
-                        <div class="comment-container" id="comments_${studentId}">
+                        <button class="btn btn-outline-secondary btn-sm" data-student="${safeStudentId}" data-action="guardian-contact"
+                                title="Comunicación con encargados">
+                            <i class="fas fa-phone"></i>
+                        </button>
+                        <div class="comment-container" id="comments_${rowId}">
                             ${this.generateCommentsHtml(studentData.comentarios)}
                             <div class="mt-2">
                                 <input type="text" class="form-control form-control-sm"
                                        placeholder="Agregar comentario..." maxlength="${CONFIG.MAX_COMMENT_LENGTH}">
-                                <button class="btn btn-primary btn-sm mt-1" data-action="save-comment" data-student="${SecurityUtils.sanitizeAttribute(studentName)}">
+                                <button class="btn btn-primary btn-sm mt-1" data-action="save-comment" data-student="${safeStudentId}">
                                     <i class="fas fa-save"></i> Guardar
                                 </button>
                             </div>
@@ -419,6 +543,10 @@ class UIManager {
      * Renderiza formulario de lección
      */
     renderLessonForm() {
+        const statusButtons = Object.entries(CONFIG.LESSON_STATUS_META).map(([value, meta]) =>
+            `<button type="button" class="btn btn-sm btn-outline-${meta.color} btn-lesson-status" id="lessonStatus-${value}" data-lesson-status="${value}"><i class="fas ${meta.icon}"></i> ${meta.label}</button>`
+        ).join('');
+
         const lessonHtml = `
             <div class="glass-card mb-4 fade-in" id="lessonCard">
                 <div class="card-header-custom">
@@ -440,6 +568,11 @@ class UIManager {
                             <label class="form-label fw-bold" for="lessonProgress">Avances/obstáculos para el desarrollo de la lección:</label>
                             <textarea id="lessonProgress" class="form-control" rows="4" maxlength="1000" placeholder="Describa los avances logrados y obstáculos encontrados..."></textarea>
                             <div class="form-text">Máximo 1000 caracteres</div>
+                            <div class="d-flex flex-wrap align-items-center gap-2 mt-2">
+                                <span class="fw-bold small">Estado de la lección:</span>
+                                ${statusButtons}
+                            </div>
+                            <div class="form-text">Lo parcial o pospuesto del plan de unidad pasa a la siguiente sesión del grupo.</div>
                         </div>
                         <div class="col-md-6">
                             <label class="form-label fw-bold" for="observations">Observaciones generales:</label>
@@ -460,11 +593,29 @@ class UIManager {
     }
 
     /**
-     * Renderiza formulario de evaluación con 2 columnas
+     * Renderiza formulario de evaluación con 2 columnas a partir de la rúbrica de la sesión
      */
     renderEvaluationForm() {
         const session = this.sessionManager.getCurrentSession();
-        const evaluation = session?.evaluation || {};
+        const rubric = EvaluationRubric.forSession(session);
+        const half = Math.ceil(rubric.length / 2);
+
+        const criterionHtml = (criterion, isLast) => {
+            const selected = EvaluationRubric.getValue(session, criterion.id);
+            const buttons = criterion.options.map((option, index) => {
+                const active = option.value === selected;
+                const icon = option.icon ? `<i class="fas ${option.icon}"></i> ` : '';
+                return `<button type="button" class="btn btn-evaluation ${active ? `btn-${option.color} active` : `btn-outline-${option.color}`}" data-option="${index}" title="${SecurityUtils.sanitizeAttribute(option.value)}">${icon}${SecurityUtils.escapeHtml(option.label || option.value)}</button>`;
+            }).join('');
+            return `
+                            <label class="form-label fw-bold mb-3">${SecurityUtils.escapeHtml(criterion.label)}</label>
+                            <div class="btn-group-evaluation${isLast ? '' : ' mb-4'}" data-field="${SecurityUtils.sanitizeAttribute(criterion.id)}">
+                                ${buttons}
+                            </div>`;
+        };
+        const columnHtml = (criteria) => criteria
+            .map((criterion, index) => criterionHtml(criterion, index === criteria.length - 1))
+            .join('');
 
         const evaluationHtml = `
             <div class="glass-card mb-4 fade-in" id="evaluationCard">
@@ -473,56 +624,10 @@ class UIManager {
                 </div>
                 <div class="card-body p-4">
                     <div class="row g-4">
-                        <div class="col-md-6">
-                            <label class="form-label fw-bold mb-3">El tiempo de las actividades fue:</label>
-                            <div class="btn-group-evaluation mb-4" data-field="activityTime">
-                                <button type="button" class="btn btn-evaluation ${session?.activityTime === 'Suficiente' ? 'btn-success active' : 'btn-outline-success'}" data-value="Suficiente"><i class="fas fa-clock"></i> Suficiente</button>
-                                <button type="button" class="btn btn-evaluation ${session?.activityTime === 'Adecuado' ? 'btn-primary active' : 'btn-outline-primary'}" data-value="Adecuado"><i class="fas fa-check-circle"></i> Adecuado</button>
-                                <button type="button" class="btn btn-evaluation ${session?.activityTime === 'Moderado' ? 'btn-warning active' : 'btn-outline-warning'}" data-value="Moderado"><i class="fas fa-exclamation-circle"></i> Moderado</button>
-                                <button type="button" class="btn btn-evaluation ${session?.activityTime === 'Insuficiente' ? 'btn-danger active' : 'btn-outline-danger'}" data-value="Insuficiente"><i class="fas fa-times-circle"></i> Insuficiente</button>
-                            </div>
-
-                            <label class="form-label fw-bold mb-3">Las actividades fueron accesibles:</label>
-                            <div class="btn-group-evaluation mb-4" data-field="activityAccessibility">
-                                <button type="button" class="btn btn-evaluation ${evaluation.activityAccessibility === 'De Acuerdo' ? 'btn-success active' : 'btn-outline-success'}" data-value="De Acuerdo"><i class="fas fa-thumbs-up"></i> De Acuerdo</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.activityAccessibility === 'Parcialmente de acuerdo' ? 'btn-info active' : 'btn-outline-info'}" data-value="Parcialmente de acuerdo"><i class="fas fa-adjust"></i> Parcial +</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.activityAccessibility === 'Parcialmente en desacuerdo' ? 'btn-warning active' : 'btn-outline-warning'}" data-value="Parcialmente en desacuerdo"><i class="fas fa-minus-circle"></i> Parcial -</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.activityAccessibility === 'En desacuerdo' ? 'btn-danger active' : 'btn-outline-danger'}" data-value="En desacuerdo"><i class="fas fa-thumbs-down"></i> Desacuerdo</button>
-                            </div>
-
-                            <label class="form-label fw-bold mb-3">Los materiales fueron adecuados:</label>
-                            <div class="btn-group-evaluation" data-field="classMaterials">
-                                <button type="button" class="btn btn-evaluation ${evaluation.classMaterials === 'De Acuerdo' ? 'btn-success active' : 'btn-outline-success'}" data-value="De Acuerdo"><i class="fas fa-thumbs-up"></i> De Acuerdo</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.classMaterials === 'Parcialmente de acuerdo' ? 'btn-info active' : 'btn-outline-info'}" data-value="Parcialmente de acuerdo"><i class="fas fa-adjust"></i> Parcial +</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.classMaterials === 'Parcialmente en desacuerdo' ? 'btn-warning active' : 'btn-outline-warning'}" data-value="Parcialmente en desacuerdo"><i class="fas fa-minus-circle"></i> Parcial -</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.classMaterials === 'En desacuerdo' ? 'btn-danger active' : 'btn-outline-danger'}" data-value="En desacuerdo"><i class="fas fa-thumbs-down"></i> Desacuerdo</button>
-                            </div>
+                        <div class="col-md-6">${columnHtml(rubric.slice(0, half))}
                         </div>
 
-                        <div class="col-md-6">
-                            <label class="form-label fw-bold mb-3">El espacio físico fue adecuado:</label>
-                            <div class="btn-group-evaluation mb-4" data-field="physicalSpace">
-                                <button type="button" class="btn btn-evaluation ${evaluation.physicalSpace === 'De Acuerdo' ? 'btn-success active' : 'btn-outline-success'}" data-value="De Acuerdo"><i class="fas fa-thumbs-up"></i> De Acuerdo</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.physicalSpace === 'Parcialmente de acuerdo' ? 'btn-info active' : 'btn-outline-info'}" data-value="Parcialmente de acuerdo"><i class="fas fa-adjust"></i> Parcial +</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.physicalSpace === 'Parcialmente en desacuerdo' ? 'btn-warning active' : 'btn-outline-warning'}" data-value="Parcialmente en desacuerdo"><i class="fas fa-minus-circle"></i> Parcial -</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.physicalSpace === 'En desacuerdo' ? 'btn-danger active' : 'btn-outline-danger'}" data-value="En desacuerdo"><i class="fas fa-thumbs-down"></i> Desacuerdo</button>
-                            </div>
-
-                            <label class="form-label fw-bold mb-3">Involucramiento de estudiantes:</label>
-                            <div class="btn-group-evaluation mb-4" data-field="studentInvolvement">
-                                <button type="button" class="btn btn-evaluation ${evaluation.studentInvolvement === 'Excelente' ? 'btn-success active' : 'btn-outline-success'}" data-value="Excelente"><i class="fas fa-star"></i> Excelente</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.studentInvolvement === 'Bueno' ? 'btn-primary active' : 'btn-outline-primary'}" data-value="Bueno"><i class="fas fa-thumbs-up"></i> Bueno</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.studentInvolvement === 'Regular' ? 'btn-warning active' : 'btn-outline-warning'}" data-value="Regular"><i class="fas fa-meh"></i> Regular</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.studentInvolvement === 'Deficiente' ? 'btn-danger active' : 'btn-outline-danger'}" data-value="Deficiente"><i class="fas fa-frown"></i> Deficiente</button>
-                            </div>
-
-                            <label class="form-label fw-bold mb-3">Actitud general de estudiantes:</label>
-                            <div class="btn-group-evaluation" data-field="studentAttitude">
-                                <button type="button" class="btn btn-evaluation ${evaluation.studentAttitude === 'Excelente' ? 'btn-success active' : 'btn-outline-success'}" data-value="Excelente"><i class="fas fa-star"></i> Excelente</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.studentAttitude === 'Bueno' ? 'btn-primary active' : 'btn-outline-primary'}" data-value="Bueno"><i class="fas fa-thumbs-up"></i> Bueno</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.studentAttitude === 'Regular' ? 'btn-warning active' : 'btn-outline-warning'}" data-value="Regular"><i class="fas fa-meh"></i> Regular</button>
-                                <button type="button" class="btn btn-evaluation ${evaluation.studentAttitude === 'Deficiente' ? 'btn-danger active' : 'btn-outline-danger'}" data-value="Deficiente"><i class="fas fa-frown"></i> Deficiente</button>
-                            </div>
+                        <div class="col-md-6">${columnHtml(rubric.slice(half))}
                         </div>
                     </div>
                 </div>
@@ -619,13 +724,40 @@ class UIManager {
                                 <h6 class="text-muted border-bottom pb-2 mt-3">
                                     <i class="fas fa-users"></i> Gestión de Estudiantes
                                 </h6>
+                                <button class="btn btn-outline-primary" id="config-roster-editor" ${allGroups.length === 0 ? 'disabled' : ''}>
+                                    <i class="fas fa-user-edit"></i> Editar Lista de Estudiantes
+                                </button>
                                 <button class="btn btn-outline-primary" id="config-import">
-                                    <i class="fas fa-upload"></i> Importar Estudiantes desde JSON
+                                    <i class="fas fa-upload"></i> Importar Estudiantes (JSON, CSV o Excel)
                                 </button>
                                 <button class="btn btn-outline-secondary" id="config-export">
                                     <i class="fas fa-download"></i> Exportar Lista Actual
                                 </button>
 
+                                <h6 class="text-muted border-bottom pb-2 mt-3">
+                                    <i class="fas fa-calendar-alt"></i> Horario y Calendario
+                                </h6>
+                                <small class="text-muted mb-1">Con el horario, al abrir la app se preselecciona la clase en curso.</small>
+                                <button class="btn btn-outline-primary" id="config-schedule" ${allGroups.length === 0 ? 'disabled' : ''}>
+                                    <i class="fas fa-calendar-week"></i> Horario Semanal y Calendario Escolar
+                                </button>
+
+                                <h6 class="text-muted border-bottom pb-2 mt-3">
+                                    <i class="fas fa-layer-group"></i> Planificación
+                                </h6>
+                                <small class="text-muted mb-1">Unidades con objetivos, contenidos y actividades; sus lecciones rellenan el contenido de cada sesión.</small>
+                                <button class="btn btn-outline-primary" id="config-lesson-planner" ${allGroups.length === 0 ? 'disabled' : ''}>
+                                    <i class="fas fa-tasks"></i> Planes de Unidad
+                                </button>
+
+                                <h6 class="text-muted border-bottom pb-2 mt-3">
+                                    <i class="fas fa-star"></i> Evaluación de la Clase
+                                </h6>
+                                <small class="text-muted mb-1">Criterios y escalas de la autoevaluación. Los cambios se aplican a las sesiones nuevas.</small>
+                                <button class="btn btn-outline-primary" id="config-evaluation-rubric">
+                                    <i class="fas fa-list-ol"></i> Editar Rúbrica de Evaluación
+                                </button>
+
                                 <h6 class="text-muted border-bottom pb-2 mt-3">
                                     <i class="fas fa-eye"></i> Grupos Visibles en el Combobox
                                 </h6>
@@ -634,6 +766,20 @@ class UIManager {
                                     ${groupsCheckboxHtml}
                                 </div>
 
+                                <h6 class="text-muted border-bottom pb-2 mt-3">
+                                    <i class="fas fa-bell"></i> Alertas de Ausentismo
+                                </h6>
+                                <small class="text-muted mb-1">Reglas por grupo. Se evalúan sobre todas las sesiones guardadas.</small>
+                                <select class="form-select" id="config-alert-group" ${allGroups.length === 0 ? 'disabled' : ''}>
+                                    ${allGroups.map(g => `<option value="${SecurityUtils.sanitizeAttribute(g)}">${SecurityUtils.escapeHtml(g)}</option>`).join('')}
+                                </select>
+                                <div id="config-alert-rules">
+                                    ${allGroups.length > 0 ? this.generateAlertRulesHtml(allGroups[0]) : ''}
+                                </div>
+                                <button class="btn btn-primary" id="config-save-alert-rules" ${allGroups.length === 0 ? 'disabled' : ''}>
+                                    <i class="fas fa-save"></i> Guardar Reglas
+                                </button>
+
                                 <h6 class="text-muted border-bottom pb-2 mt-3">
                                     <i class="fas fa-tools"></i> Mantenimiento
                                 </h6>
@@ -643,6 +789,9 @@ class UIManager {
                                 <button class="btn btn-outline-success" id="config-backup">
                                     <i class="fas fa-save"></i> Crear Respaldo Completo
                                 </button>
+                                <button class="btn btn-outline-primary" id="config-restore">
+                                    <i class="fas fa-upload"></i> Restaurar Respaldo
+                                </button>
                                 <button class="btn btn-outline-info" id="config-data-info">
                                     <i class="fas fa-folder"></i> Ver Datos Guardados
                                 </button>
@@ -688,6 +837,19 @@ class UIManager {
                                 <button class="btn btn-outline-warning" id="config-change-password">
                                     <i class="fas fa-key"></i> Cambiar Contraseña
                                 </button>
+                                <button class="btn btn-outline-secondary" id="config-recovery-code">
+                                    <i class="fas fa-life-ring"></i> Nuevo Código de Recuperación
+                                </button>
+                                <button class="btn btn-outline-secondary" id="config-recover-sessions">
+                                    <i class="fas fa-unlock-alt"></i> Recuperar Sesiones Antiguas
+                                </button>
+                                <div class="input-group mt-2">
+                                    <span class="input-group-text"><i class="fas fa-user-clock"></i> Bloqueo por inactividad</span>
+                                    <select class="form-select" id="config-idle-timeout">
+                                        ${this.generateIdleTimeoutOptions()}
+                                    </select>
+                                </div>
+                                <small class="text-muted">Al bloquearse se guarda la sesión abierta; para continuar solo se pide la contraseña.</small>
 
                             </div>
                         </div>
@@ -707,25 +869,62 @@ class UIManager {
         modal.show();
     }
 
+    /**
+     * Opciones del selector de bloqueo por inactividad
+     * @returns {string}
+     */
+    generateIdleTimeoutOptions() {
+        const current = window.bitacoraApp?.getComponent('idleLock')?.getTimeoutMinutes() ?? CONFIG.IDLE_TIMEOUT_MINUTES;
+        return CONFIG.IDLE_TIMEOUT_OPTIONS.map(minutes => {
+            const label = minutes === 0 ? 'Desactivado' : `${minutes} minutos`;
+            return `<option value="${minutes}" ${minutes === current ? 'selected' : ''}>${label}</option>`;
+        }).join('');
+    }
+
     /**
      * Enlaza eventos del modal de configuración
      */
     bindConfigEvents() {
         const actions = [
+            { id: 'config-roster-editor', handler: () => this.showRosterEditor() },
+            { id: 'config-schedule', handler: () => this.showScheduleEditor() },
+            { id: 'config-evaluation-rubric', handler: () => this.showRubricEditor() },
+            { id: 'config-lesson-planner', handler: () => this.showLessonPlanner() },
             { id: 'config-import', handler: () => this.importStudents() },
             { id: 'config-export', handler: () => this.exportStudents() },
             { id: 'config-reset', handler: () => this.resetForm() },
             { id: 'config-backup', handler: () => this.createBackup() },
+            { id: 'config-restore', handler: () => this.restoreBackup() },
             { id: 'config-data-info', handler: () => this.showStoredDataModal() },
             { id: 'config-clear-all', handler: () => this.clearAllData() },
             { id: 'config-export-history', handler: () => this.exportHistory() },
             { id: 'config-import-history', handler: () => this.importHistory() },
             { id: 'config-change-password', handler: () => this.showChangePasswordModal() },
+            { id: 'config-recovery-code', handler: () => this.showRecoveryCodeModal() },
+            { id: 'config-recover-sessions', handler: () => this.showRecoverSessionsModal() },
         ];
         actions.forEach(({ id, handler }) =>
             document.getElementById(id)?.addEventListener('click', handler)
         );
 
+        // Reglas de alerta — recargar al cambiar de grupo
+        document.getElementById('config-alert-group')?.addEventListener('change', (e) => {
+            const container = document.getElementById('config-alert-rules');
+            if (container) container.innerHTML = this.generateAlertRulesHtml(e.target.value);
+        });
+        document.getElementById('config-save-alert-rules')?.addEventListener('click', () => this.saveAlertRules());
+
+        // Bloqueo por inactividad — se aplica al cambiar
+        document.getElementById('config-idle-timeout')?.addEventListener('change', (e) => {
+            const minutes = parseInt(e.target.value, 10);
+            const idleLock = window.bitacoraApp?.getComponent('idleLock');
+            if (idleLock?.setTimeoutMinutes(minutes)) {
+                errorHandler.showSuccess(minutes === 0
+                    ? 'Bloqueo por inactividad desactivado.'
+                    : `La sesión se bloqueará tras ${minutes} minutos sin actividad.`);
+            }
+        });
+
         // Guardar prefijo PDF
         document.getElementById('config-save-pdf-folder')?.addEventListener('click', () => {
             const val = (document.getElementById('config-pdf-folder')?.value || '').trim();
@@ -781,8 +980,155 @@ class UIManager {
         if (name) this.updateTeacherNameDisplay(name);
     }
 
+    // =========================================================================
+    // ALERTAS DE AUSENTISMO
+    // =========================================================================
+
+    /**
+     * Genera los controles de edición de reglas de un grupo
+     * @param {string} groupName
+     */
+    generateAlertRulesHtml(groupName) {
+        const types = CONFIG.ALERT_RULE_TYPES;
+        return this.attendanceAlerts.getRules(groupName).map(rule => {
+            const isPercent = rule.type === types.MONTHLY_ABSENCE_PERCENT;
+            const ruleId = `alert-rule-${rule.type}`;
+            let fields;
+            if (rule.type === types.CONSECUTIVE_ABSENCES) {
+                fields = `
+                    <input type="number" class="form-control alert-rule-threshold" min="1" max="50" value="${rule.threshold}">
+                    <span class="input-group-text">ausencias seguidas en</span>
+                    <input type="number" class="form-control alert-rule-days" min="1" max="365" value="${rule.days}">
+                    <span class="input-group-text">días</span>`;
+            } else if (isPercent) {
+                fields = `
+                    <span class="input-group-text">Más de</span>
+                    <input type="number" class="form-control alert-rule-threshold" min="1" max="100" value="${rule.threshold}">
+                    <span class="input-group-text">% de ausencias en el mes</span>`;
+            } else {
+                fields = `
+                    <input type="number" class="form-control alert-rule-threshold" min="1" max="50" value="${rule.threshold}">
+                    <span class="input-group-text">tardanzas en</span>
+                    <input type="number" class="form-control alert-rule-days" min="1" max="365" value="${rule.days}">
+                    <span class="input-group-text">días</span>`;
+            }
+            return `
+                <div class="input-group input-group-sm mb-1 alert-rule" data-type="${rule.type}">
+                    <div class="input-group-text">
+                        <input class="form-check-input mt-0 alert-rule-enabled" type="checkbox" id="${ruleId}"
+                               title="Activar regla" ${rule.enabled ? 'checked' : ''}>
+                    </div>
+                    ${fields}
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Guarda las reglas editadas en el modal de configuración
+     */
+    async saveAlertRules() {
+        const groupName = document.getElementById('config-alert-group')?.value;
+        if (!groupName) return;
+
+        const rules = Array.from(document.querySelectorAll('#config-alert-rules .alert-rule')).map(row => ({
+            type: row.dataset.type,
+            enabled: row.querySelector('.alert-rule-enabled')?.checked,
+            threshold: row.querySelector('.alert-rule-threshold')?.value,
+            days: row.querySelector('.alert-rule-days')?.value
+        }));
+
+        if (this.attendanceAlerts.saveRules(groupName, rules)) {
+            errorHandler.showSuccess(`Reglas de alerta guardadas para ${groupName}`);
+            await this.refreshAlerts();
+        }
+    }
+
+    /**
+     * Reevalúa las reglas y actualiza el panel y las insignias de la tabla
+     */
+    async refreshAlerts() {
+        try {
+            await this.attendanceAlerts.evaluateAll();
+            this.renderAlertsPanel();
+            this.updateStudentAlertBadges();
+        } catch (error) {
+            errorHandler.handle(error, 'UIManager.refreshAlerts');
+        }
+    }
+
+    /**
+     * Renderiza el panel de alertas del tablero principal
+     */
+    renderAlertsPanel() {
+        const panel = this.elements.get('alertsPanel');
+        if (!panel) return;
+
+        const total = this.attendanceAlerts.getAlertCount();
+        if (total === 0) {
+            panel.innerHTML = '';
+            return;
+        }
+
+        let groupsHtml = '';
+        this.attendanceAlerts.alerts.forEach((students, groupName) => {
+            const rows = Array.from(students.entries()).map(([studentId, alerts]) => `
+                <li class="list-group-item d-flex justify-content-between align-items-center flex-wrap gap-1">
+                    <a href="#" class="student-profile-link" title="Ver ficha del estudiante"
+                       data-group="${SecurityUtils.sanitizeAttribute(groupName)}"
+                       data-student="${SecurityUtils.sanitizeAttribute(studentId)}">${SecurityUtils.escapeHtml(this.studentManager.getStudentName(studentId))}</a>
+                    <span>${alerts.map(a => `<span class="badge bg-danger ms-1">${SecurityUtils.escapeHtml(a.message)}</span>`).join('')}</span>
+                </li>`).join('');
+            groupsHtml += `
+                <h6 class="mt-2 mb-1">Grupo ${SecurityUtils.escapeHtml(groupName)}</h6>
+                <ul class="list-group list-group-flush mb-2">${rows}</ul>`;
+        });
+
+        panel.innerHTML = `
+            <div class="glass-card mb-4 fade-in">
+                <div class="card-header-custom d-flex justify-content-between align-items-center">
+                    <h5 class="mb-0"><i class="fas fa-bell"></i> Alertas de Ausentismo (${total})</h5>
+                    <button type="button" class="btn-close btn-close-white" id="alerts-panel-close" title="Ocultar"></button>
+                </div>
+                <div class="card-body p-3">
+                    ${this.generateUndecryptableNoticeHtml(this.attendanceAlerts.failedSessions)}
+                    ${groupsHtml}
+                </div>
+            </div>`;
+
+        document.getElementById('alerts-panel-close')?.addEventListener('click', () => { panel.innerHTML = ''; });
+        panel.querySelectorAll('.student-profile-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showStudentProfile(link.dataset.group, link.dataset.student);
+            });
+        });
+    }
+
     /**
-     * Limpia TODOS los datos guardados en localStorage
+     * Genera la insignia de alerta de un estudiante en la tabla de asistencia
+     * @param {string} groupName
+     * @param {string} studentId
+     */
+    generateStudentAlertBadgeHtml(groupName, studentId) {
+        const alerts = this.attendanceAlerts.getGroupAlerts(groupName).get(studentId);
+        if (!alerts || alerts.length === 0) return '';
+        const title = SecurityUtils.sanitizeAttribute(alerts.map(a => a.message).join(' · '));
+        return `<span class="badge bg-danger ms-1" title="${title}"><i class="fas fa-bell"></i> ${alerts.length}</span>`;
+    }
+
+    /**
+     * Actualiza las insignias de alerta en la tabla sin volver a renderizarla
+     */
+    updateStudentAlertBadges() {
+        const session = this.sessionManager.getCurrentSession();
+        if (!session) return;
+        document.querySelectorAll('.student-alert-badge').forEach(el => {
+            el.innerHTML = this.generateStudentAlertBadgeHtml(session.grupo, el.dataset.student);
+        });
+    }
+
+    /**
+     * Limpia TODOS los datos guardados en el navegador
      */
     clearAllData() {
         const count = StorageService.getKeysMatching('').length;
@@ -808,6 +1154,7 @@ class UIManager {
         `);
 
         document.getElementById('confirm-backup-btn')?.addEventListener('click', () => {
+            this.closeModal('confirm-clear');
             this.createBackup();
         });
 
@@ -838,9 +1185,7 @@ class UIManager {
         let totalSize = 0;
 
         const items = rawKeys.map(cleanKey => {
-            const fullKey = CONFIG.STORAGE_PREFIX + cleanKey;
-            const value = localStorage.getItem(fullKey) || '';
-            const sizeBytes = fullKey.length + value.length;
+            const sizeBytes = StorageService.getEntrySize(cleanKey);
             totalSize += sizeBytes;
 
             let label = cleanKey;
@@ -849,12 +1194,13 @@ class UIManager {
 
             if (cleanKey.startsWith('session_')) {
                 const parts = cleanKey.replace('session_', '').split('_');
-                label = `Sesión: ${parts[0]} del ${parts[1] || ''}`;
+                const time = parts[2] ? ` a las ${parts[2].slice(0, 2)}:${parts[2].slice(2)}` : '';
+                label = `Sesión: ${parts[0]} del ${parts[1] || ''}${time}`;
                 icon = '📋';
                 badge = 'primary';
             } else if (cleanKey === 'groups') {
                 try {
-                    const groups = JSON.parse(value);
+                    const groups = StorageService.get('groups', {});
                     const count = Object.values(groups).reduce((acc, arr) => acc + arr.length, 0);
                     label = `Grupos (${Object.keys(groups).length} grupos, ${count} estudiantes)`;
                 } catch {
@@ -862,6 +1208,10 @@ class UIManager {
                 }
                 icon = '👥';
                 badge = 'success';
+            } else if (cleanKey === 'students') {
+                icon = '🪪';
+                label = 'Fichas de estudiantes';
+                badge = 'success';
             } else if (cleanKey === 'statistics') {
                 icon = '📊';
                 label = 'Estadísticas de asistencia';
@@ -876,8 +1226,9 @@ class UIManager {
         });
 
         const totalKB = (totalSize / 1024).toFixed(1);
-        const maxKB = (5 * 1024).toFixed(0);
-        const usagePercent = Math.min((totalSize / (5 * 1024 * 1024)) * 100, 100).toFixed(1);
+        const quota = StorageService.getStorageQuota();
+        const maxKB = (quota / 1024).toFixed(0);
+        const usagePercent = Math.min((totalSize / quota) * 100, 100).toFixed(1);
 
         let listHtml = '';
         if (items.length === 0) {
@@ -912,7 +1263,8 @@ class UIManager {
                 ${listHtml}
             </div>
             <div class="mt-3 text-muted">
-                <small>Total: <strong>${items.length} elemento(s)</strong> guardado(s) en este navegador</small>
+                <small>Total: <strong>${items.length} elemento(s)</strong> guardado(s) en este navegador
+                    (${StorageService.getBackend() === 'indexedDB' ? 'IndexedDB' : 'localStorage'})</small>
             </div>
         `;
 
@@ -925,149 +1277,1163 @@ class UIManager {
     // =========================================================================
 
     /**
-     * Importa estudiantes desde JSON
+     * Asistente de importación de estudiantes (JSON, CSV o Excel)
      */
     importStudents() {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
+        const hasGroups = this.studentManager.getGroupNames().length > 0;
+        const content = `
+            <div class="mb-3">
+                <label class="form-label fw-bold" for="roster-file">Archivo de lista</label>
+                <input type="file" class="form-control" id="roster-file" accept=".json,.csv,.txt,.xlsx">
+                <small class="text-muted">
+                    JSON exportado desde esta aplicación (o <code>{ "7A": ["Nombre", ...] }</code>), o CSV / Excel (.xlsx)
+                    exportado del sistema del centro educativo. El archivo se procesa solo en este dispositivo.
+                </small>
+            </div>
 
-        input.onchange = (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
+            <div id="roster-mapping" class="d-none mb-3">
+                <h6 class="border-bottom pb-1">Columnas</h6>
+                <div class="row g-2">
+                    <div class="col-md-3">
+                        <label class="form-label small" for="roster-map-group">Grupo / sección</label>
+                        <select class="form-select form-select-sm roster-map" id="roster-map-group"></select>
+                    </div>
+                    ${[['cedula', 'Cédula / carné'], ['apellido1', 'Primer apellido'], ['apellido2', 'Segundo apellido'], ['nombre', 'Nombre']].map(([field, label]) => `
+                    <div class="col-md">
+                        <label class="form-label small" for="roster-map-${field}">${label}</label>
+                        <select class="form-select form-select-sm roster-map" id="roster-map-${field}" data-field="${field}"></select>
+                    </div>`).join('')}
+                </div>
+                <small class="text-muted">Si el archivo trae el nombre completo en una sola columna, asígnela a <em>Nombre</em>.</small>
+            </div>
 
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    if (this.studentManager.importGroups(data)) {
-                        this.loadGroups();
-                        this.closeModal('config');
-                    }
-                } catch (error) {
-                    errorHandler.handle(error, 'UIManager.importStudents');
-                }
-            };
-            reader.readAsText(file);
-        };
+            <div class="mb-3">
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="radio" name="roster-mode" id="roster-mode-merge" value="merge" ${hasGroups ? 'checked' : ''}>
+                    <label class="form-check-label" for="roster-mode-merge">Combinar con los grupos existentes</label>
+                </div>
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="radio" name="roster-mode" id="roster-mode-replace" value="replace" ${hasGroups ? '' : 'checked'}>
+                    <label class="form-check-label" for="roster-mode-replace">Reemplazar todos los grupos</label>
+                </div>
+            </div>
 
-        input.click();
+            <div id="roster-preview"></div>
+
+            <div class="text-end mt-3">
+                <button class="btn btn-primary" id="roster-import-confirm" disabled>
+                    <i class="fas fa-file-import"></i> Importar
+                </button>
+            </div>`;
+
+        this.closeModal('config');
+        this.showModal('roster-import', 'Importar Estudiantes', content);
+        this.bindRosterImportEvents();
     }
 
     /**
-     * Exporta estudiantes a JSON
+     * Enlaza los eventos del asistente de importación
      */
-    exportStudents() {
-        try {
-            const groups = this.studentManager.exportGroups();
-            const dataStr = JSON.stringify(groups, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(dataBlob);
+    bindRosterImportEvents() {
+        const preview = document.getElementById('roster-preview');
+        const confirmBtn = document.getElementById('roster-import-confirm');
+        const mappingEl = document.getElementById('roster-mapping');
+        let table = null;     // { headers, rows } de CSV/XLSX
+        let groups = null;    // Grupos válidos listos para importar
+        let errorCount = 0;
+
+        const renderPreview = () => {
+            const mapping = { group: parseInt(document.getElementById('roster-map-group').value, 10) };
+            document.querySelectorAll('.roster-map[data-field]').forEach(select => {
+                mapping[select.dataset.field] = parseInt(select.value, 10);
+            });
+            const result = RosterImporter.buildPreview(table.rows, mapping);
+            groups = result.groups;
+            errorCount = result.rows.filter(row => row.errors.length > 0).length;
+            preview.innerHTML = this.generateRosterPreviewHtml(result.rows, groups);
+            confirmBtn.disabled = Object.keys(groups).length === 0;
+        };
 
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = 'estudiantes_grupos.json';
-            link.click();
+        document.getElementById('roster-file')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            table = null;
+            groups = null;
+            errorCount = 0;
+            confirmBtn.disabled = true;
+            mappingEl.classList.add('d-none');
+            preview.innerHTML = '';
+            if (!file) return;
 
-            URL.revokeObjectURL(url);
-            errorHandler.showSuccess('Grupos exportados correctamente');
-        } catch (error) {
-            errorHandler.handle(error, 'UIManager.exportStudents');
-        }
+            try {
+                if (file.name.toLowerCase().endsWith('.json')) {
+                    const validation = Validators.validateImportedGroups(JSON.parse(await file.text()));
+                    groups = validation.validGroups || {};
+                    errorCount = validation.valid ? 0 : (validation.errors || [validation.message]).length;
+                    preview.innerHTML = this.generateRosterPreviewHtml(
+                        (validation.errors || []).map(message => ({ line: '—', group: '', name: '', errors: [message] })),
+                        groups);
+                    confirmBtn.disabled = !validation.valid;
+                    return;
+                }
+
+                table = await RosterImporter.readFile(file);
+                const guess = RosterImporter.guessMapping(table.headers);
+                const options = '<option value="-1">(ninguna)</option>' + table.headers.map((header, i) =>
+                    `<option value="${i}">${SecurityUtils.escapeHtml(header || `Columna ${i + 1}`)}</option>`).join('');
+
+                document.querySelectorAll('.roster-map').forEach(select => { select.innerHTML = options; });
+                document.getElementById('roster-map-group').value = String(guess.group);
+                document.querySelectorAll('.roster-map[data-field]').forEach(select => {
+                    select.value = String(guess[select.dataset.field]);
+                });
+
+                mappingEl.classList.remove('d-none');
+                renderPreview();
+            } catch (error) {
+                errorHandler.handle(error, 'UIManager.importStudents');
+            }
+        });
+
+        document.querySelectorAll('.roster-map').forEach(select =>
+            select.addEventListener('change', () => { if (table) renderPreview(); }));
+
+        confirmBtn?.addEventListener('click', () => {
+            if (!groups || Object.keys(groups).length === 0) return;
+
+            const merge = document.getElementById('roster-mode-merge')?.checked;
+            if (errorCount > 0 && !confirm(`Se omitirán ${errorCount} fila(s) con errores. ¿Continuar?`)) return;
+            if (!merge && this.studentManager.getGroupNames().length > 0 &&
+                !confirm('Se reemplazarán TODOS los grupos actuales por los del archivo. ¿Continuar?')) return;
+
+            if (this.studentManager.importGroups(groups, merge)) {
+                this.loadGroups();
+                this.closeModal('roster-import');
+            }
+        });
     }
 
     /**
-     * Reinicia formulario actual
+     * Genera la vista previa de la importación con los errores por fila
+     * @param {Array<{line, group, name, cedula, errors}>} rows
+     * @param {Object} groups - Grupos válidos { grupo: [estudiantes] }
      */
-    resetForm() {
-        this.showModal('confirm-reset', 'Reiniciar Formulario', `
-            <p>¿Está seguro de que desea reiniciar el formulario actual?</p>
-            <p class="text-muted">Los datos no guardados se perderán.</p>
-            <div class="d-flex gap-2 justify-content-end">
-                <button class="btn btn-secondary" data-bs-dismiss="modal">Cancelar</button>
-                <button class="btn btn-danger" id="confirm-reset-btn">Reiniciar</button>
-            </div>
-        `);
+    generateRosterPreviewHtml(rows, groups) {
+        const MAX_ROWS = 300;
+        const groupNames = Object.keys(groups).sort();
+        const validCount = groupNames.reduce((sum, g) => sum + groups[g].length, 0);
+        const invalidRows = rows.filter(row => row.errors.length > 0);
+
+        const summary = `
+            <div class="alert ${invalidRows.length > 0 ? 'alert-warning' : 'alert-success'} py-2 small">
+                <strong>${validCount}</strong> estudiante(s) válido(s) en <strong>${groupNames.length}</strong> grupo(s)
+                ${groupNames.length > 0 ? `(${groupNames.map(g => `${SecurityUtils.escapeHtml(g)}: ${groups[g].length}`).join(', ')})` : ''}
+                ${invalidRows.length > 0 ? `<br><strong>${invalidRows.length}</strong> fila(s) con errores no se importarán.` : ''}
+            </div>`;
 
-        document.getElementById('confirm-reset-btn')?.addEventListener('click', () => {
-            this.closeModal('confirm-reset');
-            this.sessionManager.clearCurrentSession();
-            const groupSelect = this.elements.get('groupSelect');
-            if (groupSelect) groupSelect.value = '';
-            this.setCurrentDateTime();
-            const dynamicContent = this.elements.get('dynamicContent');
-            if (dynamicContent) dynamicContent.innerHTML = '';
-            const sessionInfo = this.elements.get('sessionInfo');
-            if (sessionInfo) sessionInfo.style.display = 'none';
-            const actionButtons = this.elements.get('actionButtons');
-            if (actionButtons) actionButtons.style.display = 'none';
-            errorHandler.showSuccess('Formulario reiniciado correctamente');
-            this.closeModal('config');
-        });
+        if (rows.length === 0) return summary;
+
+        const rowsHtml = rows.slice(0, MAX_ROWS).map(row => `
+            <tr class="${row.errors.length > 0 ? 'table-danger' : ''}">
+                <td>${row.line}</td>
+                <td>${SecurityUtils.escapeHtml(row.group)}</td>
+                <td>${SecurityUtils.escapeHtml(row.cedula || '')}</td>
+                <td>${SecurityUtils.escapeHtml(row.name)}</td>
+                <td>${row.errors.length > 0
+                    ? row.errors.map(err => SecurityUtils.escapeHtml(err)).join('<br>')
+                    : '<i class="fas fa-check text-success"></i>'}</td>
+            </tr>`).join('');
+
+        return `${summary}
+            <div class="table-responsive" style="max-height: 320px; overflow-y: auto;">
+                <table class="table table-sm small mb-1">
+                    <thead class="table-light">
+                        <tr><th>Línea</th><th>Grupo</th><th>Cédula</th><th>Estudiante</th><th>Validación</th></tr>
+                    </thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+            </div>
+            ${rows.length > MAX_ROWS ? `<small class="text-muted">Mostrando ${MAX_ROWS} de ${rows.length} filas.</small>` : ''}`;
     }
 
     /**
-     * Crea respaldo completo
+     * Editor de la lista de un grupo: agregar, corregir nombres, trasladar y retirar
+     * @param {string} [groupName] - Grupo a mostrar (el primero por defecto)
      */
-    createBackup() {
-        try {
-            const backup = StorageService.createBackup();
-            const dataStr = JSON.stringify(backup, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(dataBlob);
+    showRosterEditor(groupName) {
+        const groups = this.studentManager.getGroupNames();
+        if (groups.length === 0) return;
+        const selected = groups.includes(groupName) ? groupName : groups[0];
 
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `bitacora_backup_${new Date().toISOString().split('T')[0]}.json`;
-            link.click();
+        const content = `
+            <div class="input-group mb-3">
+                <span class="input-group-text"><i class="fas fa-users"></i></span>
+                <select class="form-select" id="roster-editor-group">
+                    ${groups.map(g => `<option value="${SecurityUtils.sanitizeAttribute(g)}" ${g === selected ? 'selected' : ''}>${SecurityUtils.escapeHtml(g)}</option>`).join('')}
+                </select>
+            </div>
+            <div id="roster-editor-list">${this.generateRosterEditorHtml(selected)}</div>`;
 
-            URL.revokeObjectURL(url);
-            errorHandler.showSuccess('Respaldo creado correctamente');
-        } catch (error) {
-            errorHandler.handle(error, 'UIManager.createBackup');
-        }
+        this.closeModal('config');
+        this.showModal('roster-editor', 'Editar Lista de Estudiantes', content);
+        this.bindRosterEditorEvents();
     }
 
     /**
-     * Exporta solo el historial de sesiones a JSON
+     * Genera la tabla editable de la lista de un grupo
+     * @param {string} groupName
      */
-    exportHistory() {
-        try {
-            StorageService.exportHistoryToFile();
-            errorHandler.showSuccess('Historial exportado correctamente');
-        } catch (error) {
-            errorHandler.handle(error, 'UIManager.exportHistory');
-        }
+    generateRosterEditorHtml(groupName) {
+        const attr = (value) => SecurityUtils.sanitizeAttribute(value || '');
+        const otherGroups = this.studentManager.getGroupNames().filter(g => g !== groupName);
+        const today = SchoolCalendar.toISODate(new Date());
+
+        const rows = this.studentManager.getGroupRoster(groupName).map(id => {
+            const student = this.studentManager.getStudent(id);
+            if (!student) return '';
+            const withdrawn = Boolean(student.fechaRetiro);
+            return `
+                <tr data-student-id="${attr(id)}" class="${withdrawn ? 'table-secondary' : ''}">
+                    <td><input type="text" class="form-control form-control-sm" data-field="apellidos" maxlength="${CONFIG.MAX_STUDENT_NAME_LENGTH}" placeholder="Apellidos" value="${attr(student.apellidos)}"></td>
+                    <td><input type="text" class="form-control form-control-sm" data-field="nombre" maxlength="${CONFIG.MAX_STUDENT_NAME_LENGTH}" placeholder="Nombre" value="${attr(student.nombre)}"></td>
+                    <td><input type="text" class="form-control form-control-sm" data-field="cedula" maxlength="20" placeholder="Cédula" value="${attr(student.cedula)}"></td>
+                    <td class="text-nowrap">
+                        <button class="btn btn-sm btn-outline-primary" data-action="rename" title="Guardar nombre"><i class="fas fa-save"></i></button>
+                        ${otherGroups.length > 0 ? `
+                        <select class="form-select form-select-sm d-inline-block w-auto" data-action="move" title="Trasladar a otro grupo">
+                            <option value="">Trasladar…</option>
+                            ${otherGroups.map(g => `<option value="${attr(g)}">${SecurityUtils.escapeHtml(g)}</option>`).join('')}
+                        </select>` : ''}
+                        ${withdrawn ? `
+                        <span class="badge bg-secondary">Retirado ${SecurityUtils.escapeHtml(student.fechaRetiro)}</span>
+                        <button class="btn btn-sm btn-outline-success" data-action="reinstate" title="Anular retiro"><i class="fas fa-undo"></i></button>` : `
+                        <input type="date" class="form-control form-control-sm d-inline-block w-auto" data-field="fechaRetiro" value="${today}" max="${today}">
+                        <button class="btn btn-sm btn-outline-danger" data-action="withdraw" title="Marcar como retirado"><i class="fas fa-user-minus"></i></button>`}
+                    </td>
+                </tr>`;
+        }).join('');
+
+        return `
+            <div class="table-responsive" style="max-height: 420px; overflow-y: auto;">
+                <table class="table table-sm align-middle small mb-2">
+                    <thead class="table-light">
+                        <tr><th>Apellidos</th><th>Nombre</th><th>Cédula</th><th>Acciones</th></tr>
+                    </thead>
+                    <tbody>${rows || '<tr><td colspan="4" class="text-muted">El grupo no tiene estudiantes.</td></tr>'}</tbody>
+                    <tfoot>
+                        <tr id="roster-editor-new">
+                            <td><input type="text" class="form-control form-control-sm" data-field="apellidos" maxlength="${CONFIG.MAX_STUDENT_NAME_LENGTH}" placeholder="Apellidos"></td>
+                            <td><input type="text" class="form-control form-control-sm" data-field="nombre" maxlength="${CONFIG.MAX_STUDENT_NAME_LENGTH}" placeholder="Nombre"></td>
+                            <td><input type="text" class="form-control form-control-sm" data-field="cedula" maxlength="20" placeholder="Cédula"></td>
+                            <td><button class="btn btn-sm btn-primary" data-action="add"><i class="fas fa-user-plus"></i> Agregar</button></td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+            <small class="text-muted">
+                Los cambios de nombre se aplican también al historial, al mapa de clase y a las excepciones.
+                Los estudiantes retirados no aparecen en sesiones nuevas desde la fecha de retiro, pero conservan su historial.
+            </small>`;
     }
 
     /**
-     * Importa sesiones desde un JSON de historial
+     * Enlaza los eventos del editor de lista
      */
-    importHistory() {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
-        input.onchange = (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-            const reader = new FileReader();
-            reader.onload = (ev) => {
-                try {
-                    const jsonData = JSON.parse(ev.target.result);
-                    const result = StorageService.importHistoryFromFile(jsonData);
-                    errorHandler.showSuccess(
-                        `Historial importado: ${result.imported} sesión(es) recuperada(s)` +
-                        (result.skipped ? `, ${result.skipped} omitida(s) (ya existían).` : '.')
-                    );
-                } catch (err) {
-                    errorHandler.handle(err, 'UIManager.importHistory');
+    bindRosterEditorEvents() {
+        const modal = document.getElementById('modal-roster-editor');
+        const groupSelect = document.getElementById('roster-editor-group');
+        const list = document.getElementById('roster-editor-list');
+        if (!modal || !groupSelect || !list) return;
+
+        const refresh = () => {
+            list.innerHTML = this.generateRosterEditorHtml(groupSelect.value);
+            // Reflejar los cambios en la sesión activa si es del mismo grupo
+            if (this.sessionManager.getCurrentSession()?.grupo === groupSelect.value) {
+                this.renderStudentsTable();
+            }
+        };
+        const readFields = (row) => Object.fromEntries(
+            Array.from(row.querySelectorAll('input[data-field]')).map(input => [input.dataset.field, input.value]));
+
+        groupSelect.addEventListener('change', refresh);
+
+        list.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const row = button.closest('tr');
+            const studentId = row.dataset.studentId;
+
+            switch (button.dataset.action) {
+                case 'add':
+                    if (this.studentManager.addStudent(groupSelect.value, readFields(row))) {
+                        errorHandler.showSuccess('Estudiante agregado a la lista');
+                        refresh();
+                    }
+                    break;
+                case 'rename': {
+                    const { apellidos, nombre, cedula } = readFields(row);
+                    if (this.studentManager.renameStudent(studentId, { apellidos, nombre, cedula })) {
+                        await this.sessionManager.updateStudentNameInSessions(studentId);
+                        errorHandler.showSuccess(`Nombre actualizado: ${this.studentManager.getStudentName(studentId)}`);
+                        refresh();
+                    }
+                    break;
+                }
+                case 'withdraw': {
+                    const name = this.studentManager.getStudentName(studentId);
+                    const { fechaRetiro } = readFields(row);
+                    if (!confirm(`¿Marcar a ${name} como retirado desde el ${fechaRetiro}?`)) return;
+                    if (this.studentManager.withdrawStudent(studentId, fechaRetiro)) {
+                        errorHandler.showSuccess(`${name} marcado como retirado`);
+                        refresh();
+                    }
+                    break;
+                }
+                case 'reinstate':
+                    if (this.studentManager.reinstateStudent(studentId)) refresh();
+                    break;
+            }
+        });
+
+        list.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-action="move"]');
+            if (!select || !select.value) return;
+            const studentId = select.closest('tr').dataset.studentId;
+            const name = this.studentManager.getStudentName(studentId);
+
+            if (!confirm(`¿Trasladar a ${name} al grupo ${select.value}? Sus sesiones anteriores se conservan en el grupo ${groupSelect.value}.`)) {
+                select.value = '';
+                return;
+            }
+            if (this.studentManager.moveStudent(studentId, select.value)) {
+                errorHandler.showSuccess(`${name} trasladado al grupo ${select.value}`);
+                refresh();
+            } else {
+                select.value = '';
+            }
+        });
+    }
+
+    // =========================================================================
+    // HORARIO SEMANAL Y CALENDARIO ESCOLAR
+    // =========================================================================
+
+    /**
+     * Muestra el editor del horario semanal y del calendario escolar
+     */
+    showScheduleEditor() {
+        this.closeModal('config');
+        this.showModal('schedule', 'Horario Semanal y Calendario Escolar', `
+            <h6 class="text-primary border-bottom pb-1"><i class="fas fa-calendar-week"></i> Horario semanal</h6>
+            <div id="schedule-timetable">${this.generateTimetableHtml()}</div>
+            <h6 class="text-primary border-bottom pb-1 mt-4"><i class="fas fa-calendar-alt"></i> Calendario escolar</h6>
+            <div id="schedule-calendar">${this.generateSchoolCalendarHtml()}</div>`);
+        this.bindScheduleEditorEvents();
+    }
+
+    /**
+     * Tabla editable del horario semanal
+     */
+    generateTimetableHtml() {
+        const esc = SecurityUtils.escapeHtml;
+        const groups = this.studentManager.getGroupNames();
+        const rows = this.schoolCalendar.getTimetable().map(slot => `
+            <tr data-slot-id="${SecurityUtils.sanitizeAttribute(slot.id)}">
+                <td>${CONFIG.WEEKDAY_LABELS[slot.dia]}</td>
+                <td>${esc(slot.inicio)}–${esc(slot.fin)}</td>
+                <td>${esc(slot.grupo)}</td>
+                <td>${esc(slot.materia || '')}</td>
+                <td>${esc(slot.aula || '')}</td>
+                <td><button class="btn btn-sm btn-outline-danger" data-action="remove-slot" title="Eliminar"><i class="fas fa-trash"></i></button></td>
+            </tr>`).join('');
+
+        return `
+            <div class="table-responsive" style="max-height: 300px; overflow-y: auto;">
+                <table class="table table-sm align-middle small mb-2">
+                    <thead class="table-light">
+                        <tr><th>Día</th><th>Hora</th><th>Grupo</th><th>Materia</th><th>Aula</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows || '<tr><td colspan="6" class="text-muted">No hay clases en el horario.</td></tr>'}</tbody>
+                    <tfoot>
+                        <tr id="schedule-new-slot">
+                            <td>
+                                <select class="form-select form-select-sm" data-field="dia">
+                                    ${Object.entries(CONFIG.WEEKDAY_LABELS).map(([dia, label]) => `<option value="${dia}">${label}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td class="text-nowrap">
+                                <input type="time" class="form-control form-control-sm d-inline-block w-auto" data-field="inicio">
+                                <input type="time" class="form-control form-control-sm d-inline-block w-auto" data-field="fin">
+                            </td>
+                            <td>
+                                <select class="form-select form-select-sm" data-field="grupo">
+                                    ${groups.map(g => `<option value="${SecurityUtils.sanitizeAttribute(g)}">${esc(g)}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td><input type="text" class="form-control form-control-sm" data-field="materia" maxlength="60" placeholder="Materia"></td>
+                            <td><input type="text" class="form-control form-control-sm" data-field="aula" maxlength="30" placeholder="Aula"></td>
+                            <td><button class="btn btn-sm btn-primary" data-action="add-slot"><i class="fas fa-plus"></i></button></td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>`;
+    }
+
+    /**
+     * Listas editables de periodos lectivos y días sin lecciones
+     */
+    generateSchoolCalendarHtml() {
+        const esc = SecurityUtils.escapeHtml;
+        const { terms, holidays } = this.schoolCalendar.getCalendar();
+
+        const termRows = terms.map(term => `
+            <tr data-term-id="${SecurityUtils.sanitizeAttribute(term.id)}">
+                <td>${esc(term.nombre)}</td>
+                <td>${esc(term.inicio)}</td>
+                <td>${esc(term.fin)}</td>
+                <td><button class="btn btn-sm btn-outline-danger" data-action="remove-term" title="Eliminar"><i class="fas fa-trash"></i></button></td>
+            </tr>`).join('');
+
+        const holidayRows = holidays.map(holiday => `
+            <tr data-holiday-id="${SecurityUtils.sanitizeAttribute(holiday.id)}">
+                <td>${esc(holiday.fecha)}${holiday.hasta !== holiday.fecha ? ` a ${esc(holiday.hasta)}` : ''}</td>
+                <td>${esc(holiday.motivo)}</td>
+                <td><button class="btn btn-sm btn-outline-danger" data-action="remove-holiday" title="Eliminar"><i class="fas fa-trash"></i></button></td>
+            </tr>`).join('');
+
+        return `
+            <div class="row g-3">
+                <div class="col-md-6">
+                    <p class="small fw-bold mb-1">Periodos lectivos</p>
+                    <table class="table table-sm align-middle small mb-1">
+                        <thead class="table-light"><tr><th>Periodo</th><th>Inicio</th><th>Fin</th><th></th></tr></thead>
+                        <tbody>${termRows || '<tr><td colspan="4" class="text-muted">Sin periodos.</td></tr>'}</tbody>
+                        <tfoot>
+                            <tr id="schedule-new-term">
+                                <td><input type="text" class="form-control form-control-sm" data-field="nombre" maxlength="40" placeholder="I Periodo"></td>
+                                <td><input type="date" class="form-control form-control-sm" data-field="inicio"></td>
+                                <td><input type="date" class="form-control form-control-sm" data-field="fin"></td>
+                                <td><button class="btn btn-sm btn-primary" data-action="add-term"><i class="fas fa-plus"></i></button></td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+                <div class="col-md-6">
+                    <p class="small fw-bold mb-1">Días sin lecciones</p>
+                    <table class="table table-sm align-middle small mb-1">
+                        <thead class="table-light"><tr><th>Fecha</th><th>Motivo</th><th></th></tr></thead>
+                        <tbody>${holidayRows || '<tr><td colspan="3" class="text-muted">Sin feriados ni vacaciones.</td></tr>'}</tbody>
+                        <tfoot>
+                            <tr id="schedule-new-holiday">
+                                <td>
+                                    <input type="date" class="form-control form-control-sm" data-field="fecha" title="Desde">
+                                    <input type="date" class="form-control form-control-sm mt-1" data-field="hasta" title="Hasta (opcional)">
+                                </td>
+                                <td><input type="text" class="form-control form-control-sm" data-field="motivo" maxlength="80" placeholder="Feriado, vacaciones…"></td>
+                                <td><button class="btn btn-sm btn-primary" data-action="add-holiday"><i class="fas fa-plus"></i></button></td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            </div>
+            <small class="text-muted">
+                Las estadísticas comparan las sesiones registradas con las esperadas: lecciones del horario
+                en los días del periodo en curso, sin contar los días sin lecciones.
+            </small>`;
+    }
+
+    /**
+     * Enlaza los eventos del editor de horario y calendario
+     */
+    bindScheduleEditorEvents() {
+        const modal = document.getElementById('modal-schedule');
+        if (!modal) return;
+
+        const readFields = (row) => Object.fromEntries(
+            Array.from(row.querySelectorAll('[data-field]')).map(input => [input.dataset.field, input.value]));
+        const refresh = () => {
+            document.getElementById('schedule-timetable').innerHTML = this.generateTimetableHtml();
+            document.getElementById('schedule-calendar').innerHTML = this.generateSchoolCalendarHtml();
+        };
+
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const row = button.closest('tr');
+            let changed = false;
+
+            switch (button.dataset.action) {
+                case 'add-slot':
+                    changed = Boolean(this.schoolCalendar.addSlot(readFields(row)));
+                    break;
+                case 'remove-slot':
+                    changed = this.schoolCalendar.removeSlot(row.dataset.slotId);
+                    break;
+                case 'add-term':
+                    changed = Boolean(this.schoolCalendar.addTerm(readFields(row)));
+                    break;
+                case 'remove-term':
+                    changed = this.schoolCalendar.removeTerm(row.dataset.termId);
+                    break;
+                case 'add-holiday':
+                    changed = Boolean(this.schoolCalendar.addHoliday(readFields(row)));
+                    break;
+                case 'remove-holiday':
+                    changed = this.schoolCalendar.removeHoliday(row.dataset.holidayId);
+                    break;
+                default:
+                    return;
+            }
+            if (changed) refresh();
+        });
+    }
+
+    // =========================================================================
+    // RÚBRICA DE EVALUACIÓN
+    // =========================================================================
+
+    /**
+     * Editor de la rúbrica de evaluación. Se trabaja sobre un borrador que
+     * solo se guarda al confirmar.
+     */
+    showRubricEditor() {
+        this.closeModal('config');
+        this.rubricDraft = EvaluationRubric.getRubric();
+        this.showModal('evaluation-rubric', 'Rúbrica de Evaluación', `
+            <p class="small text-muted">
+                Agregue, quite y ordene los criterios de la autoevaluación y defina la escala de cada uno,
+                de la mejor a la peor respuesta (así se calcula la evolución en las estadísticas; el color rojo marca una valoración crítica).
+                La rúbrica se aplica a las sesiones nuevas: las sesiones ya registradas conservan la rúbrica con la que se evaluaron.
+            </p>
+            <div id="rubric-editor">${this.generateRubricEditorHtml()}</div>
+            <div class="d-flex flex-wrap gap-2 justify-content-between border-top pt-3">
+                <button class="btn btn-outline-danger" id="rubric-reset">
+                    <i class="fas fa-undo"></i> Restablecer Predeterminada
+                </button>
+                <button class="btn btn-primary" id="rubric-save">
+                    <i class="fas fa-save"></i> Guardar Rúbrica
+                </button>
+            </div>`);
+        this.bindRubricEditorEvents();
+    }
+
+    /**
+     * Criterios del borrador de la rúbrica con su escala
+     * @returns {string}
+     */
+    generateRubricEditorHtml() {
+        const attr = SecurityUtils.sanitizeAttribute;
+        const criteria = this.rubricDraft;
+
+        const criteriaHtml = criteria.map((criterion, index) => {
+            const optionRows = criterion.options.map((option, optionIndex) => `
+                <tr data-option="${optionIndex}">
+                    <td><input type="text" class="form-control form-control-sm" data-field="value" maxlength="50" value="${attr(option.value)}" placeholder="Respuesta"></td>
+                    <td><input type="text" class="form-control form-control-sm" data-field="label" maxlength="30" value="${attr(option.label || '')}" placeholder="Igual a la respuesta"></td>
+                    <td>
+                        <select class="form-select form-select-sm" data-field="color">
+                            ${Object.entries(CONFIG.EVALUATION_COLORS).map(([color, label]) =>
+                                `<option value="${color}" ${color === option.color ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td class="text-center">
+                        <input type="radio" class="form-check-input" name="rubric-default-${index}" data-field="default" ${option.value && option.value === criterion.default ? 'checked' : ''}>
+                    </td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-danger" data-action="remove-option" title="Quitar opción" ${criterion.options.length <= 2 ? 'disabled' : ''}><i class="fas fa-times"></i></button>
+                    </td>
+                </tr>`).join('');
+
+            return `
+                <div class="border rounded p-2 mb-3" data-criterion="${index}">
+                    <div class="d-flex gap-2 align-items-start mb-2">
+                        <span class="badge bg-primary mt-2">${index + 1}</span>
+                        <div class="flex-grow-1">
+                            <input type="text" class="form-control form-control-sm mb-1" data-field="label" maxlength="120" value="${attr(criterion.label)}" placeholder="Pregunta (ej.: Los materiales fueron adecuados:)">
+                            <input type="text" class="form-control form-control-sm" data-field="short" maxlength="40" value="${attr(criterion.short || '')}" placeholder="Etiqueta corta para el PDF (opcional)">
+                        </div>
+                        <div class="btn-group btn-group-sm">
+                            <button class="btn btn-outline-secondary" data-action="move-up" title="Subir" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                            <button class="btn btn-outline-secondary" data-action="move-down" title="Bajar" ${index === criteria.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                            <button class="btn btn-outline-danger" data-action="remove-criterion" title="Quitar criterio" ${criteria.length <= 1 ? 'disabled' : ''}><i class="fas fa-trash"></i></button>
+                        </div>
+                    </div>
+                    <table class="table table-sm align-middle small mb-1">
+                        <thead class="table-light">
+                            <tr><th>Respuesta</th><th>Texto del botón</th><th>Color</th><th class="text-center">Por defecto</th><th></th></tr>
+                        </thead>
+                        <tbody>${optionRows}</tbody>
+                    </table>
+                    <button class="btn btn-sm btn-outline-primary" data-action="add-option" ${criterion.options.length >= CONFIG.MAX_RUBRIC_OPTIONS ? 'disabled' : ''}>
+                        <i class="fas fa-plus"></i> Opción
+                    </button>
+                </div>`;
+        }).join('');
+
+        return `${criteriaHtml}
+            <button class="btn btn-outline-primary btn-sm mb-3" data-action="add-criterion" ${criteria.length >= CONFIG.MAX_RUBRIC_CRITERIA ? 'disabled' : ''}>
+                <i class="fas fa-plus"></i> Agregar Criterio
+            </button>`;
+    }
+
+    /**
+     * Enlaza los eventos del editor de la rúbrica
+     */
+    bindRubricEditorEvents() {
+        const modal = document.getElementById('modal-evaluation-rubric');
+        const editor = document.getElementById('rubric-editor');
+        if (!modal || !editor) return;
+
+        const refresh = () => { editor.innerHTML = this.generateRubricEditorHtml(); };
+        const locate = (element) => {
+            const criterion = this.rubricDraft[Number(element.closest('[data-criterion]')?.dataset.criterion)];
+            const row = element.closest('[data-option]');
+            return { criterion, option: row ? criterion?.options[Number(row.dataset.option)] : null };
+        };
+
+        // Los textos y colores se copian al borrador sin volver a dibujar el editor
+        editor.addEventListener('input', (e) => {
+            const field = e.target.dataset.field;
+            const { criterion, option } = locate(e.target);
+            if (!criterion || !field || field === 'default') return;
+
+            if (!option) {
+                criterion[field] = e.target.value;
+            } else if (field === 'value') {
+                if (criterion.default === option.value) criterion.default = e.target.value;
+                option.value = e.target.value;
+            } else {
+                option[field] = e.target.value;
+            }
+        });
+        editor.addEventListener('change', (e) => {
+            if (e.target.dataset.field !== 'default') return;
+            const { criterion, option } = locate(e.target);
+            if (criterion && option) criterion.default = option.value;
+        });
+
+        editor.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const criteria = this.rubricDraft;
+            const index = Number(button.closest('[data-criterion]')?.dataset.criterion);
+            const { criterion, option } = locate(button);
+
+            switch (button.dataset.action) {
+                case 'add-criterion':
+                    criteria.push({
+                        id: SecurityUtils.generateSecureId('crit_'),
+                        label: '',
+                        options: [
+                            { value: 'Sí', color: 'success' },
+                            { value: 'Parcialmente', color: 'warning' },
+                            { value: 'No', color: 'danger' }
+                        ]
+                    });
+                    break;
+                case 'remove-criterion':
+                    criteria.splice(index, 1);
+                    break;
+                case 'move-up':
+                case 'move-down': {
+                    const target = button.dataset.action === 'move-up' ? index - 1 : index + 1;
+                    [criteria[index], criteria[target]] = [criteria[target], criteria[index]];
+                    break;
+                }
+                case 'add-option':
+                    criterion.options.push({ value: '', color: 'secondary' });
+                    break;
+                case 'remove-option':
+                    criterion.options.splice(criterion.options.indexOf(option), 1);
+                    if (criterion.default === option.value) delete criterion.default;
+                    break;
+                default:
+                    return;
+            }
+            refresh();
+        });
+
+        document.getElementById('rubric-save')?.addEventListener('click', () => {
+            if (EvaluationRubric.saveRubric(this.rubricDraft)) {
+                this.closeModal('evaluation-rubric');
+                errorHandler.showSuccess('Rúbrica guardada. Se aplicará a las sesiones nuevas.');
+            }
+        });
+        document.getElementById('rubric-reset')?.addEventListener('click', () => {
+            if (!confirm('¿Restablecer la rúbrica predeterminada? Las sesiones ya registradas no cambian.')) return;
+            EvaluationRubric.resetRubric();
+            this.rubricDraft = EvaluationRubric.getRubric();
+            refresh();
+            errorHandler.showSuccess('Rúbrica predeterminada restablecida.');
+        });
+        modal.addEventListener('hidden.bs.modal', () => { this.rubricDraft = null; });
+    }
+
+    // =========================================================================
+    // PLANIFICACIÓN DE UNIDADES
+    // =========================================================================
+
+    /**
+     * Planes de unidad de un grupo y sus lecciones programadas
+     */
+    showLessonPlanner() {
+        const groups = this.studentManager.getGroupNames();
+        if (groups.length === 0) {
+            errorHandler.showGlobalError('Importe estudiantes antes de planificar unidades');
+            return;
+        }
+        const current = this.sessionManager.getCurrentSession()?.grupo;
+        const grupo = groups.includes(current) ? current : groups[0];
+
+        this.closeModal('config');
+        this.showModal('lesson-planner', 'Planificación de Unidades', `
+            <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+                <label class="fw-bold small" for="planner-group">Grupo:</label>
+                <select class="form-select form-select-sm w-auto" id="planner-group">
+                    ${groups.map(g => `<option value="${SecurityUtils.sanitizeAttribute(g)}" ${g === grupo ? 'selected' : ''}>${SecurityUtils.escapeHtml(g)}</option>`).join('')}
+                </select>
+            </div>
+            <p class="small text-muted">
+                Al crear una sesión del grupo en una fecha programada, el contenido planificado rellena el contenido de la lección.
+                El estado que se marque en la sesión (completada, parcial o pospuesta) se copia a la lección del plan y
+                lo que quede pendiente aparece en la siguiente sesión del grupo hasta que se complete.
+            </p>
+            <div id="planner-content">${this.generateLessonPlannerHtml(grupo)}</div>`);
+        this.bindLessonPlannerEvents();
+    }
+
+    /**
+     * Unidades de un grupo con sus lecciones y el formulario de unidad
+     * @param {string} grupo
+     */
+    generateLessonPlannerHtml(grupo) {
+        const esc = SecurityUtils.escapeHtml;
+        const today = SchoolCalendar.toISODate(new Date());
+        const multiline = text => esc(text).replace(/\n/g, '<br>');
+
+        const statusHtml = (lesson) => {
+            const meta = CONFIG.LESSON_STATUS_META[lesson.estado];
+            if (!meta) return `<span class="text-muted">${lesson.fecha < today ? 'Sin registrar' : 'Programada'}</span>`;
+            const badge = `<span class="badge bg-${meta.color}"><i class="fas ${meta.icon}"></i> ${meta.label}</span>`;
+            if (!LessonPlanner.isUnfinished(lesson)) return badge;
+            const followUp = lesson.resueltaEn ? `completado el ${esc(lesson.resueltaEn)}` : 'pendiente';
+            return `${badge}<div class="text-muted">${followUp}${lesson.nota ? `: ${esc(lesson.nota)}` : ''}</div>`;
+        };
+
+        const unitsHtml = this.lessonPlanner.getUnits(grupo).map(unit => {
+            const rows = unit.lessons.map(lesson => `
+                <tr data-lesson-id="${SecurityUtils.sanitizeAttribute(lesson.id)}">
+                    <td class="text-nowrap">${esc(lesson.fecha)}</td>
+                    <td>${esc(lesson.contenido)}</td>
+                    <td>${statusHtml(lesson)}</td>
+                    <td><button class="btn btn-sm btn-outline-danger" data-action="remove-lesson" title="Eliminar"><i class="fas fa-trash"></i></button></td>
+                </tr>`).join('');
+
+            return `
+                <div class="border rounded p-3 mb-3" data-unit-id="${SecurityUtils.sanitizeAttribute(unit.id)}">
+                    <div class="d-flex justify-content-between align-items-start gap-2">
+                        <h6 class="text-primary mb-1"><i class="fas fa-layer-group"></i> ${esc(unit.titulo)}</h6>
+                        <div class="btn-group btn-group-sm">
+                            <button class="btn btn-outline-primary" data-action="edit-unit" title="Editar"><i class="fas fa-edit"></i></button>
+                            <button class="btn btn-outline-danger" data-action="remove-unit" title="Eliminar"><i class="fas fa-trash"></i></button>
+                        </div>
+                    </div>
+                    <div class="row g-2 small mb-2">
+                        <div class="col-md-4"><strong>Objetivos:</strong><br>${multiline(unit.objetivos) || '—'}</div>
+                        <div class="col-md-4"><strong>Contenidos:</strong><br>${multiline(unit.contenidos)}</div>
+                        <div class="col-md-4"><strong>Actividades previstas:</strong><br>${multiline(unit.actividades) || '—'}</div>
+                    </div>
+                    <div class="table-responsive">
+                        <table class="table table-sm align-middle small mb-2">
+                            <thead class="table-light"><tr><th>Fecha</th><th>Contenido</th><th>Estado</th><th></th></tr></thead>
+                            <tbody>${rows || '<tr><td colspan="4" class="text-muted">Sin lecciones programadas.</td></tr>'}</tbody>
+                            <tfoot>
+                                <tr data-new-lesson>
+                                    <td><input type="date" class="form-control form-control-sm" data-field="fecha"></td>
+                                    <td><input type="text" class="form-control form-control-sm" data-field="contenido" maxlength="500" placeholder="Contenido de la lección"></td>
+                                    <td></td>
+                                    <td><button class="btn btn-sm btn-primary" data-action="add-lesson" title="Programar"><i class="fas fa-plus"></i></button></td>
+                                </tr>
+                            </tfoot>
+                        </table>
+                    </div>
+                    <div class="d-flex flex-wrap align-items-center gap-2 small">
+                        <span>Distribuir los contenidos en las lecciones del horario desde</span>
+                        <input type="date" class="form-control form-control-sm w-auto" data-field="desde" value="${today}">
+                        <button class="btn btn-sm btn-outline-primary" data-action="schedule-unit">
+                            <i class="fas fa-calendar-check"></i> Distribuir
+                        </button>
+                    </div>
+                </div>`;
+        }).join('');
+
+        return `
+            ${unitsHtml || '<p class="text-muted small">El grupo no tiene unidades planificadas.</p>'}
+            <div class="border rounded p-3 bg-light" id="planner-unit-form">
+                <h6 class="mb-2" id="planner-unit-form-title"><i class="fas fa-plus-circle"></i> Nueva unidad</h6>
+                <div class="row g-2">
+                    <div class="col-12">
+                        <input type="text" class="form-control form-control-sm" data-field="titulo" maxlength="120" placeholder="Título de la unidad">
+                    </div>
+                    <div class="col-md-4">
+                        <label class="form-label small fw-bold">Objetivos</label>
+                        <textarea class="form-control form-control-sm" data-field="objetivos" rows="4" maxlength="1000"></textarea>
+                    </div>
+                    <div class="col-md-4">
+                        <label class="form-label small fw-bold">Contenidos (uno por línea)</label>
+                        <textarea class="form-control form-control-sm" data-field="contenidos" rows="4" maxlength="1000"></textarea>
+                    </div>
+                    <div class="col-md-4">
+                        <label class="form-label small fw-bold">Actividades previstas</label>
+                        <textarea class="form-control form-control-sm" data-field="actividades" rows="4" maxlength="1000"></textarea>
+                    </div>
+                </div>
+                <div class="d-flex gap-2 justify-content-end mt-2">
+                    <button class="btn btn-sm btn-outline-secondary d-none" data-action="cancel-edit">Cancelar</button>
+                    <button class="btn btn-sm btn-primary" data-action="save-unit"><i class="fas fa-save"></i> Guardar Unidad</button>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Enlaza los eventos del planificador de unidades
+     */
+    bindLessonPlannerEvents() {
+        const modal = document.getElementById('modal-lesson-planner');
+        const content = document.getElementById('planner-content');
+        const groupSelect = document.getElementById('planner-group');
+        if (!modal || !content || !groupSelect) return;
+
+        const readFields = (container) => Object.fromEntries(
+            Array.from(container.querySelectorAll('[data-field]')).map(input => [input.dataset.field, input.value]));
+        const refresh = () => { content.innerHTML = this.generateLessonPlannerHtml(groupSelect.value); };
+
+        groupSelect.addEventListener('change', refresh);
+
+        content.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const unitId = button.closest('[data-unit-id]')?.dataset.unitId;
+            const form = document.getElementById('planner-unit-form');
+            let changed = false;
+
+            switch (button.dataset.action) {
+                case 'save-unit': {
+                    const data = { ...readFields(form), grupo: groupSelect.value };
+                    changed = form.dataset.unitId
+                        ? this.lessonPlanner.updateUnit(form.dataset.unitId, data)
+                        : Boolean(this.lessonPlanner.addUnit(data));
+                    if (changed) errorHandler.showSuccess('Unidad guardada');
+                    break;
+                }
+                case 'edit-unit': {
+                    const unit = this.lessonPlanner.getUnit(unitId);
+                    if (!unit) return;
+                    form.dataset.unitId = unit.id;
+                    form.querySelectorAll('[data-field]').forEach(input => { input.value = unit[input.dataset.field] || ''; });
+                    document.getElementById('planner-unit-form-title').innerHTML =
+                        `<i class="fas fa-edit"></i> Editar: ${SecurityUtils.escapeHtml(unit.titulo)}`;
+                    form.querySelector('[data-action="cancel-edit"]').classList.remove('d-none');
+                    form.scrollIntoView({ behavior: 'smooth' });
+                    return;
+                }
+                case 'cancel-edit':
+                    changed = true;
+                    break;
+                case 'remove-unit':
+                    if (!confirm('¿Eliminar la unidad y sus lecciones programadas? Las sesiones registradas no cambian.')) return;
+                    changed = this.lessonPlanner.removeUnit(unitId);
+                    break;
+                case 'add-lesson':
+                    changed = Boolean(this.lessonPlanner.addLesson(unitId, readFields(button.closest('tr'))));
+                    break;
+                case 'remove-lesson':
+                    changed = this.lessonPlanner.removeLesson(unitId, button.closest('tr').dataset.lessonId);
+                    break;
+                case 'schedule-unit': {
+                    const desde = button.parentElement.querySelector('[data-field="desde"]').value;
+                    const count = this.lessonPlanner.scheduleContents(unitId, desde);
+                    changed = count !== null;
+                    if (changed) errorHandler.showSuccess(`${count} lecciones programadas según el horario`);
+                    break;
+                }
+                default:
+                    return;
+            }
+            if (changed) refresh();
+        });
+    }
+
+    /**
+     * Exporta estudiantes a JSON
+     */
+    exportStudents() {
+        try {
+            const groups = this.studentManager.exportGroups();
+            const dataStr = JSON.stringify(groups, null, 2);
+            const dataBlob = new Blob([dataStr], { type: 'application/json' });
+            const url = URL.createObjectURL(dataBlob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'estudiantes_grupos.json';
+            link.click();
+
+            URL.revokeObjectURL(url);
+            errorHandler.showSuccess('Grupos exportados correctamente');
+        } catch (error) {
+            errorHandler.handle(error, 'UIManager.exportStudents');
+        }
+    }
+
+    /**
+     * Reinicia formulario actual
+     */
+    resetForm() {
+        this.showModal('confirm-reset', 'Reiniciar Formulario', `
+            <p>¿Está seguro de que desea reiniciar el formulario actual?</p>
+            <p class="text-muted">Los datos no guardados se perderán.</p>
+            <div class="d-flex gap-2 justify-content-end">
+                <button class="btn btn-secondary" data-bs-dismiss="modal">Cancelar</button>
+                <button class="btn btn-danger" id="confirm-reset-btn">Reiniciar</button>
+            </div>
+        `);
+
+        document.getElementById('confirm-reset-btn')?.addEventListener('click', () => {
+            this.closeModal('confirm-reset');
+            this.clearSessionView();
+            errorHandler.showSuccess('Formulario reiniciado correctamente');
+            this.closeModal('config');
+        });
+    }
+
+    /**
+     * Descarta la sesión activa y limpia el formulario principal
+     */
+    clearSessionView() {
+        this.sessionManager.clearCurrentSession();
+        const groupSelect = this.elements.get('groupSelect');
+        if (groupSelect) groupSelect.value = '';
+        this.setCurrentDateTime();
+        const dynamicContent = this.elements.get('dynamicContent');
+        if (dynamicContent) dynamicContent.innerHTML = '';
+        const sessionInfo = this.elements.get('sessionInfo');
+        if (sessionInfo) sessionInfo.style.display = 'none';
+        const sessionModeNotice = this.elements.get('sessionModeNotice');
+        if (sessionModeNotice) sessionModeNotice.style.display = 'none';
+        const actionButtons = this.elements.get('actionButtons');
+        if (actionButtons) actionButtons.style.display = 'none';
+    }
+
+    /**
+     * Crea respaldo completo cifrado con frase de paso
+     */
+    createBackup() {
+        this.promptBackupPassphrase({
+            id: 'backup-export',
+            title: '💾 Crear Respaldo Completo',
+            intro: 'El respaldo incluye grupos, fichas, sesiones y configuración, y se puede restaurar en otro dispositivo.',
+            confirm: true,
+            actionLabel: 'Descargar respaldo',
+            onSubmit: async (passphrase) => {
+                const result = await StorageService.exportBackupToFile(passphrase);
+                errorHandler.showSuccess(`Respaldo cifrado creado: ${result.exported} elemento(s)` +
+                    (result.failed ? `, ${result.failed} sesión(es) omitida(s) por no poder descifrarse.` : '.'));
+            }
+        });
+    }
+
+    /**
+     * Restaura un respaldo completo (reemplaza todos los datos)
+     */
+    restoreBackup() {
+        this.closeModal('config');
+        this.openBackupFile('restore', (backup) => {
+            if (!backup || !backup.data || typeof backup.data !== 'object' || backup.type === 'history_backup') {
+                throw new Error('El archivo no es un respaldo completo. Para sesiones use "Importar Historial".');
+            }
+
+            const count = Object.keys(backup.data).length;
+            const fecha = backup.timestamp ? new Date(backup.timestamp).toLocaleString() : 'fecha desconocida';
+            this.showModal('confirm-restore', '⚠️ Restaurar Respaldo', `
+                <p>El respaldo del <strong>${SecurityUtils.escapeHtml(fecha)}</strong> contiene <strong>${count} elemento(s)</strong>.</p>
+                <p class="text-danger fw-bold">Se reemplazarán TODOS los datos guardados en este navegador. Esta acción no se puede deshacer.</p>
+                <div class="d-flex gap-2 justify-content-end">
+                    <button class="btn btn-secondary" data-bs-dismiss="modal">Cancelar</button>
+                    <button class="btn btn-danger" id="confirm-restore-btn">Restaurar</button>
+                </div>
+            `);
+
+            document.getElementById('confirm-restore-btn')?.addEventListener('click', async (e) => {
+                e.target.disabled = true;
+                try {
+                    const restored = await StorageService.restoreFromBackup(backup);
+                    await StorageService.flush();
+                    errorHandler.showSuccess(`Respaldo restaurado: ${restored} elemento(s). Recargando...`);
+                    setTimeout(() => window.location.reload(), 1200);
+                } catch (error) {
+                    e.target.disabled = false;
+                    errorHandler.handle(error, 'UIManager.restoreBackup');
+                }
+            });
+        });
+    }
+
+    /**
+     * Exporta solo el historial de sesiones a JSON cifrado
+     */
+    exportHistory() {
+        this.promptBackupPassphrase({
+            id: 'history-export',
+            title: '📤 Exportar Historial',
+            intro: 'Se exportan todas las sesiones guardadas. El archivo se puede importar en otro dispositivo.',
+            confirm: true,
+            actionLabel: 'Descargar historial',
+            onSubmit: async (passphrase) => {
+                const result = await StorageService.exportHistoryToFile(passphrase);
+                errorHandler.showSuccess(`Historial exportado: ${result.exported} sesión(es)` +
+                    (result.failed ? `, ${result.failed} omitida(s) por no poder descifrarse.` : '.'));
+            }
+        });
+    }
+
+    /**
+     * Importa sesiones desde un JSON de historial (cifrado o de versiones anteriores)
+     */
+    importHistory() {
+        this.openBackupFile('history-import', async (jsonData) => {
+            const result = await StorageService.importHistoryFromFile(jsonData);
+            // Re-indexar sesiones cifradas importadas con la clave antigua
+            this.sessionManager.migrateLegacySessions()
+                .then(() => this.sessionManager.migrateNameKeyedSessions())
+                .then(() => this.statisticsManager.loadStatistics())
+                .then(() => this.refreshAlerts());
+            errorHandler.showSuccess(
+                `Historial importado: ${result.imported} sesión(es) recuperada(s)` +
+                (result.skipped ? `, ${result.skipped} omitida(s) (ya existían).` : '.')
+            );
+        });
+    }
+
+    /**
+     * Selecciona un archivo de respaldo y lo entrega descifrado a `onOpened`.
+     * Si el archivo está cifrado se pide la frase de paso; los archivos en
+     * texto plano de versiones anteriores se entregan tal cual.
+     * @param {string} id - Identificador del flujo (para el modal de frase de paso)
+     * @param {Function} onOpened - async (datos) => void; sus errores se muestran al usuario
+     */
+    openBackupFile(id, onOpened) {
+        const context = `UIManager.openBackupFile(${id})`;
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = async (ev) => {
+                let jsonData;
+                try {
+                    jsonData = JSON.parse(ev.target.result);
+                } catch (err) {
+                    errorHandler.handle(new Error('El archivo no es un JSON válido.'), context);
+                    return;
                 }
+
+                if (!CryptoService.isEncryptedBackup(jsonData)) {
+                    try {
+                        await onOpened(jsonData);
+                    } catch (err) {
+                        errorHandler.handle(err, context);
+                    }
+                    return;
+                }
+
+                this.promptBackupPassphrase({
+                    id: `${id}-unlock`,
+                    title: '🔒 Respaldo cifrado',
+                    intro: `Ingrese la frase de paso con la que se creó el archivo <strong>${SecurityUtils.escapeHtml(file.name)}</strong>.`,
+                    confirm: false,
+                    actionLabel: 'Abrir respaldo',
+                    onSubmit: async (passphrase) => {
+                        const data = await CryptoService.decryptBackup(jsonData, passphrase);
+                        await onOpened(data);
+                    }
+                });
             };
             reader.readAsText(file);
         };
         input.click();
     }
 
+    /**
+     * Modal para ingresar la frase de paso de un respaldo cifrado.
+     * El modal se cierra solo si `onSubmit` termina sin errores; si falla,
+     * el mensaje se muestra dentro del modal para reintentar.
+     * @param {Object} options - { id, title, intro, confirm, actionLabel, onSubmit }
+     */
+    promptBackupPassphrase({ id, title, intro, confirm, actionLabel, onSubmit }) {
+        this.closeModal('config');
+        this.showModal(id, title, `
+            <p class="small">${intro}</p>
+            <div class="mb-3">
+                <label class="form-label" for="${id}-passphrase">Frase de paso</label>
+                <input type="password" id="${id}-passphrase" class="form-control" autocomplete="off">
+            </div>
+            ${confirm ? `
+            <div class="mb-3">
+                <label class="form-label" for="${id}-confirm">Repita la frase de paso</label>
+                <input type="password" id="${id}-confirm" class="form-control" autocomplete="off">
+            </div>
+            <div class="alert alert-warning py-2 small">
+                ⚠️ Anote la frase en un lugar seguro. Sin ella el respaldo <strong>no se puede abrir</strong> en ningún dispositivo.
+            </div>` : ''}
+            <div id="${id}-status" class="alert alert-danger py-2 small" style="display:none;"></div>
+            <div class="d-flex gap-2 justify-content-end">
+                <button class="btn btn-secondary" data-bs-dismiss="modal">Cancelar</button>
+                <button class="btn btn-primary" id="${id}-submit">
+                    <i class="fas fa-lock"></i> ${actionLabel}
+                </button>
+            </div>
+        `);
+
+        const statusEl = document.getElementById(`${id}-status`);
+        const submitBtn = document.getElementById(`${id}-submit`);
+        const showStatus = (message) => {
+            statusEl.textContent = message;
+            statusEl.style.display = '';
+        };
+
+        submitBtn?.addEventListener('click', async () => {
+            const passphrase = document.getElementById(`${id}-passphrase`)?.value || '';
+            if (confirm) {
+                const validation = Validators.validateBackupPassphrase(passphrase,
+                    document.getElementById(`${id}-confirm`)?.value || '');
+                if (!validation.valid) {
+                    showStatus(validation.message);
+                    return;
+                }
+            } else if (!passphrase) {
+                showStatus('Ingrese la frase de paso.');
+                return;
+            }
+
+            statusEl.style.display = 'none';
+            submitBtn.disabled = true;
+            const originalHtml = submitBtn.innerHTML;
+            submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> Procesando...';
+            try {
+                await onSubmit(passphrase);
+                this.closeModal(id);
+            } catch (error) {
+                console.error(`Error en ${id}:`, error);
+                showStatus(error.message);
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.innerHTML = originalHtml;
+            }
+        });
+    }
+
     /**
      * Muestra modal para cambiar contraseña desde Config
      */
@@ -1112,13 +2478,125 @@ class UIManager {
             const result = await AuthService.changePassword(current, next);
             if (result.success) {
                 if (statusEl) { statusEl.textContent = '✅ ' + result.message; statusEl.className = 'alert alert-success'; statusEl.style.display = ''; }
-                setTimeout(() => this.closeModal('change-password'), 1800);
+                setTimeout(() => {
+                    this.closeModal('change-password');
+                    if (result.recoveryCode) this.showRecoveryCode(result.recoveryCode);
+                }, 1800);
             } else {
                 if (statusEl) { statusEl.textContent = '❌ ' + result.message; statusEl.className = 'alert alert-danger'; statusEl.style.display = ''; }
             }
         });
     }
 
+    /**
+     * Pide la contraseña y genera un nuevo código de recuperación
+     */
+    showRecoveryCodeModal() {
+        this.closeModal('config');
+        this.showModal('recovery-code', '🛟 Nuevo Código de Recuperación', `
+            <p class="small">El código de recuperación permite restablecer la contraseña sin perder los datos cifrados.
+                Al generar uno nuevo, el anterior deja de funcionar.</p>
+            <div class="mb-3">
+                <label class="form-label">Contraseña actual</label>
+                <input type="password" id="modal-recovery-password" class="form-control" placeholder="••••••••">
+            </div>
+            <div id="modal-recovery-status" class="alert alert-danger py-2 small" style="display:none;"></div>
+            <div class="d-flex gap-2 justify-content-end">
+                <button class="btn btn-secondary" data-bs-dismiss="modal">Cancelar</button>
+                <button class="btn btn-warning" id="modal-btn-recovery-code">
+                    <i class="fas fa-life-ring"></i> Generar código
+                </button>
+            </div>
+        `);
+
+        document.getElementById('modal-btn-recovery-code')?.addEventListener('click', async () => {
+            const password = document.getElementById('modal-recovery-password')?.value;
+            const statusEl = document.getElementById('modal-recovery-status');
+            if (!password) {
+                if (statusEl) { statusEl.textContent = 'Ingrese su contraseña.'; statusEl.style.display = ''; }
+                return;
+            }
+            const result = await AuthService.regenerateRecoveryCode(password);
+            if (result.success) {
+                this.closeModal('recovery-code');
+                this.showRecoveryCode(result.recoveryCode);
+            } else if (statusEl) {
+                statusEl.textContent = '❌ ' + result.message;
+                statusEl.style.display = '';
+            }
+        });
+    }
+
+    /**
+     * Muestra un código de recuperación recién generado (solo se ve una vez)
+     * @param {string} code
+     */
+    showRecoveryCode(code) {
+        this.showModal('recovery-code-display', '🛟 Código de Recuperación', `
+            <p class="small">Guarde este código en un lugar seguro (impreso o en su correo institucional).
+                Es la única forma de recuperar sus datos si olvida la contraseña.</p>
+            <div class="text-center my-3">
+                <code class="fs-4 user-select-all">${SecurityUtils.escapeHtml(code)}</code>
+            </div>
+            <div class="alert alert-warning py-2 small">⚠️ No se volverá a mostrar. Los códigos anteriores dejan de funcionar.</div>
+            <div class="d-flex justify-content-end">
+                <button class="btn btn-primary" data-bs-dismiss="modal">Lo he guardado</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Recupera sesiones cifradas con una contraseña anterior
+     */
+    async showRecoverSessionsModal() {
+        this.closeModal('config');
+        const { failed } = await StorageService.getAllDecrypted('session_');
+        if (failed.length === 0) {
+            errorHandler.showSuccess('Todas las sesiones guardadas se pueden abrir con la contraseña actual.');
+            return;
+        }
+
+        this.showModal('recover-sessions', '🔓 Recuperar Sesiones Antiguas', `
+            <p class="small">Hay <strong>${failed.length} sesión(es)</strong> que no se pueden descifrar con la contraseña actual.
+                Suelen ser sesiones guardadas antes de un cambio de contraseña. Ingrese la contraseña que usaba entonces.</p>
+            <div class="mb-3">
+                <label class="form-label">Contraseña anterior</label>
+                <input type="password" id="modal-recover-old-password" class="form-control" placeholder="••••••••">
+            </div>
+            <div id="modal-recover-status" class="alert py-2 small" style="display:none;"></div>
+            <div class="d-flex gap-2 justify-content-end">
+                <button class="btn btn-secondary" data-bs-dismiss="modal">Cerrar</button>
+                <button class="btn btn-primary" id="modal-btn-recover-sessions">
+                    <i class="fas fa-unlock-alt"></i> Recuperar
+                </button>
+            </div>
+        `);
+
+        document.getElementById('modal-btn-recover-sessions')?.addEventListener('click', async (e) => {
+            const password = document.getElementById('modal-recover-old-password')?.value;
+            const statusEl = document.getElementById('modal-recover-status');
+            if (!password || !statusEl) return;
+
+            e.target.disabled = true;
+            try {
+                const { recovered, remaining } = await this.sessionManager.recoverSessionsWithPassword(password);
+                statusEl.className = `alert py-2 small ${recovered > 0 ? 'alert-success' : 'alert-danger'}`;
+                statusEl.textContent = recovered > 0
+                    ? `✅ ${recovered} sesión(es) recuperada(s).` + (remaining ? ` Quedan ${remaining}: pruebe con otra contraseña anterior.` : '')
+                    : '❌ Ninguna sesión se pudo abrir con esa contraseña.';
+                statusEl.style.display = '';
+                if (recovered > 0) {
+                    this.statisticsManager.loadStatistics();
+                    this.refreshAlerts();
+                }
+            } catch (error) {
+                errorHandler.handle(error, 'UIManager.showRecoverSessionsModal');
+            } finally {
+                e.target.disabled = false;
+            }
+        });
+    }
+
     /**
      * Cierra un modal por ID
      */
@@ -1151,6 +2629,7 @@ class UIManager {
                             <li>El sistema le pedirá <strong>establecer una nueva contraseña</strong> (mínimo 8 caracteres). Este paso es obligatorio.</li>
                         </ol>
                         <div class="alert alert-info py-2 small">💡 El <strong>usuario</strong> es la parte de su correo antes del @. Ej: <code>maria.gomez@colegio.cr</code> → usuario: <code>mariagomez</code></div>
+                        <div class="alert alert-secondary py-2 small">📴 <strong>Sin internet o sin correo:</strong> use <em>"Crear la cuenta sin correo"</em>. Elija usuario y contraseña; la cuenta se crea solo en este dispositivo y se muestra un código de recuperación para imprimir.</div>
 
                         <!-- SECCIÓN 2 -->
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-cog"></i> 2. Configuración Inicial del Sistema</h6>
@@ -1158,14 +2637,16 @@ class UIManager {
                         <ol class="small">
                             <li><strong>Nombre del profesor:</strong> ingrese su nombre completo y presione <em>Guardar</em>. Aparecerá en el encabezado y en los PDFs.</li>
                             <li><strong>Importar estudiantes:</strong> cargue el archivo <code>.json</code> con los grupos y listas de estudiantes.</li>
+                            <li><strong>Editar lista:</strong> agregue estudiantes, corrija nombres, trasládelos de grupo o márquelos como retirados sin volver a importar.</li>
                             <li><strong>Grupos visibles:</strong> seleccione cuáles grupos aparecen en el selector principal.</li>
+                            <li><strong>Horario y calendario</strong> (recomendado): registre sus lecciones (día, hora, grupo, materia y aula), los periodos lectivos y los días sin lecciones. Al abrir la app se preselecciona la clase en curso y las estadísticas muestran las sesiones esperadas.</li>
                             <li><strong>Prefijo PDF</strong> (opcional): un código que se añade al nombre del archivo PDF descargado.</li>
                         </ol>
 
                         <!-- SECCIÓN 3 -->
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-graduation-cap"></i> 3. Registrar una Clase</h6>
                         <ol class="small">
-                            <li>En el <strong>Panel de Control</strong>, seleccione el <em>Grupo</em>, la <em>Fecha</em> y la <em>Hora de inicio</em>. La sesión se crea automáticamente.</li>
+                            <li>En el <strong>Panel de Control</strong>, seleccione el <em>Grupo</em>, la <em>Fecha</em> y la <em>Hora de inicio</em>. La sesión se crea automáticamente. Con una fecha futura se crea una <strong>planificación</strong> (solo el contenido de la lección, sin asistencia); las sesiones de años lectivos anteriores son un <strong>archivo</strong> de solo lectura.</li>
                             <li>En la <strong>Lista de Estudiantes</strong>, marque la asistencia de cada uno: <span class="badge bg-success">Presente</span> <span class="badge bg-danger">Ausente</span> <span class="badge bg-warning text-dark">Tarde</span>.</li>
                             <li>Use los botones de actividad para registrar eventos especiales:
                                 <ul>
@@ -1174,7 +2655,8 @@ class UIManager {
                             </li>
                             <li>Al activar <em>Apoyos Educativos</em>, se pedirá un <strong>comentario obligatorio</strong>.</li>
                             <li>Complete los campos de la <strong>Lección</strong>: contenido, planificación, avances, observaciones y propuestas de mejora.</li>
-                            <li>Evalúe la clase usando los botones de la sección <strong>Evaluación</strong>.</li>
+                            <li>Si el grupo tiene <strong>planes de unidad</strong> (<em>Configuración → Planes de Unidad</em>), el contenido de la lección se rellena con lo programado para ese día y con lo pendiente de sesiones anteriores. Marque el <strong>estado de la lección</strong> (completada, parcial o pospuesta): lo parcial o pospuesto pasa a la siguiente sesión del grupo.</li>
+                            <li>Evalúe la clase usando los botones de la sección <strong>Evaluación</strong>. Los criterios y sus escalas se definen en <em>Configuración → Editar Rúbrica de Evaluación</em>; cada sesión conserva la rúbrica con la que se creó.</li>
                             <li>Presione <strong>Guardar Datos</strong> o use <kbd>Ctrl+S</kbd>.</li>
                         </ol>
 
@@ -1182,7 +2664,7 @@ class UIManager {
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-file-pdf"></i> 4. Generar Bitácora PDF</h6>
                         <ol class="small">
                             <li>Con una sesión activa y datos completados, presione <strong>"Generar Bitácora PDF"</strong> o use <kbd>Ctrl+P</kbd>.</li>
-                            <li>El PDF se descargará automáticamente con el nombre: <code>[Prefijo]_Bitacora_[Grupo]_[Fecha].pdf</code></li>
+                            <li>El PDF se descargará automáticamente con el nombre: <code>[Prefijo]_Bitacora_[Grupo]_[Fecha]_[Hora].pdf</code></li>
                         </ol>
 
                         <!-- SECCIÓN 5 -->
@@ -1190,13 +2672,16 @@ class UIManager {
                         <p class="small">Acceda con el botón <strong>Historial</strong> del Panel de Control.</p>
                         <ul class="small">
                             <li>Ver, recargar y generar PDF de sesiones anteriores.</li>
-                            <li>Filtrar por grupo o rango de fechas.</li>
+                            <li>Filtrar por grupo, año lectivo o rango de fechas (por defecto, el año en curso; los anteriores se consultan como archivo).</li>
+                            <li><strong>Bitácoras pendientes</strong> (con horario configurado): lista las lecciones sin sesión guardada o sin contenido de la lección y permite crearlas con un clic.</li>
                         </ul>
 
                         <!-- SECCIÓN 6 -->
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-chart-line"></i> 6. Estadísticas</h6>
                         <ul class="small">
-                            <li>El botón <strong>Estadísticas</strong> muestra resúmenes de asistencia por estudiante y por grupo.</li>
+                            <li>El botón <strong>Estadísticas</strong> muestra resúmenes de asistencia por estudiante y por grupo. En <strong>Gráficos</strong> verá la asistencia por sesión, las barras presente/tarde/ausente por estudiante y el mapa de calor de ausencias por día de la semana; los mismos gráficos se incluyen en el compendio PDF del grupo.</li>
+                            <li><strong>Evaluación de la clase</strong> (botón de cada grupo en Estadísticas): muestra cómo evolucionó cada criterio de la rúbrica en un rango de fechas y lista las sesiones con valoraciones críticas junto con sus observaciones y propuestas de mejora.</li>
+                            <li><strong>Comunicación con encargados</strong> (botón <i class="fas fa-phone"></i> de cada estudiante o ficha del estudiante): registre cada contacto (fecha, medio, encargado, motivo, resultado y sesión relacionada) y genere avisos en PDF (ausencias, conducta, citación) a partir de plantillas.</li>
                             <li>Se actualizan automáticamente al guardar cada sesión.</li>
                         </ul>
 
@@ -1212,9 +2697,10 @@ class UIManager {
                         <table class="table table-sm small">
                             <thead class="table-light"><tr><th>Acción</th><th>Dónde</th><th>Qué hace</th></tr></thead>
                             <tbody>
-                                <tr><td>Exportar Historial</td><td>Config</td><td>Descarga todas las sesiones en <code>.json</code></td></tr>
+                                <tr><td>Exportar Historial</td><td>Config</td><td>Descarga todas las sesiones en un <code>.json</code> cifrado con frase de paso</td></tr>
                                 <tr><td>Importar Historial</td><td>Config</td><td>Recupera sesiones desde un <code>.json</code> previo, sin sobreescribir</td></tr>
-                                <tr><td>Crear Respaldo Completo</td><td>Config</td><td>Exporta todo el contenido del navegador</td></tr>
+                                <tr><td>Crear Respaldo Completo</td><td>Config</td><td>Exporta todo el contenido del navegador, cifrado con frase de paso</td></tr>
+                                <tr><td>Restaurar Respaldo</td><td>Config</td><td>Reemplaza todos los datos por los de un respaldo completo (en este u otro dispositivo)</td></tr>
                                 <tr><td>Exportar estudiantes</td><td>Config</td><td>Descarga la lista de grupos en <code>.json</code></td></tr>
                             </tbody>
                         </table>
@@ -1224,9 +2710,12 @@ class UIManager {
                         <h6 class="text-primary border-bottom pb-1 mt-3"><i class="fas fa-lock"></i> 9. Seguridad y Contraseña</h6>
                         <ul class="small">
                             <li><strong>Cambiar contraseña:</strong> Config → Seguridad → Cambiar Contraseña.</li>
+                            <li><strong>Código de recuperación:</strong> se muestra una sola vez al configurar la cuenta. Con él puede restablecer la contraseña desde <em>"¿Olvidó su contraseña?"</em> sin perder datos. Genere uno nuevo en Config → Seguridad.</li>
                             <li><strong>Cerrar sesión:</strong> botón <i class="fas fa-sign-out-alt"></i> en la esquina superior derecha.</li>
+                            <li><strong>Bloqueo por inactividad:</strong> tras 10 minutos sin uso (configurable en Config → Seguridad) la sesión abierta se guarda y la pantalla se bloquea. Ingrese su contraseña para continuar donde lo dejó.</li>
                             <li>Tras <strong>5 intentos fallidos</strong> de login, el acceso se bloquea por 30 segundos.</li>
-                            <li>No instale la app en dispositivos compartidos o no institucionales.</li>
+                            <li><strong>Varios docentes en un mismo equipo:</strong> use <em>"Agregar otro docente"</em> en la pantalla de inicio de sesión. Cada cuenta tiene su propia contraseña, clave de cifrado, grupos y sesiones; un docente no puede leer los datos de otro.</li>
+                            <li>No instale la app en dispositivos no institucionales.</li>
                         </ul>
 
                         <!-- SECCIÓN 10 -->
@@ -1317,44 +2806,60 @@ class UIManager {
             addLine('Al abrir la app por primera vez, ingrese su correo institucional y presione "Enviar credenciales".', { size: 9 });
             addLine('Revise su correo: recibirá su usuario (parte antes del @) y una contraseña temporal.', { size: 9 });
             addLine('Inicie sesión y establezca una nueva contraseña (mínimo 8 caracteres). Este paso es obligatorio.', { size: 9 });
+            addLine('Sin internet o sin correo: "Crear la cuenta sin correo", con usuario y contraseña propios. Imprima el código de recuperación.', { size: 9 });
 
             addSection('2. Configuración Inicial');
             addLine('En Config, realice estos pasos antes de registrar clases:', { size: 9 });
             addLine('• Ingrese su nombre completo y presione Guardar.', { size: 9, indent: 4 });
             addLine('• Importe el archivo .json con los grupos y listas de estudiantes.', { size: 9, indent: 4 });
             addLine('• Seleccione los grupos visibles en el selector del Panel de Control.', { size: 9, indent: 4 });
+            addLine('• Registre su horario semanal y el calendario escolar (periodos y días sin lecciones).', { size: 9, indent: 4 });
 
             addSection('3. Registrar una Clase');
             addLine('En el Panel de Control, seleccione Grupo, Fecha y Hora de inicio (la sesión se crea automáticamente).', { size: 9 });
+            addLine('Fecha futura: planificación (solo contenido de la lección). Años lectivos anteriores: archivo de solo lectura.', { size: 9 });
+            addLine('Con el horario configurado, la clase en curso se preselecciona al abrir la app.', { size: 9 });
             addLine('Marque la asistencia: Presente / Ausente / Tarde para cada estudiante.', { size: 9 });
             addLine('Use los botones de actividad para registrar: Baño, Enfermería, Otra actividad, Apoyos Educativos.', { size: 9 });
             addLine('Al activar Apoyos Educativos se le solicitará un comentario obligatorio.', { size: 9 });
             addLine('Complete los campos de la Lección y la Evaluación de la clase.', { size: 9 });
+            addLine('Los criterios de la Evaluación se editan en Configuración > Rúbrica; cada sesión conserva su rúbrica.', { size: 9 });
+            addLine('Con planes de unidad (Configuración > Planes de Unidad) el contenido de la lección se rellena solo.', { size: 9 });
+            addLine('Marque el estado de la lección: lo parcial o pospuesto pasa a la siguiente sesión del grupo.', { size: 9 });
             addLine('Presione "Guardar Datos" o use Ctrl+S para guardar.', { size: 9 });
 
             addSection('4. Generar Bitácora PDF');
             addLine('Con una sesión activa, presione "Generar Bitácora PDF" o use Ctrl+P.', { size: 9 });
-            addLine('El archivo se descargará con el nombre: [Prefijo]_Bitacora_[Grupo]_[Fecha].pdf', { size: 9 });
+            addLine('El archivo se descargará con el nombre: [Prefijo]_Bitacora_[Grupo]_[Fecha]_[Hora].pdf', { size: 9 });
 
             addSection('5. Historial y Estadísticas');
             addLine('Botón "Historial": vea, recargue y genere PDF de sesiones anteriores.', { size: 9 });
+            addLine('En el Historial, "Bitácoras pendientes" lista las lecciones del horario sin bitácora y las crea con un clic.', { size: 9 });
             addLine('Botón "Estadísticas": resúmenes de asistencia por estudiante y por grupo.', { size: 9 });
+            addLine('Gráficos: asistencia por sesión, por estudiante y ausencias por día (también en el compendio PDF).', { size: 9 });
+            addLine('En Estadísticas, "Evaluación de la clase" muestra la evolución de cada criterio y las sesiones críticas.', { size: 9 });
+            addLine('Comunicación con encargados: registre contactos y genere avisos PDF (ausencias, conducta, citación).', { size: 9 });
 
             addSection('6. Mapa de Clase');
             addLine('Espejo de Clase: representación visual del aula con posiciones de estudiantes.', { size: 9 });
             addLine('Grupos Aleatorios: configure tamaño de grupos (2-6) y excepciones de agrupación.', { size: 9 });
 
             addSection('7. Respaldo y Recuperación');
-            addLine('Exportar Historial → descarga todas las sesiones en .json (respaldo regular recomendado).', { size: 9 });
+            addLine('Exportar Historial → descarga todas las sesiones en .json cifrado (respaldo regular recomendado).', { size: 9 });
             addLine('Importar Historial → recupera sesiones desde un archivo previo sin sobreescribir los existentes.', { size: 9 });
-            addLine('Crear Respaldo Completo → exporta todos los datos del navegador a un archivo .json.', { size: 9 });
+            addLine('Crear Respaldo Completo → exporta todos los datos del navegador a un archivo .json cifrado.', { size: 9 });
+            addLine('Restaurar Respaldo → reemplaza todos los datos por los de un respaldo completo.', { size: 9 });
+            addLine('Los respaldos se cifran con una frase de paso: sin ella no se pueden abrir en ningún dispositivo.', { size: 9 });
             addLine('IMPORTANTE: Los datos solo existen en este dispositivo y navegador. Respalde regularmente en OneDrive.', { size: 9, color: [180, 60, 0] });
 
             addSection('8. Seguridad');
             addLine('Cambiar contraseña: Config → Seguridad → Cambiar Contraseña.', { size: 9 });
+            addLine('Código de recuperación: guárdelo fuera del dispositivo; permite restablecer la contraseña sin perder datos.', { size: 9 });
             addLine('Cerrar sesión: botón en la esquina superior derecha del encabezado.', { size: 9 });
+            addLine('Bloqueo por inactividad: tras 10 min sin uso (Config → Seguridad) se guarda la sesión y se pide la contraseña.', { size: 9 });
             addLine('Tras 5 intentos fallidos de login, el acceso se bloquea 30 segundos.', { size: 9 });
-            addLine('No instale la app en dispositivos compartidos o no institucionales.', { size: 9 });
+            addLine('Varios docentes: "Agregar otro docente" en el inicio de sesión. Cada cuenta tiene contraseña, clave y datos propios.', { size: 9 });
+            addLine('No instale la app en dispositivos no institucionales.', { size: 9 });
 
             addSection('9. Atajos de Teclado');
             addLine('Ctrl + S    →   Guardar sesión activa', { size: 9 });
@@ -1395,15 +2900,16 @@ class UIManager {
     /**
      * Guarda sesión activa
      */
-    saveSession() {
+    async saveSession() {
         if (!this.sessionManager.getCurrentSession()) {
             errorHandler.showGlobalError('No hay sesión activa');
             return;
         }
         this._readLessonFieldsFromDom();
         this.sessionManager.markDirty();
-        if (this.sessionManager.saveSession(true)) {
+        if (await this.sessionManager.saveSession(true)) {
             this.statisticsManager.updateFromSession(this.sessionManager.getCurrentSession());
+            this.refreshAlerts();
         }
     }
 
@@ -1426,20 +2932,19 @@ class UIManager {
                 e.preventDefault();
                 e.stopPropagation();
 
-                const group = e.target.closest('.btn-group-attendance');
-                const studentName = group.dataset.student;
-                const state = e.target.dataset.state;
-
-                group.querySelectorAll('.btn-attendance').forEach(btn => {
-                    btn.classList.remove('active', 'btn-success', 'btn-danger', 'btn-warning');
-                    btn.classList.add(`btn-outline-${btn.dataset.state === 'presente' ? 'success' : btn.dataset.state === 'ausente' ? 'danger' : 'warning'}`);
-                });
+                const group = e.currentTarget.closest('.btn-group-attendance');
+                const studentId = group.dataset.student;
+                const state = e.currentTarget.dataset.state;
 
-                e.target.classList.add('active');
-                e.target.classList.remove(`btn-outline-${state === 'presente' ? 'success' : state === 'ausente' ? 'danger' : 'warning'}`);
-                e.target.classList.add(`btn-${state === 'presente' ? 'success' : state === 'ausente' ? 'danger' : 'warning'}`);
+                // Justificaciones y retiros requieren datos adicionales
+                if (CONFIG.JUSTIFIED_STATES.includes(state) || state === CONFIG.STUDENT_STATES.RETIRO_ANTICIPADO) {
+                    this.showJustificationModal(studentId, state, group);
+                    return;
+                }
 
-                this.updateStudentState(studentName, 'estado', state);
+                this.setAttendanceButtons(group, state);
+                this.updateStudentState(studentId, 'estado', state);
+                this.updateAttendanceDetail(group, studentId);
             });
         });
 
@@ -1449,7 +2954,7 @@ class UIManager {
                 e.stopPropagation();
 
                 const actualButton = e.currentTarget;
-                const studentName = actualButton.closest('.btn-group-activities').dataset.student;
+                const studentId = actualButton.closest('.btn-group-activities').dataset.student;
                 const activity = actualButton.getAttribute('data-activity');
                 const isActive = actualButton.classList.contains('active');
 
@@ -1461,10 +2966,10 @@ class UIManager {
                         // Toggle off
                         actualButton.classList.remove('active', 'btn-purple');
                         actualButton.classList.add('btn-outline-purple');
-                        this.updateStudentState(studentName, 'apoyosEducativos', false);
+                        this.updateStudentState(studentId, 'apoyosEducativos', false);
                     } else {
                         // Abrir modal con comentario obligatorio
-                        this.showApoyosModal(studentName, actualButton);
+                        this.showApoyosModal(studentId, actualButton);
                     }
                     return;
                 }
@@ -1475,24 +2980,34 @@ class UIManager {
                     actualButton.classList.add('active');
                 }
 
-                this.updateStudentState(studentName, activity, !isActive);
+                this.updateStudentState(studentId, activity, !isActive);
             });
         });
 
         newContainer.querySelectorAll('button[data-action="toggle-comment"]').forEach(button => {
             button.addEventListener('click', (e) => {
                 e.preventDefault();
-                const studentName = e.target.dataset.student;
-                this.toggleCommentContainer(studentName);
+                const studentId = e.target.dataset.student;
+                this.toggleCommentContainer(studentId);
+            });
+        });
+
+        newContainer.querySelectorAll('button[data-action="guardian-contact"]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const session = this.sessionManager.getCurrentSession();
+                if (!session) return;
+                const { grupo, fecha, startTime } = session;
+                this.showGuardianContacts(e.currentTarget.dataset.student, { grupo, fecha, startTime });
             });
         });
 
         newContainer.querySelectorAll('button[data-action="save-comment"]').forEach(button => {
             button.addEventListener('click', (e) => {
                 e.preventDefault();
-                const studentName = e.target.dataset.student;
+                const studentId = e.target.dataset.student;
                 const input = e.target.previousElementSibling;
-                this.saveComment(studentName, input.value);
+                this.saveComment(studentId, input.value);
                 input.value = '';
             });
         });
@@ -1516,45 +3031,21 @@ class UIManager {
     bindEvaluationEvents() {
         document.querySelectorAll('.btn-evaluation').forEach(button => {
             button.addEventListener('click', (e) => {
-                const group = e.target.closest('.btn-group-evaluation');
+                const target = e.target.closest('.btn-evaluation');
+                const group = target.closest('.btn-group-evaluation');
                 const field = group.dataset.field;
-                const value = e.target.dataset.value;
+                const criterion = EvaluationRubric.forSession(this.sessionManager.getCurrentSession())
+                    .find(item => item.id === field);
+                const option = criterion?.options[Number(target.dataset.option)];
+                if (!option) return;
 
-                group.querySelectorAll('.btn-evaluation').forEach(btn => {
-                    btn.classList.remove('active');
-                    const colorClass = this.getButtonColorClass(btn.dataset.value);
-                    btn.classList.remove(`btn-${colorClass}`);
-                    btn.classList.add(`btn-outline-${colorClass}`);
-                });
-
-                const colorClass = this.getButtonColorClass(value);
-                e.target.classList.add('active');
-                e.target.classList.remove(`btn-outline-${colorClass}`);
-                e.target.classList.add(`btn-${colorClass}`);
-
-                if (field === 'activityTime') {
-                    this.updateSessionField(field, value);
-                } else {
-                    this.updateSessionField(`evaluation.${field}`, value);
+                if (this.updateSessionField(`evaluation.${field}`, option.value)) {
+                    this.updateEvaluationButtons();
                 }
             });
         });
     }
 
-    /**
-     * Devuelve clase de color Bootstrap según el valor de evaluación
-     */
-    getButtonColorClass(value) {
-        const colorMap = {
-            'Excelente': 'success', 'De Acuerdo': 'success', 'Suficiente': 'success',
-            'Bueno': 'primary', 'Adecuado': 'primary',
-            'Parcialmente de acuerdo': 'info',
-            'Regular': 'warning', 'Moderado': 'warning', 'Parcialmente en desacuerdo': 'warning',
-            'Deficiente': 'danger', 'En desacuerdo': 'danger', 'Insuficiente': 'danger'
-        };
-        return colorMap[value] || 'secondary';
-    }
-
     /**
      * Enlaza eventos de formularios de lección
      */
@@ -1572,24 +3063,166 @@ class UIManager {
                 });
             }
         });
+
+        // Un segundo clic sobre el estado marcado lo quita
+        document.querySelectorAll('.btn-lesson-status').forEach(button => {
+            button.addEventListener('click', () => {
+                const current = this.sessionManager.getCurrentSession()?.lessonStatus || '';
+                const value = button.dataset.lessonStatus === current ? '' : button.dataset.lessonStatus;
+                if (this.updateSessionField('lessonStatus', value)) {
+                    this.updateLessonStatusButtons();
+                }
+            });
+        });
     }
 
     // =========================================================================
     // ACCIONES DE ESTUDIANTES
     // =========================================================================
 
-    updateStudentState(studentName, field, value) {
-        if (this.studentManager.updateStudentState(studentName, field, value)) {
+    updateStudentState(studentId, field, value) {
+        if (this.studentManager.updateStudentState(studentId, field, value)) {
             this.sessionManager.markDirty();
         }
     }
 
+    /**
+     * Marca visualmente el estado activo en el grupo de botones de asistencia
+     * @param {HTMLElement} group - Contenedor .btn-group-attendance
+     * @param {string} state - Estado activo
+     */
+    setAttendanceButtons(group, state) {
+        group.querySelectorAll('.btn-attendance').forEach(btn => {
+            const color = CONFIG.STUDENT_STATE_META[btn.dataset.state]?.color || 'secondary';
+            const isActive = btn.dataset.state === state;
+            btn.classList.toggle('active', isActive);
+            btn.classList.toggle(`btn-${color}`, isActive);
+            btn.classList.toggle(`btn-outline-${color}`, !isActive);
+        });
+    }
+
+    /**
+     * Texto con la hora de retiro y la justificación de un estudiante
+     * @param {Object} studentData
+     */
+    generateAttendanceDetailHtml(studentData) {
+        const parts = [];
+        if (studentData.horaRetiro) parts.push(`<i class="fas fa-sign-out-alt"></i> Retiro: ${SecurityUtils.escapeHtml(studentData.horaRetiro)}`);
+        if (studentData.justificacion?.motivo) {
+            let text = `<i class="fas fa-file-alt"></i> ${SecurityUtils.escapeHtml(studentData.justificacion.motivo)}`;
+            if (studentData.justificacion.documento) text += ` (Doc.: ${SecurityUtils.escapeHtml(studentData.justificacion.documento)})`;
+            parts.push(text);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Refresca el detalle de justificación bajo los botones de asistencia
+     * @param {HTMLElement} group - Contenedor .btn-group-attendance
+     * @param {string} studentId
+     */
+    updateAttendanceDetail(group, studentId) {
+        const detail = group.parentElement.querySelector('.attendance-detail');
+        const studentData = this.studentManager.getCurrentStudentsData()[studentId];
+        if (detail && studentData) detail.innerHTML = this.generateAttendanceDetailHtml(studentData);
+    }
+
+    /**
+     * Muestra modal para registrar justificación (motivo y documento) u hora de retiro
+     * @param {string} studentId
+     * @param {string} state - Estado justificado o retiro anticipado
+     * @param {HTMLElement} group - Contenedor .btn-group-attendance del estudiante
+     */
+    showJustificationModal(studentId, state, group) {
+        const meta = CONFIG.STUDENT_STATE_META[state];
+        const isRetiro = state === CONFIG.STUDENT_STATES.RETIRO_ANTICIPADO;
+        const current = this.studentManager.getCurrentStudentsData()[studentId] || {};
+        const sameState = current.estado === state;
+        const motivo = sameState ? current.justificacion?.motivo || '' : '';
+        const documento = sameState ? current.justificacion?.documento || '' : '';
+        const horaRetiro = (sameState && current.horaRetiro) || new Date().toTimeString().slice(0, 5);
+        const modalId = 'justification-modal';
+
+        const modalHtml = `
+            <div class="modal fade" id="justificationModal" tabindex="-1">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="fas ${meta.icon}"></i> ${meta.label}</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <p>Estudiante: <strong>${SecurityUtils.escapeHtml(this.studentManager.getStudentName(studentId))}</strong></p>
+                            ${isRetiro ? `
+                            <label class="form-label fw-bold" for="justification-time">Hora de retiro: <span class="text-danger">*</span></label>
+                            <input type="time" id="justification-time" class="form-control mb-3" value="${SecurityUtils.sanitizeAttribute(horaRetiro)}">` : ''}
+                            <label class="form-label fw-bold" for="justification-reason">
+                                Motivo: ${isRetiro ? '<small class="text-muted">(opcional)</small>' : '<span class="text-danger">*</span>'}
+                            </label>
+                            <textarea id="justification-reason" class="form-control mb-3" rows="3"
+                                      maxlength="${CONFIG.MAX_JUSTIFICATION_LENGTH}" placeholder="Ej: Cita médica">${SecurityUtils.escapeHtml(motivo)}</textarea>
+                            <label class="form-label fw-bold" for="justification-document">
+                                Referencia del documento <small class="text-muted">(opcional)</small>
+                            </label>
+                            <input type="text" id="justification-document" class="form-control" maxlength="100"
+                                   placeholder="Ej: Dictamen médico N.º 1234" value="${SecurityUtils.sanitizeAttribute(documento)}">
+                            <div id="justification-error" class="text-danger small mt-2" style="display:none;"></div>
+                        </div>
+                        <div class="modal-footer">
+                            <button class="btn btn-secondary" data-bs-dismiss="modal">Cancelar</button>
+                            <button class="btn btn-primary" id="justification-confirm-btn">
+                                <i class="fas fa-save"></i> Confirmar
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('justificationModal')?.remove();
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const bsModal = new bootstrap.Modal(document.getElementById('justificationModal'));
+        this.modals.set(modalId, bsModal);
+        bsModal.show();
+
+        document.getElementById('justification-confirm-btn')?.addEventListener('click', () => {
+            const details = {
+                motivo: document.getElementById('justification-reason')?.value || '',
+                documento: document.getElementById('justification-document')?.value || '',
+                horaRetiro: document.getElementById('justification-time')?.value || ''
+            };
+
+            const validation = Validators.validateJustification(state, details);
+            const errorEl = document.getElementById('justification-error');
+            if (!validation.valid) {
+                errorEl.textContent = validation.message;
+                errorEl.style.display = 'block';
+                return;
+            }
+
+            if (this.studentManager.setStudentJustification(studentId, state, details)) {
+                this.sessionManager.markDirty();
+                this.setAttendanceButtons(group, state);
+                this.updateAttendanceDetail(group, studentId);
+            }
+            this.closeModal(modalId);
+        });
+
+        // Limpiar modal del DOM al cerrar
+        document.getElementById('justificationModal')?.addEventListener('hidden.bs.modal', () => {
+            document.getElementById('justificationModal')?.remove();
+            this.modals.delete(modalId);
+        });
+    }
+
     /**
      * Muestra modal de Apoyos Educativos con comentario obligatorio
-     * @param {string} studentName
+     * @param {string} studentId
      * @param {HTMLElement} button — botón que activó la acción
      */
-    showApoyosModal(studentName, button) {
+    showApoyosModal(studentId, button) {
+        const studentName = this.studentManager.getStudentName(studentId);
         const safeName = SecurityUtils.escapeHtml(studentName);
         const modalId = 'apoyos-modal';
 
@@ -1646,8 +3279,8 @@ class UIManager {
             errorEl.style.display = 'none';
 
             // Guardar comentario con tipo apoyosEducativos
-            if (this.studentManager.addStudentComment(studentName, text, CONFIG.COMMENT_TYPES.APOYOS_EDUCATIVOS)) {
-                this.updateStudentState(studentName, 'apoyosEducativos', true);
+            if (this.studentManager.addStudentComment(studentId, text, CONFIG.COMMENT_TYPES.APOYOS_EDUCATIVOS)) {
+                this.updateStudentState(studentId, 'apoyosEducativos', true);
                 // Marcar el botón visualmente
                 button.classList.add('active', 'btn-purple');
                 button.classList.remove('btn-outline-purple');
@@ -1664,10 +3297,10 @@ class UIManager {
         });
     }
 
-    toggleCommentContainer(studentName) {
+    toggleCommentContainer(studentId) {
         const containers = document.querySelectorAll('.comment-container');
         containers.forEach(container => {
-            const button = container.parentElement.querySelector(`button[data-student="${studentName}"][data-action="toggle-comment"]`);
+            const button = container.parentElement.querySelector(`button[data-student="${studentId}"][data-action="toggle-comment"]`);
             if (button) {
                 container.classList.toggle('show');
                 if (container.classList.contains('show')) {
@@ -1678,14 +3311,14 @@ class UIManager {
         });
     }
 
-    saveComment(studentName, commentText) {
+    saveComment(studentId, commentText) {
         const validation = Validators.validateComment(commentText);
         if (!validation.valid) {
             errorHandler.showGlobalError(validation.message);
             return;
         }
 
-        if (this.studentManager.addStudentComment(studentName, validation.value)) {
+        if (this.studentManager.addStudentComment(studentId, validation.value)) {
             this.sessionManager.markDirty();
             this.renderStudentsTable();
             errorHandler.showSuccess('Comentario agregado correctamente');
@@ -1707,7 +3340,7 @@ class UIManager {
     }
 
     updateSessionField(field, value) {
-        this.sessionManager.updateSessionField(field, value);
+        return this.sessionManager.updateSessionField(field, value);
     }
 
     syncLessonFields() {
@@ -1719,14 +3352,343 @@ class UIManager {
     // MODALES DE ESTADÍSTICAS E HISTORIAL
     // =========================================================================
 
-    showStatistics() {
-        const stats = this.statisticsManager.getAllStatistics();
-        this.showModal('statistics', 'Estadísticas Detalladas', this.generateStatisticsHtml(stats));
+    async showStatistics() {
+        this.showModal('statistics', 'Estadísticas Detalladas', await this.generateStatisticsBodyHtml());
+
+        const modalElement = document.getElementById('modal-statistics');
+        this.renderStatisticsCharts(modalElement);
+        modalElement?.addEventListener('click', (e) => {
+            const trendsButton = e.target.closest('[data-evaluation-trends]');
+            if (trendsButton) {
+                this.showEvaluationTrends(trendsButton.dataset.evaluationTrends);
+                return;
+            }
+            const link = e.target.closest('.student-profile-link');
+            if (!link) return;
+            e.preventDefault();
+            this.showStudentProfile(link.dataset.group, link.dataset.student);
+        });
+
+        // Cambiar de año lectivo reemplaza el contenido sin cerrar el modal
+        modalElement?.addEventListener('change', async (e) => {
+            if (e.target.id !== 'statistics-school-year') return;
+            this.statisticsManager.setSchoolYear(Number(e.target.value));
+            const body = modalElement.querySelector('.modal-body');
+            if (!body) return;
+            body.innerHTML = await this.generateStatisticsBodyHtml();
+            this.renderStatisticsCharts(body);
+        });
+    }
+
+    /**
+     * Contenido del modal de estadísticas para el año lectivo seleccionado
+     * @returns {Promise<string>}
+     */
+    async generateStatisticsBodyHtml() {
+        const stats = await this.statisticsManager.getAllStatistics();
+        const failed = this.statisticsManager.failedSessions;
+        return this.generateSchoolYearSelectHtml('statistics-school-year',
+                this.statisticsManager.schoolYears, this.statisticsManager.schoolYear) +
+            this.generateUndecryptableNoticeHtml(failed) + this.generateStatisticsHtml(stats);
+    }
+
+    /**
+     * Sección plegable con los gráficos de asistencia de un grupo; los canvas
+     * se dibujan después de insertar el HTML (renderStatisticsCharts)
+     * @param {string} groupName
+     * @returns {string}
+     */
+    generateStatisticsChartsHtml(groupName) {
+        if (!this.statisticsManager.getChartData(groupName)) return '';
+        const group = SecurityUtils.sanitizeAttribute(groupName);
+        const canvas = (type, title) => `
+            <p class="small fw-bold mb-1 mt-2">${title}</p>
+            <canvas class="w-100" style="max-width: ${StatisticsCharts.WIDTH}px;" data-chart="${type}" data-group="${group}"></canvas>`;
+
+        return `
+            <details class="mb-3 border rounded p-2">
+                <summary class="fw-bold"><i class="fas fa-chart-bar"></i> Gráficos</summary>
+                ${canvas('attendance', 'Asistencia por sesión')}
+                ${canvas('students', 'Asistencia por estudiante')}
+                ${canvas('weekdays', 'Ausencias por día de la semana')}
+            </details>`;
+    }
+
+    /**
+     * Dibuja los gráficos de estadísticas presentes en un contenedor
+     * @param {HTMLElement} container
+     */
+    renderStatisticsCharts(container) {
+        container?.querySelectorAll('canvas[data-chart]').forEach(canvas => {
+            const data = this.statisticsManager.getChartData(canvas.dataset.group);
+            if (!data) return;
+            const students = data.students.map(student => ({
+                ...student,
+                nombre: this.getStudentDisplayName(student.id, student.nombre)
+            }));
+            StatisticsCharts.render(canvas, canvas.dataset.chart, { ...data, students });
+        });
+    }
+
+    /**
+     * Selector de año lectivo; los años anteriores al actual se marcan como archivo
+     * @param {string} id - Id del select
+     * @param {Array<number>} years - Años disponibles
+     * @param {number|string} selected - Año seleccionado ('' = todos)
+     * @param {boolean} [includeAll] - Agregar la opción "Todos"
+     * @returns {string}
+     */
+    generateSchoolYearSelectHtml(id, years, selected, includeAll = false) {
+        const current = SchoolCalendar.currentSchoolYear();
+        const options = years.map(year => {
+            const label = SchoolCalendar.schoolYearLabel(year) + (year < current ? ' (archivo)' : '');
+            return `<option value="${year}" ${year === selected ? 'selected' : ''}>${SecurityUtils.escapeHtml(label)}</option>`;
+        }).join('');
+        const archived = selected !== '' && selected < current;
+
+        return `
+            <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+                <label class="form-label small fw-bold mb-0" for="${id}">Año lectivo</label>
+                <select id="${id}" class="form-select form-select-sm w-auto">
+                    ${includeAll ? `<option value="" ${selected === '' ? 'selected' : ''}>Todos</option>` : ''}
+                    ${options}
+                </select>
+                ${archived ? '<span class="badge bg-secondary"><i class="fas fa-archive"></i> Archivo: solo lectura</span>' : ''}
+            </div>`;
+    }
+
+    /**
+     * Nombre para mostrar de un estudiante: el de su ficha o, si ya no existe,
+     * el guardado en las sesiones
+     * @param {string} studentId
+     * @param {string} [snapshot] - Nombre guardado en la sesión
+     */
+    getStudentDisplayName(studentId, snapshot = '') {
+        return this.studentManager.hasStudent(studentId)
+            ? this.studentManager.getStudentName(studentId)
+            : (snapshot || studentId);
+    }
+
+    /**
+     * Muestra la ficha longitudinal de un estudiante con opción de exportar a PDF
+     * @param {string} groupName - Grupo del estudiante
+     * @param {string} studentId - Id de la ficha del estudiante
+     */
+    async showStudentProfile(groupName, studentId) {
+        const profile = await this.statisticsManager.getStudentProfile(groupName, studentId);
+        profile.nombre = this.getStudentDisplayName(studentId, profile.nombre);
+        const record = this.studentManager.getStudent(studentId);
+        if (record) profile.cedula = record.cedula;
+
+        this.closeModal('statistics');
+        this.showModal('student-profile', `Ficha de ${profile.nombre} (${groupName})`,
+            this.generateUndecryptableNoticeHtml(profile.failed) +
+            (record ? this.generateStudentRecordHtml(record) + `
+                <div class="text-end mb-3">
+                    <button class="btn btn-outline-secondary btn-sm" id="student-profile-contacts">
+                        <i class="fas fa-phone"></i> Comunicación con encargados
+                    </button>
+                </div>` : '') +
+            this.generateStudentProfileHtml(profile));
+
+        document.getElementById('student-profile-pdf')?.addEventListener('click', () => {
+            this.pdfGenerator.generateStudentProfile(profile);
+        });
+        document.getElementById('student-record-save')?.addEventListener('click', () => {
+            this.saveStudentRecord(groupName, studentId);
+        });
+        document.getElementById('student-profile-contacts')?.addEventListener('click', () => {
+            this.showGuardianContacts(studentId);
+        });
+    }
+
+    /**
+     * Genera el formulario de datos de la ficha (cédula, nombre, encargados y apoyos)
+     * @param {Object} record - Ficha de StudentManager.getStudent()
+     */
+    generateStudentRecordHtml(record) {
+        const attr = (value) => SecurityUtils.sanitizeAttribute(value || '');
+        const guardians = [0, 1].map(index => {
+            const g = record.encargados[index] || {};
+            return `
+                <div class="row g-2 mb-2 student-record-guardian">
+                    <div class="col-md-4"><input type="text" class="form-control form-control-sm" data-field="nombre" maxlength="100" placeholder="Nombre del encargado" value="${attr(g.nombre)}"></div>
+                    <div class="col-md-2"><input type="text" class="form-control form-control-sm" data-field="parentesco" maxlength="50" placeholder="Parentesco" value="${attr(g.parentesco)}"></div>
+                    <div class="col-md-3"><input type="tel" class="form-control form-control-sm" data-field="telefono" maxlength="30" placeholder="Teléfono" value="${attr(g.telefono)}"></div>
+                    <div class="col-md-3"><input type="email" class="form-control form-control-sm" data-field="correo" maxlength="100" placeholder="Correo" value="${attr(g.correo)}"></div>
+                </div>`;
+        }).join('');
+
+        const supports = Object.entries(CONFIG.STUDENT_SUPPORT_LABELS).map(([value, label]) => `
+            <div class="form-check form-check-inline">
+                <input class="form-check-input student-record-support" type="checkbox" id="support-${value}" value="${value}"
+                       ${record.apoyos.includes(value) ? 'checked' : ''}>
+                <label class="form-check-label small" for="support-${value}">${SecurityUtils.escapeHtml(label)}</label>
+            </div>`).join('');
+
+        return `
+            <details class="mb-3 border rounded p-2">
+                <summary class="fw-bold"><i class="fas fa-id-card"></i> Datos del estudiante</summary>
+                <div class="row g-2 mt-2 mb-2">
+                    <div class="col-md-4">
+                        <label class="form-label small mb-0" for="student-record-cedula">Cédula o carné</label>
+                        <input type="text" id="student-record-cedula" class="form-control form-control-sm" maxlength="20" value="${attr(record.cedula)}">
+                    </div>
+                    <div class="col-md-4">
+                        <label class="form-label small mb-0" for="student-record-apellidos">Apellidos</label>
+                        <input type="text" id="student-record-apellidos" class="form-control form-control-sm" maxlength="${CONFIG.MAX_STUDENT_NAME_LENGTH}" value="${attr(record.apellidos)}">
+                    </div>
+                    <div class="col-md-4">
+                        <label class="form-label small mb-0" for="student-record-nombre">Nombre</label>
+                        <input type="text" id="student-record-nombre" class="form-control form-control-sm" maxlength="${CONFIG.MAX_STUDENT_NAME_LENGTH}" value="${attr(record.nombre)}">
+                    </div>
+                </div>
+                <h6 class="small fw-bold mb-1">Encargados</h6>
+                ${guardians}
+                <h6 class="small fw-bold mb-1">Apoyos y adecuaciones</h6>
+                <div class="mb-2">${supports}</div>
+                <div id="student-record-error" class="text-danger small mb-2" style="display:none;"></div>
+                <div class="text-end">
+                    <button class="btn btn-outline-primary btn-sm" id="student-record-save">
+                        <i class="fas fa-save"></i> Guardar datos
+                    </button>
+                </div>
+            </details>`;
+    }
+
+    /**
+     * Guarda los datos editados en la ficha del estudiante
+     * @param {string} groupName
+     * @param {string} studentId
+     */
+    saveStudentRecord(groupName, studentId) {
+        const modal = document.getElementById('modal-student-profile');
+        if (!modal) return;
+
+        const data = {
+            cedula: document.getElementById('student-record-cedula')?.value || '',
+            nombre: document.getElementById('student-record-nombre')?.value || '',
+            apellidos: document.getElementById('student-record-apellidos')?.value || '',
+            encargados: Array.from(modal.querySelectorAll('.student-record-guardian')).map(row =>
+                Object.fromEntries(Array.from(row.querySelectorAll('input')).map(input => [input.dataset.field, input.value]))),
+            apoyos: Array.from(modal.querySelectorAll('.student-record-support:checked')).map(input => input.value)
+        };
+
+        const validation = Validators.validateStudentRecord(data);
+        const errorEl = document.getElementById('student-record-error');
+        if (!validation.valid) {
+            errorEl.textContent = validation.message;
+            errorEl.style.display = 'block';
+            return;
+        }
+
+        if (this.studentManager.updateStudent(studentId, validation.value)) {
+            this.sessionManager.updateStudentNameInSessions(studentId);
+            errorHandler.showSuccess('Datos del estudiante actualizados');
+            this.closeModal('student-profile');
+            if (this.sessionManager.getCurrentSession()?.grupo === groupName) {
+                this.renderStudentsTable();
+            }
+        }
+    }
+
+    /**
+     * Genera HTML de la ficha del estudiante
+     * @param {Object} profile - Resultado de StatisticsManager.getStudentProfile()
+     */
+    generateStudentProfileHtml(profile) {
+        if (profile.totalSesiones === 0) {
+            return '<p class="text-muted">El estudiante no tiene sesiones guardadas.</p>';
+        }
+
+        const c = profile.counts;
+        const countBoxes = [
+            { label: 'Presente', value: c.presente, cls: 'text-success' },
+            { label: 'Ausente', value: c.ausente, cls: 'text-danger' },
+            { label: 'Tarde', value: c.tarde, cls: 'text-warning' },
+            { label: 'Asistencia', value: `${profile.porcentajeAsistencia.toFixed(1)}%`, cls: 'text-primary' },
+            { label: 'Aus. justificada', value: c.ausenciaJustificada, cls: 'text-info' },
+            { label: 'Tardía justificada', value: c.tardiaJustificada, cls: 'text-secondary' },
+            { label: 'Retiro anticipado', value: c.retiroAnticipado, cls: 'text-dark' },
+            { label: '🚽 Baño', value: c.bano, cls: 'text-info' },
+            { label: '🏥 Enfermería', value: c.enfermeria, cls: 'text-warning' },
+            { label: 'Otra salida', value: c.otro, cls: 'text-secondary' },
+            { label: '🤝 Apoyos', value: c.apoyosEducativos, cls: 'text-primary' }
+        ].map(box => `
+            <div class="col-3 text-center mb-2">
+                <h5 class="${box.cls} mb-0">${box.value}</h5>
+                <small class="text-muted">${box.label}</small>
+            </div>`).join('');
+
+        const timeline = profile.timeline.map(entry =>
+            `<span class="timeline-cell ${SecurityUtils.sanitizeAttribute(entry.estado)}"
+                   title="${SecurityUtils.sanitizeAttribute(`${entry.fecha} ${entry.hora || ''} — ${CONFIG.STUDENT_STATE_META[entry.estado]?.label || entry.estado}`)}"></span>`
+        ).join('');
+
+        const datedList = (items, emptyText) => items.length === 0
+            ? `<p class="text-muted small mb-2">${emptyText}</p>`
+            : `<ul class="list-unstyled small mb-2">${items.map(item => `
+                <li class="border-bottom py-1"><strong>${SecurityUtils.escapeHtml(item.fecha)} ${SecurityUtils.escapeHtml(item.hora || '')}</strong>
+                    — ${SecurityUtils.escapeHtml(item.texto || '')}</li>`).join('')}</ul>`;
+
+        const commentsByType = Object.entries(profile.comentariosPorTipo).map(([tipo, items]) => `
+            <h6 class="small fw-bold mt-2">${SecurityUtils.escapeHtml(CONFIG.COMMENT_TYPE_LABELS[tipo] || tipo)} (${items.length})</h6>
+            ${datedList(items, '')}`).join('');
+
+        return `
+            <div class="row mb-3">${countBoxes}</div>
+            <h6 class="border-bottom pb-1">Línea de tiempo de asistencia (${profile.totalSesiones} sesiones)</h6>
+            <div class="attendance-timeline mb-1">${timeline}</div>
+            <small class="text-muted d-block mb-3">
+                ${SecurityUtils.escapeHtml(profile.timeline[0].fecha)} → ${SecurityUtils.escapeHtml(profile.timeline[profile.timeline.length - 1].fecha)}
+                &nbsp;|&nbsp; ${Object.entries(CONFIG.STUDENT_STATE_META).map(([state, meta]) =>
+                    `<span class="timeline-cell ${state} d-inline-block align-middle"></span> ${meta.label}`).join(' ')}
+            </small>
+            ${profile.justificaciones.length > 0 ? `
+            <h6 class="border-bottom pb-1">Justificaciones y retiros (${profile.justificaciones.length})</h6>
+            ${datedList(profile.justificaciones, '')}` : ''}
+            <h6 class="border-bottom pb-1">Apoyos educativos (${profile.apoyos.length})</h6>
+            ${datedList(profile.apoyos, 'Sin apoyos educativos registrados.')}
+            <h6 class="border-bottom pb-1 mt-3">Comentarios por tipo</h6>
+            ${commentsByType || '<p class="text-muted small">Sin comentarios registrados.</p>'}
+            <div class="text-end mt-3">
+                <button class="btn btn-primary btn-sm" id="student-profile-pdf">
+                    <i class="fas fa-file-pdf"></i> Descargar ficha PDF
+                </button>
+            </div>`;
+    }
+
+    async showHistory() {
+        const { sessions, failed } = await this.sessionManager.getSessionHistory();
+        this.historySessions = sessions;
+        const pendingButton = this.schoolCalendar.getTimetable().length > 0 ? `
+            <div class="text-end mb-2">
+                <button class="btn btn-outline-warning btn-sm" id="history-missing-sessions"
+                        title="Lecciones del horario sin bitácora registrada">
+                    <i class="fas fa-clipboard-list"></i> Bitácoras pendientes
+                </button>
+            </div>` : '';
+        this.showModal('history', 'Historial de Sesiones',
+            pendingButton + this.generateUndecryptableNoticeHtml(failed) + this.generateHistoryHtml(sessions));
+        document.getElementById('history-missing-sessions')?.addEventListener('click', () => {
+            this.closeModal('history');
+            this.showMissingSessions();
+        });
+        if (sessions.length > 0) this.bindHistoryEvents();
     }
 
-    showHistory() {
-        const history = this.sessionManager.getSessionHistory();
-        this.showModal('history', 'Historial de Sesiones', this.generateHistoryHtml(history));
+    /**
+     * Aviso de sesiones guardadas que no se pudieron descifrar
+     * @param {number} count - Cantidad de registros ilegibles
+     */
+    generateUndecryptableNoticeHtml(count) {
+        if (!count) return '';
+        return `
+            <div class="alert alert-warning py-2 small">
+                <i class="fas fa-lock"></i>
+                <strong>${count} sesión(es)</strong> guardada(s) no se pudieron descifrar con la clave actual
+                y no se incluyen en esta vista.
+            </div>`;
     }
 
     /**
@@ -1766,6 +3728,35 @@ class UIManager {
         modal.show();
     }
 
+    /**
+     * Sesiones registradas frente a las esperadas según el horario y el calendario escolar
+     * @param {string} groupName
+     * @returns {string}
+     */
+    generateExpectedSessionsHtml(groupName) {
+        if (!this.schoolCalendar.hasTimetable(groupName)) return '';
+
+        const range = this.schoolCalendar.getStatsRange();
+        if (!range) {
+            return `<p class="small text-muted mb-2"><i class="fas fa-calendar-alt"></i> Configure los periodos del calendario escolar (Config → Horario y Calendario) para comparar con las sesiones esperadas.</p>`;
+        }
+
+        const expected = this.schoolCalendar.countExpectedSessions(groupName, range.desde, range.hasta);
+        const recorded = this.statisticsManager.countRecordedSessions(groupName, range.desde, range.hasta);
+        const coverage = expected > 0 ? Math.min(100, recorded / expected * 100) : 100;
+        const color = coverage >= 90 ? 'success' : coverage >= 70 ? 'warning' : 'danger';
+
+        return `
+            <div class="small mb-2">
+                <i class="fas fa-calendar-check"></i>
+                Sesiones registradas: <strong>${recorded}</strong> de <strong>${expected}</strong> esperadas
+                (${SecurityUtils.escapeHtml(range.term.nombre)}, ${range.desde} a ${range.hasta})
+                <div class="progress mt-1" style="height: 6px;">
+                    <div class="progress-bar bg-${color}" style="width: ${coverage.toFixed(0)}%"></div>
+                </div>
+            </div>`;
+    }
+
     generateStatisticsHtml(stats) {
         if (!stats || Object.keys(stats).length === 0) {
             return '<p class="text-muted">No hay estadísticas disponibles. Guarde algunos datos primero.</p>';
@@ -1775,8 +3766,12 @@ class UIManager {
         Object.entries(stats).forEach(([groupName, groupStats]) => {
             html += `
                 <div class="card mb-3">
-                    <div class="card-header">
+                    <div class="card-header d-flex justify-content-between align-items-center">
                         <h6 class="mb-0">Grupo ${SecurityUtils.escapeHtml(groupName)}</h6>
+                        <button class="btn btn-sm btn-outline-primary" data-evaluation-trends="${SecurityUtils.sanitizeAttribute(groupName)}"
+                                title="Evolución de la evaluación de la clase">
+                            <i class="fas fa-chart-line"></i> Evaluación de la clase
+                        </button>
                     </div>
                     <div class="card-body">
                         <div class="row mb-2">
@@ -1805,6 +3800,8 @@ class UIManager {
                                 <small class="text-muted">Sal. Enfermería</small>
                             </div>
                         </div>
+                        ${this.statisticsManager.schoolYear === SchoolCalendar.currentSchoolYear() ? this.generateExpectedSessionsHtml(groupName) : ''}
+                        ${this.generateStatisticsChartsHtml(groupName)}
                         <div class="table-responsive">
                             <table class="table table-sm">
                                 <thead>
@@ -1813,6 +3810,8 @@ class UIManager {
                                         <th>Presente</th>
                                         <th>Ausente</th>
                                         <th>Tarde</th>
+                                        <th>Justif.</th>
+                                        <th>Retiro</th>
                                         <th>🚽 Baño</th>
                                         <th>🏥 Enf.</th>
                                         <th>% Asistencia</th>
@@ -1820,16 +3819,24 @@ class UIManager {
                                 </thead>
                                 <tbody>`;
 
-            Object.entries(groupStats.students).forEach(([studentName, studentStats]) => {
-                const attendance = studentStats.totalSesiones > 0
-                    ? ((studentStats.presente / studentStats.totalSesiones) * 100).toFixed(1)
-                    : 0;
+            Object.entries(groupStats.students).forEach(([studentId, studentStats]) => {
+                const attendance = StatisticsManager
+                    .calculateAttendancePercentage(studentStats, studentStats.totalSesiones).toFixed(1);
                 html += `
                     <tr>
-                        <td>${SecurityUtils.escapeHtml(studentName)}</td>
+                        <td>
+                            <a href="#" class="student-profile-link" title="Ver ficha del estudiante"
+                               data-group="${SecurityUtils.sanitizeAttribute(groupName)}"
+                               data-student="${SecurityUtils.sanitizeAttribute(studentId)}">${SecurityUtils.escapeHtml(this.getStudentDisplayName(studentId, studentStats.nombre))}</a>
+                        </td>
                         <td><span class="badge bg-success">${studentStats.presente}</span></td>
                         <td><span class="badge bg-danger">${studentStats.ausente}</span></td>
                         <td><span class="badge bg-warning text-dark">${studentStats.tarde}</span></td>
+                        <td>
+                            <span class="badge bg-info" title="Ausencias justificadas">${studentStats.ausenciaJustificada || 0}</span>
+                            <span class="badge bg-secondary" title="Tardías justificadas">${studentStats.tardiaJustificada || 0}</span>
+                        </td>
+                        <td><span class="badge bg-dark">${studentStats.retiroAnticipado || 0}</span></td>
                         <td><span class="badge" style="background:#06b6d4">${studentStats.bano || 0}</span></td>
                         <td><span class="badge" style="background:#f97316">${studentStats.enfermeria || 0}</span></td>
                         <td>${attendance}%</td>
@@ -1847,19 +3854,841 @@ class UIManager {
             return '<p class="text-muted">No hay sesiones guardadas.</p>';
         }
 
-        let html = '<div class="list-group">';
-        history.forEach(session => {
-            html += `
-                <div class="list-group-item">
-                    <div class="d-flex w-100 justify-content-between">
-                        <h6 class="mb-1">${SecurityUtils.escapeHtml(session.grupo)} - ${session.fecha}</h6>
-                        <small>${new Date(session.lastSaved).toLocaleString()}</small>
+        const groups = [...new Set(history.map(s => s.grupo))].sort();
+        const groupOptions = groups.map(g =>
+            `<option value="${SecurityUtils.sanitizeAttribute(g)}">${SecurityUtils.escapeHtml(g)}</option>`
+        ).join('');
+
+        // Por defecto solo el año lectivo en curso; los anteriores se consultan como archivo
+        const currentYear = SchoolCalendar.currentSchoolYear();
+        const years = [...new Set([currentYear, ...history.map(s => SchoolCalendar.schoolYearOf(s.fecha))])]
+            .sort((a, b) => b - a);
+        const yearOptions = years.map(year =>
+            `<option value="${year}" ${year === currentYear ? 'selected' : ''}>${SchoolCalendar.schoolYearLabel(year)}${year < currentYear ? ' (archivo)' : ''}</option>`
+        ).join('');
+
+        return `
+            <div class="row g-2 mb-3" id="history-filters">
+                <div class="col-md-3">
+                    <label class="form-label small fw-bold" for="history-filter-group">Grupo</label>
+                    <select id="history-filter-group" class="form-select form-select-sm">
+                        <option value="">Todos</option>
+                        ${groupOptions}
+                    </select>
+                </div>
+                <div class="col-md-2">
+                    <label class="form-label small fw-bold" for="history-filter-year">Año lectivo</label>
+                    <select id="history-filter-year" class="form-select form-select-sm">
+                        <option value="">Todos</option>
+                        ${yearOptions}
+                    </select>
+                </div>
+                <div class="col-md-2">
+                    <label class="form-label small fw-bold" for="history-filter-from">Desde</label>
+                    <input type="date" id="history-filter-from" class="form-control form-control-sm">
+                </div>
+                <div class="col-md-2">
+                    <label class="form-label small fw-bold" for="history-filter-to">Hasta</label>
+                    <input type="date" id="history-filter-to" class="form-control form-control-sm">
+                </div>
+                <div class="col-md-3 d-flex align-items-end">
+                    <div class="form-check">
+                        <input class="form-check-input" type="checkbox" id="history-filter-incidents">
+                        <label class="form-check-label small" for="history-filter-incidents">Con incidencias</label>
+                    </div>
+                </div>
+            </div>
+            <div class="d-flex flex-wrap align-items-center gap-2 mb-2">
+                <div class="form-check me-auto">
+                    <input class="form-check-input" type="checkbox" id="history-select-all">
+                    <label class="form-check-label small" for="history-select-all">Seleccionar todas</label>
+                </div>
+                <button class="btn btn-outline-primary btn-sm" id="history-bulk-pdf" disabled>
+                    <i class="fas fa-file-pdf"></i> Exportar PDF (<span class="history-selected-count">0</span>)
+                </button>
+                <button class="btn btn-outline-danger btn-sm" id="history-bulk-delete" disabled>
+                    <i class="fas fa-trash-alt"></i> Eliminar (<span class="history-selected-count">0</span>)
+                </button>
+                <button class="btn btn-primary btn-sm" id="history-group-report" disabled
+                        title="Compila en un solo PDF todas las sesiones del grupo y rango filtrados">
+                    <i class="fas fa-book"></i> Compendio del grupo
+                </button>
+            </div>
+            <div class="list-group" id="history-list">
+                ${this.generateHistoryRowsHtml(history.filter(s => SchoolCalendar.schoolYearOf(s.fecha) === currentYear))}
+            </div>`;
+    }
+
+    /**
+     * Genera las filas del historial
+     * @param {Array} sessions - Resúmenes de sesión de getSessionHistory()
+     */
+    generateHistoryRowsHtml(sessions) {
+        if (sessions.length === 0) {
+            return '<p class="text-muted text-center py-3 mb-0">Ninguna sesión coincide con los filtros.</p>';
+        }
+
+        return sessions.map(session => {
+            const safeKey = SecurityUtils.sanitizeAttribute(session.key);
+            const archived = session.mode === CONFIG.SESSION_MODES.ARCHIVED;
+            let incidents = session.incidentCount > 0
+                ? `<span class="badge bg-danger">${session.incidentCount} incidencia(s)</span>`
+                : '<span class="badge bg-success">Sin incidencias</span>';
+            if (session.planned) incidents = '<span class="badge bg-info text-dark"><i class="fas fa-calendar-plus"></i> Planificación</span>';
+            if (archived) incidents += ' <span class="badge bg-secondary"><i class="fas fa-archive"></i> Archivo</span>';
+            return `
+                <div class="list-group-item" data-key="${safeKey}">
+                    <div class="d-flex w-100 align-items-start gap-2">
+                        <input class="form-check-input mt-1 history-select" type="checkbox" value="${safeKey}">
+                        <div class="flex-grow-1">
+                            <div class="d-flex justify-content-between">
+                                <h6 class="mb-1">${SecurityUtils.escapeHtml(session.grupo)} - ${SecurityUtils.escapeHtml(session.fecha)} ${incidents}</h6>
+                                <small>${session.lastSaved ? new Date(session.lastSaved).toLocaleString() : ''}</small>
+                            </div>
+                            <p class="mb-1">Hora: ${SecurityUtils.escapeHtml(session.startTime || '')} | ${session.planned
+                                ? 'Sin asistencia registrada'
+                                : `Estudiantes: ${session.presentCount}/${session.studentCount} presentes`}</p>
+                        </div>
+                        <div class="btn-group btn-group-sm">
+                            <button class="btn btn-outline-primary" data-history-action="open" title="${archived ? 'Consultar sesión (solo lectura)' : 'Abrir sesión'}"><i class="fas fa-folder-open"></i></button>
+                            <button class="btn btn-outline-secondary" data-history-action="pdf" title="Generar PDF"><i class="fas fa-file-pdf"></i></button>
+                            ${archived ? '' : '<button class="btn btn-outline-danger" data-history-action="delete" title="Eliminar"><i class="fas fa-trash-alt"></i></button>'}
+                        </div>
                     </div>
-                    <p class="mb-1">Hora: ${session.startTime} | Estudiantes: ${session.presentCount}/${session.studentCount} presentes</p>
                 </div>`;
+        }).join('');
+    }
+
+    /**
+     * Aplica los filtros del historial a las sesiones cargadas
+     * @returns {Array}
+     */
+    getFilteredHistory() {
+        const group = document.getElementById('history-filter-group')?.value || '';
+        const year = document.getElementById('history-filter-year')?.value || '';
+        const from = document.getElementById('history-filter-from')?.value || '';
+        const to = document.getElementById('history-filter-to')?.value || '';
+        const onlyIncidents = document.getElementById('history-filter-incidents')?.checked;
+
+        return (this.historySessions || []).filter(s =>
+            (!group || s.grupo === group) &&
+            (!year || SchoolCalendar.schoolYearOf(s.fecha) === Number(year)) &&
+            (!from || s.fecha >= from) &&
+            (!to || s.fecha <= to) &&
+            (!onlyIncidents || s.incidentCount > 0)
+        );
+    }
+
+    /**
+     * Enlaza filtros, acciones por fila y acciones masivas del historial
+     */
+    bindHistoryEvents() {
+        const list = document.getElementById('history-list');
+        if (!list) return;
+
+        const selectedKeys = () => Array.from(list.querySelectorAll('.history-select:checked')).map(cb => cb.value);
+        const findSession = key => (this.historySessions || []).find(s => s.key === key);
+
+        const updateBulkButtons = () => {
+            const count = selectedKeys().length;
+            document.querySelectorAll('.history-selected-count').forEach(el => { el.textContent = count; });
+            ['history-bulk-pdf', 'history-bulk-delete'].forEach(id => {
+                const btn = document.getElementById(id);
+                if (btn) btn.disabled = count === 0;
+            });
+        };
+
+        const renderList = () => {
+            list.innerHTML = this.generateHistoryRowsHtml(this.getFilteredHistory());
+            const selectAll = document.getElementById('history-select-all');
+            if (selectAll) selectAll.checked = false;
+            updateBulkButtons();
+        };
+
+        ['history-filter-group', 'history-filter-year', 'history-filter-from', 'history-filter-to', 'history-filter-incidents']
+            .forEach(id => document.getElementById(id)?.addEventListener('change', renderList));
+
+        // El compendio requiere un grupo concreto
+        document.getElementById('history-filter-group')?.addEventListener('change', (e) => {
+            const reportBtn = document.getElementById('history-group-report');
+            if (reportBtn) reportBtn.disabled = !e.target.value;
         });
-        html += '</div>';
-        return html;
+
+        document.getElementById('history-group-report')?.addEventListener('click', async (e) => {
+            const group = document.getElementById('history-filter-group')?.value;
+            if (!group) return;
+            let from = document.getElementById('history-filter-from')?.value || '';
+            let to = document.getElementById('history-filter-to')?.value || '';
+            // El rango se limita al año lectivo filtrado, como la lista
+            const year = document.getElementById('history-filter-year')?.value;
+            if (year) {
+                const range = SchoolCalendar.schoolYearRange(Number(year));
+                if (!from || from < range.desde) from = range.desde;
+                if (!to || to > range.hasta) to = range.hasta;
+            }
+            const button = e.currentTarget;
+            this.setLoading(button, true);
+            try {
+                await this.pdfGenerator.generateGroupReport(group, from, to);
+            } finally {
+                this.setLoading(button, false);
+            }
+        });
+
+        document.getElementById('history-select-all')?.addEventListener('change', (e) => {
+            list.querySelectorAll('.history-select').forEach(cb => { cb.checked = e.target.checked; });
+            updateBulkButtons();
+        });
+
+        list.addEventListener('change', (e) => {
+            if (e.target.classList.contains('history-select')) updateBulkButtons();
+        });
+
+        list.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-history-action]');
+            if (!button) return;
+            const session = findSession(button.closest('[data-key]')?.dataset.key);
+            if (!session) return;
+
+            switch (button.dataset.historyAction) {
+                case 'open':
+                    await this.openHistorySession(session);
+                    break;
+                case 'pdf':
+                    await this.exportHistorySessions([session]);
+                    break;
+                case 'delete':
+                    if (confirm(`¿Eliminar la sesión de ${session.grupo} del ${session.fecha} a las ${session.startTime}?`)) {
+                        this.deleteHistorySessions([session]);
+                        renderList();
+                    }
+                    break;
+            }
+        });
+
+        document.getElementById('history-bulk-pdf')?.addEventListener('click', async () => {
+            await this.exportHistorySessions(selectedKeys().map(findSession).filter(Boolean));
+        });
+
+        document.getElementById('history-bulk-delete')?.addEventListener('click', () => {
+            const selected = selectedKeys().map(findSession).filter(Boolean);
+            const sessions = selected.filter(s => s.mode !== CONFIG.SESSION_MODES.ARCHIVED);
+            if (sessions.length < selected.length) {
+                errorHandler.showGlobalError('Las sesiones de años lectivos archivados no se pueden eliminar; se omitirán.');
+            }
+            if (sessions.length === 0) return;
+            if (confirm(`¿Eliminar ${sessions.length} sesión(es) seleccionada(s)? Esta acción no se puede deshacer.`)) {
+                this.deleteHistorySessions(sessions);
+                renderList();
+            }
+        });
+    }
+
+    /**
+     * Reabre una sesión del historial en el formulario principal
+     * @param {Object} session - Resumen de sesión
+     */
+    async openHistorySession(session) {
+        if (!await this.sessionManager.loadSession(session.grupo, session.fecha, session.startTime, session.key)) return;
+
+        const values = { groupSelect: session.grupo, classDate: session.fecha, startTime: session.startTime };
+        Object.entries(values).forEach(([id, value]) => {
+            const el = this.elements.get(id);
+            if (el) el.value = value;
+        });
+
+        this.updateSessionInfo();
+        this.showBasicInterface();
+        this.closeModal('history');
+        errorHandler.showSuccess(`Sesión ${session.grupo} del ${session.fecha} abierta` +
+            (this.sessionManager.isReadOnly() ? ' (solo lectura)' : ''));
+    }
+
+    /**
+     * Genera el PDF de cada sesión indicada
+     * @param {Array} sessions - Resúmenes de sesión
+     */
+    async exportHistorySessions(sessions) {
+        let exported = 0;
+        for (const summary of sessions) {
+            const session = await this.sessionManager.getSavedSession(summary.grupo, summary.fecha, summary.startTime, summary.key);
+            if (session && await this.pdfGenerator.generatePDF(session)) exported++;
+        }
+        if (sessions.length > 1) {
+            errorHandler.showSuccess(`${exported} de ${sessions.length} PDF(s) generado(s)`);
+        }
+    }
+
+    /**
+     * Elimina las sesiones indicadas y actualiza historial y estadísticas
+     * @param {Array} sessions - Resúmenes de sesión
+     */
+    deleteHistorySessions(sessions) {
+        const current = this.sessionManager.getCurrentSession();
+        let deleted = 0;
+
+        sessions.forEach(session => {
+            if (!this.sessionManager.deleteSession(session.grupo, session.fecha, session.startTime, session.key)) return;
+            deleted++;
+            this.historySessions = this.historySessions.filter(s => s.key !== session.key);
+            if (current && current.grupo === session.grupo && current.fecha === session.fecha && current.startTime === session.startTime) {
+                this.clearSessionView();
+            }
+        });
+
+        this.statisticsManager.loadStatistics();
+        this.refreshAlerts();
+        errorHandler.showSuccess(`${deleted} sesión(es) eliminada(s)`);
+    }
+
+    // =========================================================================
+    // COMUNICACIÓN CON ENCARGADOS
+    // =========================================================================
+
+    /**
+     * Muestra la bitácora de contactos con los encargados de un estudiante y
+     * el generador de avisos
+     * @param {string} studentId
+     * @param {Object} [linkedSession] - { grupo, fecha, startTime } de la sesión que origina el contacto
+     */
+    async showGuardianContacts(studentId, linkedSession = null) {
+        const record = this.studentManager.getStudent(studentId);
+        if (!record) {
+            errorHandler.showGlobalError('El estudiante ya no tiene ficha en las listas');
+            return;
+        }
+
+        const [contacts, profile] = await Promise.all([
+            this.guardianContacts.getContacts(studentId),
+            this.statisticsManager.getStudentProfile(record.grupo, studentId)
+        ]);
+        const name = this.studentManager.getStudentName(studentId);
+
+        // Sesiones que se pueden vincular: la de origen y las guardadas del estudiante
+        const sessions = profile.timeline.slice().reverse()
+            .map(entry => ({ grupo: record.grupo, fecha: entry.fecha, startTime: entry.hora, estado: entry.estado }));
+        if (linkedSession && !sessions.some(s => s.fecha === linkedSession.fecha && s.startTime === linkedSession.startTime)) {
+            sessions.unshift({ ...linkedSession, estado: this.studentManager.currentStudents.get(studentId)?.estado });
+        }
+
+        this.closeModal('student-profile');
+        this.showModal('guardian-contacts', `Comunicación con encargados: ${name} (${record.grupo})`,
+            this.generateGuardianContactsHtml(record, contacts, sessions, linkedSession));
+        this.bindGuardianContactsEvents(studentId, sessions, linkedSession);
+    }
+
+    /**
+     * @param {Object} record - Ficha del estudiante
+     * @param {Array} contacts - De GuardianContacts.getContacts()
+     * @param {Array} sessions - Sesiones vinculables { grupo, fecha, startTime, estado }
+     * @param {Object|null} linkedSession - Sesión preseleccionada
+     */
+    generateGuardianContactsHtml(record, contacts, sessions, linkedSession) {
+        const attr = (value) => SecurityUtils.sanitizeAttribute(value || '');
+        const sessionValue = (s) => `${s.grupo}|${s.fecha}|${s.startTime}`;
+        const now = new Date();
+
+        const guardians = record.encargados.filter(g => g.nombre);
+        const guardianInfo = guardians.length === 0
+            ? '<p class="small text-muted">La ficha no tiene encargados registrados (Estadísticas → ficha del estudiante → Datos del estudiante).</p>'
+            : `<ul class="list-unstyled small mb-3">${guardians.map(g => `
+                <li><i class="fas fa-user"></i> <strong>${SecurityUtils.escapeHtml(g.nombre)}</strong>
+                    ${g.parentesco ? `(${SecurityUtils.escapeHtml(g.parentesco)})` : ''}
+                    ${g.telefono ? ` · <i class="fas fa-phone"></i> ${SecurityUtils.escapeHtml(g.telefono)}` : ''}
+                    ${g.correo ? ` · <i class="fas fa-envelope"></i> ${SecurityUtils.escapeHtml(g.correo)}` : ''}</li>`).join('')}</ul>`;
+
+        const guardianOptions = guardians.map(g => `<option value="${attr(g.nombre)}">`).join('');
+        const channelOptions = Object.entries(CONFIG.CONTACT_CHANNELS).map(([value, label]) =>
+            `<option value="${value}">${SecurityUtils.escapeHtml(label)}</option>`).join('');
+        const sessionOptions = sessions.map(s => {
+            const selected = linkedSession && s.fecha === linkedSession.fecha && s.startTime === linkedSession.startTime;
+            const state = CONFIG.STUDENT_STATE_META[s.estado]?.label;
+            return `<option value="${attr(sessionValue(s))}" ${selected ? 'selected' : ''}>
+                ${SecurityUtils.escapeHtml(`${s.fecha} ${s.startTime}${state ? ` — ${state}` : ''}`)}</option>`;
+        }).join('');
+        const templateOptions = Object.entries(CONFIG.NOTICE_TEMPLATES).map(([value, template]) =>
+            `<option value="${value}">${SecurityUtils.escapeHtml(template.label)}</option>`).join('');
+
+        return `
+            ${guardianInfo}
+            <h6 class="border-bottom pb-1"><i class="fas fa-plus-circle"></i> Registrar contacto</h6>
+            <datalist id="contact-guardian-list">${guardianOptions}</datalist>
+            <div class="row g-2 mb-2">
+                <div class="col-md-3">
+                    <label class="form-label small mb-0" for="contact-date">Fecha</label>
+                    <input type="date" id="contact-date" class="form-control form-control-sm" value="${SchoolCalendar.toISODate(now)}">
+                </div>
+                <div class="col-md-2">
+                    <label class="form-label small mb-0" for="contact-time">Hora</label>
+                    <input type="time" id="contact-time" class="form-control form-control-sm" value="${now.toTimeString().slice(0, 5)}">
+                </div>
+                <div class="col-md-3">
+                    <label class="form-label small mb-0" for="contact-channel">Medio</label>
+                    <select id="contact-channel" class="form-select form-select-sm">${channelOptions}</select>
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label small mb-0" for="contact-guardian">Encargado</label>
+                    <input type="text" id="contact-guardian" class="form-control form-control-sm" maxlength="100"
+                           list="contact-guardian-list" value="${attr(guardians[0]?.nombre)}">
+                </div>
+                <div class="col-md-6">
+                    <label class="form-label small mb-0" for="contact-reason">Motivo</label>
+                    <input type="text" id="contact-reason" class="form-control form-control-sm" maxlength="${CONFIG.MAX_JUSTIFICATION_LENGTH}"
+                           placeholder="Ausencias, conducta, rendimiento…">
+                </div>
+                <div class="col-md-6">
+                    <label class="form-label small mb-0" for="contact-session">Sesión relacionada</label>
+                    <select id="contact-session" class="form-select form-select-sm">
+                        <option value="">Ninguna</option>
+                        ${sessionOptions}
+                    </select>
+                </div>
+                <div class="col-12">
+                    <label class="form-label small mb-0" for="contact-outcome">Resultado</label>
+                    <textarea id="contact-outcome" class="form-control form-control-sm" rows="2" maxlength="${CONFIG.MAX_COMMENT_LENGTH}"
+                              placeholder="Acuerdos, respuesta del encargado, seguimiento…"></textarea>
+                </div>
+            </div>
+            <div class="text-end mb-3">
+                <button class="btn btn-primary btn-sm" id="contact-save"><i class="fas fa-save"></i> Registrar contacto</button>
+            </div>
+
+            <h6 class="border-bottom pb-1"><i class="fas fa-history"></i> Contactos registrados (${contacts.length})</h6>
+            <div class="list-group mb-3" id="contact-list">${this.generateGuardianContactRowsHtml(contacts)}</div>
+
+            <details class="border rounded p-2">
+                <summary class="fw-bold"><i class="fas fa-file-signature"></i> Generar aviso imprimible</summary>
+                <div class="row g-2 mt-2">
+                    <div class="col-md-4">
+                        <label class="form-label small mb-0" for="notice-template">Plantilla</label>
+                        <select id="notice-template" class="form-select form-select-sm">${templateOptions}</select>
+                    </div>
+                    <div class="col-md-4">
+                        <label class="form-label small mb-0" for="notice-dates">Fechas</label>
+                        <input type="text" id="notice-dates" class="form-control form-control-sm" maxlength="300">
+                    </div>
+                    <div class="col-md-4">
+                        <label class="form-label small mb-0" for="notice-reason">Motivo</label>
+                        <input type="text" id="notice-reason" class="form-control form-control-sm" maxlength="${CONFIG.MAX_JUSTIFICATION_LENGTH}">
+                    </div>
+                    <div class="col-12">
+                        <label class="form-label small mb-0" for="notice-body">Texto del aviso (puede editarlo antes de generar)</label>
+                        <textarea id="notice-body" class="form-control form-control-sm" rows="8" maxlength="${CONFIG.MAX_TEXT_LENGTH * 3}"></textarea>
+                    </div>
+                </div>
+                <div class="text-end mt-2">
+                    <button class="btn btn-primary btn-sm" id="notice-pdf"><i class="fas fa-file-pdf"></i> Generar aviso PDF</button>
+                </div>
+            </details>`;
+    }
+
+    /**
+     * @param {Array} contacts - De GuardianContacts.getContacts()
+     */
+    generateGuardianContactRowsHtml(contacts) {
+        if (contacts.length === 0) {
+            return '<p class="text-muted small mb-0">Sin contactos registrados.</p>';
+        }
+
+        return contacts.map(contact => {
+            const session = contact.sesion;
+            return `
+                <div class="list-group-item small" data-contact="${SecurityUtils.sanitizeAttribute(contact.id)}">
+                    <div class="d-flex justify-content-between gap-2">
+                        <div>
+                            <strong>${SecurityUtils.escapeHtml(`${contact.fecha} ${contact.hora || ''}`)}</strong>
+                            · ${SecurityUtils.escapeHtml(CONFIG.CONTACT_CHANNELS[contact.canal] || contact.canal)}
+                            · ${SecurityUtils.escapeHtml(contact.encargado)}
+                            <div><em>${SecurityUtils.escapeHtml(contact.motivo)}</em></div>
+                            ${contact.resultado ? `<div class="text-muted">${SecurityUtils.escapeHtml(contact.resultado)}</div>` : ''}
+                        </div>
+                        <div class="btn-group btn-group-sm align-self-start">
+                            ${session ? `<button class="btn btn-outline-primary" data-contact-action="open-session"
+                                    title="${SecurityUtils.sanitizeAttribute(`Abrir sesión ${session.fecha} ${session.startTime}`)}"><i class="fas fa-folder-open"></i></button>` : ''}
+                            <button class="btn btn-outline-danger" data-contact-action="delete" title="Eliminar"><i class="fas fa-trash-alt"></i></button>
+                        </div>
+                    </div>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * @param {string} studentId
+     * @param {Array} sessions - Sesiones vinculables
+     * @param {Object|null} linkedSession - Sesión de origen
+     */
+    bindGuardianContactsEvents(studentId, sessions, linkedSession) {
+        const value = id => document.getElementById(id)?.value || '';
+        const record = this.studentManager.getStudent(studentId);
+        let contacts = [];
+
+        const renderList = async () => {
+            contacts = await this.guardianContacts.getContacts(studentId);
+            const list = document.getElementById('contact-list');
+            if (list) list.innerHTML = this.generateGuardianContactRowsHtml(contacts);
+        };
+
+        document.getElementById('contact-save')?.addEventListener('click', async () => {
+            const [grupo, fecha, startTime] = value('contact-session').split('|');
+            const id = await this.guardianContacts.addContact(studentId, {
+                fecha: value('contact-date'),
+                hora: value('contact-time'),
+                canal: value('contact-channel'),
+                encargado: value('contact-guardian'),
+                motivo: value('contact-reason'),
+                resultado: value('contact-outcome'),
+                sesion: fecha ? { grupo, fecha, startTime } : null
+            });
+            if (!id) return;
+            ['contact-reason', 'contact-outcome'].forEach(fieldId => {
+                const el = document.getElementById(fieldId);
+                if (el) el.value = '';
+            });
+            await renderList();
+            errorHandler.showSuccess('Contacto registrado');
+        });
+
+        document.getElementById('contact-list')?.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-contact-action]');
+            const contact = button && contacts.find(c => c.id === button.closest('[data-contact]')?.dataset.contact);
+            if (!contact) return;
+
+            if (button.dataset.contactAction === 'open-session') {
+                const { grupo, fecha, startTime } = contact.sesion;
+                this.closeModal('guardian-contacts');
+                await this.openHistorySession({ grupo, fecha, startTime });
+            } else if (confirm(`¿Eliminar el contacto del ${contact.fecha} con ${contact.encargado}?`)) {
+                if (await this.guardianContacts.removeContact(contact.id)) await renderList();
+            }
+        });
+
+        // Aviso: las fechas por defecto son las ausencias injustificadas del año
+        // lectivo (plantilla de ausencias) o la de la sesión de origen
+        const currentYear = SchoolCalendar.currentSchoolYear();
+        const formatDate = fecha => SchoolCalendar.parseISODate(fecha).toLocaleDateString('es-ES', { timeZone: 'UTC' });
+        const absences = sessions
+            .filter(s => s.estado === CONFIG.STUDENT_STATES.AUSENTE && SchoolCalendar.schoolYearOf(s.fecha) === currentYear)
+            .map(s => formatDate(s.fecha))
+            .reverse();
+
+        const fillNotice = () => {
+            const notice = this.guardianContacts.buildNotice(value('notice-template'), studentId, {
+                encargado: value('contact-guardian'),
+                fechas: value('notice-dates'),
+                motivo: value('notice-reason')
+            });
+            const body = document.getElementById('notice-body');
+            if (notice && body) body.value = notice.cuerpo;
+        };
+        const setDefaultDates = () => {
+            const dates = document.getElementById('notice-dates');
+            if (!dates) return;
+            dates.value = value('notice-template') === 'ausencias'
+                ? [...new Set(absences)].join(', ')
+                : (linkedSession ? formatDate(linkedSession.fecha) : '');
+        };
+
+        document.getElementById('notice-template')?.addEventListener('change', () => {
+            setDefaultDates();
+            fillNotice();
+        });
+        ['notice-dates', 'notice-reason', 'contact-guardian'].forEach(id =>
+            document.getElementById(id)?.addEventListener('change', fillNotice));
+        setDefaultDates();
+        fillNotice();
+
+        document.getElementById('notice-pdf')?.addEventListener('click', async () => {
+            const notice = this.guardianContacts.buildNotice(value('notice-template'), studentId, {
+                encargado: value('contact-guardian'),
+                fechas: value('notice-dates'),
+                motivo: value('notice-reason')
+            });
+            if (!notice) return;
+            const generated = this.pdfGenerator.generateNotice({
+                ...notice,
+                cuerpo: value('notice-body'),
+                estudiante: this.studentManager.getStudentName(studentId),
+                grupo: record.grupo
+            });
+            if (!generated || !confirm('¿Registrar la entrega de este aviso en los contactos con el encargado?')) return;
+
+            const [grupo, fecha, startTime] = value('contact-session').split('|');
+            const id = await this.guardianContacts.addContact(studentId, {
+                fecha: SchoolCalendar.toISODate(new Date()),
+                hora: new Date().toTimeString().slice(0, 5),
+                canal: 'nota',
+                encargado: value('contact-guardian'),
+                motivo: `${CONFIG.NOTICE_TEMPLATES[value('notice-template')].label}${value('notice-reason') ? `: ${value('notice-reason')}` : ''}`,
+                resultado: '',
+                sesion: fecha ? { grupo, fecha, startTime } : null
+            });
+            if (id) await renderList();
+        });
+
+        renderList();
+    }
+
+    // =========================================================================
+    // EVOLUCIÓN DE LA EVALUACIÓN DE LA CLASE
+    // =========================================================================
+
+    /**
+     * Evolución de la autoevaluación de las clases de un grupo en un rango de fechas
+     * @param {string} groupName
+     */
+    showEvaluationTrends(groupName) {
+        const year = SchoolCalendar.currentSchoolYear();
+        const desde = `${year}-${String(CONFIG.SCHOOL_YEAR_START_MONTH).padStart(2, '0')}-01`;
+        const hasta = SchoolCalendar.toISODate(new Date());
+        const groups = Array.from(new Set([...this.studentManager.getGroupNames(), groupName])).sort();
+
+        this.closeModal('statistics');
+        this.showModal('evaluation-trends', 'Evolución de la Evaluación de la Clase', `
+            <div class="row g-2 mb-3">
+                <div class="col-md-4">
+                    <label class="form-label small fw-bold" for="trends-filter-group">Grupo</label>
+                    <select id="trends-filter-group" class="form-select form-select-sm">
+                        ${groups.map(g => `<option value="${SecurityUtils.sanitizeAttribute(g)}" ${g === groupName ? 'selected' : ''}>${SecurityUtils.escapeHtml(g)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label small fw-bold" for="trends-filter-from">Desde</label>
+                    <input type="date" id="trends-filter-from" class="form-control form-control-sm" value="${desde}">
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label small fw-bold" for="trends-filter-to">Hasta</label>
+                    <input type="date" id="trends-filter-to" class="form-control form-control-sm" value="${hasta}">
+                </div>
+            </div>
+            <div id="evaluation-trends-content"></div>`);
+        this.bindEvaluationTrendsEvents();
+    }
+
+    /**
+     * @param {Object} trends - De StatisticsManager.getEvaluationTrends()
+     * @returns {string}
+     */
+    generateEvaluationTrendsHtml({ criteria, sessions, critical, failed }) {
+        const esc = SecurityUtils.escapeHtml;
+        const notice = this.generateUndecryptableNoticeHtml(failed);
+        if (sessions.length === 0) {
+            return notice + '<p class="text-muted text-center py-3 mb-0">No hay sesiones guardadas del grupo en este rango.</p>';
+        }
+
+        const criterionName = criterion => (criterion.short || criterion.label).replace(/:\s*$/, '');
+        const trendIcon = (cambio) => {
+            if (cambio === null) return '';
+            if (cambio >= 5) return `<i class="fas fa-arrow-up text-success" title="Mejora (+${cambio.toFixed(0)})"></i>`;
+            if (cambio <= -5) return `<i class="fas fa-arrow-down text-danger" title="Empeora (${cambio.toFixed(0)})"></i>`;
+            return '<i class="fas fa-arrow-right text-muted" title="Estable"></i>';
+        };
+
+        // Una fila por criterio y una celda de color por sesión, en orden cronológico
+        const rows = criteria.map(criterion => {
+            const cells = sessions.map(session => {
+                const answer = session.answers[criterion.id];
+                const title = `${session.fecha} ${session.startTime}: ${answer ? answer.value : 'Sin respuesta'}`;
+                return `<td class="p-0 px-1"><span class="d-inline-block rounded ${answer ? `bg-${answer.color}` : 'bg-light border'}"
+                            style="width: 14px; height: 14px;" title="${SecurityUtils.sanitizeAttribute(title)}"></span></td>`;
+            }).join('');
+            return `
+                <tr>
+                    <th class="text-nowrap small fw-normal pe-2" title="${SecurityUtils.sanitizeAttribute(criterion.label)}">${esc(criterionName(criterion))}</th>
+                    <td class="text-nowrap small pe-2">${criterion.promedio === null ? '—' : `${criterion.promedio.toFixed(0)}%`} ${trendIcon(criterion.cambio)}</td>
+                    ${cells}
+                </tr>`;
+        }).join('');
+
+        const criticalHtml = critical.length === 0
+            ? '<p class="small text-success mb-0"><i class="fas fa-check-circle"></i> Ninguna sesión del rango tiene valoraciones críticas.</p>'
+            : `<div class="list-group">${critical.map((session, index) => {
+                const badges = criteria
+                    .filter(criterion => session.answers[criterion.id]?.color === 'danger')
+                    .map(criterion => `<span class="badge bg-danger me-1">${esc(criterionName(criterion))}: ${esc(session.answers[criterion.id].value)}</span>`)
+                    .join('');
+                return `
+                    <div class="list-group-item">
+                        <div class="d-flex justify-content-between align-items-start gap-2">
+                            <div>
+                                <h6 class="mb-1">${esc(session.fecha)} ${esc(session.startTime)}</h6>
+                                <div class="mb-2">${badges}</div>
+                            </div>
+                            <button class="btn btn-sm btn-outline-primary" data-trend-critical="${index}" title="Abrir la sesión">
+                                <i class="fas fa-folder-open"></i> Abrir
+                            </button>
+                        </div>
+                        <p class="small mb-1"><strong>Observaciones:</strong> ${session.observations ? esc(session.observations) : '<span class="text-muted">Sin observaciones</span>'}</p>
+                        <p class="small mb-0"><strong>Propuestas de mejora:</strong> ${session.improvementProposals ? esc(session.improvementProposals) : '<span class="text-muted">Sin propuestas</span>'}</p>
+                    </div>`;
+            }).join('')}</div>`;
+
+        return `${notice}
+            <p class="small text-muted mb-2">
+                ${sessions.length} sesión(es) del ${esc(sessions[0].fecha)} al ${esc(sessions[sessions.length - 1].fecha)}.
+                El porcentaje es el promedio de cada criterio (100% = mejor opción de la escala) y la flecha
+                compara la primera mitad del rango con la segunda.
+            </p>
+            <div class="table-responsive mb-3">
+                <table class="table table-sm table-borderless align-middle mb-0">
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <h6 class="text-danger border-bottom pb-1"><i class="fas fa-exclamation-triangle"></i> Sesiones con valoraciones críticas (${critical.length})</h6>
+            ${criticalHtml}`;
+    }
+
+    bindEvaluationTrendsEvents() {
+        const content = document.getElementById('evaluation-trends-content');
+        const groupSelect = document.getElementById('trends-filter-group');
+        const fromInput = document.getElementById('trends-filter-from');
+        const toInput = document.getElementById('trends-filter-to');
+        if (!content || !groupSelect || !fromInput || !toInput) return;
+
+        let critical = [];
+        const render = async () => {
+            if (!fromInput.value || !toInput.value || fromInput.value > toInput.value) {
+                content.innerHTML = '<p class="text-muted text-center py-3 mb-0">Indique un rango de fechas válido.</p>';
+                return;
+            }
+            content.innerHTML = '<p class="text-muted text-center py-3 mb-0"><i class="fas fa-spinner fa-spin"></i> Calculando…</p>';
+            const trends = await this.statisticsManager.getEvaluationTrends(groupSelect.value, fromInput.value, toInput.value);
+            critical = trends.critical;
+            content.innerHTML = this.generateEvaluationTrendsHtml(trends);
+        };
+
+        [groupSelect, fromInput, toInput].forEach(input => input.addEventListener('change', render));
+
+        content.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-trend-critical]');
+            const session = button && critical[Number(button.dataset.trendCritical)];
+            if (!session) return;
+            await this.openHistorySession({ grupo: groupSelect.value, fecha: session.fecha, startTime: session.startTime });
+            this.closeModal('evaluation-trends');
+        });
+
+        render();
+    }
+
+    // =========================================================================
+    // BITÁCORAS PENDIENTES
+    // =========================================================================
+
+    /**
+     * Compara el horario con las sesiones guardadas y lista las lecciones sin bitácora
+     */
+    showMissingSessions() {
+        const { desde, hasta } = this.schoolCalendar.getMissingSessionsRange();
+        this.showModal('missing-sessions', 'Bitácoras pendientes', `
+            <p class="small text-muted">
+                Lecciones del horario en días lectivos que no tienen sesión guardada o cuya sesión
+                no tiene contenido de la lección.
+            </p>
+            <div class="row g-2 mb-3">
+                <div class="col-md-5">
+                    <label class="form-label small fw-bold" for="missing-filter-from">Desde</label>
+                    <input type="date" id="missing-filter-from" class="form-control form-control-sm"
+                           value="${SecurityUtils.sanitizeAttribute(desde)}">
+                </div>
+                <div class="col-md-5">
+                    <label class="form-label small fw-bold" for="missing-filter-to">Hasta</label>
+                    <input type="date" id="missing-filter-to" class="form-control form-control-sm"
+                           value="${SecurityUtils.sanitizeAttribute(hasta)}">
+                </div>
+            </div>
+            <div id="missing-sessions-list"></div>`);
+        this.bindMissingSessionsEvents();
+    }
+
+    /**
+     * @param {{pending: Array, expected: number, failed: number}} result - De SchoolCalendar.findMissingSessions()
+     */
+    generateMissingSessionsHtml({ pending, expected, failed }) {
+        const notice = this.generateUndecryptableNoticeHtml(failed);
+        if (expected === 0) {
+            return notice + '<p class="text-muted text-center py-3 mb-0">No hay lecciones del horario en este rango.</p>';
+        }
+        if (pending.length === 0) {
+            return notice + `<p class="text-success text-center py-3 mb-0">
+                <i class="fas fa-check-circle"></i> Las ${expected} lecciones del rango tienen bitácora.</p>`;
+        }
+
+        const rows = pending.map((item, index) => {
+            const { fecha, slot, status } = item;
+            const details = [slot.materia, slot.aula && `Aula ${slot.aula}`].filter(Boolean).join(' · ');
+            const badge = status === 'missing'
+                ? '<span class="badge bg-danger">Sin sesión</span>'
+                : '<span class="badge bg-warning text-dark">Sin contenido</span>';
+            const weekday = CONFIG.WEEKDAY_LABELS[SchoolCalendar.weekdayOf(fecha)];
+            return `
+                <div class="list-group-item d-flex align-items-center gap-2">
+                    <div class="flex-grow-1">
+                        <h6 class="mb-1">${SecurityUtils.escapeHtml(slot.grupo)} - ${weekday} ${SecurityUtils.escapeHtml(fecha)} ${badge}</h6>
+                        <small class="text-muted">${SecurityUtils.escapeHtml(slot.inicio)}–${SecurityUtils.escapeHtml(slot.fin)}${details ? ` · ${SecurityUtils.escapeHtml(details)}` : ''}</small>
+                    </div>
+                    <button class="btn btn-sm ${status === 'missing' ? 'btn-primary' : 'btn-outline-primary'}" data-missing-index="${index}">
+                        <i class="fas ${status === 'missing' ? 'fa-plus' : 'fa-pen'}"></i> ${status === 'missing' ? 'Crear' : 'Completar'}
+                    </button>
+                </div>`;
+        }).join('');
+
+        return `${notice}
+            <p class="small mb-2"><strong>${pending.length}</strong> de ${expected} lecciones sin bitácora.</p>
+            <div class="list-group">${rows}</div>`;
+    }
+
+    bindMissingSessionsEvents() {
+        const list = document.getElementById('missing-sessions-list');
+        const fromInput = document.getElementById('missing-filter-from');
+        const toInput = document.getElementById('missing-filter-to');
+        if (!list || !fromInput || !toInput) return;
+
+        let pending = [];
+        const render = async () => {
+            if (!fromInput.value || !toInput.value || fromInput.value > toInput.value) {
+                list.innerHTML = '<p class="text-muted text-center py-3 mb-0">Indique un rango de fechas válido.</p>';
+                return;
+            }
+            list.innerHTML = '<p class="text-muted text-center py-3 mb-0"><i class="fas fa-spinner fa-spin"></i> Revisando…</p>';
+            try {
+                const result = await this.schoolCalendar.findMissingSessions(fromInput.value, toInput.value);
+                pending = result.pending;
+                list.innerHTML = this.generateMissingSessionsHtml(result);
+            } catch (error) {
+                errorHandler.handle(error, 'UIManager.showMissingSessions');
+                list.innerHTML = '';
+            }
+        };
+
+        fromInput.addEventListener('change', render);
+        toInput.addEventListener('change', render);
+
+        list.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-missing-index]');
+            const item = button && pending[Number(button.dataset.missingIndex)];
+            if (!item) return;
+            await this.openMissingSession(item);
+        });
+
+        render();
+    }
+
+    /**
+     * Crea (o abre, si existe sin contenido) la sesión de una lección pendiente
+     * @param {{fecha: string, slot: Object, startTime: string}} item
+     */
+    async openMissingSession({ fecha, slot, startTime }) {
+        if (!await this.sessionManager.createSession(slot.grupo, fecha, startTime)) return;
+
+        const values = { groupSelect: slot.grupo, classDate: fecha, startTime };
+        Object.entries(values).forEach(([id, value]) => {
+            const el = this.elements.get(id);
+            if (el) el.value = value;
+        });
+
+        this.updateSessionInfo();
+        this.showBasicInterface();
+        this.closeModal('missing-sessions');
+        errorHandler.showSuccess(`Sesión ${slot.grupo} del ${fecha} lista para completar`);
     }
 
     // =========================================================================
@@ -1877,52 +4706,35 @@ class UIManager {
             if (element && value) element.value = value;
         });
 
-        if (session.evaluation) {
-            const evaluationFields = ['activityAccessibility', 'classMaterials', 'physicalSpace', 'studentInvolvement', 'studentAttitude'];
-            evaluationFields.forEach(fieldId => {
-                const element = document.getElementById(fieldId);
-                const value = session.evaluation[fieldId];
-                if (element && value) element.value = value;
-            });
-        }
-
+        this.updateLessonStatusButtons();
         this.updateEvaluationButtons();
     }
 
+    updateLessonStatusButtons() {
+        const status = this.sessionManager.getCurrentSession()?.lessonStatus || '';
+        document.querySelectorAll('.btn-lesson-status').forEach(btn => {
+            const { color } = CONFIG.LESSON_STATUS_META[btn.dataset.lessonStatus];
+            const isActive = btn.dataset.lessonStatus === status;
+            btn.classList.toggle('active', isActive);
+            btn.classList.toggle(`btn-${color}`, isActive);
+            btn.classList.toggle(`btn-outline-${color}`, !isActive);
+        });
+    }
+
     updateEvaluationButtons() {
         const session = this.sessionManager.getCurrentSession();
         if (!session) return;
 
-        document.querySelectorAll('[data-field="activityTime"] .btn-evaluation').forEach(btn => {
-            const value = btn.dataset.value;
-            const isActive = value === session.activityTime;
-            btn.classList.toggle('active', isActive);
-            const colorClass = this.getButtonColorClass(value);
-            if (isActive) {
-                btn.classList.remove(`btn-outline-${colorClass}`);
-                btn.classList.add(`btn-${colorClass}`);
-            } else {
-                btn.classList.remove(`btn-${colorClass}`);
-                btn.classList.add(`btn-outline-${colorClass}`);
-            }
-        });
-
-        if (session.evaluation) {
-            Object.entries(session.evaluation).forEach(([field, value]) => {
-                document.querySelectorAll(`[data-field="${field}"] .btn-evaluation`).forEach(btn => {
-                    const btnValue = btn.dataset.value;
-                    const isActive = btnValue === value;
-                    btn.classList.toggle('active', isActive);
-                    const colorClass = this.getButtonColorClass(btnValue);
-                    if (isActive) {
-                        btn.classList.remove(`btn-outline-${colorClass}`);
-                        btn.classList.add(`btn-${colorClass}`);
-                    } else {
-                        btn.classList.remove(`btn-${colorClass}`);
-                        btn.classList.add(`btn-outline-${colorClass}`);
-                    }
-                });
+        EvaluationRubric.forSession(session).forEach(criterion => {
+            const value = EvaluationRubric.getValue(session, criterion.id);
+            document.querySelectorAll(`[data-field="${SecurityUtils.sanitizeAttribute(criterion.id)}"] .btn-evaluation`).forEach(btn => {
+                const option = criterion.options[Number(btn.dataset.option)];
+                if (!option) return;
+                const isActive = option.value === value;
+                btn.classList.toggle('active', isActive);
+                btn.classList.toggle(`btn-${option.color}`, isActive);
+                btn.classList.toggle(`btn-outline-${option.color}`, !isActive);
             });
-        }
+        });
     }
 }
@@ -25,6 +25,64 @@ class Validators {
         return { valid: true, value: sanitized };
     }
 
+    /**
+     * Valida identificador estable de estudiante (generado por StudentManager)
+     * @param {string} id - Identificador a validar
+     * @returns {Object} - Resultado de validación
+     */
+    static validateStudentId(id) {
+        if (typeof id !== 'string' || !/^stu_[a-z0-9]+_[a-z0-9]+$/.test(id)) {
+            return { valid: false, message: 'Identificador de estudiante inválido' };
+        }
+        return { valid: true, value: id };
+    }
+
+    /**
+     * Valida la ficha de un estudiante. Acepta también un nombre simple (formato antiguo).
+     * @param {Object|string} data - { cedula, nombre, apellidos, encargados, apoyos }
+     * @returns {Object} - Resultado de validación; value: ficha saneada (sin id)
+     */
+    static validateStudentRecord(data) {
+        if (typeof data === 'string') data = { nombre: data };
+        if (!data || typeof data !== 'object') {
+            return { valid: false, message: 'Datos de estudiante inválidos' };
+        }
+
+        const nombre = SecurityUtils.sanitizeInput(data.nombre || '', CONFIG.MAX_STUDENT_NAME_LENGTH);
+        const apellidos = SecurityUtils.sanitizeInput(data.apellidos || '', CONFIG.MAX_STUDENT_NAME_LENGTH);
+        if (!nombre) {
+            return { valid: false, message: 'El nombre es requerido' };
+        }
+
+        const nameValidation = this.validateStudentName([apellidos, nombre].filter(Boolean).join(' '));
+        if (!nameValidation.valid) return nameValidation;
+
+        const cedula = SecurityUtils.sanitizeInput(String(data.cedula || ''), 20);
+        if (cedula && !/^[0-9A-Za-z-]+$/.test(cedula)) {
+            return { valid: false, message: 'La cédula o carné solo puede contener letras, números y guiones' };
+        }
+
+        const encargados = [];
+        for (const guardian of Array.isArray(data.encargados) ? data.encargados : []) {
+            const clean = {
+                nombre: SecurityUtils.sanitizeInput(guardian?.nombre || '', 100),
+                parentesco: SecurityUtils.sanitizeInput(guardian?.parentesco || '', 50),
+                telefono: SecurityUtils.sanitizeInput(guardian?.telefono || '', 30),
+                correo: SecurityUtils.sanitizeInput(guardian?.correo || '', 100)
+            };
+            if (!clean.nombre && !clean.telefono && !clean.correo) continue;
+            if (clean.correo && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean.correo)) {
+                return { valid: false, message: `Correo de encargado inválido: ${clean.correo}` };
+            }
+            encargados.push(clean);
+        }
+
+        const supports = Object.values(CONFIG.STUDENT_SUPPORTS);
+        const apoyos = (Array.isArray(data.apoyos) ? data.apoyos : []).filter(a => supports.includes(a));
+
+        return { valid: true, value: { cedula, nombre, apellidos, encargados, apoyos } };
+    }
+
     /**
      * Valida fecha
      * @param {string} date - Fecha a validar
@@ -34,27 +92,30 @@ class Validators {
         if (!date) {
             return { valid: false, message: 'La fecha es requerida' };
         }
-        
-        const parsedDate = new Date(date);
-        if (isNaN(parsedDate.getTime())) {
+
+        // Sin límites de antigüedad ni fechas futuras: las sesiones de años
+        // anteriores se archivan y las futuras son planificaciones (SessionManager.getSessionMode)
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
             return { valid: false, message: 'Formato de fecha inválido' };
         }
-        
-        const today = new Date();
-        today.setHours(23, 59, 59, 999);
-        
-        if (parsedDate > today) {
-            return { valid: false, message: 'La fecha no puede ser futura' };
+
+        return { valid: true, value: date };
+    }
+
+    /**
+     * Valida una fecha del calendario escolar (solo el formato; admite fechas futuras)
+     * @param {string} date - Fecha YYYY-MM-DD
+     * @returns {Object} - Resultado de validación
+     */
+    static validateCalendarDate(date) {
+        if (!date) {
+            return { valid: false, message: 'La fecha es requerida' };
         }
-        
-        // Validar que no sea muy antigua (1 año)
-        const oneYearAgo = new Date();
-        oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-        
-        if (parsedDate < oneYearAgo) {
-            return { valid: false, message: 'La fecha no puede ser anterior a un año' };
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+            return { valid: false, message: 'Formato de fecha inválido' };
         }
-        
+
         return { valid: true, value: date };
     }
 
@@ -72,7 +133,8 @@ class Validators {
             return { valid: false, message: 'Formato de hora inválido (HH:MM)' };
         }
         
-        return { valid: true, value: time };
+        // Siempre HH:MM: la hora forma parte de la clave de la sesión y se compara como texto
+        return { valid: true, value: time.padStart(5, '0') };
     }
 
     /**
@@ -118,6 +180,332 @@ class Validators {
         return { valid: true, value: sanitized };
     }
 
+    /**
+     * Valida una clase del horario semanal
+     * @param {Object} slot - { grupo, dia, inicio, fin, materia, aula }
+     * @returns {Object} - Resultado de validación; value: clase saneada (sin id)
+     */
+    static validateTimetableSlot(slot) {
+        if (!slot || typeof slot !== 'object') {
+            return { valid: false, message: 'Datos de horario inválidos' };
+        }
+
+        const groupValidation = this.validateGroup(slot.grupo);
+        if (!groupValidation.valid) return groupValidation;
+
+        const dia = parseInt(slot.dia, 10);
+        if (!CONFIG.WEEKDAY_LABELS[dia]) {
+            return { valid: false, message: 'Día de la semana inválido' };
+        }
+
+        const startValidation = this.validateTime(slot.inicio);
+        if (!startValidation.valid) {
+            return { valid: false, message: 'Hora de inicio: ' + startValidation.message };
+        }
+        const endValidation = this.validateTime(slot.fin);
+        if (!endValidation.valid) {
+            return { valid: false, message: 'Hora de fin: ' + endValidation.message };
+        }
+
+        // Normalizar a HH:MM para poder comparar como texto
+        const inicio = startValidation.value.padStart(5, '0');
+        const fin = endValidation.value.padStart(5, '0');
+        if (fin <= inicio) {
+            return { valid: false, message: 'La hora de fin debe ser posterior a la de inicio' };
+        }
+
+        return {
+            valid: true,
+            value: {
+                grupo: groupValidation.value,
+                dia,
+                inicio,
+                fin,
+                materia: SecurityUtils.sanitizeInput(slot.materia || '', 60),
+                aula: SecurityUtils.sanitizeInput(slot.aula || '', 30)
+            }
+        };
+    }
+
+    /**
+     * Valida un periodo lectivo del calendario escolar
+     * @param {Object} term - { nombre, inicio, fin }
+     * @returns {Object} - Resultado de validación
+     */
+    static validateTerm(term) {
+        const nombre = SecurityUtils.sanitizeInput(term?.nombre || '', 40);
+        if (!nombre) {
+            return { valid: false, message: 'El nombre del periodo es requerido' };
+        }
+
+        const startValidation = this.validateCalendarDate(term.inicio);
+        if (!startValidation.valid) {
+            return { valid: false, message: 'Inicio del periodo: ' + startValidation.message };
+        }
+        const endValidation = this.validateCalendarDate(term.fin);
+        if (!endValidation.valid) {
+            return { valid: false, message: 'Fin del periodo: ' + endValidation.message };
+        }
+        if (endValidation.value < startValidation.value) {
+            return { valid: false, message: 'El fin del periodo no puede ser anterior a su inicio' };
+        }
+
+        return { valid: true, value: { nombre, inicio: startValidation.value, fin: endValidation.value } };
+    }
+
+    /**
+     * Valida un día (o rango de días) sin lecciones
+     * @param {Object} holiday - { fecha, hasta, motivo }
+     * @returns {Object} - Resultado de validación
+     */
+    static validateHoliday(holiday) {
+        const dateValidation = this.validateCalendarDate(holiday?.fecha);
+        if (!dateValidation.valid) return dateValidation;
+
+        let hasta = dateValidation.value;
+        if (holiday.hasta) {
+            const untilValidation = this.validateCalendarDate(holiday.hasta);
+            if (!untilValidation.valid) {
+                return { valid: false, message: 'Fecha final: ' + untilValidation.message };
+            }
+            if (untilValidation.value < dateValidation.value) {
+                return { valid: false, message: 'La fecha final no puede ser anterior a la inicial' };
+            }
+            hasta = untilValidation.value;
+        }
+
+        const motivo = SecurityUtils.sanitizeInput(holiday.motivo || '', 80);
+        if (!motivo) {
+            return { valid: false, message: 'Indique el motivo (feriado, vacaciones, actividad…)' };
+        }
+
+        return { valid: true, value: { fecha: dateValidation.value, hasta, motivo } };
+    }
+
+    /**
+     * Valida un plan de unidad
+     * @param {Object} unit - { grupo, titulo, objetivos, contenidos, actividades }
+     *   contenidos: un contenido por línea (se programan en ese orden)
+     * @returns {Object} - Resultado de validación; value: unidad saneada (sin id ni lecciones)
+     */
+    static validateUnitPlan(unit) {
+        if (!unit || typeof unit !== 'object') {
+            return { valid: false, message: 'Datos de la unidad inválidos' };
+        }
+
+        const groupValidation = this.validateGroup(unit.grupo);
+        if (!groupValidation.valid) return groupValidation;
+
+        const titulo = SecurityUtils.sanitizeInput(unit.titulo || '', 120);
+        if (!titulo) {
+            return { valid: false, message: 'Indique el título de la unidad' };
+        }
+
+        const contenidos = SecurityUtils.sanitizeInput(unit.contenidos || '', CONFIG.MAX_TEXT_LENGTH);
+        if (!contenidos) {
+            return { valid: false, message: 'Indique los contenidos de la unidad (uno por línea)' };
+        }
+
+        return {
+            valid: true,
+            value: {
+                grupo: groupValidation.value,
+                titulo,
+                objetivos: SecurityUtils.sanitizeInput(unit.objetivos || '', CONFIG.MAX_TEXT_LENGTH),
+                contenidos,
+                actividades: SecurityUtils.sanitizeInput(unit.actividades || '', CONFIG.MAX_TEXT_LENGTH)
+            }
+        };
+    }
+
+    /**
+     * Valida una lección programada de un plan de unidad
+     * @param {Object} lesson - { fecha, contenido }
+     * @returns {Object} - Resultado de validación
+     */
+    static validatePlannedLesson(lesson) {
+        const dateValidation = this.validateCalendarDate(lesson?.fecha);
+        if (!dateValidation.valid) return dateValidation;
+
+        const contenido = SecurityUtils.sanitizeInput(lesson.contenido || '', CONFIG.MAX_COMMENT_LENGTH);
+        if (!contenido) {
+            return { valid: false, message: 'Indique el contenido de la lección' };
+        }
+
+        return { valid: true, value: { fecha: dateValidation.value, contenido } };
+    }
+
+    /**
+     * Valida un registro de comunicación con un encargado
+     * @param {Object} contact - { fecha, hora, canal, encargado, motivo, resultado, sesion }
+     *   sesion: { grupo, fecha, startTime } de la sesión que originó el contacto (opcional)
+     * @returns {Object} - Resultado de validación
+     */
+    static validateGuardianContact(contact) {
+        const dateValidation = this.validateDate(contact?.fecha);
+        if (!dateValidation.valid) return dateValidation;
+
+        let hora = '';
+        if (contact.hora) {
+            const timeValidation = this.validateTime(contact.hora);
+            if (!timeValidation.valid) return timeValidation;
+            hora = timeValidation.value;
+        }
+
+        if (!CONFIG.CONTACT_CHANNELS[contact.canal]) {
+            return { valid: false, message: 'Seleccione el medio de contacto' };
+        }
+
+        const encargado = SecurityUtils.sanitizeInput(contact.encargado || '', 100);
+        if (!encargado) {
+            return { valid: false, message: 'Indique el encargado contactado' };
+        }
+
+        const motivo = SecurityUtils.sanitizeInput(contact.motivo || '', CONFIG.MAX_JUSTIFICATION_LENGTH);
+        if (!motivo) {
+            return { valid: false, message: 'Indique el motivo del contacto' };
+        }
+
+        let sesion = null;
+        if (contact.sesion) {
+            const { grupo, fecha, startTime } = contact.sesion;
+            if (!this.validateGroup(grupo).valid || !this.validateDate(fecha).valid || !this.validateTime(startTime).valid) {
+                return { valid: false, message: 'Sesión relacionada inválida' };
+            }
+            sesion = { grupo, fecha, startTime };
+        }
+
+        return {
+            valid: true,
+            value: {
+                fecha: dateValidation.value,
+                hora,
+                canal: contact.canal,
+                encargado,
+                motivo,
+                resultado: SecurityUtils.sanitizeInput(contact.resultado || '', CONFIG.MAX_COMMENT_LENGTH),
+                sesion
+            }
+        };
+    }
+
+    /**
+     * Valida una rúbrica de evaluación
+     * @param {Array<Object>} criteria - [{ id, label, short, default, options: [{ value, label, color, icon }] }]
+     * @returns {Object} - Resultado de validación
+     */
+    static validateEvaluationRubric(criteria) {
+        if (!Array.isArray(criteria) || criteria.length === 0) {
+            return { valid: false, message: 'La rúbrica debe tener al menos un criterio' };
+        }
+        if (criteria.length > CONFIG.MAX_RUBRIC_CRITERIA) {
+            return { valid: false, message: `La rúbrica admite como máximo ${CONFIG.MAX_RUBRIC_CRITERIA} criterios` };
+        }
+
+        const ids = new Set();
+        const value = [];
+        for (const [index, criterion] of criteria.entries()) {
+            const position = `Criterio ${index + 1}`;
+            if (typeof criterion?.id !== 'string' || !/^[A-Za-z0-9_]{1,40}$/.test(criterion.id) || ids.has(criterion.id)) {
+                return { valid: false, message: `${position}: identificador inválido o repetido` };
+            }
+            ids.add(criterion.id);
+
+            const label = SecurityUtils.sanitizeInput(criterion.label || '', 120);
+            if (!label) {
+                return { valid: false, message: `${position}: escriba la pregunta` };
+            }
+
+            const options = Array.isArray(criterion.options) ? criterion.options : [];
+            if (options.length < 2 || options.length > CONFIG.MAX_RUBRIC_OPTIONS) {
+                return { valid: false, message: `${position}: la escala debe tener entre 2 y ${CONFIG.MAX_RUBRIC_OPTIONS} opciones` };
+            }
+
+            const values = new Set();
+            const cleanOptions = [];
+            for (const option of options) {
+                const optionValue = SecurityUtils.sanitizeInput(option?.value || '', 50);
+                if (!optionValue || values.has(optionValue)) {
+                    return { valid: false, message: `${position}: las opciones no pueden estar vacías ni repetirse` };
+                }
+                values.add(optionValue);
+
+                const clean = {
+                    value: optionValue,
+                    color: CONFIG.EVALUATION_COLORS[option.color] ? option.color : 'secondary'
+                };
+                const optionLabel = SecurityUtils.sanitizeInput(option.label || '', 30);
+                if (optionLabel && optionLabel !== optionValue) clean.label = optionLabel;
+                if (typeof option.icon === 'string' && /^fa-[a-z0-9-]+$/.test(option.icon)) clean.icon = option.icon;
+                cleanOptions.push(clean);
+            }
+
+            const clean = { id: criterion.id, label, options: cleanOptions };
+            const short = SecurityUtils.sanitizeInput(criterion.short || '', 40);
+            if (short) clean.short = short;
+            const defaultValue = SecurityUtils.sanitizeInput(criterion.default || '', 50);
+            if (values.has(defaultValue)) clean.default = defaultValue;
+            value.push(clean);
+        }
+
+        return { valid: true, value };
+    }
+
+    /**
+     * Valida la frase de paso de un respaldo cifrado
+     * @param {string} passphrase - Frase de paso
+     * @param {string} confirmation - Repetición de la frase
+     * @returns {Object} - Resultado de validación
+     */
+    static validateBackupPassphrase(passphrase, confirmation) {
+        if (!passphrase || typeof passphrase !== 'string') {
+            return { valid: false, message: 'La frase de paso es requerida' };
+        }
+
+        if (passphrase.length < CONFIG.MIN_BACKUP_PASSPHRASE_LENGTH) {
+            return { valid: false, message: `La frase de paso debe tener al menos ${CONFIG.MIN_BACKUP_PASSPHRASE_LENGTH} caracteres` };
+        }
+
+        if (passphrase !== confirmation) {
+            return { valid: false, message: 'Las frases de paso no coinciden' };
+        }
+
+        return { valid: true, value: passphrase };
+    }
+
+    /**
+     * Valida los datos complementarios de un estado de asistencia
+     * (justificación y hora de retiro)
+     * @param {string} state - Estado de asistencia
+     * @param {Object} details - { motivo, documento, horaRetiro }
+     * @returns {Object} - Resultado de validación; value: { justificacion, horaRetiro }
+     */
+    static validateJustification(state, details = {}) {
+        const motivo = SecurityUtils.sanitizeInput(details.motivo || '', CONFIG.MAX_JUSTIFICATION_LENGTH);
+        const documento = SecurityUtils.sanitizeInput(details.documento || '', 100);
+        let horaRetiro = null;
+
+        if (CONFIG.JUSTIFIED_STATES.includes(state) && motivo.length < 3) {
+            return { valid: false, message: 'El motivo de la justificación debe tener al menos 3 caracteres' };
+        }
+
+        if (state === CONFIG.STUDENT_STATES.RETIRO_ANTICIPADO) {
+            const timeValidation = this.validateTime(details.horaRetiro);
+            if (!timeValidation.valid) {
+                return { valid: false, message: 'Hora de retiro: ' + timeValidation.message };
+            }
+            horaRetiro = timeValidation.value;
+        }
+
+        return {
+            valid: true,
+            value: {
+                justificacion: motivo ? { motivo, documento } : null,
+                horaRetiro
+            }
+        };
+    }
+
     /**
      * Valida datos de sesión completa
      * @param {Object} sessionData - Datos de sesión
@@ -149,7 +537,10 @@ class Validators {
             errors.students = 'Datos de estudiantes inválidos';
         } else {
             for (const [studentName, studentData] of Object.entries(sessionData.students)) {
-                const nameValidation = this.validateStudentName(studentName);
+                // Las sesiones nuevas usan el id del estudiante; las antiguas, su nombre
+                const nameValidation = this.validateStudentId(studentName).valid
+                    ? { valid: true }
+                    : this.validateStudentName(studentName);
                 if (!nameValidation.valid) {
                     errors[`student_${studentName}`] = nameValidation.message;
                     continue;
@@ -209,7 +600,7 @@ class Validators {
             
             const validStudents = [];
             students.forEach((student, index) => {
-                const studentValidation = this.validateStudentName(student);
+                const studentValidation = this.validateStudentRecord(student);
                 if (!studentValidation.valid) {
                     errors.push(`Grupo "${groupName}", estudiante ${index + 1}: ${studentValidation.message}`);
                 } else {
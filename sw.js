@@ -21,11 +21,20 @@ const STATIC_ASSETS = [
     './js/validators.js',
     './js/storage.js',
     './js/crypto-service.js',
+    './js/credential-delivery.js',
     './js/auth.js',
     './js/student-manager.js',
+    './js/roster-import.js',
+    './js/evaluation-rubric.js',
     './js/session-manager.js',
     './js/pdf-generator.js',
     './js/statistics.js',
+    './js/statistics-charts.js',
+    './js/attendance-alerts.js',
+    './js/school-calendar.js',
+    './js/lesson-planner.js',
+    './js/guardian-contacts.js',
+    './js/idle-lock.js',
     './js/ui-manager.js',
     './js/mapa-clase.js',
     './js/mapa-clase-ui.js',